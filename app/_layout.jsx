@@ -65,12 +65,23 @@ const MainLayout = () => {
         <Stack.Screen name="dashboard-manager" options={{ headerShown: false, gestureEnabled: false }} />
         <Stack.Screen name="dashboard-admin" options={{ headerShown: false, gestureEnabled: false }} />
         <Stack.Screen name="cashier" options={{ headerShown: false }} />
+        <Stack.Screen name="refunds" options={{ headerShown: false }} />
+        <Stack.Screen name="shifts" options={{ headerShown: false }} />
+        <Stack.Screen name="time-clock" options={{ headerShown: false }} />
         <Stack.Screen name="products" options={{ headerShown: false }} />
         <Stack.Screen name="inventory" options={{ headerShown: false }} />
+        <Stack.Screen name="purchase-orders" options={{ headerShown: false }} />
+        <Stack.Screen name="suppliers" options={{ headerShown: false }} />
+        <Stack.Screen name="transfers" options={{ headerShown: false }} />
+        <Stack.Screen name="stock-counts" options={{ headerShown: false }} />
+        <Stack.Screen name="reorder" options={{ headerShown: false }} />
         <Stack.Screen name="reports" options={{ headerShown: false }} />
         <Stack.Screen name="customers" options={{ headerShown: false }} />
+        <Stack.Screen name="customer-detail" options={{ headerShown: false }} />
         <Stack.Screen name="settings" options={{ headerShown: false }} />
         <Stack.Screen name="user-management" options={{ headerShown: false }} />
+        <Stack.Screen name="payroll" options={{ headerShown: false }} />
+        <Stack.Screen name="commissions" options={{ headerShown: false }} />
         <Stack.Screen name="system" options={{ headerShown: false }} />
       </Stack>
     </>
@@ -0,0 +1,201 @@
+// app/components/CustomerFormModal.jsx - Add or edit a customer record
+import React, { useState, useEffect } from 'react'
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  ScrollView,
+  Modal,
+  Alert
+} from 'react-native'
+import { PRICE_TIERS, DEFAULT_PRICE_TIER } from '../../utils/salesCalculations'
+
+const EMPTY_FORM = {
+  name: '',
+  phone: '',
+  email: '',
+  address: '',
+  tin: '',
+  price_tier: DEFAULT_PRICE_TIER,
+  credit_limit: '',
+  notes: ''
+}
+
+// Only managers set credit limits, so canEditCredit hides the field from everyone else
+const CustomerFormModal = ({ visible, customer, saving, canEditCredit = false, onCancel, onSave }) => {
+  const [form, setForm] = useState(EMPTY_FORM)
+
+  useEffect(() => {
+    if (visible) {
+      setForm(customer
+        ? {
+          name: customer.name || '',
+          phone: customer.phone || '',
+          email: customer.email || '',
+          address: customer.address || '',
+          tin: customer.tin || '',
+          price_tier: customer.price_tier || DEFAULT_PRICE_TIER,
+          credit_limit: customer.credit_limit ? String(customer.credit_limit) : '',
+          notes: customer.notes || ''
+        }
+        : EMPTY_FORM)
+    }
+  }, [visible, customer])
+
+  const handleSave = () => {
+    if (!form.name.trim()) {
+      Alert.alert('Validation Error', 'Customer name is required')
+      return
+    }
+
+    onSave(form)
+  }
+
+  const field = (key, label, props = {}) => (
+    <>
+      <Text style={styles.fieldLabel}>{label}</Text>
+      <TextInput
+        style={[styles.textInput, props.multiline && styles.textArea]}
+        value={form[key]}
+        onChangeText={(text) => setForm({ ...form, [key]: text })}
+        {...props}
+      />
+    </>
+  )
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="formSheet"
+      onRequestClose={onCancel}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onCancel}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>{customer ? 'Edit Customer' : 'New Customer'}</Text>
+          <TouchableOpacity onPress={handleSave} disabled={saving}>
+            <Text style={[styles.saveText, saving && styles.saveTextDisabled]}>Save</Text>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+          {field('name', 'Name *', { placeholder: 'Full name or business name', autoCapitalize: 'words' })}
+          {field('phone', 'Phone', { placeholder: '09XX XXX XXXX', keyboardType: 'phone-pad' })}
+          {field('email', 'Email', { placeholder: 'name@example.com', keyboardType: 'email-address', autoCapitalize: 'none' })}
+          {field('tin', 'TIN', { placeholder: '000-000-000-000', keyboardType: 'numbers-and-punctuation' })}
+          {field('address', 'Address', { placeholder: 'Printed on invoices', multiline: true })}
+
+          <Text style={styles.fieldLabel}>Default Price Tier</Text>
+          <View style={styles.typeRow}>
+            {PRICE_TIERS.map(tier => (
+              <TouchableOpacity
+                key={tier.value}
+                style={[styles.typeButton, form.price_tier === tier.value && styles.typeButtonActive]}
+                onPress={() => setForm({ ...form, price_tier: tier.value })}
+              >
+                <Text style={[styles.typeText, form.price_tier === tier.value && styles.typeTextActive]}>
+                  {tier.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {canEditCredit && field('credit_limit', 'Credit Limit (₱)', { placeholder: '0.00 = no charge account', keyboardType: 'decimal-pad' })}
+
+          {field('notes', 'Notes', { placeholder: 'Preferences, delivery instructions...', multiline: true })}
+        </ScrollView>
+      </View>
+    </Modal>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    backgroundColor: '#ffffff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  cancelText: {
+    fontSize: 16,
+    color: '#ef4444',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  saveText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#3b82f6',
+  },
+  saveTextDisabled: {
+    color: '#94a3b8',
+  },
+  content: {
+    padding: 20,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  typeRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16,
+  },
+  typeButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#ffffff',
+  },
+  typeButtonActive: {
+    backgroundColor: '#3b82f6',
+    borderColor: '#3b82f6',
+  },
+  typeText: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#64748b',
+  },
+  typeTextActive: {
+    color: '#ffffff',
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#1e293b',
+    backgroundColor: '#ffffff',
+    marginBottom: 16,
+  },
+  textArea: {
+    minHeight: 72,
+    textAlignVertical: 'top',
+  },
+})
+
+export default CustomerFormModal
@@ -42,6 +42,30 @@ const HamburgerMenu = ({ currentRoute = 'dashboard' }) => {
         route: '../navigations/cashier',
         roles: ['cashier', 'manager', 'super_admin', 'supervisor','staff']
       },
+      {
+        id: 'refunds',
+        title: 'Refunds',
+        subtitle: 'Returns & Refunds',
+        icon: 'return-down-back-outline',
+        route: '../navigations/refunds',
+        roles: ['cashier', 'manager', 'super_admin', 'supervisor']
+      },
+      {
+        id: 'shifts',
+        title: 'Shifts',
+        subtitle: 'Cash Drawer & Readings',
+        icon: 'time-outline',
+        route: '../navigations/shifts',
+        roles: ['cashier', 'manager', 'super_admin', 'supervisor']
+      },
+      {
+        id: 'time-clock',
+        title: 'Time Clock',
+        subtitle: 'Staff Clock In & Breaks',
+        icon: 'alarm-outline',
+        route: '../navigations/time-clock',
+        roles: ['cashier', 'manager', 'super_admin', 'supervisor']
+      },
       {
         id: 'products',
         title: 'Products',
@@ -58,10 +82,42 @@ const HamburgerMenu = ({ currentRoute = 'dashboard' }) => {
         route: '../navigations/inventory',
         roles: ['cashier', 'manager', 'super_admin', 'supervisor','staff']
       },
+      {
+        id: 'purchase-orders',
+        title: 'Purchase Orders',
+        subtitle: 'Order & Receive Stock',
+        icon: 'document-text-outline',
+        route: '../navigations/purchase-orders',
+        roles: ['manager', 'super_admin', 'supervisor']
+      },
+      {
+        id: 'suppliers',
+        title: 'Suppliers',
+        subtitle: 'Suppliers & Back-Orders',
+        icon: 'business-outline',
+        route: '../navigations/suppliers',
+        roles: ['manager', 'super_admin']
+      },
+      {
+        id: 'transfers',
+        title: 'Stock Transfers',
+        subtitle: 'Move Stock Between Stores',
+        icon: 'swap-horizontal-outline',
+        route: '../navigations/transfers',
+        roles: ['manager', 'super_admin']
+      },
+      {
+        id: 'reorder',
+        title: 'Reorder',
+        subtitle: 'Suggested Orders by Supplier',
+        icon: 'repeat-outline',
+        route: '../navigations/reorder',
+        roles: ['manager', 'super_admin']
+      },
       {
         id: 'reports',
         title: 'Reports',
-        subtitle: 'Basic Sales Reports',
+        subtitle: 'Sales, Returns & VAT',
         icon: 'bar-chart-outline',
         route: '../navigations/reports',
         roles: ['cashier', 'manager', 'super_admin', 'supervisor','staff']
@@ -83,6 +139,22 @@ const HamburgerMenu = ({ currentRoute = 'dashboard' }) => {
         route: '../navigations/user-management',
         roles: ['cashier', 'manager', 'super_admin', 'supervisor','staff']
       },
+      {
+        id: 'payroll',
+        title: 'Payroll',
+        subtitle: 'Pay Estimate & Labor Cost',
+        icon: 'wallet-outline',
+        route: '../navigations/payroll',
+        roles: ['manager', 'super_admin']
+      },
+      {
+        id: 'commissions',
+        title: 'Commissions',
+        subtitle: 'Staff Commission & Rules',
+        icon: 'ribbon-outline',
+        route: '../navigations/commissions',
+        roles: ['manager', 'super_admin']
+      },
       {
         id: 'settings',
         title: 'Settings',
@@ -0,0 +1,218 @@
+// app/components/ManagerOverrideModal.jsx - Supervisor passcode prompt for restricted cashier actions
+import React, { useState, useEffect } from 'react'
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  Modal,
+  ActivityIndicator
+} from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import staffDatabaseService from '../../services/staffDatabase'
+import { getRestrictedActionLabel } from '../../services/posSettings'
+
+const ManagerOverrideModal = ({ visible, storeId, action, detail, onCancel, onApprove }) => {
+  const [staffCode, setStaffCode] = useState('')
+  const [passcode, setPasscode] = useState('')
+  const [error, setError] = useState('')
+  const [verifying, setVerifying] = useState(false)
+
+  useEffect(() => {
+    if (visible) {
+      setStaffCode('')
+      setPasscode('')
+      setError('')
+    }
+  }, [visible])
+
+  const handleApprove = async () => {
+    if (!staffCode.trim() || !passcode.trim()) {
+      setError('Enter the supervisor\'s staff ID and passcode')
+      return
+    }
+
+    try {
+      setVerifying(true)
+      const approver = await staffDatabaseService.verifyOverridePasscode(storeId, staffCode, passcode)
+
+      if (!approver) {
+        setPasscode('')
+        setError('Staff ID and passcode not recognised for a supervisor at this store')
+        return
+      }
+
+      onApprove({ id: approver.id, name: approver.name })
+    } catch (err) {
+      console.error('Error verifying override:', err)
+      setError('Could not verify passcode')
+    } finally {
+      setVerifying(false)
+    }
+  }
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="formSheet"
+      onRequestClose={onCancel}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onCancel}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>Manager Override</Text>
+          <View style={styles.headerSpacer} />
+        </View>
+
+        <View style={styles.content}>
+          <View style={styles.actionBox}>
+            <Ionicons name="shield-checkmark-outline" size={32} color="#3b82f6" />
+            <Text style={styles.actionTitle}>{getRestrictedActionLabel(action)}</Text>
+            {detail ? <Text style={styles.actionDetail}>{detail}</Text> : null}
+          </View>
+
+          <Text style={styles.fieldLabel}>Supervisor Staff ID</Text>
+          <TextInput
+            style={[styles.textInput, styles.staffCodeInput]}
+            value={staffCode}
+            onChangeText={(text) => {
+              setStaffCode(text)
+              setError('')
+            }}
+            placeholder="e.g. ST001"
+            autoCapitalize="characters"
+            autoCorrect={false}
+            autoFocus
+          />
+
+          <Text style={styles.fieldLabel}>Supervisor Passcode</Text>
+          <TextInput
+            style={styles.textInput}
+            value={passcode}
+            onChangeText={(text) => {
+              setPasscode(text)
+              setError('')
+            }}
+            placeholder="••••"
+            keyboardType="number-pad"
+            secureTextEntry
+            onSubmitEditing={handleApprove}
+          />
+          {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+          <TouchableOpacity
+            style={[styles.approveButton, verifying && styles.approveButtonDisabled]}
+            onPress={handleApprove}
+            disabled={verifying}
+          >
+            {verifying ? (
+              <ActivityIndicator size="small" color="#fff" />
+            ) : (
+              <Text style={styles.approveText}>Approve</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    backgroundColor: '#ffffff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  cancelText: {
+    fontSize: 16,
+    color: '#ef4444',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  headerSpacer: {
+    width: 50,
+  },
+  content: {
+    padding: 20,
+  },
+  actionBox: {
+    alignItems: 'center',
+    padding: 20,
+    borderRadius: 12,
+    backgroundColor: '#eff6ff',
+    marginBottom: 24,
+  },
+  actionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginTop: 8,
+  },
+  actionDetail: {
+    fontSize: 14,
+    color: '#64748b',
+    textAlign: 'center',
+    marginTop: 4,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 20,
+    letterSpacing: 8,
+    textAlign: 'center',
+    color: '#1e293b',
+    backgroundColor: '#ffffff',
+  },
+  staffCodeInput: {
+    fontSize: 16,
+    letterSpacing: 0,
+    marginBottom: 16,
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#ef4444',
+    marginTop: 8,
+  },
+  approveButton: {
+    alignItems: 'center',
+    backgroundColor: '#3b82f6',
+    borderRadius: 8,
+    paddingVertical: 14,
+    marginTop: 20,
+  },
+  approveButtonDisabled: {
+    backgroundColor: '#94a3b8',
+  },
+  approveText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+  },
+})
+
+export default ManagerOverrideModal
@@ -0,0 +1,467 @@
+// app/components/PaymentModal.jsx - Tender entry for a sale: one or more payments, change from cash
+import React, { useState, useEffect, useMemo } from 'react'
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  TextInput,
+  Modal,
+  ActivityIndicator
+} from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import {
+  PAYMENT_METHODS,
+  calculateTenderSummary,
+  roundMoney
+} from '../../utils/salesCalculations'
+import { LOYALTY_PAYMENT_METHOD, pointsToPeso, pesoToPoints } from '../../utils/loyaltyCalculations'
+import { CHARGE_PAYMENT_METHOD, exceedsCreditLimit } from '../../utils/chargeAccountCalculations'
+
+const QUICK_CASH_STEPS = [100, 500, 1000]
+
+// loyalty is { balance, peso_per_point } when the sale's customer can pay with points;
+// account is { credit_limit, balance, available } when they have a charge account
+const PaymentModal = ({ visible, totalDue, loyalty = null, account = null, processing = false, onCancel, onConfirm }) => {
+  const [tenders, setTenders] = useState([])
+
+  // Every time the modal opens, start with the full amount as cash
+  useEffect(() => {
+    if (visible) {
+      setTenders([{ key: 'tender-1', payment_method: 'cash', amount: roundMoney(totalDue).toFixed(2), reference_number: '' }])
+    }
+  }, [visible, totalDue])
+
+  const summary = useMemo(() => calculateTenderSummary(tenders, totalDue), [tenders, totalDue])
+
+  const pointsTender = tenders.find(tender => tender.payment_method === LOYALTY_PAYMENT_METHOD)
+  const pointsNeeded = pointsTender ? pesoToPoints(pointsTender.amount, loyalty?.peso_per_point) : 0
+  const pointsError = pointsTender && pointsNeeded > (loyalty?.balance || 0)
+    ? `Customer has only ${loyalty?.balance || 0} point(s)`
+    : null
+  const canConfirm = summary.isCovered && !pointsError
+
+  // Going over the credit limit is allowed here; the cashier screen asks for approval
+  const chargeTender = tenders.find(tender => tender.payment_method === CHARGE_PAYMENT_METHOD)
+  const overLimit = !!chargeTender && !!account &&
+    exceedsCreditLimit(account.credit_limit, account.balance, roundMoney(chargeTender.amount))
+
+  // Customer tenders appear once each, and only when the customer can use them
+  const availableMethods = PAYMENT_METHODS.filter(method => {
+    if (!method.requiresCustomer) return true
+    if (tenders.some(tender => tender.payment_method === method.value)) return false
+    if (method.value === LOYALTY_PAYMENT_METHOD) return loyalty?.balance > 0
+    if (method.value === CHARGE_PAYMENT_METHOD) return account?.credit_limit > 0
+    return false
+  })
+
+  // Only whole points can be spent, so points never cover more than their value
+  const getPointsAmount = () => {
+    const pointsValue = pointsToPeso(loyalty?.balance || 0, loyalty?.peso_per_point)
+    const covered = Math.min(summary.remaining, pointsValue)
+    return pointsToPeso(Math.floor(roundMoney(covered / loyalty.peso_per_point)), loyalty.peso_per_point)
+  }
+
+  const addTender = (method) => {
+    let amount = summary.remaining > 0 ? summary.remaining.toFixed(2) : ''
+    if (method === LOYALTY_PAYMENT_METHOD) {
+      amount = getPointsAmount().toFixed(2)
+    }
+    setTenders([
+      ...tenders,
+      { key: `tender-${Date.now()}`, payment_method: method, amount, reference_number: '' }
+    ])
+  }
+
+  const updateTender = (key, field, value) => {
+    setTenders(tenders.map(tender =>
+      tender.key === key ? { ...tender, [field]: value } : tender
+    ))
+  }
+
+  const removeTender = (key) => {
+    setTenders(tenders.filter(tender => tender.key !== key))
+  }
+
+  const setQuickCash = (key, amount) => {
+    updateTender(key, 'amount', amount.toFixed(2))
+  }
+
+  const getQuickCashAmounts = () => {
+    const cashDue = roundMoney(Math.max(summary.total - summary.nonCashTendered, 0))
+    const amounts = [cashDue]
+
+    QUICK_CASH_STEPS.forEach(step => {
+      const rounded = Math.ceil(cashDue / step) * step
+      if (rounded > cashDue && !amounts.includes(rounded)) {
+        amounts.push(rounded)
+      }
+    })
+
+    return amounts
+  }
+
+  const handleConfirm = () => {
+    if (!canConfirm) return
+
+    onConfirm(tenders.map(tender => ({
+      payment_method: tender.payment_method,
+      amount: roundMoney(tender.amount),
+      reference_number: tender.reference_number.trim() || null
+    })))
+  }
+
+  const formatPrice = (price) => {
+    return `₱${parseFloat(price || 0).toFixed(2)}`
+  }
+
+  const renderTender = (tender) => {
+    const method = PAYMENT_METHODS.find(option => option.value === tender.payment_method)
+
+    return (
+      <View key={tender.key} style={styles.tenderCard}>
+        <View style={styles.tenderHeader}>
+          <View style={styles.tenderTitle}>
+            <Ionicons name={method?.icon || 'cash-outline'} size={18} color="#3b82f6" />
+            <Text style={styles.tenderLabel}>{method?.label || tender.payment_method}</Text>
+          </View>
+          {tenders.length > 1 && (
+            <TouchableOpacity onPress={() => removeTender(tender.key)}>
+              <Ionicons name="close-circle" size={20} color="#ef4444" />
+            </TouchableOpacity>
+          )}
+        </View>
+
+        <TextInput
+          style={styles.amountInput}
+          value={tender.amount}
+          onChangeText={(value) => updateTender(tender.key, 'amount', value.replace(/[^0-9.]/g, ''))}
+          placeholder="0.00"
+          keyboardType="decimal-pad"
+        />
+
+        {tender.payment_method === 'cash' && (
+          <View style={styles.quickCashRow}>
+            {getQuickCashAmounts().map(amount => (
+              <TouchableOpacity
+                key={amount}
+                style={styles.quickCashButton}
+                onPress={() => setQuickCash(tender.key, amount)}
+              >
+                <Text style={styles.quickCashText}>{formatPrice(amount)}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
+
+        {tender.payment_method === LOYALTY_PAYMENT_METHOD && (
+          <Text style={styles.pointsText}>
+            Uses {pesoToPoints(tender.amount, loyalty?.peso_per_point)} of {loyalty?.balance || 0} point(s)
+          </Text>
+        )}
+
+        {tender.payment_method === CHARGE_PAYMENT_METHOD && (
+          <Text style={[styles.pointsText, overLimit && styles.overLimitText]}>
+            {overLimit
+              ? `Over the ${formatPrice(account?.available)} available credit; needs approval`
+              : `${formatPrice(account?.available)} available of ${formatPrice(account?.credit_limit)} limit`}
+          </Text>
+        )}
+
+        {method?.requiresReference && (
+          <TextInput
+            style={styles.referenceInput}
+            value={tender.reference_number}
+            onChangeText={(value) => updateTender(tender.key, 'reference_number', value)}
+            placeholder="Reference / approval no. (optional)"
+          />
+        )}
+      </View>
+    )
+  }
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="formSheet"
+      onRequestClose={onCancel}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onCancel} disabled={processing}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>Payment</Text>
+          <View style={{ width: 60 }} />
+        </View>
+
+        <View style={styles.dueCard}>
+          <Text style={styles.dueLabel}>Amount Due</Text>
+          <Text style={styles.dueAmount}>{formatPrice(summary.total)}</Text>
+        </View>
+
+        <ScrollView style={styles.content} keyboardShouldPersistTaps="handled">
+          {tenders.map(renderTender)}
+
+          <Text style={styles.sectionLabel}>Add Tender</Text>
+          <View style={styles.methodRow}>
+            {availableMethods.map(method => (
+              <TouchableOpacity
+                key={method.value}
+                style={styles.methodButton}
+                onPress={() => addTender(method.value)}
+              >
+                <Ionicons name={method.icon} size={16} color="#3b82f6" />
+                <Text style={styles.methodText}>{method.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </ScrollView>
+
+        <View style={styles.footer}>
+          <View style={styles.summaryRow}>
+            <Text style={styles.summaryLabel}>Tendered</Text>
+            <Text style={styles.summaryValue}>{formatPrice(summary.tendered)}</Text>
+          </View>
+          {summary.remaining > 0 && (
+            <View style={styles.summaryRow}>
+              <Text style={styles.summaryLabel}>Remaining</Text>
+              <Text style={[styles.summaryValue, styles.remainingValue]}>{formatPrice(summary.remaining)}</Text>
+            </View>
+          )}
+          <View style={styles.summaryRow}>
+            <Text style={styles.changeLabel}>Change</Text>
+            <Text style={styles.changeValue}>{formatPrice(summary.change)}</Text>
+          </View>
+
+          {(summary.error || pointsError) && (
+            <Text style={styles.errorText}>{summary.error || pointsError}</Text>
+          )}
+
+          <TouchableOpacity
+            style={[styles.confirmButton, (!canConfirm || processing) && styles.confirmButtonDisabled]}
+            onPress={handleConfirm}
+            disabled={!canConfirm || processing}
+          >
+            {processing ? (
+              <ActivityIndicator size="small" color="#ffffff" />
+            ) : (
+              <>
+                <Ionicons name="checkmark-circle" size={20} color="#ffffff" />
+                <Text style={styles.confirmButtonText}>Complete Sale</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    backgroundColor: '#ffffff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  cancelText: {
+    fontSize: 16,
+    color: '#ef4444',
+    width: 60,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  dueCard: {
+    alignItems: 'center',
+    paddingVertical: 20,
+    backgroundColor: '#ffffff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  dueLabel: {
+    fontSize: 14,
+    color: '#64748b',
+  },
+  dueAmount: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: '#1e293b',
+    marginTop: 4,
+  },
+  content: {
+    flex: 1,
+    padding: 16,
+  },
+  tenderCard: {
+    backgroundColor: '#ffffff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  tenderHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
+  tenderTitle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  tenderLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  amountInput: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#1e293b',
+    backgroundColor: '#f8fafc',
+  },
+  quickCashRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 10,
+  },
+  quickCashButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 8,
+    backgroundColor: '#eff6ff',
+  },
+  quickCashText: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#3b82f6',
+  },
+  pointsText: {
+    fontSize: 13,
+    color: '#64748b',
+    marginTop: 8,
+  },
+  overLimitText: {
+    color: '#f59e0b',
+    fontWeight: '500',
+  },
+  referenceInput: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    color: '#1e293b',
+    marginTop: 10,
+  },
+  sectionLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#64748b',
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  methodRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 24,
+  },
+  methodButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#3b82f6',
+    backgroundColor: '#ffffff',
+  },
+  methodText: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#3b82f6',
+  },
+  footer: {
+    padding: 16,
+    backgroundColor: '#ffffff',
+    borderTopWidth: 1,
+    borderTopColor: '#e2e8f0',
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  summaryLabel: {
+    fontSize: 14,
+    color: '#64748b',
+  },
+  summaryValue: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#1e293b',
+  },
+  remainingValue: {
+    color: '#ef4444',
+  },
+  changeLabel: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  changeValue: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#10b981',
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#ef4444',
+    marginTop: 4,
+  },
+  confirmButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    backgroundColor: '#10b981',
+    borderRadius: 12,
+    paddingVertical: 16,
+    marginTop: 12,
+  },
+  confirmButtonDisabled: {
+    backgroundColor: '#94a3b8',
+  },
+  confirmButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#ffffff',
+  },
+})
+
+export default PaymentModal
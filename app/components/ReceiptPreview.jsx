@@ -0,0 +1,73 @@
+// app/components/ReceiptPreview.jsx - On-screen rendering of a receipt exactly as the printer lays it out
+import React, { useMemo } from 'react'
+import { View, Text, StyleSheet, Platform } from 'react-native'
+import {
+  buildReceipt,
+  buildRefundReceipt,
+  buildReadingReport,
+  buildCustomerStatement,
+  layoutReceipt,
+  DEFAULT_PAPER_WIDTH
+} from '../../utils/receiptBuilder'
+
+const MONOSPACE_FONT = Platform.OS === 'ios' ? 'Courier' : 'monospace'
+
+// Pass a sale, a refund, an X/Z reading or a customer statement; each renders as its own slip
+const ReceiptPreview = ({ sale, refund, reading, statement, store, paperWidth = DEFAULT_PAPER_WIDTH, reprint = false }) => {
+  const lines = useMemo(() => {
+    if (statement) return layoutReceipt(buildCustomerStatement(statement, store || {}), paperWidth)
+    if (reading) return layoutReceipt(buildReadingReport(reading, store || {}), paperWidth)
+    if (refund) return layoutReceipt(buildRefundReceipt(refund, store || {}), paperWidth)
+    if (sale) return layoutReceipt(buildReceipt(sale, store || {}, { reprint }), paperWidth)
+    return []
+  }, [sale, refund, reading, statement, store, paperWidth, reprint])
+
+  if (!sale && !refund && !reading && !statement) return null
+
+  return (
+    <View style={[styles.paper, paperWidth === 80 && styles.paperWide]}>
+      {lines.map((line, index) => (
+        <Text
+          key={index}
+          style={[styles.line, line.bold && styles.bold, line.double && styles.double]}
+          numberOfLines={1}
+        >
+          {line.text}
+        </Text>
+      ))}
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  paper: {
+    alignSelf: 'center',
+    backgroundColor: '#ffffff',
+    paddingHorizontal: 12,
+    paddingVertical: 16,
+    borderRadius: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 3,
+    elevation: 2,
+  },
+  paperWide: {
+    paddingHorizontal: 8,
+  },
+  line: {
+    fontFamily: MONOSPACE_FONT,
+    fontSize: 11,
+    lineHeight: 15,
+    color: '#1e293b',
+  },
+  bold: {
+    fontWeight: 'bold',
+  },
+  double: {
+    fontSize: 22,
+    lineHeight: 28,
+  },
+})
+
+export default ReceiptPreview
@@ -0,0 +1,209 @@
+// app/components/ScPwdDiscountModal.jsx - Captures the senior citizen / PWD ID details for a discounted sale
+import React, { useState, useEffect } from 'react'
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  Modal,
+  Alert
+} from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { SC_PWD_DISCOUNT_TYPES } from '../../utils/salesCalculations'
+
+const ScPwdDiscountModal = ({ visible, discount, onCancel, onApply, onRemove }) => {
+  const [discountType, setDiscountType] = useState(SC_PWD_DISCOUNT_TYPES[0].value)
+  const [idNumber, setIdNumber] = useState('')
+  const [holderName, setHolderName] = useState('')
+
+  useEffect(() => {
+    if (visible) {
+      setDiscountType(discount?.type || SC_PWD_DISCOUNT_TYPES[0].value)
+      setIdNumber(discount?.id_number || '')
+      setHolderName(discount?.holder_name || '')
+    }
+  }, [visible, discount])
+
+  const handleApply = () => {
+    if (!idNumber.trim() || !holderName.trim()) {
+      Alert.alert('Validation Error', 'ID number and name are required')
+      return
+    }
+
+    onApply({
+      type: discountType,
+      id_number: idNumber.trim(),
+      holder_name: holderName.trim()
+    })
+  }
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="formSheet"
+      onRequestClose={onCancel}
+    >
+      <View style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onCancel}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>SC / PWD Discount</Text>
+          <TouchableOpacity onPress={handleApply}>
+            <Text style={styles.applyText}>Apply</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.content}>
+          <Text style={styles.note}>
+            VAT is removed from qualifying items, then 20% is deducted. Items in excluded categories are charged in full.
+          </Text>
+
+          <Text style={styles.fieldLabel}>Discount Type</Text>
+          <View style={styles.typeRow}>
+            {SC_PWD_DISCOUNT_TYPES.map(option => (
+              <TouchableOpacity
+                key={option.value}
+                style={[styles.typeButton, discountType === option.value && styles.typeButtonActive]}
+                onPress={() => setDiscountType(option.value)}
+              >
+                <Text style={[styles.typeText, discountType === option.value && styles.typeTextActive]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.fieldLabel}>ID Number *</Text>
+          <TextInput
+            style={styles.textInput}
+            value={idNumber}
+            onChangeText={setIdNumber}
+            placeholder="OSCA / PWD ID number"
+            autoCapitalize="characters"
+          />
+
+          <Text style={styles.fieldLabel}>Name on ID *</Text>
+          <TextInput
+            style={styles.textInput}
+            value={holderName}
+            onChangeText={setHolderName}
+            placeholder="Full name"
+            autoCapitalize="words"
+          />
+
+          {discount && (
+            <TouchableOpacity style={styles.removeButton} onPress={onRemove}>
+              <Ionicons name="trash-outline" size={18} color="#ef4444" />
+              <Text style={styles.removeText}>Remove Discount</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    </Modal>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    backgroundColor: '#ffffff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  cancelText: {
+    fontSize: 16,
+    color: '#ef4444',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  applyText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#3b82f6',
+  },
+  content: {
+    padding: 20,
+  },
+  note: {
+    fontSize: 13,
+    color: '#64748b',
+    lineHeight: 18,
+    marginBottom: 20,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  typeRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 16,
+  },
+  typeButton: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#ffffff',
+  },
+  typeButtonActive: {
+    backgroundColor: '#3b82f6',
+    borderColor: '#3b82f6',
+  },
+  typeText: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#64748b',
+  },
+  typeTextActive: {
+    color: '#ffffff',
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#1e293b',
+    backgroundColor: '#ffffff',
+    marginBottom: 16,
+  },
+  removeButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    paddingVertical: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#fecaca',
+    backgroundColor: '#fef2f2',
+    marginTop: 8,
+  },
+  removeText: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#ef4444',
+  },
+})
+
+export default ScPwdDiscountModal
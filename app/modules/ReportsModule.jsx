@@ -2,58 +2,52 @@ import React, { useState, useEffect } from 'react'
 import { View, Text, TouchableOpacity } from 'react-native'
 import { Ionicons } from '@expo/vector-icons'
 import { useRouter } from 'expo-router'
-import * as SQLite from 'expo-sqlite'
+import salesDatabaseService from '../../services/salesDatabase'
 import { styles, theme, formatCurrency } from '../components/DashboardLayout'
 
-const ReportsModule = ({ userRole, onPress }) => {
+const ReportsModule = ({ userRole, userStoreId, onPress }) => {
   const [reportData, setReportData] = useState({
     dailyReport: { sales: 0, transactions: 0 },
     weeklyReport: { sales: 0, transactions: 0 },
     monthlyReport: { sales: 0, transactions: 0 }
   })
+  const [loadError, setLoadError] = useState(null)
   const router = useRouter()
 
   useEffect(() => {
     if (userRole === 'manager' || userRole === 'super_admin') {
       loadReportData()
     }
-  }, [userRole])
+  }, [userRole, userStoreId])
 
   const loadReportData = async () => {
     try {
-      const db = await SQLite.openDatabaseAsync('pos_db.db')
-      
-      const today = new Date().toISOString().split('T')[0]
-      const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
-      const monthAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
-      
-      const dailyStats = await db.getFirstAsync(
-        'SELECT COUNT(*) as transactions, SUM(total_amount) as sales FROM sales WHERE DATE(created_at) = ?',
-        [today]
-      )
-      
-      const weeklyStats = await db.getFirstAsync(
-        'SELECT COUNT(*) as transactions, SUM(total_amount) as sales FROM sales WHERE created_at >= ?',
-        [weekAgo]
-      )
-      
-      const monthlyStats = await db.getFirstAsync(
-        'SELECT COUNT(*) as transactions, SUM(total_amount) as sales FROM sales WHERE created_at >= ?',
-        [monthAgo]
-      )
-      
+      // Periods start at local midnight so "Daily" matches the store's business day
+      const startOfToday = new Date()
+      startOfToday.setHours(0, 0, 0, 0)
+      const weekStart = new Date(startOfToday.getTime() - 6 * 24 * 60 * 60 * 1000)
+      const monthStart = new Date(startOfToday.getTime() - 29 * 24 * 60 * 60 * 1000)
+
+      const [dailyStats, weeklyStats, monthlyStats] = await Promise.all([
+        salesDatabaseService.getSalesSummary(userStoreId, { from: startOfToday.toISOString() }),
+        salesDatabaseService.getSalesSummary(userStoreId, { from: weekStart.toISOString() }),
+        salesDatabaseService.getSalesSummary(userStoreId, { from: monthStart.toISOString() })
+      ])
+
       setReportData({
-        dailyReport: { sales: dailyStats?.sales || 0, transactions: dailyStats?.transactions || 0 },
-        weeklyReport: { sales: weeklyStats?.sales || 0, transactions: weeklyStats?.transactions || 0 },
-        monthlyReport: { sales: monthlyStats?.sales || 0, transactions: monthlyStats?.transactions || 0 }
+        dailyReport: { sales: dailyStats.sales, transactions: dailyStats.transactions },
+        weeklyReport: { sales: weeklyStats.sales, transactions: weeklyStats.transactions },
+        monthlyReport: { sales: monthlyStats.sales, transactions: monthlyStats.transactions }
       })
+      setLoadError(null)
     } catch (error) {
       console.error('Error loading report data:', error)
       setReportData({
-        dailyReport: { sales: 1250.50, transactions: 23 },
-        weeklyReport: { sales: 8750.75, transactions: 156 },
-        monthlyReport: { sales: 37520.25, transactions: 678 }
+        dailyReport: { sales: 0, transactions: 0 },
+        weeklyReport: { sales: 0, transactions: 0 },
+        monthlyReport: { sales: 0, transactions: 0 }
       })
+      setLoadError('Unable to load sales totals')
     }
   }
 
@@ -61,7 +55,7 @@ const ReportsModule = ({ userRole, onPress }) => {
     if (onPress) {
       onPress()
     } else {
-      router.push('/reports-detail')
+      router.push('/navigations/reports')
     }
   }
 
@@ -104,6 +98,10 @@ const ReportsModule = ({ userRole, onPress }) => {
         </View>
       </View>
 
+      {loadError && (
+        <Text style={[styles.captionText, { color: theme.error, marginTop: 10 }]}>{loadError}</Text>
+      )}
+
       {/* Click indicator */}
       <View style={styles.clickIndicator}>
         <Text style={styles.clickIndicatorText}>Tap to view detailed reports</Text>
@@ -2,10 +2,11 @@ import React, { useState, useEffect } from 'react'
 import { View, Text, TouchableOpacity } from 'react-native'
 import { Ionicons } from '@expo/vector-icons'
 import { useRouter } from 'expo-router'
-import * as SQLite from 'expo-sqlite'
+import salesDatabaseService from '../../services/salesDatabase'
+import databaseService from '../../services/database'
 import { styles, theme, formatCurrency } from '../components/DashboardLayout'
 
-const StatsModule = ({ userRole, onPress }) => {
+const StatsModule = ({ userRole, userStoreId, onPress }) => {
   const [stats, setStats] = useState({
     todaySales: 0,
     totalTransactions: 0,
@@ -17,86 +18,45 @@ const StatsModule = ({ userRole, onPress }) => {
 
   useEffect(() => {
     loadStats()
-  }, [userRole])
-
-  const initializeDatabase = async (db) => {
-    try {
-      // Create sales table if it doesn't exist
-      await db.execAsync(`
-        CREATE TABLE IF NOT EXISTS sales (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          total_amount REAL NOT NULL DEFAULT 0,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          user_id INTEGER,
-          status TEXT DEFAULT 'completed'
-        );
-      `)
-      
-      // Create users table if it doesn't exist (for active users count)
-      await db.execAsync(`
-        CREATE TABLE IF NOT EXISTS users (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          username TEXT UNIQUE NOT NULL,
-          role TEXT NOT NULL,
-          is_active INTEGER DEFAULT 1,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        );
-      `)
-      
-      console.log('Database tables initialized successfully')
-    } catch (error) {
-      console.error('Error initializing database:', error)
-    }
-  }
+  }, [userRole, userStoreId])
 
   const loadStats = async () => {
     try {
       setIsLoading(true)
-      const db = await SQLite.openDatabaseAsync('pos_db.db')
-      
-      // Initialize database tables first
-      await initializeDatabase(db)
-      
-      const today = new Date().toISOString().split('T')[0]
 
-      // Check if sales table exists and has data
-      let todayStats = null
-      let activeUsersCount = 0
+      const startOfToday = new Date()
+      startOfToday.setHours(0, 0, 0, 0)
+      const monthStart = new Date(startOfToday.getTime() - 29 * 24 * 60 * 60 * 1000)
 
-      try {
-        todayStats = await db.getFirstAsync(
-          'SELECT COUNT(*) as transactions, COALESCE(SUM(total_amount), 0) as total FROM sales WHERE DATE(created_at) = ?',
-          [today]
-        )
-        
-        // Get active users count for super_admin
-        if (userRole === 'super_admin') {
-          const usersResult = await db.getFirstAsync(
-            'SELECT COUNT(*) as count FROM users WHERE is_active = 1'
-          )
-          activeUsersCount = usersResult?.count || 0
+      const [todayStats, monthStats] = await Promise.all([
+        salesDatabaseService.getSalesSummary(userStoreId, { from: startOfToday.toISOString() }),
+        salesDatabaseService.getSalesSummary(userStoreId, { from: monthStart.toISOString() })
+      ])
+
+      // Get active users count for super_admin
+      let activeUsersCount = 0
+      if (userRole === 'super_admin') {
+        if (!databaseService.isInitialized) {
+          await databaseService.initializeDatabase()
         }
-      } catch (queryError) {
-        console.warn('Query error (using fallback data):', queryError)
-        // Use fallback data if query fails
-        todayStats = { transactions: 0, total: 0 }
+        const dbStats = await databaseService.getDatabaseStats()
+        activeUsersCount = dbStats.activeUsers || 0
       }
-      
+
       setStats({
-        todaySales: todayStats?.total || 0,
-        totalTransactions: todayStats?.transactions || 0,
-        monthlyRevenue: (todayStats?.total || 0) * 30, // Simple estimation
-        activeUsers: userRole === 'super_admin' ? (activeUsersCount || 0) : 0
+        todaySales: todayStats.sales,
+        totalTransactions: todayStats.transactions,
+        monthlyRevenue: monthStats.sales,
+        activeUsers: activeUsersCount
       })
       
     } catch (error) {
       console.error('Error loading stats:', error)
-      // Fallback to demo data when database is not accessible
       setStats({
-        todaySales: 0, // Start with 0 for new system
+        todaySales: 0,
         totalTransactions: 0,
         monthlyRevenue: 0,
-        activeUsers: userRole === 'super_admin' ? 0 : 0
+        activeUsers: 0
       })
     } finally {
       setIsLoading(false)
@@ -144,7 +104,7 @@ const StatsModule = ({ userRole, onPress }) => {
               <Text style={styles.cardValue}>
                 {isLoading ? '...' : formatCurrency(stats.monthlyRevenue)}
               </Text>
-              <Text style={styles.cardLabel}>Monthly Est.</Text>
+              <Text style={styles.cardLabel}>Last 30 Days</Text>
             </View>
             
             <View style={[styles.card, styles.gridItem2]}>
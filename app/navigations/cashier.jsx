@@ -1,10 +1,1435 @@
-import React from 'react'
-import { View, Text, StyleSheet } from 'react-native'
+// app/navigations/cashier.jsx - Main POS register: product grid, cart and checkout
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react'
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  FlatList,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  TextInput,
+  Modal
+} from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { useRouter } from 'expo-router'
+import { useAuth } from '../../utils/authContext'
+import productDatabaseService from '../../services/productDatabase'
+import staffDatabaseService from '../../services/staffDatabase'
+import salesDatabaseService from '../../services/salesDatabase'
+import posSettingsService, { isActionRestricted, OVERRIDE_APPROVER_ROLES } from '../../services/posSettings'
+import receiptJournalService from '../../services/receiptJournal'
+import heldTicketDatabaseService from '../../services/heldTicketDatabase'
+import shiftDatabaseService from '../../services/shiftDatabase'
+import customerDatabaseService from '../../services/customerDatabase'
+import customerService from '../../services/customerService'
+import loyaltyDatabaseService from '../../services/loyaltyDatabase'
+import chargeAccountDatabaseService from '../../services/chargeAccountDatabase'
+import PaymentModal from '../components/PaymentModal'
+import ScPwdDiscountModal from '../components/ScPwdDiscountModal'
+import ReceiptPreview from '../components/ReceiptPreview'
+import ManagerOverrideModal from '../components/ManagerOverrideModal'
+import {
+  roundMoney,
+  calculateCartTotals,
+  calculateLineTotal,
+  resolveTierPrice,
+  getDiscountTypeLabel,
+  getPriceTier,
+  PRICE_TIERS,
+  DEFAULT_PRICE_TIER
+} from '../../utils/salesCalculations'
+import { CHARGE_PAYMENT_METHOD, exceedsCreditLimit } from '../../utils/chargeAccountCalculations'
 
 const CashierScreen = () => {
+  const [stores, setStores] = useState([])
+  const [selectedStoreId, setSelectedStoreId] = useState(null)
+  const [products, setProducts] = useState([])
+  const [categories, setCategories] = useState([])
+  const [selectedCategory, setSelectedCategory] = useState('')
+  const [searchQuery, setSearchQuery] = useState('')
+  const [cart, setCart] = useState([])
+  const [priceTier, setPriceTier] = useState(DEFAULT_PRICE_TIER)
+  const [loading, setLoading] = useState(true)
+  const [charging, setCharging] = useState(false)
+  const [showPayment, setShowPayment] = useState(false)
+  const [discount, setDiscount] = useState(null)
+  const [showDiscount, setShowDiscount] = useState(false)
+  const [lastReceipt, setLastReceipt] = useState(null)
+  const [pendingOverride, setPendingOverride] = useState(null)
+  const promptedDiscountRef = useRef(null)
+  const [priceEdit, setPriceEdit] = useState(null)
+  const [heldTickets, setHeldTickets] = useState([])
+  const [showHeldTickets, setShowHeldTickets] = useState(false)
+  const [holdLabel, setHoldLabel] = useState(null)
+  const [shiftId, setShiftId] = useState(null)
+  const [storeStaff, setStoreStaff] = useState([])
+  const [salesStaff, setSalesStaff] = useState(null)
+  const [staffSwitch, setStaffSwitch] = useState(null)
+  const [lineStaffPick, setLineStaffPick] = useState(null)
+  const [customer, setCustomer] = useState(null)
+  const [showCustomerPicker, setShowCustomerPicker] = useState(false)
+  const [customerSearch, setCustomerSearch] = useState('')
+  const [customerResults, setCustomerResults] = useState([])
+  const [newCustomer, setNewCustomer] = useState(null)
+  const [loyalty, setLoyalty] = useState(null)
+  const [account, setAccount] = useState(null)
+
+  const { user } = useAuth()
+  const router = useRouter()
+
+  const storeId = user?.store_id || selectedStoreId
+  const totals = useMemo(() => calculateCartTotals(cart, discount?.type), [cart, discount])
+
+  // Users without an assigned store (super admins) pick the register's store first
+  useEffect(() => {
+    if (!user || user.store_id) return
+
+    const loadStores = async () => {
+      try {
+        const storesData = await staffDatabaseService.getAllStores()
+        setStores(storesData)
+        if (storesData.length > 0 && !selectedStoreId) {
+          setSelectedStoreId(storesData[0].id)
+        } else if (storesData.length === 0) {
+          setLoading(false)
+        }
+      } catch (error) {
+        console.error('Error loading stores:', error)
+        setStores([])
+        setLoading(false)
+      }
+    }
+
+    loadStores()
+  }, [user])
+
+  const loadCategories = useCallback(async () => {
+    if (!storeId) return
+
+    try {
+      const categoriesData = await productDatabaseService.getCategoriesByStore(storeId)
+      setCategories(categoriesData)
+    } catch (error) {
+      console.error('Error loading categories:', error)
+      setCategories([])
+    }
+  }, [storeId])
+
+  const loadProducts = useCallback(async () => {
+    if (!storeId) return
+
+    try {
+      const productsData = await productDatabaseService.getProductsByStore(storeId, {
+        categoryId: selectedCategory || undefined,
+        search: searchQuery.trim() || undefined
+      })
+      setProducts(productsData)
+    } catch (error) {
+      console.error('Error loading products:', error)
+      Alert.alert('Error', 'Failed to load products: ' + error.message)
+      setProducts([])
+    } finally {
+      setLoading(false)
+    }
+  }, [storeId, selectedCategory, searchQuery])
+
+  const loadHeldTickets = useCallback(async () => {
+    if (!storeId) return
+
+    try {
+      const ticketsData = await heldTicketDatabaseService.getHeldTickets(storeId)
+      setHeldTickets(ticketsData)
+    } catch (error) {
+      console.error('Error loading held tickets:', error)
+      setHeldTickets([])
+    }
+  }, [storeId])
+
+  useEffect(() => {
+    loadCategories()
+  }, [loadCategories])
+
+  useEffect(() => {
+    loadHeldTickets()
+  }, [loadHeldTickets])
+
+  const loadStoreStaff = useCallback(async () => {
+    if (!storeId) return
+
+    try {
+      const staffData = await staffDatabaseService.getStaffByStoreId(storeId)
+      setStoreStaff(staffData)
+    } catch (error) {
+      console.error('Error loading store staff:', error)
+      setStoreStaff([])
+    }
+  }, [storeId])
+
+  useEffect(() => {
+    loadStoreStaff()
+  }, [loadStoreStaff])
+
+  useEffect(() => {
+    loadProducts()
+  }, [loadProducts])
+
+  // Switching stores invalidates the cart since prices and stock are per store
+  useEffect(() => {
+    clearCart()
+    setSelectedCategory('')
+    setSalesStaff(null)
+  }, [storeId])
+
+  // The SC/PWD discount and the customer belong to one sale, so they go with the cart
+  const clearCart = () => {
+    setCart([])
+    setDiscount(null)
+    setCustomer(null)
+  }
+
+  const searchCustomers = useCallback(async () => {
+    if (!storeId || !showCustomerPicker) return
+
+    try {
+      const customersData = await customerDatabaseService.getCustomers(storeId, {
+        search: customerSearch.trim() || undefined,
+        limit: 20
+      })
+      setCustomerResults(customersData)
+    } catch (error) {
+      console.error('Error searching customers:', error)
+      setCustomerResults([])
+    }
+  }, [storeId, showCustomerPicker, customerSearch])
+
+  useEffect(() => {
+    searchCustomers()
+  }, [searchCustomers])
+
+  // Points balance and charge account of the attached customer, offered as
+  // tenders at payment
+  useEffect(() => {
+    if (!customer?.id || !storeId) {
+      setLoyalty(null)
+      setAccount(null)
+      return
+    }
+
+    const loadCustomerAccounts = async () => {
+      try {
+        const settings = await posSettingsService.getSettings()
+        setLoyalty(settings.loyalty_enabled
+          ? await loyaltyDatabaseService.getLoyaltySummary({ id: customer.id, store_id: storeId })
+          : null)
+        setAccount(await chargeAccountDatabaseService.getAccount(customer.id))
+      } catch (error) {
+        console.error('Error loading customer accounts:', error)
+        setLoyalty(null)
+        setAccount(null)
+      }
+    }
+
+    loadCustomerAccounts()
+  }, [customer?.id, storeId])
+
+  // Only the fields the sale and receipt need travel with the cart
+  const attachCustomer = (record) => {
+    setCustomer({ id: record.id, name: record.name, tin: record.tin, address: record.address, price_tier: record.price_tier })
+    setShowCustomerPicker(false)
+    setNewCustomer(null)
+    setCustomerSearch('')
+
+    if (record.price_tier && record.price_tier !== priceTier) {
+      handlePriceTierChange(record.price_tier)
+    }
+  }
+
+  const handleCreateCustomer = async () => {
+    try {
+      const created = await customerService.createCustomer({ ...newCustomer, store_id: storeId }, user)
+      attachCustomer(created)
+    } catch (error) {
+      console.error('Error creating customer:', error)
+      Alert.alert('Error', error.message || 'Failed to create customer')
+    }
+  }
+
+  // Runs a restricted action straight away when it is unrestricted or the
+  // signed-in user can approve it; otherwise asks for a supervisor passcode
+  const requireOverride = async (action, detail, run) => {
+    const settings = await posSettingsService.getSettings()
+
+    if (!isActionRestricted(settings, action)) {
+      run(null)
+    } else if (OVERRIDE_APPROVER_ROLES.includes(user?.role)) {
+      run({ id: user.id, name: user.name })
+    } else {
+      setPendingOverride({ action, detail, run })
+    }
+  }
+
+  const handleOverrideApproved = (approver) => {
+    const { run } = pendingOverride
+    setPendingOverride(null)
+    run(approver)
+  }
+
+  // SC/PWD discount plus VAT exemption the discount gives on the cart
+  const getDiscountTotal = (lines, discountType) => {
+    const preview = calculateCartTotals(lines, discountType)
+    return roundMoney(preview.discountAmount + preview.vatExemption)
+  }
+
+  // An approval covers the discount as it stood when approved; approved_amount
+  // is that total, so a cart that grows past it has to be approved again
+  const isDiscountCovered = (settings, discountDetails, discountTotal) => {
+    return discountTotal <= settings.discount_override_threshold ||
+      (discountDetails.approved_amount !== null && discountDetails.approved_amount !== undefined &&
+        discountTotal <= discountDetails.approved_amount)
+  }
+
+  const requestDiscountApproval = (discountDetails, discountTotal) => {
+    requireOverride(
+      'discount',
+      `${getDiscountTypeLabel(discountDetails.type)} discount of ${formatPrice(discountTotal)}`,
+      (approver) => {
+        promptedDiscountRef.current = null
+        setDiscount({ ...discountDetails, approved_by: approver?.id || null, approved_amount: discountTotal })
+      }
+    )
+  }
+
+  const handleApplyDiscount = async (discountDetails) => {
+    setShowDiscount(false)
+
+    const settings = await posSettingsService.getSettings()
+    const discountTotal = getDiscountTotal(cart, discountDetails.type)
+    const details = { ...discountDetails, approved_by: null, approved_amount: null }
+
+    if (isDiscountCovered(settings, details, discountTotal)) {
+      setDiscount(details)
+    } else {
+      requestDiscountApproval(details, discountTotal)
+    }
+  }
+
+  // Adding items, changing quantities, switching the price tier or recalling
+  // a ticket can take the discount past the threshold or past what was approved
+  useEffect(() => {
+    if (!discount || cart.length === 0) return
+
+    const recheckDiscount = async () => {
+      const settings = await posSettingsService.getSettings()
+      const discountTotal = getDiscountTotal(cart, discount.type)
+
+      if (isDiscountCovered(settings, discount, discountTotal)) return
+
+      if (discount.approved_by || discount.approved_amount !== null) {
+        setDiscount({ ...discount, approved_by: null, approved_amount: null })
+      } else if (promptedDiscountRef.current !== discountTotal) {
+        promptedDiscountRef.current = discountTotal
+        requestDiscountApproval(discount, discountTotal)
+      }
+    }
+
+    recheckDiscount()
+  }, [cart, discount])
+
+  // The staff member credited with sales stays switched in until someone
+  // else enters their passcode, so one register can serve a whole floor
+  const handleSwitchSalesStaff = async () => {
+    try {
+      const staff = await staffDatabaseService.verifyStaffPasscode(
+        storeId,
+        staffSwitch.staff_code,
+        staffSwitch.passcode
+      )
+
+      if (!staff) {
+        Alert.alert('Invalid Passcode', 'Staff ID and passcode do not match an active staff member at this store')
+        return
+      }
+
+      setSalesStaff({ id: staff.id, name: staff.name })
+      setStaffSwitch(null)
+    } catch (error) {
+      console.error('Error switching sales staff:', error)
+      Alert.alert('Error', error.message || 'Failed to verify passcode')
+    }
+  }
+
+  // staff null puts the line back on whoever is credited with the sale
+  const handlePickLineStaff = (staff) => {
+    const productId = lineStaffPick.product_id
+    setLineStaffPick(null)
+    setCart(current => current.map(item => item.product_id === productId
+      ? { ...item, staff_id: staff?.id || null, staff_name: staff?.name || null }
+      : item
+    ))
+  }
+
+  const handleRemoveDiscount = () => {
+    setDiscount(null)
+    setShowDiscount(false)
+  }
+
+  // Lines carry every tier price so the whole cart can be repriced in place;
+  // prices changed by an override keep their approved price
+  const handlePriceTierChange = (tierValue) => {
+    setPriceTier(tierValue)
+    setCart(cart.map(line => (
+      line.price_overridden ? line : { ...line, unit_price: resolveTierPrice(line, tierValue) }
+    )))
+  }
+
+  const handleSavePrice = () => {
+    const newPrice = parseFloat(priceEdit.price)
+
+    if (isNaN(newPrice) || newPrice < 0) {
+      Alert.alert('Validation Error', 'Enter a valid price')
+      return
+    }
+
+    const line = priceEdit.line
+    setPriceEdit(null)
+
+    if (newPrice === line.unit_price) return
+
+    requireOverride(
+      'price_override',
+      `${line.product_name}: ${formatPrice(line.unit_price)} → ${formatPrice(newPrice)}`,
+      (approver) => {
+        setCart(current => current.map(item => item.product_id === line.product_id
+          ? {
+            ...item,
+            unit_price: newPrice,
+            price_overridden: true,
+            original_unit_price: item.price_overridden ? item.original_unit_price : item.unit_price,
+            price_override_by: approver?.id || null
+          }
+          : item
+        ))
+      }
+    )
+  }
+
+  const addToCart = (product) => {
+    const existing = cart.find(line => line.product_id === product.id)
+    const inCart = existing ? existing.quantity : 0
+
+    if (inCart + 1 > product.stock_quantity) {
+      Alert.alert('Out of Stock', `Only ${product.stock_quantity} ${product.unit} of ${product.name} available`)
+      return
+    }
+
+    if (existing) {
+      setCart(cart.map(line =>
+        line.product_id === product.id ? { ...line, quantity: line.quantity + 1 } : line
+      ))
+    } else {
+      setCart([...cart, {
+        product_id: product.id,
+        product_name: product.name,
+        sku: product.sku,
+        unit: product.unit,
+        default_price: product.default_price,
+        manila_price: product.manila_price,
+        delivery_price: product.delivery_price,
+        wholesale_price: product.wholesale_price,
+        tax_class: product.tax_class,
+        category_tax_class: product.category_tax_class,
+        category_sc_pwd_eligible: product.category_sc_pwd_eligible,
+        commission_type: product.commission_type,
+        commission_rate: product.commission_rate,
+        category_commission_type: product.category_commission_type,
+        category_commission_rate: product.category_commission_rate,
+        category_loyalty_points_rate: product.category_loyalty_points_rate,
+        unit_price: resolveTierPrice(product, priceTier),
+        stock_quantity: product.stock_quantity,
+        quantity: 1
+      }])
+    }
+  }
+
+  const updateQuantity = (productId, quantity) => {
+    const line = cart.find(item => item.product_id === productId)
+    if (!line) return
+
+    if (quantity <= 0) {
+      removeLine(productId)
+      return
+    }
+
+    if (quantity > line.stock_quantity) {
+      Alert.alert('Out of Stock', `Only ${line.stock_quantity} ${line.unit} of ${line.product_name} available`)
+      return
+    }
+
+    setCart(cart.map(item =>
+      item.product_id === productId ? { ...item, quantity } : item
+    ))
+  }
+
+  // Anything taken off the ticket after it was rung up is a void and goes
+  // to the electronic journal, even though no receipt number is used
+  const journalVoid = async (scope, lines, approver) => {
+    try {
+      await receiptJournalService.recordVoid(storeId, {
+        scope,
+        approved_by: approver?.id || null,
+        items: lines.map(line => ({
+          product_id: line.product_id,
+          product_name: line.product_name,
+          quantity: line.quantity,
+          unit_price: line.unit_price,
+          line_total: calculateLineTotal(line)
+        }))
+      }, user)
+    } catch (error) {
+      console.error('Error journaling void:', error)
+    }
+  }
+
+  const removeLine = (productId) => {
+    const line = cart.find(item => item.product_id === productId)
+    if (!line) return
+
+    Alert.alert(
+      'Void Item',
+      `Remove ${line.product_name} from this sale?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Void',
+          style: 'destructive',
+          onPress: () => requireOverride('void_item', line.product_name, (approver) => {
+            setCart(current => current.filter(item => item.product_id !== productId))
+            journalVoid('line', [line], approver)
+          })
+        }
+      ]
+    )
+  }
+
+  const voidTicket = () => {
+    if (cart.length === 0) return
+
+    Alert.alert(
+      'Void Sale',
+      'Remove every item from this sale?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Void Sale',
+          style: 'destructive',
+          onPress: () => requireOverride('void_ticket', `${cart.length} item(s), ${formatPrice(totals.subtotal)}`, (approver) => {
+            journalVoid('ticket', cart, approver)
+            clearCart()
+          })
+        }
+      ]
+    )
+  }
+
+  // Opening the drawer without a sale needs the same approval as a void and
+  // is journaled against the open shift
+  const handleNoSale = async () => {
+    try {
+      const shift = await shiftDatabaseService.getOpenShift(storeId)
+
+      if (!shift) {
+        Alert.alert('No Open Shift', 'Open a shift before opening the cash drawer')
+        return
+      }
+
+      requireOverride('no_sale', 'Open the cash drawer without a sale', async (approver) => {
+        try {
+          await receiptJournalService.recordNoSale(storeId, {
+            shift_id: shift.id,
+            approved_by: approver?.id || null
+          }, user)
+          Alert.alert('No Sale', 'Drawer open recorded in the journal')
+        } catch (error) {
+          console.error('Error journaling no-sale:', error)
+          Alert.alert('Error', error.message || 'Failed to record the drawer open')
+        }
+      })
+    } catch (error) {
+      console.error('Error checking shift:', error)
+      Alert.alert('Error', 'Failed to check the open shift: ' + error.message)
+    }
+  }
+
+  // Parking a ticket is not a void: the cart is saved whole and comes back later
+  const handleHoldTicket = async () => {
+    try {
+      await heldTicketDatabaseService.holdTicket(storeId, {
+        label: holdLabel,
+        items: cart,
+        price_tier: priceTier,
+        discount,
+        customer
+      }, user)
+
+      setHoldLabel(null)
+      clearCart()
+      await loadHeldTickets()
+    } catch (error) {
+      console.error('Error holding ticket:', error)
+      Alert.alert('Error', error.message || 'Failed to hold ticket')
+    }
+  }
+
+  const handleResumeTicket = async (ticketId) => {
+    if (cart.length > 0) {
+      Alert.alert('Sale in Progress', 'Hold or void the current sale before recalling another ticket')
+      return
+    }
+
+    try {
+      const ticket = await heldTicketDatabaseService.resumeTicket(ticketId, user)
+
+      // Stock may have moved while the ticket was parked
+      const currentProducts = await productDatabaseService.getProductsByStore(storeId)
+      const lines = ticket.items
+        .map(line => {
+          const product = currentProducts.find(item => item.id === line.product_id)
+          return product ? { ...line, stock_quantity: product.stock_quantity } : null
+        })
+        .filter(Boolean)
+
+      setPriceTier(ticket.price_tier || DEFAULT_PRICE_TIER)
+      setCart(lines)
+      setDiscount(ticket.discount)
+      setCustomer(ticket.customer)
+      setShowHeldTickets(false)
+      await loadHeldTickets()
+
+      if (lines.length < ticket.items.length) {
+        Alert.alert('Ticket Recalled', 'Some items are no longer available and were removed')
+      }
+    } catch (error) {
+      console.error('Error resuming ticket:', error)
+      Alert.alert('Error', error.message || 'Failed to recall ticket')
+      await loadHeldTickets()
+    }
+  }
+
+  const formatAge = (createdAt) => {
+    const minutes = Math.floor((Date.now() - new Date(createdAt).getTime()) / 60000)
+    if (minutes < 1) return 'just now'
+    if (minutes < 60) return `${minutes}m ago`
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m ago`
+  }
+
+  const handleCharge = async () => {
+    if (cart.length === 0) {
+      Alert.alert('Empty Cart', 'Add products before charging')
+      return
+    }
+
+    try {
+      const shift = await shiftDatabaseService.getOpenShift(storeId)
+
+      if (!shift) {
+        Alert.alert(
+          'No Open Shift',
+          'Open a shift with a starting float before ringing up sales.',
+          [
+            { text: 'Cancel', style: 'cancel' },
+            { text: 'Open Shift', onPress: () => router.push('../navigations/shifts') }
+          ]
+        )
+        return
+      }
+
+      if (discount) {
+        const settings = await posSettingsService.getSettings()
+        const discountTotal = getDiscountTotal(cart, discount.type)
+
+        if (!isDiscountCovered(settings, discount, discountTotal)) {
+          requestDiscountApproval(discount, discountTotal)
+          return
+        }
+      }
+
+      setShiftId(shift.id)
+      setShowPayment(true)
+    } catch (error) {
+      console.error('Error checking shift:', error)
+      Alert.alert('Error', 'Failed to check the open shift: ' + error.message)
+    }
+  }
+
+  // Charging past the customer's credit limit always needs a supervisor or manager
+  const handleConfirmPayment = (payments) => {
+    const charged = payments
+      .filter(payment => payment.payment_method === CHARGE_PAYMENT_METHOD)
+      .reduce((sum, payment) => sum + payment.amount, 0)
+
+    if (charged > 0 && account && exceedsCreditLimit(account.credit_limit, account.balance, charged)) {
+      setShowPayment(false)
+      requireOverride(
+        'credit_limit',
+        `${customer.name}: ${formatPrice(charged)} charge, ${formatPrice(account.available)} credit available`,
+        (approver) => completeSale(payments, approver)
+      )
+      return
+    }
+
+    completeSale(payments, null)
+  }
+
+  const completeSale = async (payments, creditApprover = null) => {
+    try {
+      setCharging(true)
+
+      const sale = await salesDatabaseService.createSale({
+        store_id: storeId,
+        shift_id: shiftId,
+        price_tier: priceTier,
+        items: cart,
+        discount,
+        customer,
+        payments,
+        sales_staff_id: salesStaff?.id || null,
+        sales_staff_name: salesStaff?.name || null,
+        credit_approved_by: creditApprover?.id || null
+      }, user)
+
+      const [store, settings] = await Promise.all([
+        staffDatabaseService.getStoreById(storeId),
+        posSettingsService.getSettings()
+      ])
+
+      setShowPayment(false)
+      clearCart()
+      setLastReceipt({ sale, store, paperWidth: settings.receipt_paper_width })
+      await loadProducts()
+    } catch (error) {
+      console.error('Charge error:', error)
+      Alert.alert('Error', error.message || 'Failed to complete sale')
+    } finally {
+      setCharging(false)
+    }
+  }
+
+  const formatPrice = (price) => {
+    return `₱${parseFloat(price || 0).toFixed(2)}`
+  }
+
+  const renderProductItem = ({ item }) => {
+    const inCart = cart.find(line => line.product_id === item.id)?.quantity || 0
+    const outOfStock = item.stock_quantity <= 0
+
+    return (
+      <TouchableOpacity
+        style={[styles.productCard, outOfStock && styles.productCardDisabled]}
+        onPress={() => addToCart(item)}
+        disabled={outOfStock}
+        activeOpacity={0.7}
+      >
+        <View style={[styles.productColorBar, { backgroundColor: item.category_color || '#3b82f6' }]} />
+        <Text style={styles.productName} numberOfLines={2}>{item.name}</Text>
+        <Text style={styles.productPrice}>{formatPrice(resolveTierPrice(item, priceTier))}</Text>
+        <Text style={[styles.productStock, outOfStock && styles.productStockOut]}>
+          {outOfStock ? 'Out of stock' : `${item.stock_quantity} ${item.unit} left`}
+        </Text>
+        {inCart > 0 && (
+          <View style={styles.inCartBadge}>
+            <Text style={styles.inCartText}>{inCart}</Text>
+          </View>
+        )}
+      </TouchableOpacity>
+    )
+  }
+
+  const renderCartLine = (line) => (
+    <View key={line.product_id} style={styles.cartLine}>
+      <View style={styles.cartLineInfo}>
+        <Text style={styles.cartLineName} numberOfLines={1}>{line.product_name}</Text>
+        <TouchableOpacity onPress={() => setPriceEdit({ line, price: String(line.unit_price) })}>
+          <Text style={[styles.cartLinePrice, line.price_overridden && styles.cartLinePriceOverridden]}>
+            {formatPrice(line.unit_price)} each{line.price_overridden ? ` (was ${formatPrice(line.original_unit_price)})` : ''}
+          </Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.cartLineStaff} onPress={() => setLineStaffPick(line)}>
+          <Ionicons name="person-outline" size={12} color={line.staff_id ? '#8b5cf6' : '#94a3b8'} />
+          <Text style={[styles.cartLineStaffText, line.staff_id && styles.cartLineStaffTextActive]} numberOfLines={1}>
+            {line.staff_name || salesStaff?.name || 'Assign staff'}
+          </Text>
+        </TouchableOpacity>
+      </View>
+      <View style={styles.quantityControls}>
+        <TouchableOpacity
+          style={styles.quantityButton}
+          onPress={() => updateQuantity(line.product_id, line.quantity - 1)}
+        >
+          <Ionicons name="remove" size={16} color="#1e293b" />
+        </TouchableOpacity>
+        <TextInput
+          style={styles.quantityInput}
+          value={String(line.quantity)}
+          onChangeText={(text) => {
+            const quantity = parseInt(text)
+            if (!isNaN(quantity)) updateQuantity(line.product_id, quantity)
+          }}
+          keyboardType="numeric"
+          selectTextOnFocus
+        />
+        <TouchableOpacity
+          style={styles.quantityButton}
+          onPress={() => updateQuantity(line.product_id, line.quantity + 1)}
+        >
+          <Ionicons name="add" size={16} color="#1e293b" />
+        </TouchableOpacity>
+      </View>
+      <Text style={styles.cartLineTotal}>{formatPrice(calculateLineTotal(line))}</Text>
+      <TouchableOpacity style={styles.removeButton} onPress={() => removeLine(line.product_id)}>
+        <Ionicons name="trash-outline" size={18} color="#ef4444" />
+      </TouchableOpacity>
+    </View>
+  )
+
+  // Role-based access control
+  if (!['super_admin', 'manager', 'supervisor', 'cashier'].includes(user?.role)) {
+    return (
+      <View style={styles.container}>
+        <View style={styles.accessDenied}>
+          <Ionicons name="lock-closed" size={64} color="#ef4444" />
+          <Text style={styles.accessTitle}>Access Restricted</Text>
+          <Text style={styles.accessText}>
+            You don't have permission to process sales.
+          </Text>
+        </View>
+      </View>
+    )
+  }
+
   return (
     <View style={styles.container}>
-      <Text style={styles.title}>Cashier Page</Text>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={22} color="#1e293b" />
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.headerTitle}>Cashier</Text>
+          <Text style={styles.headerSubtitle}>
+            {storeId ? `Store: ${stores.find(s => s.id === storeId)?.name || storeId}` : 'Select a store'}
+          </Text>
+        </View>
+        <TouchableOpacity style={[styles.headerButton, styles.headerButtonSpaced]} onPress={handleNoSale}>
+          <Ionicons name="cash-outline" size={20} color="#3b82f6" />
+          <Text style={styles.headerButtonText}>No Sale</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.headerButton} onPress={() => router.push('../navigations/refunds')}>
+          <Ionicons name="return-down-back-outline" size={20} color="#3b82f6" />
+          <Text style={styles.headerButtonText}>Refund</Text>
+        </TouchableOpacity>
+      </View>
+
+      {/* Store selector for users without an assigned store */}
+      {!user?.store_id && stores.length > 1 && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.chipRow}
+          contentContainerStyle={styles.chipRowContent}
+        >
+          {stores.map(store => (
+            <TouchableOpacity
+              key={store.id}
+              style={[styles.chip, selectedStoreId === store.id && styles.chipActive]}
+              onPress={() => setSelectedStoreId(store.id)}
+            >
+              <Ionicons name="storefront" size={14} color={selectedStoreId === store.id ? '#fff' : '#6b7280'} />
+              <Text style={[styles.chipText, selectedStoreId === store.id && styles.chipTextActive]}>
+                {store.name}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+
+      {/* Price Tier */}
+      <View style={styles.tierSelector}>
+        {PRICE_TIERS.map(tier => (
+          <TouchableOpacity
+            key={tier.value}
+            style={[styles.tierOption, priceTier === tier.value && styles.tierOptionActive]}
+            onPress={() => handlePriceTierChange(tier.value)}
+          >
+            <Text style={[styles.tierText, priceTier === tier.value && styles.tierTextActive]}>
+              {tier.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {/* Search */}
+      <View style={styles.searchBox}>
+        <Ionicons name="search" size={20} color="#6b7280" />
+        <TextInput
+          style={styles.searchInput}
+          placeholder="Search name, SKU or barcode..."
+          value={searchQuery}
+          onChangeText={setSearchQuery}
+          autoCorrect={false}
+        />
+        {searchQuery.length > 0 && (
+          <TouchableOpacity onPress={() => setSearchQuery('')}>
+            <Ionicons name="close-circle" size={20} color="#9ca3af" />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {/* Category Filters */}
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.chipRow}
+        contentContainerStyle={styles.chipRowContent}
+      >
+        <TouchableOpacity
+          style={[styles.chip, !selectedCategory && styles.chipActive]}
+          onPress={() => setSelectedCategory('')}
+        >
+          <Text style={[styles.chipText, !selectedCategory && styles.chipTextActive]}>All</Text>
+        </TouchableOpacity>
+        {categories.map(category => (
+          <TouchableOpacity
+            key={category.id}
+            style={[styles.chip, selectedCategory === category.id && styles.chipActive]}
+            onPress={() => setSelectedCategory(category.id)}
+          >
+            <Ionicons
+              name={category.icon}
+              size={14}
+              color={selectedCategory === category.id ? '#fff' : category.color}
+            />
+            <Text style={[styles.chipText, selectedCategory === category.id && styles.chipTextActive]}>
+              {category.name}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      {/* Product Grid */}
+      <View style={styles.productArea}>
+        {loading ? (
+          <View style={styles.loadingContainer}>
+            <ActivityIndicator size="large" color="#3b82f6" />
+            <Text style={styles.loadingText}>Loading products...</Text>
+          </View>
+        ) : products.length === 0 ? (
+          <View style={styles.emptyState}>
+            <Ionicons name="cube-outline" size={48} color="#9ca3af" />
+            <Text style={styles.emptyTitle}>No Products Found</Text>
+            <Text style={styles.emptyText}>
+              {searchQuery ? 'No products match your search.' : 'No products available in this store.'}
+            </Text>
+          </View>
+        ) : (
+          <FlatList
+            data={products}
+            renderItem={renderProductItem}
+            keyExtractor={(item) => item.id}
+            numColumns={2}
+            columnWrapperStyle={styles.productRow}
+            contentContainerStyle={styles.productList}
+            showsVerticalScrollIndicator={false}
+            keyboardShouldPersistTaps="handled"
+          />
+        )}
+      </View>
+
+      {/* Cart */}
+      <View style={styles.cartPanel}>
+        <View style={styles.cartHeader}>
+          <Text style={styles.cartTitle}>Cart ({totals.itemCount})</Text>
+          <View style={styles.cartActions}>
+            <TouchableOpacity
+              style={[styles.discountButton, discount && styles.discountButtonActive]}
+              onPress={() => setShowDiscount(true)}
+              disabled={cart.length === 0}
+            >
+              <Ionicons name="pricetag-outline" size={14} color={discount ? '#fff' : '#3b82f6'} />
+              <Text style={[styles.discountButtonText, discount && styles.discountButtonTextActive]}>
+                {discount ? getDiscountTypeLabel(discount.type) : 'SC/PWD'}
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => setShowHeldTickets(true)} disabled={heldTickets.length === 0}>
+              <Text style={[styles.holdText, heldTickets.length === 0 && styles.holdTextDisabled]}>
+                Held ({heldTickets.length})
+              </Text>
+            </TouchableOpacity>
+            {cart.length > 0 && (
+              <TouchableOpacity onPress={() => setHoldLabel('')}>
+                <Text style={styles.holdText}>Hold</Text>
+              </TouchableOpacity>
+            )}
+            {cart.length > 0 && (
+              <TouchableOpacity onPress={voidTicket}>
+                <Text style={styles.clearText}>Void</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        </View>
+
+        <TouchableOpacity
+          style={styles.salesStaffRow}
+          onPress={() => setStaffSwitch({ staff_code: '', passcode: '' })}
+        >
+          <Ionicons name="person-circle-outline" size={18} color={salesStaff ? '#8b5cf6' : '#64748b'} />
+          <Text style={styles.salesStaffText}>
+            Sold by: {salesStaff ? salesStaff.name : 'No staff selected'}
+          </Text>
+          {salesStaff ? (
+            <TouchableOpacity onPress={() => setSalesStaff(null)}>
+              <Ionicons name="close-circle" size={18} color="#9ca3af" />
+            </TouchableOpacity>
+          ) : (
+            <Text style={styles.salesStaffAction}>Switch</Text>
+          )}
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.salesStaffRow} onPress={() => setShowCustomerPicker(true)}>
+          <Ionicons name="people-outline" size={18} color={customer ? '#3b82f6' : '#64748b'} />
+          <Text style={styles.salesStaffText} numberOfLines={1}>
+            Customer: {customer ? customer.name : 'Walk-in'}
+            {loyalty ? ` • ${loyalty.balance} pts` : ''}
+          </Text>
+          {customer ? (
+            <TouchableOpacity onPress={() => setCustomer(null)}>
+              <Ionicons name="close-circle" size={18} color="#9ca3af" />
+            </TouchableOpacity>
+          ) : (
+            <Text style={styles.salesStaffAction}>Attach</Text>
+          )}
+        </TouchableOpacity>
+
+        {discount && (
+          <Text style={styles.discountHolderText}>
+            {discount.holder_name} • ID {discount.id_number}
+          </Text>
+        )}
+
+        {cart.length === 0 ? (
+          <Text style={styles.cartEmptyText}>Tap a product to add it to the sale</Text>
+        ) : (
+          <ScrollView style={styles.cartList} keyboardShouldPersistTaps="handled">
+            {cart.map(renderCartLine)}
+          </ScrollView>
+        )}
+
+        <View style={styles.totalsBlock}>
+          <View style={styles.totalRow}>
+            <Text style={styles.totalLabel}>Subtotal</Text>
+            <Text style={styles.totalValue}>{formatPrice(totals.subtotal)}</Text>
+          </View>
+          {discount && (
+            <>
+              <View style={styles.totalRow}>
+                <Text style={styles.totalLabel}>Less: VAT Exemption</Text>
+                <Text style={styles.discountValue}>-{formatPrice(totals.vatExemption)}</Text>
+              </View>
+              <View style={styles.totalRow}>
+                <Text style={styles.totalLabel}>Less: {getDiscountTypeLabel(discount.type)} Discount (20%)</Text>
+                <Text style={styles.discountValue}>-{formatPrice(totals.discountAmount)}</Text>
+              </View>
+            </>
+          )}
+          <View style={styles.totalRow}>
+            <Text style={styles.taxLabel}>VATable Sales</Text>
+            <Text style={styles.taxValue}>{formatPrice(totals.vatableSales)}</Text>
+          </View>
+          <View style={styles.totalRow}>
+            <Text style={styles.taxLabel}>VAT (12%)</Text>
+            <Text style={styles.taxValue}>{formatPrice(totals.vatAmount)}</Text>
+          </View>
+          {totals.vatExemptSales > 0 && (
+            <View style={styles.totalRow}>
+              <Text style={styles.taxLabel}>VAT-Exempt Sales</Text>
+              <Text style={styles.taxValue}>{formatPrice(totals.vatExemptSales)}</Text>
+            </View>
+          )}
+          {totals.zeroRatedSales > 0 && (
+            <View style={styles.totalRow}>
+              <Text style={styles.taxLabel}>Zero-Rated Sales</Text>
+              <Text style={styles.taxValue}>{formatPrice(totals.zeroRatedSales)}</Text>
+            </View>
+          )}
+          <View style={styles.totalRow}>
+            <Text style={styles.grandTotalLabel}>Total</Text>
+            <Text style={styles.grandTotalValue}>{formatPrice(totals.total)}</Text>
+          </View>
+        </View>
+
+        <TouchableOpacity
+          style={[styles.chargeButton, (cart.length === 0 || charging) && styles.chargeButtonDisabled]}
+          onPress={handleCharge}
+          disabled={cart.length === 0 || charging}
+        >
+          {charging ? (
+            <ActivityIndicator color="#fff" />
+          ) : (
+            <>
+              <Ionicons name="card" size={20} color="#fff" />
+              <Text style={styles.chargeButtonText}>Charge {formatPrice(totals.total)}</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      <PaymentModal
+        visible={showPayment}
+        totalDue={totals.total}
+        loyalty={loyalty}
+        account={account}
+        processing={charging}
+        onCancel={() => setShowPayment(false)}
+        onConfirm={handleConfirmPayment}
+      />
+
+      {/* Receipt shown after every completed sale */}
+      <Modal
+        visible={!!lastReceipt}
+        animationType="slide"
+        presentationStyle="formSheet"
+        onRequestClose={() => setLastReceipt(null)}
+      >
+        {lastReceipt && (
+          <View style={styles.receiptModal}>
+            <View style={styles.receiptHeader}>
+              <Ionicons name="checkmark-circle" size={40} color="#10b981" />
+              <Text style={styles.receiptTitle}>Sale Completed</Text>
+              {lastReceipt.sale.change_amount > 0 && (
+                <Text style={styles.receiptChange}>
+                  Change due: {formatPrice(lastReceipt.sale.change_amount)}
+                </Text>
+              )}
+            </View>
+
+            <ScrollView contentContainerStyle={styles.receiptScroll}>
+              <ReceiptPreview
+                sale={lastReceipt.sale}
+                store={lastReceipt.store}
+                paperWidth={lastReceipt.paperWidth}
+              />
+            </ScrollView>
+
+            <TouchableOpacity style={styles.newSaleButton} onPress={() => setLastReceipt(null)}>
+              <Ionicons name="add-circle-outline" size={20} color="#fff" />
+              <Text style={styles.newSaleButtonText}>New Sale</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </Modal>
+
+      {/* Price override */}
+      <Modal
+        visible={!!priceEdit}
+        animationType="slide"
+        presentationStyle="formSheet"
+        onRequestClose={() => setPriceEdit(null)}
+      >
+        {priceEdit && (
+          <View style={styles.priceModal}>
+            <View style={styles.priceModalHeader}>
+              <TouchableOpacity onPress={() => setPriceEdit(null)}>
+                <Text style={styles.priceModalCancel}>Cancel</Text>
+              </TouchableOpacity>
+              <Text style={styles.priceModalTitle}>Change Price</Text>
+              <TouchableOpacity onPress={handleSavePrice}>
+                <Text style={styles.priceModalSave}>Save</Text>
+              </TouchableOpacity>
+            </View>
+            <View style={styles.priceModalContent}>
+              <Text style={styles.priceModalProduct}>{priceEdit.line.product_name}</Text>
+              <Text style={styles.priceModalHint}>
+                Regular price {formatPrice(resolveTierPrice(priceEdit.line, priceTier))}
+              </Text>
+              <TextInput
+                style={styles.priceModalInput}
+                value={priceEdit.price}
+                onChangeText={(text) => setPriceEdit({ ...priceEdit, price: text })}
+                keyboardType="decimal-pad"
+                autoFocus
+                selectTextOnFocus
+              />
+            </View>
+          </View>
+        )}
+      </Modal>
+
+      {/* Hold ticket */}
+      <Modal
+        visible={holdLabel !== null}
+        animationType="slide"
+        presentationStyle="formSheet"
+        onRequestClose={() => setHoldLabel(null)}
+      >
+        <View style={styles.priceModal}>
+          <View style={styles.priceModalHeader}>
+            <TouchableOpacity onPress={() => setHoldLabel(null)}>
+              <Text style={styles.priceModalCancel}>Cancel</Text>
+            </TouchableOpacity>
+            <Text style={styles.priceModalTitle}>Hold Ticket</Text>
+            <TouchableOpacity onPress={handleHoldTicket}>
+              <Text style={styles.priceModalSave}>Hold</Text>
+            </TouchableOpacity>
+          </View>
+          <View style={styles.priceModalContent}>
+            <Text style={styles.priceModalHint}>
+              {totals.itemCount} item(s) • {formatPrice(totals.total)}
+            </Text>
+            <TextInput
+              style={styles.priceModalInput}
+              value={holdLabel || ''}
+              onChangeText={setHoldLabel}
+              placeholder="Label (optional), e.g. customer name"
+              autoFocus
+            />
+          </View>
+        </View>
+      </Modal>
+
+      {/* Held tickets */}
+      <Modal
+        visible={showHeldTickets}
+        animationType="slide"
+        presentationStyle="formSheet"
+        onRequestClose={() => setShowHeldTickets(false)}
+      >
+        <View style={styles.priceModal}>
+          <View style={styles.priceModalHeader}>
+            <TouchableOpacity onPress={() => setShowHeldTickets(false)}>
+              <Text style={styles.priceModalCancel}>Close</Text>
+            </TouchableOpacity>
+            <Text style={styles.priceModalTitle}>Held Tickets</Text>
+            <View style={{ width: 50 }} />
+          </View>
+          <ScrollView contentContainerStyle={styles.priceModalContent}>
+            {heldTickets.length === 0 ? (
+              <Text style={styles.cartEmptyText}>No tickets on hold</Text>
+            ) : (
+              heldTickets.map(ticket => (
+                <TouchableOpacity
+                  key={ticket.id}
+                  style={styles.heldTicketRow}
+                  onPress={() => handleResumeTicket(ticket.id)}
+                >
+                  <View style={{ flex: 1 }}>
+                    <Text style={styles.heldTicketLabel}>{ticket.label || 'Unlabelled ticket'}</Text>
+                    <Text style={styles.heldTicketMeta}>
+                      {ticket.item_count} item(s) • {formatAge(ticket.created_at)}
+                      {ticket.held_by_name ? ` • ${ticket.held_by_name}` : ''}
+                    </Text>
+                  </View>
+                  <Text style={styles.heldTicketTotal}>{formatPrice(ticket.total_amount)}</Text>
+                  <Ionicons name="chevron-forward" size={18} color="#64748b" />
+                </TouchableOpacity>
+              ))
+            )}
+          </ScrollView>
+        </View>
+      </Modal>
+
+      {/* Customer search and quick add */}
+      <Modal
+        visible={showCustomerPicker}
+        animationType="slide"
+        presentationStyle="formSheet"
+        onRequestClose={() => setShowCustomerPicker(false)}
+      >
+        <View style={styles.priceModal}>
+          <View style={styles.priceModalHeader}>
+            <TouchableOpacity onPress={() => newCustomer ? setNewCustomer(null) : setShowCustomerPicker(false)}>
+              <Text style={styles.priceModalCancel}>{newCustomer ? 'Back' : 'Close'}</Text>
+            </TouchableOpacity>
+            <Text style={styles.priceModalTitle}>{newCustomer ? 'New Customer' : 'Customer'}</Text>
+            {newCustomer ? (
+              <TouchableOpacity onPress={handleCreateCustomer}>
+                <Text style={styles.priceModalSave}>Save</Text>
+              </TouchableOpacity>
+            ) : (
+              <TouchableOpacity onPress={() => setNewCustomer({ name: customerSearch.trim(), phone: '', tin: '', address: '' })}>
+                <Text style={styles.priceModalSave}>New</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+          {newCustomer ? (
+            <ScrollView contentContainerStyle={styles.priceModalContent} keyboardShouldPersistTaps="handled">
+              <TextInput
+                style={styles.priceModalInput}
+                value={newCustomer.name}
+                onChangeText={(text) => setNewCustomer({ ...newCustomer, name: text })}
+                placeholder="Name *"
+                autoFocus
+              />
+              <TextInput
+                style={[styles.priceModalInput, styles.passcodeInput]}
+                value={newCustomer.phone}
+                onChangeText={(text) => setNewCustomer({ ...newCustomer, phone: text })}
+                placeholder="Phone"
+                keyboardType="phone-pad"
+              />
+              <TextInput
+                style={[styles.priceModalInput, styles.passcodeInput]}
+                value={newCustomer.tin}
+                onChangeText={(text) => setNewCustomer({ ...newCustomer, tin: text })}
+                placeholder="TIN (for invoices)"
+                keyboardType="numbers-and-punctuation"
+              />
+              <TextInput
+                style={[styles.priceModalInput, styles.passcodeInput]}
+                value={newCustomer.address}
+                onChangeText={(text) => setNewCustomer({ ...newCustomer, address: text })}
+                placeholder="Address"
+              />
+            </ScrollView>
+          ) : (
+            <ScrollView contentContainerStyle={styles.priceModalContent} keyboardShouldPersistTaps="handled">
+              <TextInput
+                style={styles.priceModalInput}
+                value={customerSearch}
+                onChangeText={setCustomerSearch}
+                placeholder="Search name, phone, email or TIN"
+                autoCorrect={false}
+                autoFocus
+              />
+              {customerResults.length === 0 ? (
+                <Text style={styles.cartEmptyText}>No customers found</Text>
+              ) : (
+                customerResults.map(result => (
+                  <TouchableOpacity
+                    key={result.id}
+                    style={styles.heldTicketRow}
+                    onPress={() => attachCustomer(result)}
+                  >
+                    <View style={{ flex: 1 }}>
+                      <Text style={styles.heldTicketLabel}>{result.name}</Text>
+                      <Text style={styles.heldTicketMeta}>
+                        {[result.phone, result.tin && `TIN ${result.tin}`, getPriceTier(result.price_tier).label]
+                          .filter(Boolean)
+                          .join(' • ')}
+                      </Text>
+                    </View>
+                    {customer?.id === result.id && <Ionicons name="checkmark" size={18} color="#3b82f6" />}
+                  </TouchableOpacity>
+                ))
+              )}
+            </ScrollView>
+          )}
+        </View>
+      </Modal>
+
+      {/* Sold-by passcode switch */}
+      <Modal
+        visible={!!staffSwitch}
+        animationType="slide"
+        presentationStyle="formSheet"
+        onRequestClose={() => setStaffSwitch(null)}
+      >
+        {staffSwitch && (
+          <View style={styles.priceModal}>
+            <View style={styles.priceModalHeader}>
+              <TouchableOpacity onPress={() => setStaffSwitch(null)}>
+                <Text style={styles.priceModalCancel}>Cancel</Text>
+              </TouchableOpacity>
+              <Text style={styles.priceModalTitle}>Sold By</Text>
+              <TouchableOpacity onPress={handleSwitchSalesStaff}>
+                <Text style={styles.priceModalSave}>Switch</Text>
+              </TouchableOpacity>
+            </View>
+            <View style={styles.priceModalContent}>
+              <Text style={styles.priceModalHint}>
+                Sales rung up from now on are credited to this staff member
+              </Text>
+              <TextInput
+                style={styles.priceModalInput}
+                value={staffSwitch.staff_code}
+                onChangeText={(text) => setStaffSwitch({ ...staffSwitch, staff_code: text })}
+                placeholder="Staff ID"
+                autoCapitalize="characters"
+                autoCorrect={false}
+                autoFocus
+              />
+              <TextInput
+                style={[styles.priceModalInput, styles.passcodeInput]}
+                value={staffSwitch.passcode}
+                onChangeText={(text) => setStaffSwitch({ ...staffSwitch, passcode: text })}
+                placeholder="Passcode"
+                keyboardType="number-pad"
+                secureTextEntry
+              />
+            </View>
+          </View>
+        )}
+      </Modal>
+
+      {/* Staff credited with one line */}
+      <Modal
+        visible={!!lineStaffPick}
+        animationType="slide"
+        presentationStyle="formSheet"
+        onRequestClose={() => setLineStaffPick(null)}
+      >
+        {lineStaffPick && (
+          <View style={styles.priceModal}>
+            <View style={styles.priceModalHeader}>
+              <TouchableOpacity onPress={() => setLineStaffPick(null)}>
+                <Text style={styles.priceModalCancel}>Close</Text>
+              </TouchableOpacity>
+              <Text style={styles.priceModalTitle}>Credit Line To</Text>
+              <View style={{ width: 50 }} />
+            </View>
+            <ScrollView contentContainerStyle={styles.priceModalContent}>
+              <Text style={styles.priceModalProduct}>{lineStaffPick.product_name}</Text>
+              <TouchableOpacity style={styles.heldTicketRow} onPress={() => handlePickLineStaff(null)}>
+                <View style={{ flex: 1 }}>
+                  <Text style={styles.heldTicketLabel}>Same as sale</Text>
+                  <Text style={styles.heldTicketMeta}>{salesStaff ? salesStaff.name : 'No staff selected'}</Text>
+                </View>
+                {!lineStaffPick.staff_id && <Ionicons name="checkmark" size={18} color="#3b82f6" />}
+              </TouchableOpacity>
+              {storeStaff.map(staff => (
+                <TouchableOpacity
+                  key={staff.id}
+                  style={styles.heldTicketRow}
+                  onPress={() => handlePickLineStaff(staff)}
+                >
+                  <View style={{ flex: 1 }}>
+                    <Text style={styles.heldTicketLabel}>{staff.name}</Text>
+                    <Text style={styles.heldTicketMeta}>{staff.staff_id} • {staff.role}</Text>
+                  </View>
+                  {lineStaffPick.staff_id === staff.id && <Ionicons name="checkmark" size={18} color="#3b82f6" />}
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+          </View>
+        )}
+      </Modal>
+
+      <ManagerOverrideModal
+        visible={!!pendingOverride}
+        storeId={storeId}
+        action={pendingOverride?.action}
+        detail={pendingOverride?.detail}
+        onCancel={() => setPendingOverride(null)}
+        onApprove={handleOverrideApproved}
+      />
+
+      <ScPwdDiscountModal
+        visible={showDiscount}
+        discount={discount}
+        onCancel={() => setShowDiscount(false)}
+        onApply={handleApplyDiscount}
+        onRemove={handleRemoveDiscount}
+      />
     </View>
   )
 }
@@ -12,15 +1437,596 @@ const CashierScreen = () => {
 const styles = StyleSheet.create({
   container: {
     flex: 1,
-    justifyContent: 'center',
+    backgroundColor: '#f8fafc',
+  },
+  header: {
+    flexDirection: 'row',
     alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 50,
+    paddingBottom: 16,
     backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  backButton: {
+    padding: 6,
+    marginRight: 12,
+    borderRadius: 8,
+    backgroundColor: '#f1f5f9',
+  },
+  headerButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 8,
+    backgroundColor: '#eff6ff',
+  },
+  headerButtonSpaced: {
+    marginRight: 8,
   },
-  title: {
+  headerButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#3b82f6',
+  },
+  headerTitle: {
     fontSize: 24,
     fontWeight: 'bold',
+    color: '#1e293b',
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#64748b',
+    marginTop: 4,
+  },
+  tierSelector: {
+    flexDirection: 'row',
+    backgroundColor: '#fff',
+    marginHorizontal: 16,
+    marginTop: 12,
+    borderRadius: 10,
+    padding: 4,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  tierOption: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderRadius: 8,
+  },
+  tierOptionActive: {
+    backgroundColor: '#eff6ff',
+  },
+  tierText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#6b7280',
+  },
+  tierTextActive: {
+    color: '#3b82f6',
+  },
+  searchBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    marginHorizontal: 16,
+    marginTop: 12,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    gap: 8,
+  },
+  searchInput: {
+    flex: 1,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#1f2937',
+  },
+  chipRow: {
+    flexGrow: 0,
+    marginTop: 10,
+  },
+  chipRowContent: {
+    paddingHorizontal: 16,
+    gap: 8,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    gap: 4,
+  },
+  chipActive: {
+    backgroundColor: '#3b82f6',
+    borderColor: '#3b82f6',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#374151',
+    fontWeight: '500',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  productArea: {
+    flex: 1,
+    marginTop: 10,
+  },
+  productList: {
+    paddingHorizontal: 16,
+    paddingBottom: 12,
+  },
+  productRow: {
+    justifyContent: 'space-between',
+  },
+  productCard: {
+    width: '48%',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 12,
+    overflow: 'hidden',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 3,
+    elevation: 2,
+  },
+  productCardDisabled: {
+    opacity: 0.5,
+  },
+  productColorBar: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    height: 4,
+  },
+  productName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginTop: 4,
+    minHeight: 36,
+  },
+  productPrice: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#10b981',
+    marginTop: 6,
+  },
+  productStock: {
+    fontSize: 11,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  productStockOut: {
+    color: '#ef4444',
+  },
+  inCartBadge: {
+    position: 'absolute',
+    top: 8,
+    right: 8,
+    minWidth: 22,
+    height: 22,
+    borderRadius: 11,
+    paddingHorizontal: 6,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#3b82f6',
+  },
+  inCartText: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  cartPanel: {
+    maxHeight: '45%',
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    paddingHorizontal: 16,
+    paddingTop: 12,
+    paddingBottom: 20,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: -2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 6,
+    elevation: 8,
+  },
+  cartHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  cartTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  clearText: {
+    fontSize: 14,
+    color: '#ef4444',
+    fontWeight: '500',
+  },
+  holdText: {
+    fontSize: 14,
+    color: '#3b82f6',
+    fontWeight: '500',
+  },
+  holdTextDisabled: {
+    color: '#94a3b8',
+  },
+  heldTicketRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    padding: 14,
+    marginBottom: 8,
+    borderRadius: 8,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  heldTicketLabel: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  heldTicketMeta: {
+    fontSize: 12,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  heldTicketTotal: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  cartActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 16,
+  },
+  discountButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#3b82f6',
+  },
+  discountButtonActive: {
+    backgroundColor: '#3b82f6',
+  },
+  discountButtonText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#3b82f6',
+  },
+  discountButtonTextActive: {
+    color: '#fff',
+  },
+  salesStaffRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingVertical: 6,
+    marginBottom: 4,
+  },
+  salesStaffText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#1e293b',
+  },
+  salesStaffAction: {
+    fontSize: 13,
+    color: '#3b82f6',
+    fontWeight: '600',
+  },
+  discountHolderText: {
+    fontSize: 12,
+    color: '#64748b',
+    marginBottom: 8,
+  },
+  discountValue: {
+    fontSize: 14,
+    color: '#ef4444',
+    fontWeight: '500',
+  },
+  cartEmptyText: {
+    fontSize: 13,
+    color: '#94a3b8',
+    textAlign: 'center',
+    paddingVertical: 12,
+  },
+  cartList: {
+    flexGrow: 0,
+  },
+  cartLine: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f1f5f9',
+    gap: 8,
+  },
+  cartLineInfo: {
+    flex: 1,
+  },
+  cartLineName: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#1e293b',
+  },
+  cartLinePrice: {
+    fontSize: 11,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  cartLinePriceOverridden: {
+    color: '#f59e0b',
+  },
+  cartLineStaff: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginTop: 2,
+  },
+  cartLineStaffText: {
+    fontSize: 11,
+    color: '#94a3b8',
+  },
+  cartLineStaffTextActive: {
+    color: '#8b5cf6',
+    fontWeight: '500',
+  },
+  quantityControls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  quantityButton: {
+    width: 28,
+    height: 28,
+    borderRadius: 6,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#f1f5f9',
+  },
+  quantityInput: {
+    width: 40,
+    height: 28,
+    paddingVertical: 0,
+    textAlign: 'center',
+    fontSize: 14,
+    color: '#1e293b',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 6,
+  },
+  cartLineTotal: {
+    width: 80,
+    textAlign: 'right',
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  removeButton: {
+    padding: 4,
+  },
+  totalsBlock: {
+    marginTop: 8,
+    paddingTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#e2e8f0',
+    gap: 4,
+  },
+  totalRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  totalLabel: {
+    fontSize: 14,
+    color: '#64748b',
+  },
+  totalValue: {
+    fontSize: 14,
+    color: '#1e293b',
+    fontWeight: '500',
+  },
+  taxLabel: {
+    fontSize: 12,
+    color: '#94a3b8',
+  },
+  taxValue: {
+    fontSize: 12,
+    color: '#94a3b8',
+  },
+  grandTotalLabel: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1e293b',
+  },
+  grandTotalValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#10b981',
+  },
+  chargeButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#10b981',
+    paddingVertical: 14,
+    borderRadius: 10,
+    marginTop: 12,
+    gap: 8,
+  },
+  chargeButtonDisabled: {
+    backgroundColor: '#9ca3af',
+  },
+  chargeButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  emptyState: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 40,
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginTop: 16,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#64748b',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  loadingContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  loadingText: {
+    fontSize: 14,
+    color: '#64748b',
+    marginTop: 12,
+  },
+  priceModal: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  priceModalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  priceModalCancel: {
+    fontSize: 16,
+    color: '#ef4444',
+  },
+  priceModalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  priceModalSave: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#3b82f6',
+  },
+  priceModalContent: {
+    padding: 20,
+  },
+  priceModalProduct: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  priceModalHint: {
+    fontSize: 14,
+    color: '#64748b',
+    marginTop: 4,
+    marginBottom: 16,
+  },
+  priceModalInput: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 20,
+    color: '#1e293b',
+    backgroundColor: '#fff',
+  },
+  passcodeInput: {
+    marginTop: 12,
+  },
+  receiptModal: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  receiptHeader: {
+    alignItems: 'center',
+    paddingVertical: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  receiptTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1e293b',
+    marginTop: 8,
+  },
+  receiptChange: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#10b981',
+    marginTop: 4,
+  },
+  receiptScroll: {
+    padding: 16,
+  },
+  newSaleButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    backgroundColor: '#3b82f6',
+    margin: 16,
+    paddingVertical: 16,
+    borderRadius: 12,
+  },
+  newSaleButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  accessDenied: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 40,
+  },
+  accessTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginTop: 16,
+  },
+  accessText: {
+    fontSize: 14,
+    color: '#64748b',
+    textAlign: 'center',
+    marginTop: 8,
   },
 })
 
-
-export default CashierScreen
\ No newline at end of file
+export default CashierScreen
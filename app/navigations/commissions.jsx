@@ -0,0 +1,658 @@
+// app/navigations/commissions.jsx - Commission earned per staff member and the category/product rules behind it
+import React, { useState, useEffect, useCallback } from 'react'
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  TextInput,
+  Alert,
+  Modal,
+  Share,
+  ActivityIndicator
+} from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { useRouter } from 'expo-router'
+import { useAuth } from '../../utils/authContext'
+import salesDatabaseService from '../../services/salesDatabase'
+import refundDatabaseService from '../../services/refundDatabase'
+import productDatabaseService from '../../services/productDatabase'
+import staffDatabaseService from '../../services/staffDatabase'
+import { toCsv } from '../../utils/csvExport'
+import { getPayPeriods } from '../../utils/payrollCalculations'
+import {
+  COMMISSION_TYPES,
+  describeCommissionRule,
+  combineCommissionReport
+} from '../../utils/commissionCalculations'
+
+const PAY_PERIODS = getPayPeriods(6)
+
+const CommissionsScreen = () => {
+  const [stores, setStores] = useState([])
+  const [selectedStoreId, setSelectedStoreId] = useState(null)
+  const [periodValue, setPeriodValue] = useState(PAY_PERIODS[0].value)
+  const [report, setReport] = useState([])
+  const [categories, setCategories] = useState([])
+  const [products, setProducts] = useState([])
+  const [ruleForm, setRuleForm] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [submitting, setSubmitting] = useState(false)
+
+  const { user } = useAuth()
+  const router = useRouter()
+
+  const period = PAY_PERIODS.find(p => p.value === periodValue)
+  // Super admin without a store sees every store when none is picked
+  const storeId = user?.store_id || selectedStoreId
+
+  useEffect(() => {
+    if (!user || user.store_id) return
+
+    const loadStores = async () => {
+      try {
+        const storesData = await staffDatabaseService.getAllStores()
+        setStores(storesData)
+      } catch (error) {
+        console.error('Error loading stores:', error)
+        setStores([])
+      }
+    }
+
+    loadStores()
+  }, [user])
+
+  const loadCommissions = useCallback(async () => {
+    if (!user) return
+
+    try {
+      setLoading(true)
+      const range = { from: period.from, to: period.to }
+      const [earned, reversed] = await Promise.all([
+        salesDatabaseService.getCommissionsByStaff(storeId, range),
+        refundDatabaseService.getCommissionReversalsByStaff(storeId, range)
+      ])
+      setReport(combineCommissionReport(earned, reversed))
+
+      // Rules belong to a store's own categories and products
+      if (storeId) {
+        const [categoriesData, productsData] = await Promise.all([
+          productDatabaseService.getCategoriesByStore(storeId),
+          productDatabaseService.getProductsByStore(storeId)
+        ])
+        setCategories(categoriesData)
+        setProducts(productsData)
+      } else {
+        setCategories([])
+        setProducts([])
+      }
+    } catch (error) {
+      console.error('Error loading commissions:', error)
+      Alert.alert('Error', 'Failed to load commissions: ' + error.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [user, storeId, periodValue])
+
+  useEffect(() => {
+    loadCommissions()
+  }, [loadCommissions])
+
+  const exportCommissions = async () => {
+    const csv = toCsv([
+      { key: 'staff_name', label: 'Staff' },
+      { key: 'line_count', label: 'Lines Sold' },
+      { key: 'sales', label: 'Net Sales' },
+      { key: 'commission', label: 'Commission Earned' },
+      { key: 'refunded_sales', label: 'Refunded' },
+      { key: 'commission_reversed', label: 'Commission Reversed' },
+      { key: 'net_commission', label: 'Net Commission' }
+    ], report)
+
+    try {
+      await Share.share({ title: `Commissions ${period.label}`, message: csv })
+    } catch (error) {
+      console.error('Error sharing CSV:', error)
+      Alert.alert('Error', 'Failed to export: ' + error.message)
+    }
+  }
+
+  const openRuleForm = (scope, item) => {
+    setRuleForm({
+      scope,
+      id: item.id,
+      name: item.name,
+      commission_type: item.commission_type || null,
+      commission_rate: item.commission_type ? String(item.commission_rate ?? '') : ''
+    })
+  }
+
+  const handleSaveRule = async () => {
+    try {
+      setSubmitting(true)
+      await productDatabaseService.updateCommissionRule(ruleForm.scope, ruleForm.id, ruleForm, user)
+      setRuleForm(null)
+      await loadCommissions()
+    } catch (error) {
+      console.error('Error saving commission rule:', error)
+      Alert.alert('Error', error.message || 'Failed to save commission rule')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const formatPrice = (price) => {
+    return `₱${parseFloat(price || 0).toFixed(2)}`
+  }
+
+  if (user?.role !== 'super_admin' && user?.role !== 'manager') {
+    return (
+      <View style={styles.container}>
+        <View style={styles.accessDenied}>
+          <Ionicons name="lock-closed" size={64} color="#ef4444" />
+          <Text style={styles.accessTitle}>Access Restricted</Text>
+          <Text style={styles.accessText}>
+            You don't have permission to view commissions.
+          </Text>
+        </View>
+      </View>
+    )
+  }
+
+  const totalNet = report.reduce((sum, row) => sum + row.net_commission, 0)
+  const productsWithRules = products.filter(product => product.commission_type)
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={22} color="#1e293b" />
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.headerTitle}>Commissions</Text>
+          <Text style={styles.headerSubtitle}>Earned in {period.label}</Text>
+        </View>
+      </View>
+
+      {/* Pay period selector */}
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.chipRow}
+        contentContainerStyle={styles.chipRowContent}
+      >
+        {PAY_PERIODS.map(p => (
+          <TouchableOpacity
+            key={p.value}
+            style={[styles.chip, periodValue === p.value && styles.chipActive]}
+            onPress={() => setPeriodValue(p.value)}
+          >
+            <Text style={[styles.chipText, periodValue === p.value && styles.chipTextActive]}>
+              {p.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      {/* Store selector for users without an assigned store */}
+      {!user?.store_id && stores.length > 1 && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.chipRow}
+          contentContainerStyle={styles.chipRowContent}
+        >
+          <TouchableOpacity
+            style={[styles.chip, !selectedStoreId && styles.chipActive]}
+            onPress={() => setSelectedStoreId(null)}
+          >
+            <Text style={[styles.chipText, !selectedStoreId && styles.chipTextActive]}>All Stores</Text>
+          </TouchableOpacity>
+          {stores.map(store => (
+            <TouchableOpacity
+              key={store.id}
+              style={[styles.chip, selectedStoreId === store.id && styles.chipActive]}
+              onPress={() => setSelectedStoreId(store.id)}
+            >
+              <Text style={[styles.chipText, selectedStoreId === store.id && styles.chipTextActive]}>
+                {store.name}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#3b82f6" />
+        </View>
+      ) : (
+        <ScrollView style={styles.content}>
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>By Staff</Text>
+            <Text style={styles.sectionSubtitle}>
+              Refunds made in the period take back the commission on the returned items
+            </Text>
+            {report.length === 0 ? (
+              <Text style={styles.emptyText}>No commissioned sales in this period</Text>
+            ) : (
+              report.map(row => (
+                <View key={row.staff_id} style={styles.listRow}>
+                  <View style={{ flex: 1 }}>
+                    <Text style={styles.rowTitle}>{row.staff_name || row.staff_id}</Text>
+                    <Text style={styles.rowMeta}>
+                      {row.line_count} line(s) • {formatPrice(row.sales)} net sales • {formatPrice(row.commission)} earned
+                    </Text>
+                    {row.commission_reversed > 0 && (
+                      <Text style={styles.rowMetaNegative}>
+                        -{formatPrice(row.commission_reversed)} on {formatPrice(row.refunded_sales)} refunded
+                      </Text>
+                    )}
+                  </View>
+                  <Text style={styles.rowAmount}>{formatPrice(row.net_commission)}</Text>
+                </View>
+              ))
+            )}
+            <View style={[styles.totalRow, styles.grandTotalRow]}>
+              <Text style={styles.grandTotalLabel}>Net Commission</Text>
+              <Text style={styles.grandTotalValue}>{formatPrice(totalNet)}</Text>
+            </View>
+          </View>
+
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Category Rules</Text>
+            <Text style={styles.sectionSubtitle}>
+              Apply to every product in the category without a rule of its own
+            </Text>
+            {!storeId ? (
+              <Text style={styles.emptyText}>Select a store to edit commission rules</Text>
+            ) : categories.length === 0 ? (
+              <Text style={styles.emptyText}>No categories in this store</Text>
+            ) : (
+              categories.map(category => (
+                <TouchableOpacity
+                  key={category.id}
+                  style={styles.listRow}
+                  onPress={() => openRuleForm('category', category)}
+                >
+                  <Ionicons name={category.icon || 'folder'} size={18} color={category.color || '#64748b'} />
+                  <Text style={[styles.rowTitle, { flex: 1, marginLeft: 10 }]}>{category.name}</Text>
+                  <Text style={[styles.ruleText, !category.commission_type && styles.ruleTextNone]}>
+                    {describeCommissionRule(category)}
+                  </Text>
+                  <Ionicons name="chevron-forward" size={16} color="#94a3b8" />
+                </TouchableOpacity>
+              ))
+            )}
+          </View>
+
+          {storeId && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Product Rules</Text>
+              <Text style={styles.sectionSubtitle}>
+                A product's own rule replaces its category's
+              </Text>
+              {products.length === 0 ? (
+                <Text style={styles.emptyText}>No products in this store</Text>
+              ) : (
+                [...productsWithRules, ...products.filter(product => !product.commission_type)].map(product => (
+                  <TouchableOpacity
+                    key={product.id}
+                    style={styles.listRow}
+                    onPress={() => openRuleForm('product', product)}
+                  >
+                    <View style={{ flex: 1 }}>
+                      <Text style={styles.rowTitle}>{product.name}</Text>
+                      <Text style={styles.rowMeta}>
+                        {product.category_name || 'Uncategorized'}
+                        {!product.commission_type && product.category_commission_type
+                          ? ` • Category: ${describeCommissionRule({
+                            commission_type: product.category_commission_type,
+                            commission_rate: product.category_commission_rate
+                          })}`
+                          : ''}
+                      </Text>
+                    </View>
+                    <Text style={[styles.ruleText, !product.commission_type && styles.ruleTextNone]}>
+                      {product.commission_type
+                        ? describeCommissionRule(product)
+                        : product.category_commission_type ? 'Category rule' : 'No commission'}
+                    </Text>
+                    <Ionicons name="chevron-forward" size={16} color="#94a3b8" />
+                  </TouchableOpacity>
+                ))
+              )}
+            </View>
+          )}
+
+          <View style={styles.actionRow}>
+            <TouchableOpacity style={styles.primaryButton} onPress={exportCommissions}>
+              <Ionicons name="download-outline" size={20} color="#fff" />
+              <Text style={styles.primaryButtonText}>Commission CSV</Text>
+            </TouchableOpacity>
+          </View>
+        </ScrollView>
+      )}
+
+      {/* Edit commission rule */}
+      <Modal
+        visible={!!ruleForm}
+        animationType="slide"
+        presentationStyle="formSheet"
+        onRequestClose={() => setRuleForm(null)}
+      >
+        {ruleForm && (
+          <View style={styles.modalContainer}>
+            <View style={styles.modalHeader}>
+              <TouchableOpacity onPress={() => setRuleForm(null)}>
+                <Text style={styles.modalCancel}>Cancel</Text>
+              </TouchableOpacity>
+              <Text style={styles.modalTitle}>Commission Rule</Text>
+              <TouchableOpacity onPress={handleSaveRule} disabled={submitting}>
+                <Text style={styles.modalSave}>Save</Text>
+              </TouchableOpacity>
+            </View>
+            <ScrollView contentContainerStyle={styles.modalContent}>
+              <Text style={styles.ruleTarget}>{ruleForm.name}</Text>
+              <Text style={styles.fieldLabel}>Type</Text>
+              <View style={styles.typeRow}>
+                <TouchableOpacity
+                  style={[styles.chip, !ruleForm.commission_type && styles.chipActive]}
+                  onPress={() => setRuleForm({ ...ruleForm, commission_type: null, commission_rate: '' })}
+                >
+                  <Text style={[styles.chipText, !ruleForm.commission_type && styles.chipTextActive]}>
+                    {ruleForm.scope === 'product' ? 'Use Category' : 'None'}
+                  </Text>
+                </TouchableOpacity>
+                {COMMISSION_TYPES.map(type => (
+                  <TouchableOpacity
+                    key={type.value}
+                    style={[styles.chip, ruleForm.commission_type === type.value && styles.chipActive]}
+                    onPress={() => setRuleForm({ ...ruleForm, commission_type: type.value })}
+                  >
+                    <Text style={[styles.chipText, ruleForm.commission_type === type.value && styles.chipTextActive]}>
+                      {type.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              {ruleForm.commission_type && (
+                <>
+                  <Text style={styles.fieldLabel}>
+                    {ruleForm.commission_type === 'percent' ? 'Rate (%)' : 'Amount per Unit (₱)'}
+                  </Text>
+                  <TextInput
+                    style={styles.textInput}
+                    value={ruleForm.commission_rate}
+                    onChangeText={(text) => setRuleForm({ ...ruleForm, commission_rate: text })}
+                    keyboardType="decimal-pad"
+                    placeholder={ruleForm.commission_type === 'percent' ? '5' : '10.00'}
+                  />
+                </>
+              )}
+            </ScrollView>
+          </View>
+        )}
+      </Modal>
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 50,
+    paddingBottom: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  backButton: {
+    padding: 6,
+    marginRight: 12,
+    borderRadius: 8,
+    backgroundColor: '#f1f5f9',
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#1e293b',
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#64748b',
+    marginTop: 4,
+  },
+  chipRow: {
+    flexGrow: 0,
+    marginTop: 10,
+  },
+  chipRowContent: {
+    paddingHorizontal: 16,
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  chipActive: {
+    backgroundColor: '#3b82f6',
+    borderColor: '#3b82f6',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#374151',
+    fontWeight: '500',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  loadingContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  content: {
+    flex: 1,
+  },
+  section: {
+    backgroundColor: '#fff',
+    marginHorizontal: 16,
+    marginTop: 16,
+    borderRadius: 12,
+    padding: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 3,
+    elevation: 2,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginBottom: 12,
+  },
+  sectionSubtitle: {
+    fontSize: 13,
+    color: '#64748b',
+    marginTop: -8,
+    marginBottom: 12,
+  },
+  totalRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+  },
+  grandTotalRow: {
+    borderTopWidth: 1,
+    borderTopColor: '#e2e8f0',
+    marginTop: 6,
+    paddingTop: 12,
+  },
+  grandTotalLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  grandTotalValue: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#10b981',
+  },
+  listRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#f1f5f9',
+  },
+  rowTitle: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#1e293b',
+  },
+  rowMeta: {
+    fontSize: 12,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  rowMetaNegative: {
+    fontSize: 12,
+    color: '#ef4444',
+    marginTop: 2,
+  },
+  rowAmount: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginLeft: 12,
+  },
+  ruleText: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: '#8b5cf6',
+    marginHorizontal: 8,
+  },
+  ruleTextNone: {
+    color: '#94a3b8',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#94a3b8',
+    textAlign: 'center',
+    paddingVertical: 12,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    gap: 12,
+    margin: 16,
+  },
+  primaryButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    backgroundColor: '#3b82f6',
+    borderRadius: 8,
+    paddingVertical: 14,
+  },
+  primaryButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  modalContainer: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  modalCancel: {
+    fontSize: 16,
+    color: '#ef4444',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  modalSave: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#3b82f6',
+  },
+  modalContent: {
+    padding: 20,
+  },
+  ruleTarget: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginBottom: 16,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#1e293b',
+    backgroundColor: '#fff',
+    marginBottom: 16,
+  },
+  typeRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16,
+  },
+  accessDenied: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 40,
+  },
+  accessTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginTop: 16,
+  },
+  accessText: {
+    fontSize: 14,
+    color: '#64748b',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+})
+
+export default CommissionsScreen
@@ -0,0 +1,892 @@
+// app/navigations/customer-detail.jsx - One customer's details and purchase history
+import React, { useState, useEffect, useCallback } from 'react'
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  TextInput,
+  Modal,
+  Share,
+  Alert,
+  ActivityIndicator
+} from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { useRouter, useLocalSearchParams } from 'expo-router'
+import { useAuth } from '../../utils/authContext'
+import customerService from '../../services/customerService'
+import customerDatabaseService from '../../services/customerDatabase'
+import salesDatabaseService from '../../services/salesDatabase'
+import loyaltyDatabaseService from '../../services/loyaltyDatabase'
+import chargeAccountDatabaseService from '../../services/chargeAccountDatabase'
+import shiftDatabaseService from '../../services/shiftDatabase'
+import staffDatabaseService from '../../services/staffDatabase'
+import posSettingsService from '../../services/posSettings'
+import CustomerFormModal from '../components/CustomerFormModal'
+import ReceiptPreview from '../components/ReceiptPreview'
+import { getPriceTier, PAYMENT_METHODS } from '../../utils/salesCalculations'
+import { getLoyaltyEntryLabel } from '../../utils/loyaltyCalculations'
+import { AGING_BUCKETS, getArEntryLabel } from '../../utils/chargeAccountCalculations'
+import { buildCustomerStatement, renderReceiptText } from '../../utils/receiptBuilder'
+
+const STATUS_COLORS = {
+  completed: '#10b981',
+  partially_refunded: '#f59e0b',
+  refunded: '#64748b',
+  voided: '#ef4444'
+}
+
+// Money taken on account; points and charges are only tenders at the register
+const ACCOUNT_PAYMENT_METHODS = PAYMENT_METHODS.filter(method => !method.requiresCustomer)
+
+const STATEMENT_PERIODS = [
+  { value: 'this_month', label: 'This Month' },
+  { value: 'last_month', label: 'Last Month' },
+  { value: 'last_90', label: 'Last 90 Days' }
+]
+
+const getStatementRange = (period) => {
+  const now = new Date()
+
+  if (period === 'last_month') {
+    return {
+      from: new Date(now.getFullYear(), now.getMonth() - 1, 1).toISOString(),
+      to: new Date(now.getFullYear(), now.getMonth(), 1).toISOString()
+    }
+  }
+
+  if (period === 'last_90') {
+    const from = new Date(now)
+    from.setDate(from.getDate() - 90)
+    return { from: from.toISOString(), to: now.toISOString() }
+  }
+
+  return { from: new Date(now.getFullYear(), now.getMonth(), 1).toISOString(), to: now.toISOString() }
+}
+
+const EMPTY_PAYMENT = { amount: '', payment_method: 'cash', reference_number: '', notes: '' }
+
+const CustomerDetail = () => {
+  const [customer, setCustomer] = useState(null)
+  const [summary, setSummary] = useState(null)
+  const [sales, setSales] = useState([])
+  const [loyalty, setLoyalty] = useState(null)
+  const [ledger, setLedger] = useState([])
+  const [account, setAccount] = useState(null)
+  const [arEntries, setArEntries] = useState([])
+  const [paymentForm, setPaymentForm] = useState(null)
+  const [statement, setStatement] = useState(null)
+  const [statementPeriod, setStatementPeriod] = useState('this_month')
+  const [showForm, setShowForm] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+
+  const { id } = useLocalSearchParams()
+  const { user } = useAuth()
+  const router = useRouter()
+
+  const isManager = user?.role === 'super_admin' || user?.role === 'manager'
+
+  const loadCustomer = useCallback(async () => {
+    if (!id) return
+
+    try {
+      const [customerData, summaryData, salesData] = await Promise.all([
+        customerDatabaseService.getCustomerById(id),
+        salesDatabaseService.getCustomerSalesSummary(id),
+        salesDatabaseService.getSalesByCustomer(id)
+      ])
+      setCustomer(customerData)
+      setSummary(summaryData)
+      setSales(salesData)
+
+      if (customerData) {
+        const loyaltyData = await loyaltyDatabaseService.getLoyaltySummary(customerData)
+        const ledgerData = await loyaltyDatabaseService.getLedger(customerData.id)
+        const accountData = await chargeAccountDatabaseService.getAccountSummary(customerData.id)
+        const arData = await chargeAccountDatabaseService.getLedger(customerData.id, 20)
+        setLoyalty(loyaltyData)
+        setLedger(ledgerData)
+        setAccount(accountData)
+        setArEntries(arData)
+      }
+    } catch (error) {
+      console.error('Error loading customer:', error)
+      Alert.alert('Error', 'Failed to load customer: ' + error.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [id])
+
+  useEffect(() => {
+    loadCustomer()
+  }, [loadCustomer])
+
+  const handleSave = async (form) => {
+    try {
+      setSaving(true)
+      await customerService.updateCustomer(customer.id, form, user)
+      setShowForm(false)
+      await loadCustomer()
+    } catch (error) {
+      console.error('Error updating customer:', error)
+      Alert.alert('Error', error.message || 'Failed to update customer')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  // Cash paid on account goes into the drawer as a paid-in on the open shift
+  const handleRecordPayment = async () => {
+    try {
+      setSaving(true)
+
+      let shiftId = null
+      if (paymentForm.payment_method === 'cash') {
+        const shift = await shiftDatabaseService.getOpenShift(customer.store_id)
+        if (!shift) {
+          Alert.alert('No Open Shift', 'Open a shift on this register before taking cash payments')
+          return
+        }
+        shiftId = shift.id
+      }
+
+      const entry = await chargeAccountDatabaseService.recordPayment(customer.id, {
+        ...paymentForm,
+        shift_id: shiftId
+      }, user)
+
+      if (shiftId) {
+        await shiftDatabaseService.recordCashMovement(shiftId, {
+          movement_type: 'paid_in',
+          amount: -entry.amount,
+          reason: `Account payment: ${customer.name}`
+        }, user)
+      }
+
+      setPaymentForm(null)
+      await loadCustomer()
+    } catch (error) {
+      console.error('Error recording account payment:', error)
+      Alert.alert('Error', error.message || 'Failed to record payment')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const openStatement = async (period = statementPeriod) => {
+    try {
+      setStatementPeriod(period)
+
+      const [statementData, store, settings] = await Promise.all([
+        chargeAccountDatabaseService.getStatement(customer.id, getStatementRange(period)),
+        staffDatabaseService.getStoreById(customer.store_id),
+        posSettingsService.getSettings()
+      ])
+
+      setStatement({ statement: statementData, store, paperWidth: settings.receipt_paper_width })
+    } catch (error) {
+      console.error('Error loading statement:', error)
+      Alert.alert('Error', 'Failed to load statement: ' + error.message)
+    }
+  }
+
+  const handleShareStatement = async () => {
+    try {
+      const text = renderReceiptText(
+        buildCustomerStatement(statement.statement, statement.store || {}),
+        statement.paperWidth
+      )
+      await Share.share({ title: `Statement - ${customer.name}`, message: text })
+    } catch (error) {
+      console.error('Error sharing statement:', error)
+      Alert.alert('Error', 'Failed to share statement')
+    }
+  }
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Remove Customer',
+      `Remove ${customer.name}? Past sales keep the customer's name.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await customerService.deleteCustomer(customer.id, user)
+              router.back()
+            } catch (error) {
+              console.error('Error deleting customer:', error)
+              Alert.alert('Error', error.message || 'Failed to remove customer')
+            }
+          }
+        }
+      ]
+    )
+  }
+
+  const formatPrice = (price) => {
+    return `₱${parseFloat(price || 0).toFixed(2)}`
+  }
+
+  const formatDate = (value) => {
+    return value ? new Date(value).toLocaleDateString([], { year: 'numeric', month: 'short', day: 'numeric' }) : '—'
+  }
+
+  const formatDateTime = (value) => {
+    return new Date(value).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+  }
+
+  if (loading) {
+    return (
+      <View style={styles.container}>
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#3b82f6" />
+        </View>
+      </View>
+    )
+  }
+
+  if (!customer) {
+    return (
+      <View style={styles.container}>
+        <View style={styles.emptyState}>
+          <Ionicons name="person-outline" size={64} color="#9ca3af" />
+          <Text style={styles.emptyTitle}>Customer Not Found</Text>
+          <TouchableOpacity style={styles.linkButton} onPress={() => router.back()}>
+            <Text style={styles.linkButtonText}>Back to Customers</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    )
+  }
+
+  const detailRow = (icon, label, value) => (
+    <View style={styles.detailRow}>
+      <Ionicons name={icon} size={16} color="#64748b" />
+      <Text style={styles.detailLabel}>{label}</Text>
+      <Text style={styles.detailValue}>{value || '—'}</Text>
+    </View>
+  )
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={22} color="#1e293b" />
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.headerTitle} numberOfLines={1}>{customer.name}</Text>
+          <Text style={styles.headerSubtitle}>
+            Customer since {formatDate(customer.created_at)}{!customer.is_active ? ' • Removed' : ''}
+          </Text>
+        </View>
+        <TouchableOpacity style={styles.headerIconButton} onPress={() => setShowForm(true)}>
+          <Ionicons name="create-outline" size={20} color="#3b82f6" />
+        </TouchableOpacity>
+        {isManager && !!customer.is_active && (
+          <TouchableOpacity style={styles.headerIconButton} onPress={handleDelete}>
+            <Ionicons name="trash-outline" size={20} color="#ef4444" />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <ScrollView style={styles.content}>
+        <View style={styles.statsRow}>
+          <View style={styles.statCard}>
+            <Text style={styles.statNumber}>{summary?.transactions || 0}</Text>
+            <Text style={styles.statLabel}>Purchases</Text>
+          </View>
+          <View style={styles.statCard}>
+            <Text style={styles.statNumber}>{formatPrice(summary?.total_spent)}</Text>
+            <Text style={styles.statLabel}>Total Spent</Text>
+          </View>
+          <View style={styles.statCard}>
+            <Text style={styles.statNumber}>{formatPrice(summary?.average_sale)}</Text>
+            <Text style={styles.statLabel}>Average</Text>
+          </View>
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Details</Text>
+          {detailRow('call-outline', 'Phone', customer.phone)}
+          {detailRow('mail-outline', 'Email', customer.email)}
+          {detailRow('document-text-outline', 'TIN', customer.tin)}
+          {detailRow('location-outline', 'Address', customer.address)}
+          {detailRow('pricetags-outline', 'Price Tier', getPriceTier(customer.price_tier).label)}
+          {detailRow('time-outline', 'Last Visit', formatDate(summary?.last_purchase))}
+          {customer.notes && (
+            <Text style={styles.notesText}>{customer.notes}</Text>
+          )}
+        </View>
+
+        {(account?.credit_limit > 0 || arEntries.length > 0) && (
+          <View style={styles.section}>
+            <View style={styles.sectionHeader}>
+              <Text style={styles.sectionTitle}>Charge Account</Text>
+              <TouchableOpacity onPress={() => openStatement()}>
+                <Text style={styles.sectionAction}>Statement</Text>
+              </TouchableOpacity>
+            </View>
+
+            {detailRow('card-outline', 'Limit', formatPrice(account?.credit_limit))}
+            {detailRow('wallet-outline', 'Balance', formatPrice(account?.balance))}
+            {detailRow('checkmark-circle-outline', 'Available', formatPrice(account?.available))}
+
+            <View style={styles.agingRow}>
+              {AGING_BUCKETS.map(bucket => (
+                <View key={bucket.value} style={styles.agingCell}>
+                  <Text style={[styles.agingAmount, bucket.value !== 'current' && account?.aging?.[bucket.value] > 0 && styles.agingPastDue]}>
+                    {formatPrice(account?.aging?.[bucket.value])}
+                  </Text>
+                  <Text style={styles.agingLabel}>{bucket.label}</Text>
+                </View>
+              ))}
+            </View>
+
+            {account?.balance > 0 && (
+              <TouchableOpacity style={styles.paymentButton} onPress={() => setPaymentForm(EMPTY_PAYMENT)}>
+                <Ionicons name="cash-outline" size={18} color="#fff" />
+                <Text style={styles.paymentButtonText}>Record Payment</Text>
+              </TouchableOpacity>
+            )}
+
+            {arEntries.map(entry => (
+              <View key={entry.id} style={styles.saleRow}>
+                <View style={{ flex: 1 }}>
+                  <Text style={styles.saleReceipt}>{getArEntryLabel(entry.entry_type)}</Text>
+                  <Text style={styles.saleMeta}>
+                    {formatDateTime(entry.created_at)}
+                    {entry.notes ? ` • ${entry.notes}` : ''}
+                    {entry.reference_number ? ` • Ref ${entry.reference_number}` : ''}
+                  </Text>
+                </View>
+                <View style={styles.saleRight}>
+                  <Text style={[styles.saleTotal, { color: entry.amount > 0 ? '#1e293b' : '#10b981' }]}>
+                    {formatPrice(entry.amount)}
+                  </Text>
+                  <Text style={styles.saleMeta}>Bal. {formatPrice(entry.balance_after)}</Text>
+                </View>
+              </View>
+            ))}
+          </View>
+        )}
+
+        <View style={styles.section}>
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionTitle}>Loyalty Points</Text>
+            <Text style={styles.pointsBalance}>
+              {loyalty?.balance || 0} pts • {formatPrice(loyalty?.value)}
+            </Text>
+          </View>
+          {ledger.length === 0 ? (
+            <Text style={styles.emptyText}>No points earned yet</Text>
+          ) : (
+            ledger.map(entry => (
+              <View key={entry.id} style={styles.saleRow}>
+                <View style={{ flex: 1 }}>
+                  <Text style={styles.saleReceipt}>{getLoyaltyEntryLabel(entry.entry_type)}</Text>
+                  <Text style={styles.saleMeta}>
+                    {formatDateTime(entry.created_at)}{entry.notes ? ` • ${entry.notes}` : ''}
+                  </Text>
+                  {entry.expires_at && (
+                    <Text style={styles.saleMeta}>Expires {formatDate(entry.expires_at)}</Text>
+                  )}
+                </View>
+                <View style={styles.saleRight}>
+                  <Text style={[styles.saleTotal, { color: entry.points > 0 ? '#10b981' : '#ef4444' }]}>
+                    {entry.points > 0 ? '+' : ''}{entry.points}
+                  </Text>
+                  <Text style={styles.saleMeta}>Bal. {entry.balance_after}</Text>
+                </View>
+              </View>
+            ))
+          )}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Purchase History</Text>
+          {sales.length === 0 ? (
+            <Text style={styles.emptyText}>No purchases recorded for this customer</Text>
+          ) : (
+            sales.map(sale => (
+              <View key={sale.id} style={styles.saleRow}>
+                <View style={{ flex: 1 }}>
+                  <Text style={styles.saleReceipt}>{sale.receipt_number || sale.id}</Text>
+                  <Text style={styles.saleMeta}>
+                    {formatDateTime(sale.created_at)} • {sale.item_count} item(s)
+                    {sale.payment_methods ? ` • ${sale.payment_methods}` : ''}
+                  </Text>
+                </View>
+                <View style={styles.saleRight}>
+                  <Text style={[styles.saleTotal, sale.status === 'voided' && styles.saleTotalVoided]}>
+                    {formatPrice(sale.total_amount)}
+                  </Text>
+                  <Text style={[styles.saleStatus, { color: STATUS_COLORS[sale.status] || '#64748b' }]}>
+                    {sale.status.replace('_', ' ')}
+                  </Text>
+                </View>
+              </View>
+            ))
+          )}
+        </View>
+      </ScrollView>
+
+      <CustomerFormModal
+        visible={showForm}
+        customer={customer}
+        saving={saving}
+        canEditCredit={isManager}
+        onCancel={() => setShowForm(false)}
+        onSave={handleSave}
+      />
+
+      {/* Payment on account */}
+      <Modal
+        visible={!!paymentForm}
+        animationType="slide"
+        presentationStyle="formSheet"
+        onRequestClose={() => setPaymentForm(null)}
+      >
+        {paymentForm && (
+          <View style={styles.modalContainer}>
+            <View style={styles.modalHeader}>
+              <TouchableOpacity onPress={() => setPaymentForm(null)}>
+                <Text style={styles.modalCancel}>Cancel</Text>
+              </TouchableOpacity>
+              <Text style={styles.modalTitle}>Account Payment</Text>
+              <TouchableOpacity onPress={handleRecordPayment} disabled={saving}>
+                <Text style={[styles.modalSave, saving && styles.modalSaveDisabled]}>Save</Text>
+              </TouchableOpacity>
+            </View>
+
+            <ScrollView contentContainerStyle={styles.modalContent} keyboardShouldPersistTaps="handled">
+              <Text style={styles.modalHint}>Balance owed: {formatPrice(account?.balance)}</Text>
+
+              <Text style={styles.fieldLabel}>Amount (₱)</Text>
+              <TextInput
+                style={styles.textInput}
+                value={paymentForm.amount}
+                onChangeText={(value) => setPaymentForm({ ...paymentForm, amount: value.replace(/[^0-9.]/g, '') })}
+                placeholder={(account?.balance || 0).toFixed(2)}
+                keyboardType="decimal-pad"
+              />
+
+              <Text style={styles.fieldLabel}>Paid With</Text>
+              <View style={styles.optionRow}>
+                {ACCOUNT_PAYMENT_METHODS.map(method => (
+                  <TouchableOpacity
+                    key={method.value}
+                    style={[styles.option, paymentForm.payment_method === method.value && styles.optionActive]}
+                    onPress={() => setPaymentForm({ ...paymentForm, payment_method: method.value })}
+                  >
+                    <Text style={[styles.optionText, paymentForm.payment_method === method.value && styles.optionTextActive]}>
+                      {method.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              {ACCOUNT_PAYMENT_METHODS.find(method => method.value === paymentForm.payment_method)?.requiresReference && (
+                <>
+                  <Text style={styles.fieldLabel}>Reference No.</Text>
+                  <TextInput
+                    style={styles.textInput}
+                    value={paymentForm.reference_number}
+                    onChangeText={(value) => setPaymentForm({ ...paymentForm, reference_number: value })}
+                    placeholder="Optional"
+                  />
+                </>
+              )}
+
+              <Text style={styles.fieldLabel}>Notes</Text>
+              <TextInput
+                style={styles.textInput}
+                value={paymentForm.notes}
+                onChangeText={(value) => setPaymentForm({ ...paymentForm, notes: value })}
+                placeholder="Optional"
+              />
+            </ScrollView>
+          </View>
+        )}
+      </Modal>
+
+      {/* Statement of account */}
+      <Modal
+        visible={!!statement}
+        animationType="slide"
+        presentationStyle="formSheet"
+        onRequestClose={() => setStatement(null)}
+      >
+        {statement && (
+          <View style={styles.modalContainer}>
+            <View style={styles.modalHeader}>
+              <TouchableOpacity onPress={() => setStatement(null)}>
+                <Text style={styles.modalCancel}>Close</Text>
+              </TouchableOpacity>
+              <Text style={styles.modalTitle}>Statement</Text>
+              <TouchableOpacity onPress={handleShareStatement}>
+                <Text style={styles.modalSave}>Share</Text>
+              </TouchableOpacity>
+            </View>
+
+            <View style={[styles.optionRow, styles.statementPeriods]}>
+              {STATEMENT_PERIODS.map(period => (
+                <TouchableOpacity
+                  key={period.value}
+                  style={[styles.option, statementPeriod === period.value && styles.optionActive]}
+                  onPress={() => openStatement(period.value)}
+                >
+                  <Text style={[styles.optionText, statementPeriod === period.value && styles.optionTextActive]}>
+                    {period.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <ScrollView contentContainerStyle={styles.modalContent}>
+              <ReceiptPreview
+                statement={statement.statement}
+                store={statement.store}
+                paperWidth={statement.paperWidth}
+              />
+            </ScrollView>
+          </View>
+        )}
+      </Modal>
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 50,
+    paddingBottom: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  backButton: {
+    padding: 6,
+    marginRight: 12,
+    borderRadius: 8,
+    backgroundColor: '#f1f5f9',
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#1e293b',
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#64748b',
+    marginTop: 4,
+  },
+  headerIconButton: {
+    padding: 8,
+    marginLeft: 4,
+    borderRadius: 8,
+    backgroundColor: '#f1f5f9',
+  },
+  loadingContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  content: {
+    flex: 1,
+  },
+  statsRow: {
+    flexDirection: 'row',
+    gap: 10,
+    marginHorizontal: 16,
+    marginTop: 16,
+  },
+  statCard: {
+    flex: 1,
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 12,
+    alignItems: 'center',
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 3,
+    elevation: 2,
+  },
+  statNumber: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#1e293b',
+  },
+  statLabel: {
+    fontSize: 12,
+    color: '#64748b',
+    marginTop: 4,
+  },
+  section: {
+    backgroundColor: '#fff',
+    marginHorizontal: 16,
+    marginTop: 16,
+    borderRadius: 12,
+    padding: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 3,
+    elevation: 2,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginBottom: 12,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+  },
+  sectionAction: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#3b82f6',
+    marginTop: 3,
+  },
+  agingRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 12,
+  },
+  agingCell: {
+    flex: 1,
+    alignItems: 'center',
+    backgroundColor: '#f8fafc',
+    borderRadius: 8,
+    paddingVertical: 8,
+  },
+  agingAmount: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  agingPastDue: {
+    color: '#ef4444',
+  },
+  agingLabel: {
+    fontSize: 11,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  paymentButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    backgroundColor: '#3b82f6',
+    borderRadius: 8,
+    paddingVertical: 10,
+    marginVertical: 12,
+  },
+  paymentButtonText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  modalContainer: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  modalCancel: {
+    fontSize: 16,
+    color: '#ef4444',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  modalSave: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#3b82f6',
+  },
+  modalSaveDisabled: {
+    color: '#94a3b8',
+  },
+  modalContent: {
+    padding: 20,
+  },
+  modalHint: {
+    fontSize: 14,
+    color: '#64748b',
+    marginBottom: 16,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#1e293b',
+    backgroundColor: '#fff',
+    marginBottom: 16,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16,
+  },
+  option: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    backgroundColor: '#fff',
+  },
+  optionActive: {
+    backgroundColor: '#3b82f6',
+    borderColor: '#3b82f6',
+  },
+  optionText: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#64748b',
+  },
+  optionTextActive: {
+    color: '#fff',
+  },
+  statementPeriods: {
+    paddingHorizontal: 20,
+    paddingTop: 12,
+    marginBottom: 0,
+  },
+  pointsBalance: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#3b82f6',
+    marginTop: 3,
+  },
+  detailRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    paddingVertical: 6,
+    gap: 8,
+  },
+  detailLabel: {
+    width: 80,
+    fontSize: 14,
+    color: '#64748b',
+  },
+  detailValue: {
+    flex: 1,
+    fontSize: 14,
+    color: '#1e293b',
+  },
+  notesText: {
+    fontSize: 13,
+    color: '#475569',
+    backgroundColor: '#f8fafc',
+    borderRadius: 8,
+    padding: 10,
+    marginTop: 8,
+  },
+  saleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#f1f5f9',
+  },
+  saleReceipt: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#1e293b',
+  },
+  saleMeta: {
+    fontSize: 12,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  saleRight: {
+    alignItems: 'flex-end',
+    marginLeft: 12,
+  },
+  saleTotal: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  saleTotalVoided: {
+    color: '#94a3b8',
+    textDecorationLine: 'line-through',
+  },
+  saleStatus: {
+    fontSize: 11,
+    fontWeight: '500',
+    textTransform: 'capitalize',
+    marginTop: 2,
+  },
+  emptyState: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginTop: 16,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#94a3b8',
+    textAlign: 'center',
+    paddingVertical: 12,
+  },
+  linkButton: {
+    marginTop: 16,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: '#3b82f6',
+  },
+  linkButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+})
+
+export default CustomerDetail
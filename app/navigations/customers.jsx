@@ -1,10 +1,240 @@
-import React from 'react'
-import { View, Text, StyleSheet } from 'react-native'
+// app/navigations/customers.jsx - Customer list with search, add and middleware sync
+import React, { useState, useEffect, useCallback } from 'react'
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  TextInput,
+  FlatList,
+  RefreshControl,
+  Alert,
+  ActivityIndicator
+} from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { useRouter } from 'expo-router'
+import { useAuth } from '../../utils/authContext'
+import customerService from '../../services/customerService'
+import staffDatabaseService from '../../services/staffDatabase'
+import CustomerFormModal from '../components/CustomerFormModal'
+import { getPriceTier, DEFAULT_PRICE_TIER } from '../../utils/salesCalculations'
 
 const Customers = () => {
+  const [stores, setStores] = useState([])
+  const [selectedStoreId, setSelectedStoreId] = useState(null)
+  const [customers, setCustomers] = useState([])
+  const [searchQuery, setSearchQuery] = useState('')
+  const [showForm, setShowForm] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const [refreshing, setRefreshing] = useState(false)
+  const [saving, setSaving] = useState(false)
+
+  const { user } = useAuth()
+  const router = useRouter()
+
+  const canEditCredit = user?.role === 'super_admin' || user?.role === 'manager'
+
+  // Super admin without a store sees every store when none is picked
+  const storeId = user?.store_id || selectedStoreId
+
+  useEffect(() => {
+    if (!user || user.store_id) return
+
+    const loadStores = async () => {
+      try {
+        const storesData = await staffDatabaseService.getAllStores()
+        setStores(storesData)
+      } catch (error) {
+        console.error('Error loading stores:', error)
+        setStores([])
+      }
+    }
+
+    loadStores()
+  }, [user])
+
+  const loadCustomers = useCallback(async (forceRefresh = false) => {
+    if (!user) return
+
+    try {
+      const customersData = await customerService.getCustomers(user, {
+        storeId,
+        search: searchQuery.trim() || undefined,
+        forceRefresh
+      })
+      setCustomers(customersData)
+    } catch (error) {
+      console.error('Error loading customers:', error)
+      Alert.alert('Error', 'Failed to load customers: ' + error.message)
+      setCustomers([])
+    } finally {
+      setLoading(false)
+    }
+  }, [user, storeId, searchQuery])
+
+  useEffect(() => {
+    loadCustomers()
+  }, [loadCustomers])
+
+  const handleRefresh = async () => {
+    setRefreshing(true)
+    await loadCustomers(true)
+    setRefreshing(false)
+  }
+
+  const openForm = () => {
+    if (!storeId) {
+      Alert.alert('Select a Store', 'Pick the store this customer belongs to first')
+      return
+    }
+    setShowForm(true)
+  }
+
+  const handleSave = async (form) => {
+    try {
+      setSaving(true)
+      await customerService.createCustomer({ ...form, store_id: storeId }, user)
+      setShowForm(false)
+      await loadCustomers()
+    } catch (error) {
+      console.error('Error creating customer:', error)
+      Alert.alert('Error', error.message || 'Failed to create customer')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const renderCustomer = ({ item }) => (
+    <TouchableOpacity
+      style={styles.customerCard}
+      onPress={() => router.push(`../navigations/customer-detail?id=${item.id}`)}
+      activeOpacity={0.7}
+    >
+      <View style={styles.avatar}>
+        <Text style={styles.avatarText}>{item.name.charAt(0).toUpperCase()}</Text>
+      </View>
+      <View style={{ flex: 1 }}>
+        <Text style={styles.customerName}>{item.name}</Text>
+        <Text style={styles.customerMeta} numberOfLines={1}>
+          {[item.phone, item.email].filter(Boolean).join(' • ') || 'No contact details'}
+        </Text>
+        {(item.tin || item.price_tier !== DEFAULT_PRICE_TIER) && (
+          <View style={styles.badgeRow}>
+            {item.tin && (
+              <View style={styles.badge}>
+                <Text style={styles.badgeText}>TIN {item.tin}</Text>
+              </View>
+            )}
+            {item.price_tier !== DEFAULT_PRICE_TIER && (
+              <View style={[styles.badge, styles.tierBadge]}>
+                <Text style={[styles.badgeText, styles.tierBadgeText]}>{getPriceTier(item.price_tier).label}</Text>
+              </View>
+            )}
+          </View>
+        )}
+      </View>
+      <Ionicons name="chevron-forward" size={18} color="#94a3b8" />
+    </TouchableOpacity>
+  )
+
   return (
     <View style={styles.container}>
-      <Text style={styles.title}>Customers Page</Text>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={22} color="#1e293b" />
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.headerTitle}>Customers</Text>
+          <Text style={styles.headerSubtitle}>
+            {customers.length} customer(s){storeId ? ` • ${stores.find(s => s.id === storeId)?.name || `Store ${storeId}`}` : ' • All Stores'}
+          </Text>
+        </View>
+        <TouchableOpacity style={styles.addButton} onPress={openForm}>
+          <Ionicons name="add" size={22} color="#fff" />
+        </TouchableOpacity>
+      </View>
+
+      {/* Store selector for users without an assigned store */}
+      {!user?.store_id && stores.length > 1 && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.chipRow}
+          contentContainerStyle={styles.chipRowContent}
+        >
+          <TouchableOpacity
+            style={[styles.chip, !selectedStoreId && styles.chipActive]}
+            onPress={() => setSelectedStoreId(null)}
+          >
+            <Text style={[styles.chipText, !selectedStoreId && styles.chipTextActive]}>All Stores</Text>
+          </TouchableOpacity>
+          {stores.map(store => (
+            <TouchableOpacity
+              key={store.id}
+              style={[styles.chip, selectedStoreId === store.id && styles.chipActive]}
+              onPress={() => setSelectedStoreId(store.id)}
+            >
+              <Text style={[styles.chipText, selectedStoreId === store.id && styles.chipTextActive]}>
+                {store.name}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+
+      {/* Search */}
+      <View style={styles.searchBox}>
+        <Ionicons name="search" size={20} color="#6b7280" />
+        <TextInput
+          style={styles.searchInput}
+          placeholder="Search name, phone, email or TIN..."
+          value={searchQuery}
+          onChangeText={setSearchQuery}
+          autoCorrect={false}
+        />
+        {searchQuery.length > 0 && (
+          <TouchableOpacity onPress={() => setSearchQuery('')}>
+            <Ionicons name="close-circle" size={20} color="#9ca3af" />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#3b82f6" />
+        </View>
+      ) : customers.length === 0 ? (
+        <View style={styles.emptyState}>
+          <Ionicons name="people-outline" size={64} color="#9ca3af" />
+          <Text style={styles.emptyTitle}>No Customers Found</Text>
+          <Text style={styles.emptyText}>
+            {searchQuery ? 'No customers match your search.' : 'Add customers here or from the cashier.'}
+          </Text>
+        </View>
+      ) : (
+        <FlatList
+          data={customers}
+          renderItem={renderCustomer}
+          keyExtractor={(item) => item.id}
+          refreshControl={
+            <RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />
+          }
+          contentContainerStyle={styles.listContent}
+          showsVerticalScrollIndicator={false}
+          keyboardShouldPersistTaps="handled"
+        />
+      )}
+
+      <CustomerFormModal
+        visible={showForm}
+        customer={null}
+        saving={saving}
+        canEditCredit={canEditCredit}
+        onCancel={() => setShowForm(false)}
+        onSave={handleSave}
+      />
     </View>
   )
 }
@@ -12,13 +242,172 @@ const Customers = () => {
 const styles = StyleSheet.create({
   container: {
     flex: 1,
-    justifyContent: 'center',
+    backgroundColor: '#f8fafc',
+  },
+  header: {
+    flexDirection: 'row',
     alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 50,
+    paddingBottom: 16,
     backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  backButton: {
+    padding: 6,
+    marginRight: 12,
+    borderRadius: 8,
+    backgroundColor: '#f1f5f9',
   },
-  title: {
+  headerTitle: {
     fontSize: 24,
     fontWeight: 'bold',
+    color: '#1e293b',
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#64748b',
+    marginTop: 4,
+  },
+  addButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#3b82f6',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  chipRow: {
+    flexGrow: 0,
+    marginTop: 10,
+  },
+  chipRowContent: {
+    paddingHorizontal: 16,
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  chipActive: {
+    backgroundColor: '#3b82f6',
+    borderColor: '#3b82f6',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#374151',
+    fontWeight: '500',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  searchBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    marginHorizontal: 16,
+    marginTop: 12,
+    gap: 8,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 16,
+    color: '#1f2937',
+  },
+  loadingContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  listContent: {
+    padding: 16,
+  },
+  customerCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 10,
+    gap: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 2,
+    elevation: 1,
+  },
+  avatar: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#dbeafe',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  avatarText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1d4ed8',
+  },
+  customerName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  customerMeta: {
+    fontSize: 13,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  badgeRow: {
+    flexDirection: 'row',
+    gap: 6,
+    marginTop: 6,
+  },
+  badge: {
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+    backgroundColor: '#f1f5f9',
+  },
+  badgeText: {
+    fontSize: 11,
+    color: '#475569',
+    fontWeight: '500',
+  },
+  tierBadge: {
+    backgroundColor: '#ede9fe',
+  },
+  tierBadgeText: {
+    color: '#6d28d9',
+  },
+  emptyState: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginTop: 16,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#64748b',
+    textAlign: 'center',
+    marginTop: 8,
   },
 })
 
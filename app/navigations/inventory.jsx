@@ -1,10 +1,319 @@
-import React from 'react'
-import { View, Text, StyleSheet } from 'react-native'
+// app/navigations/inventory.jsx - Store stock on hand, average cost and stock receipts
+import React, { useState, useEffect, useCallback } from 'react'
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  TextInput,
+  FlatList,
+  Modal,
+  RefreshControl,
+  Alert,
+  ActivityIndicator
+} from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { useRouter } from 'expo-router'
+import { useAuth } from '../../utils/authContext'
+import productDatabaseService from '../../services/productDatabase'
+import staffDatabaseService from '../../services/staffDatabase'
+import {
+  calculateWeightedAverageCost,
+  calculateStockValue,
+  validateUnitCost
+} from '../../utils/inventoryCalculations'
+
+const EMPTY_RECEIPT = { quantity: '', unit_cost: '', notes: '' }
 
 const Inventory = () => {
+  const [stores, setStores] = useState([])
+  const [selectedStoreId, setSelectedStoreId] = useState(null)
+  const [products, setProducts] = useState([])
+  const [searchQuery, setSearchQuery] = useState('')
+  const [receiving, setReceiving] = useState(null)
+  const [receiptForm, setReceiptForm] = useState(EMPTY_RECEIPT)
+  const [loading, setLoading] = useState(true)
+  const [refreshing, setRefreshing] = useState(false)
+  const [saving, setSaving] = useState(false)
+
+  const { user } = useAuth()
+  const router = useRouter()
+
+  const canManageStock = user?.role === 'super_admin' || user?.role === 'manager'
+
+  // Stock is kept per store, so users without one must pick
+  const storeId = user?.store_id || selectedStoreId
+
+  useEffect(() => {
+    if (!user || user.store_id) return
+
+    const loadStores = async () => {
+      try {
+        const storesData = await staffDatabaseService.getAllStores()
+        setStores(storesData)
+        setSelectedStoreId(current => current || storesData[0]?.id || null)
+      } catch (error) {
+        console.error('Error loading stores:', error)
+        setStores([])
+      }
+    }
+
+    loadStores()
+  }, [user])
+
+  const loadProducts = useCallback(async () => {
+    if (!storeId) {
+      setProducts([])
+      setLoading(false)
+      return
+    }
+
+    try {
+      const productsData = await productDatabaseService.getProductsByStore(storeId, {
+        search: searchQuery.trim() || undefined
+      })
+      setProducts(productsData)
+    } catch (error) {
+      console.error('Error loading inventory:', error)
+      Alert.alert('Error', 'Failed to load inventory: ' + error.message)
+      setProducts([])
+    } finally {
+      setLoading(false)
+    }
+  }, [storeId, searchQuery])
+
+  useEffect(() => {
+    loadProducts()
+  }, [loadProducts])
+
+  const handleRefresh = async () => {
+    setRefreshing(true)
+    await loadProducts()
+    setRefreshing(false)
+  }
+
+  const formatPrice = (price) => {
+    return `₱${parseFloat(price || 0).toFixed(2)}`
+  }
+
+  const openReceive = (product) => {
+    setReceiving(product)
+    setReceiptForm({
+      ...EMPTY_RECEIPT,
+      unit_cost: product.average_cost !== null && product.average_cost !== undefined ? String(product.average_cost) : ''
+    })
+  }
+
+  const handleReceive = async () => {
+    const quantity = parseInt(receiptForm.quantity)
+    if (isNaN(quantity) || quantity <= 0) {
+      Alert.alert('Invalid Quantity', 'Enter how many units were received')
+      return
+    }
+
+    const costError = validateUnitCost(receiptForm.unit_cost)
+    if (costError) {
+      Alert.alert('Invalid Cost', costError)
+      return
+    }
+
+    try {
+      setSaving(true)
+      await productDatabaseService.receiveStock(receiving.id, quantity, receiptForm.unit_cost, {
+        notes: receiptForm.notes.trim() || undefined
+      }, user)
+      setReceiving(null)
+      await loadProducts()
+    } catch (error) {
+      console.error('Error receiving stock:', error)
+      Alert.alert('Error', error.message || 'Failed to receive stock')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const receiptQuantity = parseInt(receiptForm.quantity)
+  const previewCost = receiving && receiptQuantity > 0 && !validateUnitCost(receiptForm.unit_cost)
+    ? calculateWeightedAverageCost(receiving.stock_quantity, receiving.average_cost, receiptQuantity, Number(receiptForm.unit_cost))
+    : null
+
+  const renderProduct = ({ item }) => {
+    const isLow = item.stock_quantity <= item.min_stock_level
+    const hasCost = item.average_cost !== null && item.average_cost !== undefined
+
+    return (
+      <View style={styles.productCard}>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.productName}>{item.name}</Text>
+          <Text style={styles.productMeta} numberOfLines={1}>
+            {[item.sku, item.category_name].filter(Boolean).join(' • ') || 'No SKU'}
+          </Text>
+          {canManageStock && (
+            <Text style={[styles.productMeta, !hasCost && styles.noCostText]}>
+              {hasCost
+                ? `Avg cost ${formatPrice(item.average_cost)} • Value ${formatPrice(Math.max(item.stock_quantity, 0) * item.average_cost)}`
+                : 'No cost recorded'}
+            </Text>
+          )}
+        </View>
+        <View style={styles.stockColumn}>
+          <Text style={[styles.stockQuantity, isLow && styles.stockLow]}>{item.stock_quantity}</Text>
+          <Text style={styles.stockUnit}>{item.unit || 'pcs'}</Text>
+        </View>
+        {canManageStock && (
+          <TouchableOpacity style={styles.receiveButton} onPress={() => openReceive(item)}>
+            <Ionicons name="download-outline" size={18} color="#3b82f6" />
+          </TouchableOpacity>
+        )}
+      </View>
+    )
+  }
+
   return (
     <View style={styles.container}>
-      <Text style={styles.title}>Inventory Page</Text>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={22} color="#1e293b" />
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.headerTitle}>Inventory</Text>
+          <Text style={styles.headerSubtitle}>
+            {products.length} product(s)
+            {canManageStock ? ` • Stock value ${formatPrice(calculateStockValue(products))}` : ''}
+          </Text>
+        </View>
+        <TouchableOpacity style={styles.headerLink} onPress={() => router.push('../navigations/stock-counts')}>
+          <Ionicons name="clipboard-outline" size={20} color="#3b82f6" />
+        </TouchableOpacity>
+      </View>
+
+      {/* Store selector for users without an assigned store */}
+      {!user?.store_id && stores.length > 1 && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.chipRow}
+          contentContainerStyle={styles.chipRowContent}
+        >
+          {stores.map(store => (
+            <TouchableOpacity
+              key={store.id}
+              style={[styles.chip, selectedStoreId === store.id && styles.chipActive]}
+              onPress={() => setSelectedStoreId(store.id)}
+            >
+              <Text style={[styles.chipText, selectedStoreId === store.id && styles.chipTextActive]}>
+                {store.name}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+
+      {/* Search */}
+      <View style={styles.searchBox}>
+        <Ionicons name="search" size={20} color="#6b7280" />
+        <TextInput
+          style={styles.searchInput}
+          placeholder="Search name, SKU or barcode..."
+          value={searchQuery}
+          onChangeText={setSearchQuery}
+          autoCorrect={false}
+        />
+        {searchQuery.length > 0 && (
+          <TouchableOpacity onPress={() => setSearchQuery('')}>
+            <Ionicons name="close-circle" size={20} color="#9ca3af" />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#3b82f6" />
+        </View>
+      ) : products.length === 0 ? (
+        <View style={styles.emptyState}>
+          <Ionicons name="cube-outline" size={64} color="#9ca3af" />
+          <Text style={styles.emptyTitle}>No Products Found</Text>
+          <Text style={styles.emptyText}>
+            {!storeId ? 'Select a store to see its stock.' : searchQuery ? 'No products match your search.' : 'This store has no products yet.'}
+          </Text>
+        </View>
+      ) : (
+        <FlatList
+          data={products}
+          renderItem={renderProduct}
+          keyExtractor={(item) => item.id}
+          refreshControl={
+            <RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />
+          }
+          contentContainerStyle={styles.listContent}
+          showsVerticalScrollIndicator={false}
+          keyboardShouldPersistTaps="handled"
+        />
+      )}
+
+      {/* Receive stock at cost */}
+      <Modal
+        visible={!!receiving}
+        animationType="slide"
+        presentationStyle="formSheet"
+        onRequestClose={() => setReceiving(null)}
+      >
+        {receiving && (
+          <View style={styles.modalContainer}>
+            <View style={styles.modalHeader}>
+              <TouchableOpacity onPress={() => setReceiving(null)}>
+                <Text style={styles.modalCancel}>Cancel</Text>
+              </TouchableOpacity>
+              <Text style={styles.modalTitle}>Receive Stock</Text>
+              <TouchableOpacity onPress={handleReceive} disabled={saving}>
+                <Text style={[styles.modalSave, saving && styles.modalSaveDisabled]}>Save</Text>
+              </TouchableOpacity>
+            </View>
+
+            <ScrollView contentContainerStyle={styles.modalContent} keyboardShouldPersistTaps="handled">
+              <Text style={styles.modalProductName}>{receiving.name}</Text>
+              <Text style={styles.modalHint}>
+                On hand {receiving.stock_quantity} • Avg cost {receiving.average_cost !== null && receiving.average_cost !== undefined ? formatPrice(receiving.average_cost) : 'none yet'}
+              </Text>
+
+              <Text style={styles.fieldLabel}>Quantity Received *</Text>
+              <TextInput
+                style={styles.textInput}
+                value={receiptForm.quantity}
+                onChangeText={(value) => setReceiptForm({ ...receiptForm, quantity: value.replace(/[^0-9]/g, '') })}
+                placeholder="0"
+                keyboardType="number-pad"
+              />
+
+              <Text style={styles.fieldLabel}>Unit Cost, ex-VAT (₱) *</Text>
+              <TextInput
+                style={styles.textInput}
+                value={receiptForm.unit_cost}
+                onChangeText={(value) => setReceiptForm({ ...receiptForm, unit_cost: value.replace(/[^0-9.]/g, '') })}
+                placeholder="0.00"
+                keyboardType="decimal-pad"
+              />
+
+              <Text style={styles.fieldLabel}>Notes</Text>
+              <TextInput
+                style={styles.textInput}
+                value={receiptForm.notes}
+                onChangeText={(value) => setReceiptForm({ ...receiptForm, notes: value })}
+                placeholder="Supplier, delivery receipt no."
+              />
+
+              {previewCost !== null && (
+                <Text style={styles.modalHint}>
+                  New average cost {formatPrice(previewCost)} on {receiving.stock_quantity + receiptQuantity} unit(s)
+                </Text>
+              )}
+            </ScrollView>
+          </View>
+        )}
+      </Modal>
     </View>
   )
 }
@@ -12,13 +321,220 @@ const Inventory = () => {
 const styles = StyleSheet.create({
   container: {
     flex: 1,
-    justifyContent: 'center',
+    backgroundColor: '#f8fafc',
+  },
+  header: {
+    flexDirection: 'row',
     alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 50,
+    paddingBottom: 16,
     backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
   },
-  title: {
+  backButton: {
+    padding: 6,
+    marginRight: 12,
+    borderRadius: 8,
+    backgroundColor: '#f1f5f9',
+  },
+  headerTitle: {
     fontSize: 24,
     fontWeight: 'bold',
+    color: '#1e293b',
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#64748b',
+    marginTop: 4,
+  },
+  headerLink: {
+    padding: 8,
+    borderRadius: 8,
+    backgroundColor: '#eff6ff',
+  },
+  chipRow: {
+    flexGrow: 0,
+    marginTop: 10,
+  },
+  chipRowContent: {
+    paddingHorizontal: 16,
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  chipActive: {
+    backgroundColor: '#3b82f6',
+    borderColor: '#3b82f6',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#374151',
+    fontWeight: '500',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  searchBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    marginHorizontal: 16,
+    marginTop: 12,
+    gap: 8,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 16,
+    color: '#1f2937',
+  },
+  loadingContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  listContent: {
+    padding: 16,
+  },
+  productCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 10,
+    gap: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 2,
+    elevation: 1,
+  },
+  productName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  productMeta: {
+    fontSize: 13,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  noCostText: {
+    color: '#f59e0b',
+  },
+  stockColumn: {
+    alignItems: 'center',
+    minWidth: 48,
+  },
+  stockQuantity: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#10b981',
+  },
+  stockLow: {
+    color: '#ef4444',
+  },
+  stockUnit: {
+    fontSize: 12,
+    color: '#64748b',
+  },
+  receiveButton: {
+    padding: 8,
+    borderRadius: 8,
+    backgroundColor: '#eff6ff',
+  },
+  emptyState: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginTop: 16,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#64748b',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  modalContainer: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  modalCancel: {
+    fontSize: 16,
+    color: '#ef4444',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  modalSave: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#3b82f6',
+  },
+  modalSaveDisabled: {
+    color: '#94a3b8',
+  },
+  modalContent: {
+    padding: 20,
+  },
+  modalProductName: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  modalHint: {
+    fontSize: 14,
+    color: '#64748b',
+    marginTop: 4,
+    marginBottom: 16,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#1e293b',
+    backgroundColor: '#fff',
+    marginBottom: 16,
   },
 })
 
@@ -0,0 +1,743 @@
+// app/navigations/payroll.jsx - Pay period payroll estimate, labor cost vs sales and holiday calendar
+import React, { useState, useEffect, useCallback } from 'react'
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  TextInput,
+  Alert,
+  Modal,
+  Share,
+  ActivityIndicator
+} from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { useRouter } from 'expo-router'
+import { useAuth } from '../../utils/authContext'
+import payrollDatabaseService from '../../services/payrollDatabase'
+import staffDatabaseService from '../../services/staffDatabase'
+import { toCsv } from '../../utils/csvExport'
+import {
+  HOLIDAY_TYPES,
+  PAYROLL_RULES,
+  LABOR_COST_TARGET_PERCENT,
+  getPayPeriods,
+  getHolidayTypeLabel
+} from '../../utils/payrollCalculations'
+
+const PAY_PERIODS = getPayPeriods(6)
+
+const PayrollScreen = () => {
+  const [stores, setStores] = useState([])
+  const [selectedStoreId, setSelectedStoreId] = useState(null)
+  const [periodValue, setPeriodValue] = useState(PAY_PERIODS[0].value)
+  const [estimate, setEstimate] = useState(null)
+  const [laborReport, setLaborReport] = useState([])
+  const [holidays, setHolidays] = useState([])
+  const [holidayForm, setHolidayForm] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [submitting, setSubmitting] = useState(false)
+
+  const { user } = useAuth()
+  const router = useRouter()
+
+  const period = PAY_PERIODS.find(p => p.value === periodValue)
+  // Super admin without a store sees every store when none is picked
+  const storeId = user?.store_id || selectedStoreId
+
+  useEffect(() => {
+    if (!user || user.store_id) return
+
+    const loadStores = async () => {
+      try {
+        const storesData = await staffDatabaseService.getAllStores()
+        setStores(storesData)
+      } catch (error) {
+        console.error('Error loading stores:', error)
+        setStores([])
+      }
+    }
+
+    loadStores()
+  }, [user])
+
+  const loadPayroll = useCallback(async () => {
+    if (!user) return
+
+    try {
+      setLoading(true)
+      const payroll = await payrollDatabaseService.getPayrollEstimate(storeId, period.from, period.to)
+      const [labor, allHolidays] = await Promise.all([
+        payrollDatabaseService.getLaborCostReport(storeId, period.from, period.to, payroll),
+        payrollDatabaseService.getHolidays(`${new Date().getFullYear() - 1}-01-01`)
+      ])
+
+      setEstimate(payroll)
+      setLaborReport(labor)
+      setHolidays(allHolidays)
+    } catch (error) {
+      console.error('Error loading payroll:', error)
+      Alert.alert('Error', 'Failed to load payroll: ' + error.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [user, storeId, periodValue])
+
+  useEffect(() => {
+    loadPayroll()
+  }, [loadPayroll])
+
+  const exportPayroll = async () => {
+    const csv = toCsv([
+      { key: 'staff_code', label: 'Staff ID' },
+      { key: 'staff_name', label: 'Name' },
+      { key: 'store_id', label: 'Store' },
+      { key: 'hourly_rate', label: 'Hourly Rate' },
+      { key: 'days_worked', label: 'Days Worked' },
+      { key: 'regular_hours', label: 'Regular Hours' },
+      { key: 'overtime_hours', label: 'Overtime Hours' },
+      { key: 'night_hours', label: 'Night Diff Hours' },
+      { key: 'holiday_hours', label: 'Holiday Hours' },
+      { key: 'regular_pay', label: 'Regular Pay' },
+      { key: 'overtime_pay', label: 'Overtime Pay' },
+      { key: 'night_pay', label: 'Night Diff Pay' },
+      { key: 'holiday_premium', label: 'Holiday Premium' },
+      { key: 'gross_pay', label: 'Gross Pay' },
+      { key: 'missing_clock_outs', label: 'Missing Clock-Outs' }
+    ], estimate?.rows || [])
+
+    await shareCsv(`Payroll ${period.label}`, csv)
+  }
+
+  const exportLaborCost = async () => {
+    const csv = toCsv([
+      { key: 'date', label: 'Date' },
+      { key: 'store_id', label: 'Store' },
+      { key: 'labor_hours', label: 'Labor Hours' },
+      { key: 'labor_cost', label: 'Labor Cost' },
+      { key: 'sales', label: 'Sales' },
+      { label: 'Labor Cost %', value: row => row.labor_cost_percent ?? '' }
+    ], laborReport)
+
+    await shareCsv(`Labor Cost ${period.label}`, csv)
+  }
+
+  const shareCsv = async (title, csv) => {
+    try {
+      await Share.share({ title, message: csv })
+    } catch (error) {
+      console.error('Error sharing CSV:', error)
+      Alert.alert('Error', 'Failed to export: ' + error.message)
+    }
+  }
+
+  const openHolidayForm = () => {
+    setHolidayForm({ holiday_date: '', name: '', holiday_type: 'regular', multiplier: String(HOLIDAY_TYPES[0].multiplier) })
+  }
+
+  const handleSaveHoliday = async () => {
+    try {
+      setSubmitting(true)
+      await payrollDatabaseService.saveHoliday(holidayForm, user)
+      setHolidayForm(null)
+      await loadPayroll()
+    } catch (error) {
+      console.error('Error saving holiday:', error)
+      Alert.alert('Error', error.message || 'Failed to save holiday')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleDeleteHoliday = (holiday) => {
+    Alert.alert(
+      'Remove Holiday',
+      `Remove ${holiday.name} (${holiday.holiday_date}) from the holiday calendar?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await payrollDatabaseService.deleteHoliday(holiday.id)
+              await loadPayroll()
+            } catch (error) {
+              console.error('Error deleting holiday:', error)
+              Alert.alert('Error', error.message || 'Failed to remove holiday')
+            }
+          }
+        }
+      ]
+    )
+  }
+
+  const formatPrice = (price) => {
+    return `₱${parseFloat(price || 0).toFixed(2)}`
+  }
+
+  const formatHours = (hours) => {
+    return `${(hours || 0).toFixed(2)}h`
+  }
+
+  if (user?.role !== 'super_admin' && user?.role !== 'manager') {
+    return (
+      <View style={styles.container}>
+        <View style={styles.accessDenied}>
+          <Ionicons name="lock-closed" size={64} color="#ef4444" />
+          <Text style={styles.accessTitle}>Access Restricted</Text>
+          <Text style={styles.accessText}>
+            You don't have permission to view payroll.
+          </Text>
+        </View>
+      </View>
+    )
+  }
+
+  const totals = estimate?.totals
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={22} color="#1e293b" />
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.headerTitle}>Payroll</Text>
+          <Text style={styles.headerSubtitle}>Estimate for {period.label}</Text>
+        </View>
+      </View>
+
+      {/* Pay period selector */}
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.chipRow}
+        contentContainerStyle={styles.chipRowContent}
+      >
+        {PAY_PERIODS.map(p => (
+          <TouchableOpacity
+            key={p.value}
+            style={[styles.chip, periodValue === p.value && styles.chipActive]}
+            onPress={() => setPeriodValue(p.value)}
+          >
+            <Text style={[styles.chipText, periodValue === p.value && styles.chipTextActive]}>
+              {p.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      {/* Store selector for users without an assigned store */}
+      {!user?.store_id && stores.length > 1 && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.chipRow}
+          contentContainerStyle={styles.chipRowContent}
+        >
+          <TouchableOpacity
+            style={[styles.chip, !selectedStoreId && styles.chipActive]}
+            onPress={() => setSelectedStoreId(null)}
+          >
+            <Text style={[styles.chipText, !selectedStoreId && styles.chipTextActive]}>All Stores</Text>
+          </TouchableOpacity>
+          {stores.map(store => (
+            <TouchableOpacity
+              key={store.id}
+              style={[styles.chip, selectedStoreId === store.id && styles.chipActive]}
+              onPress={() => setSelectedStoreId(store.id)}
+            >
+              <Text style={[styles.chipText, selectedStoreId === store.id && styles.chipTextActive]}>
+                {store.name}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#3b82f6" />
+        </View>
+      ) : (
+        <ScrollView style={styles.content}>
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Summary</Text>
+            <Text style={styles.sectionSubtitle}>
+              Overtime after {PAYROLL_RULES.regular_hours_per_day}h/day at {PAYROLL_RULES.overtime_multiplier}×,
+              night differential +{Math.round(PAYROLL_RULES.night_differential_rate * 100)}% from {PAYROLL_RULES.night_start_hour}:00 to {PAYROLL_RULES.night_end_hour}:00
+            </Text>
+            <View style={styles.totalRow}>
+              <Text style={styles.totalLabel}>Staff Paid</Text>
+              <Text style={styles.totalValue}>{totals?.staff_count || 0}</Text>
+            </View>
+            <View style={styles.totalRow}>
+              <Text style={styles.totalLabel}>Regular Hours</Text>
+              <Text style={styles.totalValue}>{formatHours(totals?.regular_hours)}</Text>
+            </View>
+            <View style={styles.totalRow}>
+              <Text style={styles.totalLabel}>Overtime Hours</Text>
+              <Text style={styles.totalValue}>{formatHours(totals?.overtime_hours)}</Text>
+            </View>
+            <View style={styles.totalRow}>
+              <Text style={styles.totalLabel}>Night Differential Hours</Text>
+              <Text style={styles.totalValue}>{formatHours(totals?.night_hours)}</Text>
+            </View>
+            <View style={styles.totalRow}>
+              <Text style={styles.totalLabel}>Holiday Hours</Text>
+              <Text style={styles.totalValue}>{formatHours(totals?.holiday_hours)}</Text>
+            </View>
+            <View style={[styles.totalRow, styles.grandTotalRow]}>
+              <Text style={styles.grandTotalLabel}>Estimated Gross Pay</Text>
+              <Text style={styles.grandTotalValue}>{formatPrice(totals?.gross_pay)}</Text>
+            </View>
+            {totals?.missing_clock_outs > 0 && (
+              <View style={styles.warningBox}>
+                <Ionicons name="warning-outline" size={16} color="#d97706" />
+                <Text style={styles.warningText}>
+                  {totals.missing_clock_outs} shift(s) missing a clock-out are not counted. Fix them in User Management → Timesheet.
+                </Text>
+              </View>
+            )}
+          </View>
+
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>By Staff</Text>
+            {(estimate?.rows || []).length === 0 ? (
+              <Text style={styles.emptyText}>No completed shifts in this period</Text>
+            ) : (
+              estimate.rows.map(row => (
+                <View key={row.staff_id} style={styles.listRow}>
+                  <View style={{ flex: 1 }}>
+                    <Text style={styles.rowTitle}>{row.staff_name}</Text>
+                    <Text style={styles.rowMeta}>
+                      {row.staff_code} • {formatPrice(row.hourly_rate)}/hr • {row.days_worked} day(s)
+                    </Text>
+                    <Text style={styles.rowMeta}>
+                      Reg {formatHours(row.regular_hours)} • OT {formatHours(row.overtime_hours)} • ND {formatHours(row.night_hours)} • Hol {formatHours(row.holiday_hours)}
+                    </Text>
+                  </View>
+                  <Text style={styles.rowAmount}>{formatPrice(row.gross_pay)}</Text>
+                </View>
+              ))
+            )}
+          </View>
+
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Labor Cost vs Sales</Text>
+            {laborReport.length === 0 ? (
+              <Text style={styles.emptyText}>No labor or sales in this period</Text>
+            ) : (
+              laborReport.map(day => (
+                <View key={`${day.store_id}-${day.date}`} style={styles.listRow}>
+                  <View style={{ flex: 1 }}>
+                    <Text style={styles.rowTitle}>{day.date}</Text>
+                    <Text style={styles.rowMeta}>
+                      {!storeId ? `Store ${day.store_id} • ` : ''}{formatHours(day.labor_hours)} • {formatPrice(day.labor_cost)} of {formatPrice(day.sales)}
+                    </Text>
+                  </View>
+                  <Text style={[
+                    styles.rowAmount,
+                    day.labor_cost_percent !== null && day.labor_cost_percent > LABOR_COST_TARGET_PERCENT && styles.rowAmountHigh
+                  ]}>
+                    {day.labor_cost_percent === null ? '—' : `${day.labor_cost_percent.toFixed(1)}%`}
+                  </Text>
+                </View>
+              ))
+            )}
+          </View>
+
+          <View style={styles.section}>
+            <View style={styles.sectionHeaderRow}>
+              <Text style={styles.sectionTitle}>Holiday Calendar</Text>
+              <TouchableOpacity onPress={openHolidayForm}>
+                <Ionicons name="add-circle" size={26} color="#3b82f6" />
+              </TouchableOpacity>
+            </View>
+            {holidays.length === 0 ? (
+              <Text style={styles.emptyText}>No holidays set</Text>
+            ) : (
+              holidays.map(holiday => (
+                <View key={holiday.id} style={styles.listRow}>
+                  <View style={{ flex: 1 }}>
+                    <Text style={styles.rowTitle}>{holiday.name}</Text>
+                    <Text style={styles.rowMeta}>
+                      {holiday.holiday_date} • {getHolidayTypeLabel(holiday.holiday_type)} • {holiday.multiplier}×
+                    </Text>
+                  </View>
+                  <TouchableOpacity onPress={() => handleDeleteHoliday(holiday)}>
+                    <Ionicons name="trash-outline" size={18} color="#ef4444" />
+                  </TouchableOpacity>
+                </View>
+              ))
+            )}
+          </View>
+
+          <View style={styles.actionRow}>
+            <TouchableOpacity style={styles.secondaryButton} onPress={exportLaborCost}>
+              <Ionicons name="share-outline" size={20} color="#3b82f6" />
+              <Text style={styles.secondaryButtonText}>Labor CSV</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.primaryButton} onPress={exportPayroll}>
+              <Ionicons name="download-outline" size={20} color="#fff" />
+              <Text style={styles.primaryButtonText}>Payroll CSV</Text>
+            </TouchableOpacity>
+          </View>
+        </ScrollView>
+      )}
+
+      {/* Add holiday */}
+      <Modal
+        visible={!!holidayForm}
+        animationType="slide"
+        presentationStyle="formSheet"
+        onRequestClose={() => setHolidayForm(null)}
+      >
+        {holidayForm && (
+          <View style={styles.modalContainer}>
+            <View style={styles.modalHeader}>
+              <TouchableOpacity onPress={() => setHolidayForm(null)}>
+                <Text style={styles.modalCancel}>Cancel</Text>
+              </TouchableOpacity>
+              <Text style={styles.modalTitle}>Add Holiday</Text>
+              <TouchableOpacity onPress={handleSaveHoliday} disabled={submitting}>
+                <Text style={styles.modalSave}>Save</Text>
+              </TouchableOpacity>
+            </View>
+            <ScrollView contentContainerStyle={styles.modalContent}>
+              <Text style={styles.fieldLabel}>Date (YYYY-MM-DD) *</Text>
+              <TextInput
+                style={styles.textInput}
+                value={holidayForm.holiday_date}
+                onChangeText={(text) => setHolidayForm({ ...holidayForm, holiday_date: text })}
+                autoCorrect={false}
+                placeholder="2024-12-25"
+                autoFocus
+              />
+              <Text style={styles.fieldLabel}>Name *</Text>
+              <TextInput
+                style={styles.textInput}
+                value={holidayForm.name}
+                onChangeText={(text) => setHolidayForm({ ...holidayForm, name: text })}
+                placeholder="e.g. Christmas Day"
+              />
+              <Text style={styles.fieldLabel}>Type</Text>
+              <View style={styles.typeRow}>
+                {HOLIDAY_TYPES.map(type => (
+                  <TouchableOpacity
+                    key={type.value}
+                    style={[styles.chip, holidayForm.holiday_type === type.value && styles.chipActive]}
+                    onPress={() => setHolidayForm({
+                      ...holidayForm,
+                      holiday_type: type.value,
+                      multiplier: String(type.multiplier)
+                    })}
+                  >
+                    <Text style={[styles.chipText, holidayForm.holiday_type === type.value && styles.chipTextActive]}>
+                      {type.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+              <Text style={styles.fieldLabel}>Pay Multiplier</Text>
+              <TextInput
+                style={styles.textInput}
+                value={holidayForm.multiplier}
+                onChangeText={(text) => setHolidayForm({ ...holidayForm, multiplier: text })}
+                keyboardType="decimal-pad"
+                placeholder="2.00"
+              />
+            </ScrollView>
+          </View>
+        )}
+      </Modal>
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 50,
+    paddingBottom: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  backButton: {
+    padding: 6,
+    marginRight: 12,
+    borderRadius: 8,
+    backgroundColor: '#f1f5f9',
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#1e293b',
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#64748b',
+    marginTop: 4,
+  },
+  chipRow: {
+    flexGrow: 0,
+    marginTop: 10,
+  },
+  chipRowContent: {
+    paddingHorizontal: 16,
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  chipActive: {
+    backgroundColor: '#3b82f6',
+    borderColor: '#3b82f6',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#374151',
+    fontWeight: '500',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  loadingContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  content: {
+    flex: 1,
+  },
+  section: {
+    backgroundColor: '#fff',
+    marginHorizontal: 16,
+    marginTop: 16,
+    borderRadius: 12,
+    padding: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 3,
+    elevation: 2,
+  },
+  sectionHeaderRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginBottom: 12,
+  },
+  sectionSubtitle: {
+    fontSize: 13,
+    color: '#64748b',
+    marginTop: -8,
+    marginBottom: 12,
+  },
+  totalRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+  },
+  totalLabel: {
+    fontSize: 14,
+    color: '#64748b',
+  },
+  totalValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  grandTotalRow: {
+    borderTopWidth: 1,
+    borderTopColor: '#e2e8f0',
+    marginTop: 6,
+    paddingTop: 12,
+  },
+  grandTotalLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  grandTotalValue: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#10b981',
+  },
+  warningBox: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    gap: 8,
+    marginTop: 12,
+    padding: 10,
+    borderRadius: 8,
+    backgroundColor: '#fffbeb',
+  },
+  warningText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#92400e',
+  },
+  listRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#f1f5f9',
+  },
+  rowTitle: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#1e293b',
+  },
+  rowMeta: {
+    fontSize: 12,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  rowAmount: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginLeft: 12,
+  },
+  rowAmountHigh: {
+    color: '#ef4444',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#94a3b8',
+    textAlign: 'center',
+    paddingVertical: 12,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    gap: 12,
+    margin: 16,
+  },
+  primaryButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    backgroundColor: '#3b82f6',
+    borderRadius: 8,
+    paddingVertical: 14,
+  },
+  primaryButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  secondaryButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#3b82f6',
+    paddingVertical: 14,
+  },
+  secondaryButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#3b82f6',
+  },
+  modalContainer: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  modalCancel: {
+    fontSize: 16,
+    color: '#ef4444',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  modalSave: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#3b82f6',
+  },
+  modalContent: {
+    padding: 20,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#1e293b',
+    backgroundColor: '#fff',
+    marginBottom: 16,
+  },
+  typeRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16,
+  },
+  accessDenied: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 40,
+  },
+  accessTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginTop: 16,
+  },
+  accessText: {
+    fontSize: 14,
+    color: '#64748b',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+})
+
+export default PayrollScreen
@@ -17,6 +17,7 @@ import { Ionicons } from '@expo/vector-icons'
 import { useAuth } from '../../utils/authContext'
 import productService from '../../services/productService'
 import storeService from '../../services/storeService'
+import { TAX_CLASSES, DEFAULT_TAX_CLASS } from '../../utils/salesCalculations'
 import { useRouter, useLocalSearchParams } from 'expo-router'
 
 // Enhanced Custom Picker Component
@@ -143,6 +144,7 @@ const ProductsScreen = () => {
     min_stock_level: '5',
     max_stock_level: '100',
     unit: 'pcs',
+    tax_class: '',
     available_in_stores: [],
     store_specific_prices: {},
     store_specific_stock: {}
@@ -152,7 +154,9 @@ const ProductsScreen = () => {
     name: '',
     description: '',
     color: '#3b82f6',
-    icon: 'cube-outline'
+    icon: 'cube-outline',
+    tax_class: DEFAULT_TAX_CLASS,
+    sc_pwd_eligible: true
   })
 
   const { user } = useAuth()
@@ -403,6 +407,7 @@ const ProductsScreen = () => {
         stock_quantity: parseInt(newProduct.stock_quantity),
         min_stock_level: parseInt(newProduct.min_stock_level),
         max_stock_level: parseInt(newProduct.max_stock_level),
+        tax_class: newProduct.tax_class || null,
       }
 
       // ENHANCED: Handle multi-store creation for managers and super admins
@@ -514,6 +519,7 @@ const ProductsScreen = () => {
       min_stock_level: '5',
       max_stock_level: '100',
       unit: 'pcs',
+      tax_class: '',
       available_in_stores: [],
       store_specific_prices: {},
       store_specific_stock: {}
@@ -525,7 +531,9 @@ const ProductsScreen = () => {
       name: '',
       description: '',
       color: '#3b82f6',
-      icon: 'cube-outline'
+      icon: 'cube-outline',
+      tax_class: DEFAULT_TAX_CLASS,
+      sc_pwd_eligible: true
     })
   }
 
@@ -1044,6 +1052,19 @@ const ProductsScreen = () => {
                   placeholder="Select category"
                 />
               </View>
+
+              <View style={styles.formField}>
+                <Text style={styles.fieldLabel}>Tax Class</Text>
+                <CustomPicker
+                  selectedValue={newProduct.tax_class}
+                  onValueChange={(value) => setNewProduct({...newProduct, tax_class: value})}
+                  items={[
+                    { label: 'Same as category', value: '' },
+                    ...TAX_CLASSES.map(taxClass => ({ label: taxClass.label, value: taxClass.value }))
+                  ]}
+                  placeholder="Same as category"
+                />
+              </View>
             </View>
 
             {/* ENHANCED: Store Selection with Company Context */}
@@ -1279,6 +1300,29 @@ const ProductsScreen = () => {
                   />
                 </View>
               </View>
+
+              <View style={styles.formField}>
+                <Text style={styles.fieldLabel}>Tax Class</Text>
+                <CustomPicker
+                  selectedValue={newCategory.tax_class}
+                  onValueChange={(value) => setNewCategory({...newCategory, tax_class: value})}
+                  items={TAX_CLASSES.map(taxClass => ({ label: taxClass.label, value: taxClass.value }))}
+                  placeholder="Select tax class"
+                />
+              </View>
+
+              <View style={styles.formField}>
+                <Text style={styles.fieldLabel}>Senior Citizen / PWD Discount</Text>
+                <CustomPicker
+                  selectedValue={newCategory.sc_pwd_eligible}
+                  onValueChange={(value) => setNewCategory({...newCategory, sc_pwd_eligible: value})}
+                  items={[
+                    { label: 'Eligible for 20% discount', value: true },
+                    { label: 'Excluded from discount', value: false }
+                  ]}
+                  placeholder="Select eligibility"
+                />
+              </View>
             </View>
           </ScrollView>
         </View>
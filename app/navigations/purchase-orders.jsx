@@ -0,0 +1,1192 @@
+// app/navigations/purchase-orders.jsx - Purchase orders: drafting, sending and receiving against back-orders
+import React, { useState, useEffect, useCallback } from 'react'
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  TextInput,
+  FlatList,
+  Modal,
+  Switch,
+  RefreshControl,
+  Alert,
+  ActivityIndicator
+} from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { useRouter, useLocalSearchParams } from 'expo-router'
+import { useAuth } from '../../utils/authContext'
+import purchaseOrderDatabaseService from '../../services/purchaseOrderDatabase'
+import productDatabaseService from '../../services/productDatabase'
+import staffDatabaseService from '../../services/staffDatabase'
+import {
+  PO_STATUSES,
+  OPEN_PO_STATUSES,
+  getPoStatus,
+  calculateOutstandingQuantity,
+  calculatePoTotals
+} from '../../utils/purchaseOrderCalculations'
+
+const STATUS_FILTERS = [
+  { value: 'open', label: 'Open' },
+  { value: 'all', label: 'All' },
+  ...PO_STATUSES
+]
+
+const EMPTY_ORDER = { supplier_id: null, expected_date: '', notes: '', lines: [] }
+
+const PurchaseOrders = () => {
+  const { supplierId } = useLocalSearchParams()
+
+  const [stores, setStores] = useState([])
+  const [selectedStoreId, setSelectedStoreId] = useState(null)
+  const [suppliers, setSuppliers] = useState([])
+  const [orders, setOrders] = useState([])
+  const [statusFilter, setStatusFilter] = useState('open')
+  const [supplierFilter, setSupplierFilter] = useState(supplierId || null)
+  const [loading, setLoading] = useState(true)
+  const [refreshing, setRefreshing] = useState(false)
+  const [saving, setSaving] = useState(false)
+
+  // Create / edit draft
+  const [orderForm, setOrderForm] = useState(null)
+  const [productSearch, setProductSearch] = useState('')
+  const [productResults, setProductResults] = useState([])
+
+  // Detail and receiving
+  const [selectedOrder, setSelectedOrder] = useState(null)
+  const [cancelReason, setCancelReason] = useState('')
+  const [receiptForm, setReceiptForm] = useState(null)
+
+  const { user } = useAuth()
+  const router = useRouter()
+
+  const canManageOrders = user?.role === 'super_admin' || user?.role === 'manager'
+
+  // Orders are raised per store, so users without one must pick
+  const storeId = user?.store_id || selectedStoreId
+
+  useEffect(() => {
+    if (!user || user.store_id) return
+
+    const loadStores = async () => {
+      try {
+        const storesData = await staffDatabaseService.getAllStores()
+        setStores(storesData)
+        setSelectedStoreId(current => current || storesData[0]?.id || null)
+      } catch (error) {
+        console.error('Error loading stores:', error)
+        setStores([])
+      }
+    }
+
+    loadStores()
+  }, [user])
+
+  useEffect(() => {
+    const loadSuppliers = async () => {
+      try {
+        const suppliersData = await purchaseOrderDatabaseService.getSuppliers()
+        setSuppliers(suppliersData)
+      } catch (error) {
+        console.error('Error loading suppliers:', error)
+        setSuppliers([])
+      }
+    }
+
+    loadSuppliers()
+  }, [])
+
+  const loadOrders = useCallback(async () => {
+    if (!storeId) {
+      setOrders([])
+      setLoading(false)
+      return
+    }
+
+    try {
+      const ordersData = await purchaseOrderDatabaseService.getPurchaseOrders(storeId, {
+        status: statusFilter === 'open' ? OPEN_PO_STATUSES : statusFilter === 'all' ? undefined : statusFilter,
+        supplierId: supplierFilter || undefined
+      })
+      setOrders(ordersData)
+    } catch (error) {
+      console.error('Error loading purchase orders:', error)
+      Alert.alert('Error', 'Failed to load purchase orders: ' + error.message)
+      setOrders([])
+    } finally {
+      setLoading(false)
+    }
+  }, [storeId, statusFilter, supplierFilter])
+
+  useEffect(() => {
+    loadOrders()
+  }, [loadOrders])
+
+  useEffect(() => {
+    if (!storeId || !productSearch.trim()) {
+      setProductResults([])
+      return
+    }
+
+    const searchProducts = async () => {
+      try {
+        const productsData = await productDatabaseService.getProductsByStore(storeId, {
+          search: productSearch.trim()
+        })
+        setProductResults(productsData.slice(0, 8))
+      } catch (error) {
+        console.error('Error searching products:', error)
+        setProductResults([])
+      }
+    }
+
+    searchProducts()
+  }, [storeId, productSearch])
+
+  const handleRefresh = async () => {
+    setRefreshing(true)
+    await loadOrders()
+    setRefreshing(false)
+  }
+
+  const formatPrice = (price) => {
+    return `₱${parseFloat(price || 0).toFixed(2)}`
+  }
+
+  const formatDate = (dateString) => {
+    return dateString ? new Date(dateString).toLocaleDateString() : '-'
+  }
+
+  const refreshSelectedOrder = async (orderId) => {
+    const order = await purchaseOrderDatabaseService.getPurchaseOrderById(orderId)
+    setSelectedOrder(order)
+    await loadOrders()
+  }
+
+  const openOrder = async (orderId) => {
+    try {
+      const order = await purchaseOrderDatabaseService.getPurchaseOrderById(orderId)
+      setCancelReason('')
+      setSelectedOrder(order)
+    } catch (error) {
+      console.error('Error loading purchase order:', error)
+      Alert.alert('Error', 'Failed to load purchase order')
+    }
+  }
+
+  // ----- Drafts -----
+
+  const openNewOrder = () => {
+    if (!storeId) {
+      Alert.alert('Select a Store', 'Pick the store this order is for first')
+      return
+    }
+    setProductSearch('')
+    setOrderForm({ ...EMPTY_ORDER, supplier_id: supplierFilter || null })
+  }
+
+  const openEditOrder = () => {
+    setProductSearch('')
+    setOrderForm({
+      id: selectedOrder.id,
+      supplier_id: selectedOrder.supplier_id,
+      expected_date: selectedOrder.expected_date || '',
+      notes: selectedOrder.notes || '',
+      lines: selectedOrder.lines.map(line => ({
+        product_id: line.product_id,
+        product_name: line.product_name,
+        sku: line.sku,
+        quantity: String(line.quantity_ordered),
+        unit_cost: String(line.expected_unit_cost)
+      }))
+    })
+    setSelectedOrder(null)
+  }
+
+  const addProductLine = (product) => {
+    if (orderForm.lines.some(line => line.product_id === product.id)) {
+      Alert.alert('Already Added', `${product.name} is already on this order`)
+      return
+    }
+
+    setOrderForm({
+      ...orderForm,
+      lines: [...orderForm.lines, {
+        product_id: product.id,
+        product_name: product.name,
+        sku: product.sku,
+        quantity: '',
+        unit_cost: product.average_cost !== null && product.average_cost !== undefined ? String(product.average_cost) : ''
+      }]
+    })
+    setProductSearch('')
+  }
+
+  const updateOrderLine = (productId, changes) => {
+    setOrderForm({
+      ...orderForm,
+      lines: orderForm.lines.map(line => line.product_id === productId ? { ...line, ...changes } : line)
+    })
+  }
+
+  const removeOrderLine = (productId) => {
+    setOrderForm({ ...orderForm, lines: orderForm.lines.filter(line => line.product_id !== productId) })
+  }
+
+  const handleSaveOrder = async () => {
+    if (!orderForm.supplier_id) {
+      Alert.alert('Choose a Supplier', 'Pick who this order is going to')
+      return
+    }
+
+    if (orderForm.expected_date && !/^\d{4}-\d{2}-\d{2}$/.test(orderForm.expected_date.trim())) {
+      Alert.alert('Invalid Date', 'Enter the expected date as YYYY-MM-DD')
+      return
+    }
+
+    const orderData = {
+      supplier_id: orderForm.supplier_id,
+      store_id: storeId,
+      expected_date: orderForm.expected_date.trim() || null,
+      notes: orderForm.notes,
+      lines: orderForm.lines.map(line => ({
+        product_id: line.product_id,
+        quantity: line.quantity,
+        unit_cost: line.unit_cost
+      }))
+    }
+
+    try {
+      setSaving(true)
+      const order = orderForm.id
+        ? await purchaseOrderDatabaseService.updatePurchaseOrder(orderForm.id, orderData)
+        : await purchaseOrderDatabaseService.createPurchaseOrder(orderData, user)
+      setOrderForm(null)
+      await loadOrders()
+      await openOrder(order.id)
+    } catch (error) {
+      console.error('Error saving purchase order:', error)
+      Alert.alert('Error', error.message || 'Failed to save purchase order')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  // ----- Status changes -----
+
+  const handleSend = async () => {
+    try {
+      setSaving(true)
+      await purchaseOrderDatabaseService.markPurchaseOrderSent(selectedOrder.id)
+      await refreshSelectedOrder(selectedOrder.id)
+    } catch (error) {
+      console.error('Error sending purchase order:', error)
+      Alert.alert('Error', error.message || 'Failed to mark order as sent')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleCancel = () => {
+    if (!cancelReason.trim()) {
+      Alert.alert('Reason Required', 'Enter why this order is being cancelled')
+      return
+    }
+
+    Alert.alert(
+      'Cancel Order',
+      `Cancel ${selectedOrder.po_number}? This cannot be undone.`,
+      [
+        { text: 'Keep Order', style: 'cancel' },
+        {
+          text: 'Cancel Order',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setSaving(true)
+              await purchaseOrderDatabaseService.cancelPurchaseOrder(selectedOrder.id, cancelReason, user)
+              await refreshSelectedOrder(selectedOrder.id)
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Failed to cancel order')
+            } finally {
+              setSaving(false)
+            }
+          }
+        }
+      ]
+    )
+  }
+
+  // ----- Receiving -----
+
+  const openReceive = () => {
+    setReceiptForm({
+      notes: '',
+      close_short: false,
+      lines: selectedOrder.lines
+        .filter(line => calculateOutstandingQuantity(line) > 0)
+        .map(line => ({
+          line_id: line.id,
+          product_name: line.product_name,
+          outstanding: calculateOutstandingQuantity(line),
+          quantity: String(calculateOutstandingQuantity(line)),
+          unit_cost: String(line.last_unit_cost ?? line.expected_unit_cost)
+        }))
+    })
+  }
+
+  const updateReceiptLine = (lineId, changes) => {
+    setReceiptForm({
+      ...receiptForm,
+      lines: receiptForm.lines.map(line => line.line_id === lineId ? { ...line, ...changes } : line)
+    })
+  }
+
+  const handleReceive = async () => {
+    try {
+      setSaving(true)
+      await purchaseOrderDatabaseService.receivePurchaseOrder(selectedOrder.id, {
+        notes: receiptForm.notes,
+        close_short: receiptForm.close_short,
+        lines: receiptForm.lines.map(line => ({
+          line_id: line.line_id,
+          quantity: line.quantity,
+          unit_cost: line.unit_cost
+        }))
+      }, user)
+      setReceiptForm(null)
+      await refreshSelectedOrder(selectedOrder.id)
+    } catch (error) {
+      console.error('Error receiving purchase order:', error)
+      Alert.alert('Error', error.message || 'Failed to receive order')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleCloseShort = () => {
+    Alert.alert(
+      'Close Back-Order',
+      `Stop waiting for the ${selectedOrder.totals.outstanding_quantity} unit(s) still outstanding on ${selectedOrder.po_number}?`,
+      [
+        { text: 'Keep Waiting', style: 'cancel' },
+        {
+          text: 'Close Short',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setSaving(true)
+              await purchaseOrderDatabaseService.receivePurchaseOrder(selectedOrder.id, { close_short: true, lines: [] }, user)
+              await refreshSelectedOrder(selectedOrder.id)
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Failed to close order')
+            } finally {
+              setSaving(false)
+            }
+          }
+        }
+      ]
+    )
+  }
+
+  const renderStatusBadge = (status) => {
+    const option = getPoStatus(status)
+    return (
+      <View style={[styles.statusBadge, { backgroundColor: option.color + '20' }]}>
+        <Text style={[styles.statusText, { color: option.color }]}>{option.label}</Text>
+      </View>
+    )
+  }
+
+  const renderOrder = ({ item }) => (
+    <TouchableOpacity style={styles.orderCard} onPress={() => openOrder(item.id)} activeOpacity={0.7}>
+      <View style={styles.orderHeader}>
+        <Text style={styles.orderNumber}>{item.po_number}</Text>
+        {renderStatusBadge(item.status)}
+      </View>
+      <Text style={styles.orderSupplier}>{item.supplier_name || 'Unknown supplier'}</Text>
+      <Text style={styles.orderMeta}>
+        {item.line_count} line(s) • {item.received_quantity}/{item.ordered_quantity} received • {formatPrice(item.expected_total)}
+      </Text>
+      {item.outstanding_quantity > 0 && OPEN_PO_STATUSES.includes(item.status) && (
+        <Text style={styles.backOrderText}>
+          {item.outstanding_quantity} unit(s) outstanding{item.expected_date ? ` • due ${item.expected_date}` : ''}
+        </Text>
+      )}
+    </TouchableOpacity>
+  )
+
+  const draftTotals = orderForm
+    ? calculatePoTotals(orderForm.lines.map(line => ({
+        quantity_ordered: Number(line.quantity) || 0,
+        expected_unit_cost: Number(line.unit_cost) || 0
+      })))
+    : null
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={22} color="#1e293b" />
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.headerTitle}>Purchase Orders</Text>
+          <Text style={styles.headerSubtitle}>
+            {orders.length} order(s)
+            {supplierFilter ? ` • ${suppliers.find(s => s.id === supplierFilter)?.name || 'Supplier'}` : ''}
+          </Text>
+        </View>
+        {canManageOrders && (
+          <TouchableOpacity style={styles.addButton} onPress={openNewOrder}>
+            <Ionicons name="add" size={22} color="#fff" />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {/* Store selector for users without an assigned store */}
+      {!user?.store_id && stores.length > 1 && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.chipRow}
+          contentContainerStyle={styles.chipRowContent}
+        >
+          {stores.map(store => (
+            <TouchableOpacity
+              key={store.id}
+              style={[styles.chip, selectedStoreId === store.id && styles.chipActive]}
+              onPress={() => setSelectedStoreId(store.id)}
+            >
+              <Text style={[styles.chipText, selectedStoreId === store.id && styles.chipTextActive]}>
+                {store.name}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+
+      {/* Status filter */}
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.chipRow}
+        contentContainerStyle={styles.chipRowContent}
+      >
+        {supplierFilter && (
+          <TouchableOpacity style={[styles.chip, styles.chipActive]} onPress={() => setSupplierFilter(null)}>
+            <Text style={[styles.chipText, styles.chipTextActive]}>
+              {suppliers.find(s => s.id === supplierFilter)?.name || 'Supplier'} ✕
+            </Text>
+          </TouchableOpacity>
+        )}
+        {STATUS_FILTERS.map(option => (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.chip, statusFilter === option.value && styles.chipActive]}
+            onPress={() => setStatusFilter(option.value)}
+          >
+            <Text style={[styles.chipText, statusFilter === option.value && styles.chipTextActive]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#3b82f6" />
+        </View>
+      ) : orders.length === 0 ? (
+        <View style={styles.emptyState}>
+          <Ionicons name="document-text-outline" size={64} color="#9ca3af" />
+          <Text style={styles.emptyTitle}>No Purchase Orders</Text>
+          <Text style={styles.emptyText}>
+            {!storeId ? 'Select a store to see its orders.' : 'No orders match this filter.'}
+          </Text>
+        </View>
+      ) : (
+        <FlatList
+          data={orders}
+          renderItem={renderOrder}
+          keyExtractor={(item) => item.id}
+          refreshControl={
+            <RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />
+          }
+          contentContainerStyle={styles.listContent}
+          showsVerticalScrollIndicator={false}
+        />
+      )}
+
+      {/* Create / edit draft */}
+      <Modal
+        visible={!!orderForm}
+        animationType="slide"
+        presentationStyle="formSheet"
+        onRequestClose={() => setOrderForm(null)}
+      >
+        {orderForm && (
+          <View style={styles.modalContainer}>
+            <View style={styles.modalHeader}>
+              <TouchableOpacity onPress={() => setOrderForm(null)}>
+                <Text style={styles.modalCancel}>Cancel</Text>
+              </TouchableOpacity>
+              <Text style={styles.modalTitle}>{orderForm.id ? 'Edit Draft' : 'New Purchase Order'}</Text>
+              <TouchableOpacity onPress={handleSaveOrder} disabled={saving}>
+                <Text style={[styles.modalSave, saving && styles.modalSaveDisabled]}>Save</Text>
+              </TouchableOpacity>
+            </View>
+
+            <ScrollView contentContainerStyle={styles.modalContent} keyboardShouldPersistTaps="handled">
+              <Text style={styles.fieldLabel}>Supplier *</Text>
+              {suppliers.length === 0 ? (
+                <Text style={styles.modalHint}>Add a supplier first from the Suppliers screen.</Text>
+              ) : (
+                <View style={styles.optionWrap}>
+                  {suppliers.map(supplier => (
+                    <TouchableOpacity
+                      key={supplier.id}
+                      style={[styles.chip, orderForm.supplier_id === supplier.id && styles.chipActive]}
+                      onPress={() => setOrderForm({ ...orderForm, supplier_id: supplier.id })}
+                    >
+                      <Text style={[styles.chipText, orderForm.supplier_id === supplier.id && styles.chipTextActive]}>
+                        {supplier.name}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              )}
+
+              <Text style={styles.fieldLabel}>Expected Delivery</Text>
+              <TextInput
+                style={styles.textInput}
+                value={orderForm.expected_date}
+                onChangeText={(value) => setOrderForm({ ...orderForm, expected_date: value })}
+                placeholder="YYYY-MM-DD"
+                keyboardType="numbers-and-punctuation"
+              />
+
+              <Text style={styles.fieldLabel}>Products *</Text>
+              <View style={styles.searchBoxInline}>
+                <Ionicons name="search" size={18} color="#6b7280" />
+                <TextInput
+                  style={styles.searchInput}
+                  placeholder="Add product by name, SKU or barcode..."
+                  value={productSearch}
+                  onChangeText={setProductSearch}
+                  autoCorrect={false}
+                />
+              </View>
+              {productResults.map(product => (
+                <TouchableOpacity key={product.id} style={styles.productResult} onPress={() => addProductLine(product)}>
+                  <View style={{ flex: 1 }}>
+                    <Text style={styles.lineName}>{product.name}</Text>
+                    <Text style={styles.lineMeta}>
+                      {product.sku || 'No SKU'} • On hand {product.stock_quantity}
+                    </Text>
+                  </View>
+                  <Ionicons name="add-circle-outline" size={22} color="#3b82f6" />
+                </TouchableOpacity>
+              ))}
+
+              {orderForm.lines.map(line => (
+                <View key={line.product_id} style={styles.lineCard}>
+                  <View style={styles.lineHeader}>
+                    <Text style={[styles.lineName, { flex: 1 }]}>{line.product_name}</Text>
+                    <TouchableOpacity onPress={() => removeOrderLine(line.product_id)}>
+                      <Ionicons name="close-circle" size={20} color="#ef4444" />
+                    </TouchableOpacity>
+                  </View>
+                  <View style={styles.lineInputs}>
+                    <View style={{ flex: 1 }}>
+                      <Text style={styles.lineMeta}>Quantity</Text>
+                      <TextInput
+                        style={styles.lineInput}
+                        value={line.quantity}
+                        onChangeText={(value) => updateOrderLine(line.product_id, { quantity: value.replace(/[^0-9]/g, '') })}
+                        placeholder="0"
+                        keyboardType="number-pad"
+                      />
+                    </View>
+                    <View style={{ flex: 1 }}>
+                      <Text style={styles.lineMeta}>Expected Cost, ex-VAT (₱)</Text>
+                      <TextInput
+                        style={styles.lineInput}
+                        value={line.unit_cost}
+                        onChangeText={(value) => updateOrderLine(line.product_id, { unit_cost: value.replace(/[^0-9.]/g, '') })}
+                        placeholder="0.00"
+                        keyboardType="decimal-pad"
+                      />
+                    </View>
+                  </View>
+                </View>
+              ))}
+
+              {orderForm.lines.length > 0 && (
+                <Text style={styles.modalHint}>
+                  {draftTotals.ordered_quantity} unit(s) • Expected total {formatPrice(draftTotals.expected_total)}
+                </Text>
+              )}
+
+              <Text style={styles.fieldLabel}>Notes</Text>
+              <TextInput
+                style={styles.textInput}
+                value={orderForm.notes}
+                onChangeText={(value) => setOrderForm({ ...orderForm, notes: value })}
+                placeholder="Delivery instructions, quote reference"
+              />
+            </ScrollView>
+          </View>
+        )}
+      </Modal>
+
+      {/* Order detail */}
+      <Modal
+        visible={!!selectedOrder}
+        animationType="slide"
+        presentationStyle="formSheet"
+        onRequestClose={() => setSelectedOrder(null)}
+      >
+        {selectedOrder && (
+          <View style={styles.modalContainer}>
+            <View style={styles.modalHeader}>
+              <TouchableOpacity onPress={() => setSelectedOrder(null)}>
+                <Text style={styles.modalCancel}>Close</Text>
+              </TouchableOpacity>
+              <Text style={styles.modalTitle}>{selectedOrder.po_number}</Text>
+              {canManageOrders && selectedOrder.status === 'draft' ? (
+                <TouchableOpacity onPress={openEditOrder}>
+                  <Text style={styles.modalSave}>Edit</Text>
+                </TouchableOpacity>
+              ) : (
+                <View style={{ width: 40 }} />
+              )}
+            </View>
+
+            <ScrollView contentContainerStyle={styles.modalContent} keyboardShouldPersistTaps="handled">
+              <View style={styles.orderHeader}>
+                <Text style={styles.modalProductName}>{selectedOrder.supplier_name}</Text>
+                {renderStatusBadge(selectedOrder.status)}
+              </View>
+              <Text style={styles.modalHint}>
+                Created {formatDate(selectedOrder.created_at)}{selectedOrder.created_by_name ? ` by ${selectedOrder.created_by_name}` : ''}
+                {selectedOrder.sent_at ? ` • Sent ${formatDate(selectedOrder.sent_at)}` : ''}
+                {selectedOrder.expected_date ? ` • Due ${selectedOrder.expected_date}` : ''}
+                {selectedOrder.received_at ? ` • Received ${formatDate(selectedOrder.received_at)}` : ''}
+              </Text>
+              {selectedOrder.cancel_reason && (
+                <Text style={styles.cancelledText}>Cancelled: {selectedOrder.cancel_reason}</Text>
+              )}
+              {selectedOrder.notes && <Text style={styles.modalHint}>{selectedOrder.notes}</Text>}
+
+              {selectedOrder.lines.map(line => {
+                const outstanding = calculateOutstandingQuantity(line)
+                return (
+                  <View key={line.id} style={styles.lineCard}>
+                    <Text style={styles.lineName}>{line.product_name}</Text>
+                    <Text style={styles.lineMeta}>
+                      Ordered {line.quantity_ordered} @ {formatPrice(line.expected_unit_cost)} • Received {line.quantity_received}
+                      {line.last_unit_cost !== null && line.last_unit_cost !== undefined ? ` @ ${formatPrice(line.last_unit_cost)}` : ''}
+                    </Text>
+                    {outstanding > 0 && <Text style={styles.backOrderText}>{outstanding} on back-order</Text>}
+                    {line.quantity_cancelled > 0 && (
+                      <Text style={styles.lineMeta}>{line.quantity_cancelled} closed short</Text>
+                    )}
+                  </View>
+                )
+              })}
+
+              <View style={styles.totalsCard}>
+                <View style={styles.totalsRow}>
+                  <Text style={styles.totalsLabel}>Expected Total</Text>
+                  <Text style={styles.totalsValue}>{formatPrice(selectedOrder.totals.expected_total)}</Text>
+                </View>
+                <View style={styles.totalsRow}>
+                  <Text style={styles.totalsLabel}>Received</Text>
+                  <Text style={styles.totalsValue}>
+                    {selectedOrder.totals.received_quantity} / {selectedOrder.totals.ordered_quantity} unit(s)
+                  </Text>
+                </View>
+                <View style={styles.totalsRow}>
+                  <Text style={styles.totalsLabel}>Outstanding</Text>
+                  <Text style={styles.totalsValue}>
+                    {selectedOrder.totals.outstanding_quantity} unit(s) • {formatPrice(selectedOrder.totals.outstanding_value)}
+                  </Text>
+                </View>
+              </View>
+
+              {canManageOrders && (
+                <View style={styles.actions}>
+                  {selectedOrder.status === 'draft' && (
+                    <TouchableOpacity style={styles.primaryButton} onPress={handleSend} disabled={saving}>
+                      <Ionicons name="paper-plane-outline" size={18} color="#fff" />
+                      <Text style={styles.primaryButtonText}>Mark as Sent</Text>
+                    </TouchableOpacity>
+                  )}
+
+                  {OPEN_PO_STATUSES.includes(selectedOrder.status) && (
+                    <TouchableOpacity style={styles.primaryButton} onPress={openReceive} disabled={saving}>
+                      <Ionicons name="download-outline" size={18} color="#fff" />
+                      <Text style={styles.primaryButtonText}>Receive Delivery</Text>
+                    </TouchableOpacity>
+                  )}
+
+                  {selectedOrder.status === 'partially_received' && (
+                    <TouchableOpacity style={styles.secondaryButton} onPress={handleCloseShort} disabled={saving}>
+                      <Text style={styles.secondaryButtonText}>Close Back-Order Short</Text>
+                    </TouchableOpacity>
+                  )}
+
+                  {['draft', 'sent'].includes(selectedOrder.status) && (
+                    <>
+                      <Text style={styles.fieldLabel}>Cancel Reason</Text>
+                      <TextInput
+                        style={styles.textInput}
+                        value={cancelReason}
+                        onChangeText={setCancelReason}
+                        placeholder="Why is this order being cancelled?"
+                      />
+                      <TouchableOpacity style={styles.dangerButton} onPress={handleCancel} disabled={saving}>
+                        <Text style={styles.dangerButtonText}>Cancel Order</Text>
+                      </TouchableOpacity>
+                    </>
+                  )}
+                </View>
+              )}
+            </ScrollView>
+          </View>
+        )}
+
+        {/* Receive delivery, stacked on the detail sheet */}
+        <Modal
+          visible={!!receiptForm}
+          animationType="slide"
+          presentationStyle="formSheet"
+          onRequestClose={() => setReceiptForm(null)}
+        >
+          {receiptForm && (
+            <View style={styles.modalContainer}>
+              <View style={styles.modalHeader}>
+                <TouchableOpacity onPress={() => setReceiptForm(null)}>
+                  <Text style={styles.modalCancel}>Cancel</Text>
+                </TouchableOpacity>
+                <Text style={styles.modalTitle}>Receive Delivery</Text>
+                <TouchableOpacity onPress={handleReceive} disabled={saving}>
+                  <Text style={[styles.modalSave, saving && styles.modalSaveDisabled]}>Post</Text>
+                </TouchableOpacity>
+              </View>
+
+              <ScrollView contentContainerStyle={styles.modalContent} keyboardShouldPersistTaps="handled">
+                <Text style={styles.modalHint}>
+                  Enter what actually arrived and the invoiced unit cost. Anything short stays on back-order.
+                </Text>
+
+                {receiptForm.lines.map(line => (
+                  <View key={line.line_id} style={styles.lineCard}>
+                    <Text style={styles.lineName}>{line.product_name}</Text>
+                    <Text style={styles.lineMeta}>{line.outstanding} outstanding</Text>
+                    <View style={styles.lineInputs}>
+                      <View style={{ flex: 1 }}>
+                        <Text style={styles.lineMeta}>Received</Text>
+                        <TextInput
+                          style={styles.lineInput}
+                          value={line.quantity}
+                          onChangeText={(value) => updateReceiptLine(line.line_id, { quantity: value.replace(/[^0-9]/g, '') })}
+                          placeholder="0"
+                          keyboardType="number-pad"
+                        />
+                      </View>
+                      <View style={{ flex: 1 }}>
+                        <Text style={styles.lineMeta}>Unit Cost, ex-VAT (₱)</Text>
+                        <TextInput
+                          style={styles.lineInput}
+                          value={line.unit_cost}
+                          onChangeText={(value) => updateReceiptLine(line.line_id, { unit_cost: value.replace(/[^0-9.]/g, '') })}
+                          placeholder="0.00"
+                          keyboardType="decimal-pad"
+                        />
+                      </View>
+                    </View>
+                  </View>
+                ))}
+
+                <View style={styles.switchRow}>
+                  <View style={{ flex: 1 }}>
+                    <Text style={styles.fieldLabel}>Close Remaining Short</Text>
+                    <Text style={styles.lineMeta}>Don't wait for anything not delivered today</Text>
+                  </View>
+                  <Switch
+                    value={receiptForm.close_short}
+                    onValueChange={(value) => setReceiptForm({ ...receiptForm, close_short: value })}
+                  />
+                </View>
+
+                <Text style={styles.fieldLabel}>Notes</Text>
+                <TextInput
+                  style={styles.textInput}
+                  value={receiptForm.notes}
+                  onChangeText={(value) => setReceiptForm({ ...receiptForm, notes: value })}
+                  placeholder="Delivery receipt or invoice no."
+                />
+              </ScrollView>
+            </View>
+          )}
+        </Modal>
+      </Modal>
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 50,
+    paddingBottom: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  backButton: {
+    padding: 6,
+    marginRight: 12,
+    borderRadius: 8,
+    backgroundColor: '#f1f5f9',
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#1e293b',
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#64748b',
+    marginTop: 4,
+  },
+  addButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#3b82f6',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  chipRow: {
+    flexGrow: 0,
+    marginTop: 10,
+  },
+  chipRowContent: {
+    paddingHorizontal: 16,
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  chipActive: {
+    backgroundColor: '#3b82f6',
+    borderColor: '#3b82f6',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#374151',
+    fontWeight: '500',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  optionWrap: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16,
+  },
+  loadingContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  listContent: {
+    padding: 16,
+  },
+  orderCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 2,
+    elevation: 1,
+  },
+  orderHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  orderNumber: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#1e293b',
+  },
+  orderSupplier: {
+    fontSize: 15,
+    color: '#374151',
+    marginTop: 4,
+  },
+  orderMeta: {
+    fontSize: 13,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  backOrderText: {
+    fontSize: 13,
+    color: '#f59e0b',
+    fontWeight: '500',
+    marginTop: 4,
+  },
+  cancelledText: {
+    fontSize: 14,
+    color: '#ef4444',
+    marginBottom: 12,
+  },
+  statusBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 10,
+  },
+  statusText: {
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  emptyState: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginTop: 16,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#64748b',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  modalContainer: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  modalCancel: {
+    fontSize: 16,
+    color: '#ef4444',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  modalSave: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#3b82f6',
+  },
+  modalSaveDisabled: {
+    color: '#94a3b8',
+  },
+  modalContent: {
+    padding: 20,
+  },
+  modalProductName: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  modalHint: {
+    fontSize: 14,
+    color: '#64748b',
+    marginTop: 4,
+    marginBottom: 16,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#1e293b',
+    backgroundColor: '#fff',
+    marginBottom: 16,
+  },
+  searchBoxInline: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    gap: 8,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    marginBottom: 8,
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 16,
+    color: '#1f2937',
+  },
+  productResult: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f1f5f9',
+    backgroundColor: '#fff',
+  },
+  lineCard: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 12,
+    marginTop: 10,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  lineHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  lineName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  lineMeta: {
+    fontSize: 13,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  lineInputs: {
+    flexDirection: 'row',
+    gap: 12,
+    marginTop: 8,
+  },
+  lineInput: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    fontSize: 15,
+    color: '#1e293b',
+    backgroundColor: '#f8fafc',
+    marginTop: 4,
+  },
+  totalsCard: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 12,
+    marginTop: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  totalsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 4,
+  },
+  totalsLabel: {
+    fontSize: 14,
+    color: '#64748b',
+  },
+  totalsValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 20,
+    marginBottom: 16,
+  },
+  actions: {
+    marginTop: 20,
+    gap: 10,
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    paddingVertical: 12,
+    borderRadius: 8,
+    backgroundColor: '#3b82f6',
+  },
+  primaryButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  secondaryButton: {
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#f59e0b',
+    backgroundColor: '#fffbeb',
+  },
+  secondaryButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#b45309',
+  },
+  dangerButton: {
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#fecaca',
+    backgroundColor: '#fef2f2',
+  },
+  dangerButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#ef4444',
+  },
+})
+
+export default PurchaseOrders
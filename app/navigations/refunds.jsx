@@ -0,0 +1,735 @@
+// app/navigations/refunds.jsx - Returns and refunds against a completed sale
+import React, { useState, useMemo } from 'react'
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  TextInput,
+  Alert,
+  Modal,
+  Switch,
+  ActivityIndicator
+} from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { useRouter } from 'expo-router'
+import { useAuth } from '../../utils/authContext'
+import refundDatabaseService from '../../services/refundDatabase'
+import salesDatabaseService from '../../services/salesDatabase'
+import shiftDatabaseService from '../../services/shiftDatabase'
+import staffDatabaseService from '../../services/staffDatabase'
+import posSettingsService, { isActionRestricted, OVERRIDE_APPROVER_ROLES } from '../../services/posSettings'
+import ReceiptPreview from '../components/ReceiptPreview'
+import ManagerOverrideModal from '../components/ManagerOverrideModal'
+import {
+  roundMoney,
+  calculateRefundLineAmount,
+  allocateRefundToTenders,
+  getPaymentMethodLabel
+} from '../../utils/salesCalculations'
+
+const RefundsScreen = () => {
+  const [receiptNumber, setReceiptNumber] = useState('')
+  const [sale, setSale] = useState(null)
+  const [returns, setReturns] = useState({})
+  const [reason, setReason] = useState('')
+  const [searching, setSearching] = useState(false)
+  const [processing, setProcessing] = useState(false)
+  const [lastRefund, setLastRefund] = useState(null)
+  const [pendingOverride, setPendingOverride] = useState(null)
+
+  const { user } = useAuth()
+  const router = useRouter()
+
+  const getRemaining = (item) => item.quantity - (item.returned_quantity || 0)
+
+  // Running preview of what this refund pays back and to which tender
+  const preview = useMemo(() => {
+    if (!sale) return { total: 0, allocations: [], unallocated: 0 }
+
+    const total = roundMoney(sale.items.reduce((sum, item) => {
+      const quantity = returns[item.id]?.quantity || 0
+      return sum + (quantity > 0 ? calculateRefundLineAmount(item, quantity) : 0)
+    }, 0))
+
+    return { total, ...allocateRefundToTenders(sale.payments, total) }
+  }, [sale, returns])
+
+  const resetForm = () => {
+    setSale(null)
+    setReturns({})
+    setReason('')
+  }
+
+  const handleLookup = async () => {
+    if (!receiptNumber.trim()) {
+      Alert.alert('Receipt Number Required', 'Enter the receipt number printed on the original sale')
+      return
+    }
+
+    try {
+      setSearching(true)
+      const found = await refundDatabaseService.getSaleByReceiptNumber(receiptNumber, user?.store_id || null)
+
+      if (!found) {
+        resetForm()
+        Alert.alert('Not Found', `No sale found for receipt ${receiptNumber.trim().toUpperCase()}`)
+        return
+      }
+
+      if (found.status === 'voided' || found.status === 'refunded') {
+        resetForm()
+        Alert.alert('Not Refundable', `This sale is already ${found.status}`)
+        return
+      }
+
+      setSale(found)
+      setReturns({})
+      setReason('')
+    } catch (error) {
+      console.error('Error looking up sale:', error)
+      Alert.alert('Error', 'Failed to look up sale: ' + error.message)
+    } finally {
+      setSearching(false)
+    }
+  }
+
+  const updateReturnQuantity = (item, quantity) => {
+    const capped = Math.max(0, Math.min(quantity, getRemaining(item)))
+    setReturns({
+      ...returns,
+      [item.id]: { restock: true, ...returns[item.id], quantity: capped }
+    })
+  }
+
+  const toggleRestock = (item, restock) => {
+    setReturns({
+      ...returns,
+      [item.id]: { quantity: 0, ...returns[item.id], restock }
+    })
+  }
+
+  // Same approval rules as the register: restricted actions need a supervisor
+  // passcode unless the signed-in user can approve them
+  const requireOverride = async (action, detail, run) => {
+    const settings = await posSettingsService.getSettings()
+
+    if (!isActionRestricted(settings, action)) {
+      run(null)
+    } else if (OVERRIDE_APPROVER_ROLES.includes(user?.role)) {
+      run({ id: user.id, name: user.name })
+    } else {
+      setPendingOverride({ action, detail, run })
+    }
+  }
+
+  const handleOverrideApproved = (approver) => {
+    const { run } = pendingOverride
+    setPendingOverride(null)
+    run(approver)
+  }
+
+  const handleVoidSale = () => {
+    if (!reason.trim()) {
+      Alert.alert('Reason Required', 'Enter the reason for voiding this sale')
+      return
+    }
+
+    Alert.alert(
+      'Void Sale',
+      `Void ${sale.receipt_number} for ${formatPrice(sale.total_amount)}? All items go back to stock.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Void Sale',
+          style: 'destructive',
+          onPress: () => requireOverride('void_sale', `${sale.receipt_number} • ${formatPrice(sale.total_amount)}`, voidSale)
+        }
+      ]
+    )
+  }
+
+  const voidSale = async (approver) => {
+    try {
+      setProcessing(true)
+      await salesDatabaseService.voidSale(sale.id, {
+        reason: reason.trim(),
+        approved_by: approver?.id || null
+      }, user)
+
+      Alert.alert('Sale Voided', `${sale.receipt_number} has been voided`)
+      resetForm()
+      setReceiptNumber('')
+    } catch (error) {
+      console.error('Void sale error:', error)
+      Alert.alert('Error', error.message || 'Failed to void sale')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const handleRefund = () => {
+    if (preview.total <= 0) {
+      Alert.alert('Nothing to Refund', 'Select at least one item to return')
+      return
+    }
+
+    if (!reason.trim()) {
+      Alert.alert('Reason Required', 'Enter the reason for this refund')
+      return
+    }
+
+    Alert.alert(
+      'Confirm Refund',
+      `Refund ${formatPrice(preview.total)} on ${sale.receipt_number}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Refund',
+          style: 'destructive',
+          onPress: () => requireOverride('refund', `${sale.receipt_number} • ${formatPrice(preview.total)}`, processRefund)
+        }
+      ]
+    )
+  }
+
+  const processRefund = async (approver) => {
+    try {
+      setProcessing(true)
+
+      // Refunded cash comes out of this register's drawer
+      const shift = await shiftDatabaseService.getOpenShift(sale.store_id)
+      if (!shift) {
+        Alert.alert('No Open Shift', 'Open a shift on this register before processing refunds')
+        return
+      }
+
+      const refund = await refundDatabaseService.createRefund({
+        sale_id: sale.id,
+        shift_id: shift.id,
+        reason: reason.trim(),
+        approved_by: approver?.id || null,
+        items: Object.entries(returns).map(([saleItemId, entry]) => ({
+          sale_item_id: saleItemId,
+          quantity: entry.quantity,
+          restock: entry.restock
+        }))
+      }, user)
+
+      const [store, settings] = await Promise.all([
+        staffDatabaseService.getStoreById(refund.store_id),
+        posSettingsService.getSettings()
+      ])
+
+      resetForm()
+      setReceiptNumber('')
+      setLastRefund({ refund, store, paperWidth: settings.receipt_paper_width })
+    } catch (error) {
+      console.error('Refund error:', error)
+      Alert.alert('Error', error.message || 'Failed to process refund')
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  const formatPrice = (price) => {
+    return `₱${parseFloat(price || 0).toFixed(2)}`
+  }
+
+  if (!['super_admin', 'manager', 'supervisor', 'cashier'].includes(user?.role)) {
+    return (
+      <View style={styles.container}>
+        <View style={styles.accessDenied}>
+          <Ionicons name="lock-closed" size={64} color="#ef4444" />
+          <Text style={styles.accessTitle}>Access Restricted</Text>
+          <Text style={styles.accessText}>
+            You don't have permission to process refunds.
+          </Text>
+        </View>
+      </View>
+    )
+  }
+
+  const renderSaleItem = (item) => {
+    const remaining = getRemaining(item)
+    const entry = returns[item.id] || { quantity: 0, restock: true }
+
+    return (
+      <View key={item.id} style={styles.itemRow}>
+        <View style={styles.itemInfo}>
+          <Text style={styles.itemName} numberOfLines={1}>{item.product_name}</Text>
+          <Text style={styles.itemMeta}>
+            {item.quantity} × {formatPrice(item.unit_price)}
+            {item.returned_quantity > 0 ? ` • ${item.returned_quantity} already returned` : ''}
+          </Text>
+          {entry.quantity > 0 && (
+            <View style={styles.restockRow}>
+              <Text style={styles.restockLabel}>Return to stock</Text>
+              <Switch
+                value={entry.restock}
+                onValueChange={(value) => toggleRestock(item, value)}
+                trackColor={{ true: '#10b981' }}
+              />
+            </View>
+          )}
+        </View>
+
+        {remaining > 0 ? (
+          <View style={styles.quantityControls}>
+            <TouchableOpacity
+              style={styles.quantityButton}
+              onPress={() => updateReturnQuantity(item, entry.quantity - 1)}
+            >
+              <Ionicons name="remove" size={16} color="#1e293b" />
+            </TouchableOpacity>
+            <Text style={styles.quantityText}>{entry.quantity}/{remaining}</Text>
+            <TouchableOpacity
+              style={styles.quantityButton}
+              onPress={() => updateReturnQuantity(item, entry.quantity + 1)}
+            >
+              <Ionicons name="add" size={16} color="#1e293b" />
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <Text style={styles.returnedText}>Returned</Text>
+        )}
+      </View>
+    )
+  }
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={22} color="#1e293b" />
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.headerTitle}>Refunds</Text>
+          <Text style={styles.headerSubtitle}>Return items or void a completed sale</Text>
+        </View>
+      </View>
+
+      <ScrollView style={styles.content} keyboardShouldPersistTaps="handled">
+        {/* Receipt lookup */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Original Receipt</Text>
+          <View style={styles.searchRow}>
+            <TextInput
+              style={styles.searchInput}
+              value={receiptNumber}
+              onChangeText={setReceiptNumber}
+              placeholder="e.g. SI-T001-00000042"
+              autoCapitalize="characters"
+              returnKeyType="search"
+              onSubmitEditing={handleLookup}
+            />
+            <TouchableOpacity
+              style={[styles.searchButton, searching && styles.buttonDisabled]}
+              onPress={handleLookup}
+              disabled={searching}
+            >
+              {searching ? (
+                <ActivityIndicator size="small" color="#fff" />
+              ) : (
+                <Ionicons name="search" size={20} color="#fff" />
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        {sale && (
+          <>
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>{sale.receipt_number}</Text>
+              <Text style={styles.sectionSubtitle}>
+                {new Date(sale.created_at).toLocaleString()} • {sale.cashier_name || 'Unknown cashier'} • {formatPrice(sale.total_amount)}
+              </Text>
+              {sale.items.map(renderSaleItem)}
+            </View>
+
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Refund</Text>
+
+              {preview.allocations.map(allocation => (
+                <View key={allocation.sale_payment_id} style={styles.totalRow}>
+                  <Text style={styles.totalLabel}>To {getPaymentMethodLabel(allocation.payment_method)}</Text>
+                  <Text style={styles.totalValue}>{formatPrice(allocation.amount)}</Text>
+                </View>
+              ))}
+              {preview.unallocated > 0 && (
+                <Text style={styles.errorText}>
+                  {formatPrice(preview.unallocated)} exceeds what was paid on the original tenders
+                </Text>
+              )}
+              <View style={[styles.totalRow, styles.grandTotalRow]}>
+                <Text style={styles.grandTotalLabel}>Refund Total</Text>
+                <Text style={styles.grandTotalValue}>{formatPrice(preview.total)}</Text>
+              </View>
+
+              <Text style={styles.fieldLabel}>Reason *</Text>
+              <TextInput
+                style={[styles.textInput, styles.textArea]}
+                value={reason}
+                onChangeText={setReason}
+                placeholder="e.g. Damaged item, wrong size"
+                multiline
+                numberOfLines={3}
+              />
+
+              <TouchableOpacity
+                style={[styles.refundButton, (processing || preview.total <= 0) && styles.buttonDisabled]}
+                onPress={handleRefund}
+                disabled={processing || preview.total <= 0}
+              >
+                <Ionicons name="return-down-back-outline" size={20} color="#fff" />
+                <Text style={styles.refundButtonText}>
+                  {processing ? 'Processing...' : `Refund ${formatPrice(preview.total)}`}
+                </Text>
+              </TouchableOpacity>
+
+              {/* A sale with nothing returned yet can still be voided outright */}
+              {sale.status === 'completed' && (
+                <TouchableOpacity
+                  style={styles.voidButton}
+                  onPress={handleVoidSale}
+                  disabled={processing}
+                >
+                  <Ionicons name="close-circle-outline" size={20} color="#ef4444" />
+                  <Text style={styles.voidButtonText}>Void Entire Sale</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          </>
+        )}
+      </ScrollView>
+
+      <ManagerOverrideModal
+        visible={!!pendingOverride}
+        storeId={sale?.store_id}
+        action={pendingOverride?.action}
+        detail={pendingOverride?.detail}
+        onCancel={() => setPendingOverride(null)}
+        onApprove={handleOverrideApproved}
+      />
+
+      {/* Refund receipt */}
+      <Modal
+        visible={!!lastRefund}
+        animationType="slide"
+        presentationStyle="formSheet"
+        onRequestClose={() => setLastRefund(null)}
+      >
+        {lastRefund && (
+          <View style={styles.receiptModal}>
+            <View style={styles.receiptHeader}>
+              <Ionicons name="checkmark-circle" size={40} color="#10b981" />
+              <Text style={styles.receiptTitle}>Refund Completed</Text>
+              <Text style={styles.receiptAmount}>
+                Return {formatPrice(lastRefund.refund.refund_amount)} to customer
+              </Text>
+            </View>
+
+            <ScrollView contentContainerStyle={styles.receiptScroll}>
+              <ReceiptPreview
+                refund={lastRefund.refund}
+                store={lastRefund.store}
+                paperWidth={lastRefund.paperWidth}
+              />
+            </ScrollView>
+
+            <TouchableOpacity style={styles.doneButton} onPress={() => setLastRefund(null)}>
+              <Text style={styles.doneButtonText}>Done</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </Modal>
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 50,
+    paddingBottom: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  backButton: {
+    padding: 6,
+    marginRight: 12,
+    borderRadius: 8,
+    backgroundColor: '#f1f5f9',
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#1e293b',
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#64748b',
+    marginTop: 4,
+  },
+  content: {
+    flex: 1,
+  },
+  section: {
+    backgroundColor: '#fff',
+    marginHorizontal: 16,
+    marginTop: 16,
+    borderRadius: 12,
+    padding: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 3,
+    elevation: 2,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginBottom: 12,
+  },
+  sectionSubtitle: {
+    fontSize: 13,
+    color: '#64748b',
+    marginTop: -8,
+    marginBottom: 12,
+  },
+  searchRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  searchInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#1e293b',
+  },
+  searchButton: {
+    width: 48,
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderRadius: 8,
+    backgroundColor: '#3b82f6',
+  },
+  buttonDisabled: {
+    backgroundColor: '#94a3b8',
+  },
+  itemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#f1f5f9',
+  },
+  itemInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  itemName: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: '#1e293b',
+  },
+  itemMeta: {
+    fontSize: 13,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  restockRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 6,
+  },
+  restockLabel: {
+    fontSize: 13,
+    color: '#64748b',
+  },
+  quantityControls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  quantityButton: {
+    width: 32,
+    height: 32,
+    alignItems: 'center',
+    justifyContent: 'center',
+    borderRadius: 8,
+    backgroundColor: '#f1f5f9',
+  },
+  quantityText: {
+    minWidth: 40,
+    textAlign: 'center',
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  returnedText: {
+    fontSize: 13,
+    fontWeight: '500',
+    color: '#64748b',
+  },
+  totalRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+  },
+  totalLabel: {
+    fontSize: 14,
+    color: '#64748b',
+  },
+  totalValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  grandTotalRow: {
+    borderTopWidth: 1,
+    borderTopColor: '#e2e8f0',
+    marginTop: 4,
+    paddingTop: 10,
+    marginBottom: 16,
+  },
+  grandTotalLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  grandTotalValue: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#ef4444',
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#ef4444',
+    marginTop: 4,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#1e293b',
+    marginBottom: 16,
+  },
+  textArea: {
+    minHeight: 72,
+    textAlignVertical: 'top',
+  },
+  refundButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    backgroundColor: '#ef4444',
+    borderRadius: 8,
+    paddingVertical: 14,
+  },
+  refundButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  voidButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#fecaca',
+    backgroundColor: '#fef2f2',
+    paddingVertical: 12,
+    marginTop: 12,
+  },
+  voidButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#ef4444',
+  },
+  receiptModal: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  receiptHeader: {
+    alignItems: 'center',
+    paddingVertical: 20,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  receiptTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1e293b',
+    marginTop: 8,
+  },
+  receiptAmount: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#ef4444',
+    marginTop: 4,
+  },
+  receiptScroll: {
+    padding: 16,
+  },
+  doneButton: {
+    alignItems: 'center',
+    backgroundColor: '#3b82f6',
+    margin: 16,
+    paddingVertical: 16,
+    borderRadius: 12,
+  },
+  doneButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  accessDenied: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 40,
+  },
+  accessTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginTop: 16,
+  },
+  accessText: {
+    fontSize: 14,
+    color: '#64748b',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+})
+
+export default RefundsScreen
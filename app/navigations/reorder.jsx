@@ -0,0 +1,708 @@
+// app/navigations/reorder.jsx - Reorder suggestions from sales velocity, raised as draft POs per supplier
+import React, { useState, useEffect, useCallback, useMemo } from 'react'
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  TextInput,
+  Modal,
+  Switch,
+  RefreshControl,
+  Alert,
+  ActivityIndicator
+} from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { useRouter } from 'expo-router'
+import { useAuth } from '../../utils/authContext'
+import reorderService from '../../services/reorderService'
+import productDatabaseService from '../../services/productDatabase'
+import posSettingsService from '../../services/posSettings'
+import staffDatabaseService from '../../services/staffDatabase'
+import {
+  REORDER_WINDOWS,
+  REORDER_REASONS,
+  groupSuggestionsBySupplier
+} from '../../utils/reorderCalculations'
+
+const COVER_OPTIONS = [0, 3, 7, 14, 30]
+
+const Reorder = () => {
+  const [stores, setStores] = useState([])
+  const [selectedStoreId, setSelectedStoreId] = useState(null)
+  const [windowDays, setWindowDays] = useState(null)
+  const [coverDays, setCoverDays] = useState(null)
+  const [suggestions, setSuggestions] = useState([])
+  const [suppliers, setSuppliers] = useState([])
+  const [quantities, setQuantities] = useState({})
+  const [excluded, setExcluded] = useState({})
+  const [supplierPicker, setSupplierPicker] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [refreshing, setRefreshing] = useState(false)
+  const [saving, setSaving] = useState(false)
+
+  const { user } = useAuth()
+  const router = useRouter()
+
+  const storeId = user?.store_id || selectedStoreId
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const settings = await posSettingsService.getSettings()
+        setWindowDays(settings.reorder_window_days)
+        setCoverDays(settings.reorder_cover_days)
+      } catch (error) {
+        console.error('Error loading reorder settings:', error)
+        setWindowDays(30)
+        setCoverDays(7)
+      }
+    }
+
+    loadSettings()
+  }, [])
+
+  useEffect(() => {
+    if (!user || user.store_id) return
+
+    const loadStores = async () => {
+      try {
+        const storesData = await staffDatabaseService.getAllStores()
+        setStores(storesData)
+        setSelectedStoreId(current => current || storesData[0]?.id || null)
+      } catch (error) {
+        console.error('Error loading stores:', error)
+        setStores([])
+      }
+    }
+
+    loadStores()
+  }, [user])
+
+  const loadSuggestions = useCallback(async () => {
+    if (windowDays === null) return
+
+    if (!storeId) {
+      setSuggestions([])
+      setLoading(false)
+      return
+    }
+
+    try {
+      const result = await reorderService.getReorderSuggestions(storeId, { windowDays, coverDays })
+      setSuggestions(result.suggestions)
+      setSuppliers(result.suppliers)
+      setQuantities(Object.fromEntries(result.suggestions.map(row => [row.product_id, String(row.suggested_quantity)])))
+      setExcluded({})
+    } catch (error) {
+      console.error('Error loading reorder suggestions:', error)
+      Alert.alert('Error', 'Failed to load reorder suggestions: ' + error.message)
+      setSuggestions([])
+    } finally {
+      setLoading(false)
+    }
+  }, [storeId, windowDays, coverDays])
+
+  useEffect(() => {
+    loadSuggestions()
+  }, [loadSuggestions])
+
+  const handleRefresh = async () => {
+    setRefreshing(true)
+    await loadSuggestions()
+    setRefreshing(false)
+  }
+
+  const formatPrice = (price) => {
+    return `₱${parseFloat(price || 0).toFixed(2)}`
+  }
+
+  const groups = useMemo(() => groupSuggestionsBySupplier(suggestions, suppliers), [suggestions, suppliers])
+
+  const isIncluded = (row) => !excluded[row.product_id] && Number(quantities[row.product_id]) > 0
+
+  // A preferred supplier that has since been deactivated counts as none
+  const hasActiveSupplier = (row) => suppliers.some(supplier => supplier.id === row.preferred_supplier_id)
+
+  const orderableLines = suggestions.filter(row => hasActiveSupplier(row) && isIncluded(row))
+  const orderSupplierCount = new Set(orderableLines.map(row => row.preferred_supplier_id)).size
+  const orderTotal = orderableLines.reduce((sum, row) => sum + Number(quantities[row.product_id]) * (row.unit_cost || 0), 0)
+
+  // Window and cover are remembered for the next time the screen opens
+  const handleSettingChange = async (key, value) => {
+    if (key === 'reorder_window_days') setWindowDays(value)
+    if (key === 'reorder_cover_days') setCoverDays(value)
+
+    try {
+      await posSettingsService.updateSettings({ [key]: value })
+    } catch (error) {
+      console.error('Error saving reorder settings:', error)
+    }
+  }
+
+  const handleAssignSupplier = async (supplierId) => {
+    const row = supplierPicker
+
+    try {
+      await productDatabaseService.updatePreferredSupplier(row.product_id, supplierId, user)
+      setSuggestions(suggestions.map(item => item.product_id === row.product_id
+        ? { ...item, preferred_supplier_id: supplierId }
+        : item))
+      setSupplierPicker(null)
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to set preferred supplier')
+    }
+  }
+
+  const handleCreateOrders = () => {
+    if (orderableLines.length === 0) {
+      Alert.alert('Nothing to Order', 'Include at least one product that has an active preferred supplier')
+      return
+    }
+
+    Alert.alert(
+      'Create Draft POs',
+      `Create ${orderSupplierCount} draft purchase order(s) for ${orderableLines.length} product(s), about ${formatPrice(orderTotal)} at cost?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Create',
+          onPress: async () => {
+            try {
+              setSaving(true)
+              const result = await reorderService.createDraftOrders(storeId, orderableLines.map(row => ({
+                product_id: row.product_id,
+                preferred_supplier_id: row.preferred_supplier_id,
+                quantity: parseInt(quantities[row.product_id]),
+                unit_cost: row.unit_cost
+              })), user, { windowDays })
+
+              Alert.alert(
+                'Draft POs Created',
+                result.orders.map(order => `${order.po_number} • ${order.supplier_name}`).join('\n'),
+                [
+                  { text: 'Stay Here', style: 'cancel', onPress: loadSuggestions },
+                  { text: 'View Orders', onPress: () => router.push('../navigations/purchase-orders') }
+                ]
+              )
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Failed to create draft POs')
+            } finally {
+              setSaving(false)
+            }
+          }
+        }
+      ]
+    )
+  }
+
+  const renderReason = (reason) => {
+    const option = REORDER_REASONS[reason]
+    return (
+      <View style={[styles.reasonBadge, { backgroundColor: option.color + '20' }]}>
+        <Text style={[styles.reasonText, { color: option.color }]}>{option.label}</Text>
+      </View>
+    )
+  }
+
+  const renderLine = (row) => (
+    <View key={row.product_id} style={[styles.lineCard, !isIncluded(row) && styles.lineCardExcluded]}>
+      <View style={{ flex: 1 }}>
+        <View style={styles.lineHeader}>
+          <Text style={styles.lineName} numberOfLines={1}>{row.product_name}</Text>
+          {renderReason(row.reason)}
+        </View>
+        <Text style={styles.lineMeta}>
+          On hand {row.stock_quantity}{row.on_order ? ` • On order ${row.on_order}` : ''} • Min {row.min_stock_level || 0} / Max {row.max_stock_level || 0}
+        </Text>
+        <Text style={styles.lineMeta}>
+          {row.average_daily_sales}/day • {row.days_of_cover === null ? 'Not selling' : `${row.days_of_cover} day(s) of cover`}
+          {row.unit_cost === null ? ' • No cost' : ` • ${formatPrice(row.unit_cost)} each`}
+        </Text>
+        {!hasActiveSupplier(row) && suppliers.length > 0 && (
+          <TouchableOpacity style={styles.assignButton} onPress={() => setSupplierPicker(row)}>
+            <Ionicons name="business-outline" size={14} color="#3b82f6" />
+            <Text style={styles.assignButtonText}>Set Supplier</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+      <View style={styles.lineControls}>
+        <TextInput
+          style={styles.quantityInput}
+          value={quantities[row.product_id]}
+          onChangeText={(value) => setQuantities({ ...quantities, [row.product_id]: value.replace(/[^0-9]/g, '') })}
+          keyboardType="number-pad"
+          placeholder="0"
+        />
+        <Switch
+          value={!excluded[row.product_id]}
+          onValueChange={(value) => setExcluded({ ...excluded, [row.product_id]: !value })}
+        />
+      </View>
+    </View>
+  )
+
+  const renderGroup = (group) => (
+    <View key={group.supplier_id || 'unassigned'} style={styles.groupSection}>
+      <View style={styles.groupHeader}>
+        <Text style={[styles.groupTitle, !group.supplier_id && styles.groupTitleMuted]}>{group.supplier_name}</Text>
+        <Text style={styles.groupMeta}>
+          {group.lines.length} product(s) • {formatPrice(group.lines
+            .filter(isIncluded)
+            .reduce((sum, row) => sum + Number(quantities[row.product_id]) * (row.unit_cost || 0), 0))}
+        </Text>
+      </View>
+      {!group.supplier_id && (
+        <Text style={styles.groupHint}>
+          These products aren't put on a draft PO until they have a preferred supplier.
+        </Text>
+      )}
+      {group.lines.map(renderLine)}
+    </View>
+  )
+
+  if (loading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#3b82f6" />
+      </View>
+    )
+  }
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={22} color="#1e293b" />
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.headerTitle}>Reorder</Text>
+          <Text style={styles.headerSubtitle}>{suggestions.length} product(s) to reorder</Text>
+        </View>
+      </View>
+
+      {/* Store selector for users without an assigned store */}
+      {!user?.store_id && stores.length > 1 && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.chipRow}
+          contentContainerStyle={styles.chipRowContent}
+        >
+          {stores.map(store => (
+            <TouchableOpacity
+              key={store.id}
+              style={[styles.chip, selectedStoreId === store.id && styles.chipActive]}
+              onPress={() => setSelectedStoreId(store.id)}
+            >
+              <Text style={[styles.chipText, selectedStoreId === store.id && styles.chipTextActive]}>
+                {store.name}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.chipRow}
+        contentContainerStyle={styles.chipRowContent}
+      >
+        <Text style={styles.chipLabel}>Sales over</Text>
+        {REORDER_WINDOWS.map(days => (
+          <TouchableOpacity
+            key={days}
+            style={[styles.chip, windowDays === days && styles.chipActive]}
+            onPress={() => handleSettingChange('reorder_window_days', days)}
+          >
+            <Text style={[styles.chipText, windowDays === days && styles.chipTextActive]}>{days} days</Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.chipRow}
+        contentContainerStyle={styles.chipRowContent}
+      >
+        <Text style={styles.chipLabel}>Cover under</Text>
+        {COVER_OPTIONS.map(days => (
+          <TouchableOpacity
+            key={days}
+            style={[styles.chip, coverDays === days && styles.chipActive]}
+            onPress={() => handleSettingChange('reorder_cover_days', days)}
+          >
+            <Text style={[styles.chipText, coverDays === days && styles.chipTextActive]}>
+              {days === 0 ? 'Min only' : `${days} days`}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      {suggestions.length === 0 ? (
+        <ScrollView
+          contentContainerStyle={styles.emptyState}
+          refreshControl={<RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />}
+        >
+          <Ionicons name="checkmark-circle-outline" size={64} color="#10b981" />
+          <Text style={styles.emptyTitle}>Nothing to Reorder</Text>
+          <Text style={styles.emptyText}>
+            {storeId
+              ? 'Every product is above its minimum and has enough stock, counting open purchase orders.'
+              : 'Select a store to see reorder suggestions.'}
+          </Text>
+        </ScrollView>
+      ) : (
+        <>
+          <ScrollView
+            contentContainerStyle={styles.listContent}
+            keyboardShouldPersistTaps="handled"
+            refreshControl={<RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />}
+          >
+            <Text style={styles.listHint}>
+              Quantities bring stock up to each product's maximum, less what is already on order.
+            </Text>
+            {groups.map(renderGroup)}
+          </ScrollView>
+
+          <View style={styles.footer}>
+            <View style={{ flex: 1 }}>
+              <Text style={styles.footerTitle}>{orderableLines.length} product(s) • {orderSupplierCount} supplier(s)</Text>
+              <Text style={styles.footerMeta}>{formatPrice(orderTotal)} at cost</Text>
+            </View>
+            <TouchableOpacity
+              style={[styles.primaryButton, (saving || orderableLines.length === 0) && styles.primaryButtonDisabled]}
+              onPress={handleCreateOrders}
+              disabled={saving || orderableLines.length === 0}
+            >
+              <Ionicons name="document-text-outline" size={18} color="#fff" />
+              <Text style={styles.primaryButtonText}>Create Draft POs</Text>
+            </TouchableOpacity>
+          </View>
+        </>
+      )}
+
+      {/* Preferred supplier picker */}
+      <Modal
+        visible={!!supplierPicker}
+        animationType="slide"
+        presentationStyle="formSheet"
+        onRequestClose={() => setSupplierPicker(null)}
+      >
+        {supplierPicker && (
+          <View style={styles.modalContainer}>
+            <View style={styles.modalHeader}>
+              <TouchableOpacity onPress={() => setSupplierPicker(null)}>
+                <Text style={styles.modalCancel}>Cancel</Text>
+              </TouchableOpacity>
+              <Text style={styles.modalTitle}>Preferred Supplier</Text>
+              <View style={{ width: 50 }} />
+            </View>
+
+            <ScrollView contentContainerStyle={styles.modalContent}>
+              <Text style={styles.modalHint}>
+                {supplierPicker.product_name} will be reordered from this supplier from now on.
+              </Text>
+              {suppliers.map(supplier => (
+                <TouchableOpacity
+                  key={supplier.id}
+                  style={styles.supplierOption}
+                  onPress={() => handleAssignSupplier(supplier.id)}
+                >
+                  <Text style={styles.supplierName}>{supplier.name}</Text>
+                  <Ionicons name="chevron-forward" size={18} color="#94a3b8" />
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+          </View>
+        )}
+      </Modal>
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 50,
+    paddingBottom: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  backButton: {
+    padding: 6,
+    marginRight: 12,
+    borderRadius: 8,
+    backgroundColor: '#f1f5f9',
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#1e293b',
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#64748b',
+    marginTop: 4,
+  },
+  chipRow: {
+    flexGrow: 0,
+    marginTop: 10,
+  },
+  chipRowContent: {
+    paddingHorizontal: 16,
+    gap: 8,
+    alignItems: 'center',
+  },
+  chipLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#64748b',
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  chipActive: {
+    backgroundColor: '#3b82f6',
+    borderColor: '#3b82f6',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#374151',
+    fontWeight: '500',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  loadingContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  listContent: {
+    padding: 16,
+  },
+  listHint: {
+    fontSize: 13,
+    color: '#64748b',
+    marginBottom: 8,
+  },
+  groupSection: {
+    marginTop: 12,
+  },
+  groupHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  groupTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#1e293b',
+  },
+  groupTitleMuted: {
+    color: '#94a3b8',
+  },
+  groupMeta: {
+    fontSize: 13,
+    color: '#64748b',
+  },
+  groupHint: {
+    fontSize: 13,
+    color: '#b45309',
+    marginTop: 4,
+  },
+  lineCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 12,
+    marginTop: 8,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    gap: 10,
+  },
+  lineCardExcluded: {
+    opacity: 0.5,
+  },
+  lineHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  lineName: {
+    flexShrink: 1,
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  lineMeta: {
+    fontSize: 13,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  lineControls: {
+    alignItems: 'center',
+    gap: 6,
+  },
+  quantityInput: {
+    width: 64,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 8,
+    fontSize: 16,
+    color: '#1e293b',
+    backgroundColor: '#fff',
+    textAlign: 'center',
+  },
+  reasonBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+  },
+  reasonText: {
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  assignButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    alignSelf: 'flex-start',
+    gap: 4,
+    marginTop: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: '#eff6ff',
+  },
+  assignButtonText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#3b82f6',
+  },
+  footer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    paddingHorizontal: 20,
+    paddingTop: 12,
+    paddingBottom: 28,
+    backgroundColor: '#fff',
+    borderTopWidth: 1,
+    borderTopColor: '#e2e8f0',
+  },
+  footerTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  footerMeta: {
+    fontSize: 13,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+    backgroundColor: '#3b82f6',
+  },
+  primaryButtonDisabled: {
+    backgroundColor: '#94a3b8',
+  },
+  primaryButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  emptyState: {
+    flexGrow: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginTop: 16,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#64748b',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  modalContainer: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  modalCancel: {
+    fontSize: 16,
+    color: '#ef4444',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  modalContent: {
+    padding: 20,
+  },
+  modalHint: {
+    fontSize: 14,
+    color: '#64748b',
+    marginBottom: 16,
+  },
+  supplierOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 14,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  supplierName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+})
+
+export default Reorder
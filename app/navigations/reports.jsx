@@ -1,10 +1,581 @@
-import React from 'react'
-import { View, Text, StyleSheet } from 'react-native'
+// app/navigations/reports.jsx - Store reports built from the local sales database
+import React, { useState, useEffect, useCallback, useMemo } from 'react'
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  TextInput,
+  Alert,
+  Share,
+  ActivityIndicator,
+  RefreshControl
+} from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { useRouter } from 'expo-router'
+import { useAuth } from '../../utils/authContext'
+import salesDatabaseService from '../../services/salesDatabase'
+import refundDatabaseService from '../../services/refundDatabase'
+import storeService from '../../services/storeService'
+import receiptJournalService from '../../services/receiptJournal'
+import { roundMoney, getDiscountTypeLabel, SC_PWD_DISCOUNT_TYPES } from '../../utils/salesCalculations'
+import { toCsv } from '../../utils/csvExport'
+import {
+  REPORT_BREAKDOWNS,
+  MARGIN_BREAKDOWNS,
+  REPORT_PRESETS,
+  getPresetDates,
+  toReportRange,
+  combineSalesReport,
+  calculateReportTotals,
+  combineMarginReport,
+  calculateMarginTotals
+} from '../../utils/reportCalculations'
 
 const Reports = () => {
+  const [stores, setStores] = useState([])
+  const [selectedStoreId, setSelectedStoreId] = useState(null)
+  const [preset, setPreset] = useState('today')
+  const [dates, setDates] = useState(() => getPresetDates('today'))
+  const [breakdown, setBreakdown] = useState('day')
+  const [breakdownRows, setBreakdownRows] = useState([])
+  const [marginBreakdown, setMarginBreakdown] = useState('product')
+  const [marginRows, setMarginRows] = useState([])
+  const [discountType, setDiscountType] = useState('')
+  const [discountedSales, setDiscountedSales] = useState([])
+  const [receiptAudit, setReceiptAudit] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [refreshing, setRefreshing] = useState(false)
+  const [loadError, setLoadError] = useState(null)
+
+  const { user } = useAuth()
+  const router = useRouter()
+
+  // Costs and margins are for managers, not the supervisors running the floor
+  const canSeeCosts = user?.role === 'super_admin' || user?.role === 'manager'
+
+  useEffect(() => {
+    if (!user) return
+
+    const loadStores = async () => {
+      try {
+        const storesData = await storeService.getUserStores(user)
+        setStores(storesData)
+      } catch (error) {
+        console.error('Error loading stores:', error)
+        setStores([])
+      }
+    }
+
+    loadStores()
+  }, [user])
+
+  // Super admins see every store until they pick one. Everyone else is held
+  // to the stores getUserStores gives them, or their own store without it.
+  const storeScope = useMemo(() => {
+    if (selectedStoreId) return selectedStoreId
+    if (user?.role === 'super_admin') return null
+    if (stores.length > 1) return stores.map(store => store.id)
+    return user?.store_id || stores[0]?.id || []
+  }, [user, stores, selectedStoreId])
+
+  // Receipt series are per store, so the audit needs a single one
+  const singleStoreId = typeof storeScope === 'string' ? storeScope : null
+
+  const range = useMemo(() => toReportRange(dates.fromDate, dates.toDate), [dates])
+
+  const selectPreset = (value) => {
+    setPreset(value)
+    if (value !== 'custom') {
+      setDates(getPresetDates(value))
+    }
+  }
+
+  const updateDate = (field, value) => {
+    setPreset('custom')
+    setDates(current => ({ ...current, [field]: value }))
+  }
+
+  const loadReport = useCallback(async () => {
+    if (!range) {
+      setLoading(false)
+      setRefreshing(false)
+      return
+    }
+
+    try {
+      const [sales, returns, discounted] = await Promise.all([
+        salesDatabaseService.getSalesBreakdown(storeScope, { ...range, breakdown }),
+        refundDatabaseService.getReturnsBreakdown(storeScope, { ...range, breakdown }),
+        salesDatabaseService.getDiscountedSales(storeScope, {
+          ...range,
+          discountType: discountType || undefined
+        })
+      ])
+      setBreakdownRows(combineSalesReport(breakdown, sales, returns))
+      setDiscountedSales(discounted)
+
+      if (canSeeCosts) {
+        const [marginSales, marginReturns] = await Promise.all([
+          salesDatabaseService.getSalesBreakdown(storeScope, { ...range, breakdown: marginBreakdown }),
+          refundDatabaseService.getReturnsBreakdown(storeScope, { ...range, breakdown: marginBreakdown })
+        ])
+        const storeNames = Object.fromEntries(stores.map(store => [store.id, store.name]))
+        setMarginRows(combineMarginReport(combineSalesReport(marginBreakdown, marginSales, marginReturns, storeNames)))
+      }
+
+      const audit = singleStoreId ? await receiptJournalService.getReceiptAudit(singleStoreId) : []
+      setReceiptAudit(audit)
+      setLoadError(null)
+    } catch (error) {
+      console.error('Error loading reports:', error)
+      setBreakdownRows([])
+      setMarginRows([])
+      setDiscountedSales([])
+      setLoadError('Unable to load report')
+    } finally {
+      setLoading(false)
+      setRefreshing(false)
+    }
+  }, [storeScope, singleStoreId, stores, range, breakdown, marginBreakdown, discountType, canSeeCosts])
+
+  useEffect(() => {
+    if (user) {
+      setLoading(true)
+      loadReport()
+    }
+  }, [user, loadReport])
+
+  const onRefresh = () => {
+    setRefreshing(true)
+    loadReport()
+  }
+
+  const formatPrice = (price) => {
+    return `₱${parseFloat(price || 0).toFixed(2)}`
+  }
+
+  const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString('en-PH', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    })
+  }
+
+  const rangeLabel = `${dates.fromDate} to ${dates.toDate}`
+  const breakdownLabel = REPORT_BREAKDOWNS.find(option => option.value === breakdown)?.label
+  const breakdownTotals = calculateReportTotals(breakdownRows)
+  const marginLabel = MARGIN_BREAKDOWNS.find(option => option.value === marginBreakdown)?.label
+  const marginTotals = calculateMarginTotals(marginRows)
+
+  const shareCsv = async (title, csv) => {
+    try {
+      await Share.share({ title, message: csv })
+    } catch (error) {
+      console.error('Error sharing CSV:', error)
+      Alert.alert('Error', 'Failed to export: ' + error.message)
+    }
+  }
+
+  const exportBreakdown = async () => {
+    const csv = toCsv([
+      { key: 'label', label: breakdownLabel },
+      { key: 'transactions', label: 'Transactions' },
+      ...(breakdown === 'payment_method' ? [] : [{ key: 'quantity', label: 'Quantity' }]),
+      { key: 'gross', label: 'Gross' },
+      { key: 'discounts', label: 'Discounts' },
+      { key: 'returns', label: 'Returns' },
+      { key: 'net', label: 'Net' },
+      { key: 'vat', label: 'VAT' }
+    ], [...breakdownRows, { label: 'Total', ...breakdownTotals }])
+
+    await shareCsv(`Sales by ${breakdownLabel} ${rangeLabel}`, csv)
+  }
+
+  const exportMargin = async () => {
+    const csv = toCsv([
+      { key: 'label', label: marginLabel },
+      { key: 'quantity', label: 'Net Quantity' },
+      { key: 'revenue', label: 'Revenue (ex-VAT)' },
+      { key: 'cogs', label: 'COGS' },
+      { key: 'gross_profit', label: 'Gross Profit' },
+      { label: 'Margin %', value: row => row.margin_percent ?? '' },
+      { key: 'uncosted_quantity', label: 'Uncosted Units' }
+    ], [...marginRows, { label: 'Total', quantity: '', ...marginTotals }])
+
+    await shareCsv(`Gross Margin by ${marginLabel} ${rangeLabel}`, csv)
+  }
+
+  const exportDiscounts = async () => {
+    const csv = toCsv([
+      { label: 'Date', value: sale => new Date(sale.created_at).toLocaleString('en-PH') },
+      { label: 'Receipt', value: sale => sale.receipt_number || sale.id },
+      { label: 'Type', value: sale => getDiscountTypeLabel(sale.discount_type) },
+      { key: 'discount_id_number', label: 'ID Number' },
+      { key: 'discount_holder_name', label: 'Name' },
+      { key: 'cashier_name', label: 'Cashier' },
+      { key: 'subtotal', label: 'Gross' },
+      { key: 'vat_exemption_amount', label: 'VAT Exemption' },
+      { key: 'discount_amount', label: 'Discount' },
+      { key: 'total_amount', label: 'Net' }
+    ], discountedSales)
+
+    await shareCsv(`SC-PWD Discounts ${rangeLabel}`, csv)
+  }
+
+  const exportReceiptAudit = async () => {
+    const csv = toCsv([
+      { key: 'terminal_id', label: 'Terminal' },
+      { key: 'document_type', label: 'Document' },
+      { key: 'last_number', label: 'Last Number' },
+      { key: 'issued_count', label: 'Journaled' },
+      { label: 'Missing', value: series => series.missing.join(' ') }
+    ], receiptAudit)
+
+    await shareCsv(`Receipt Audit ${singleStoreId}`, csv)
+  }
+
+  const reportTotals = discountedSales.reduce((totals, sale) => ({
+    gross: roundMoney(totals.gross + (sale.subtotal || 0)),
+    vatExemption: roundMoney(totals.vatExemption + (sale.vat_exemption_amount || 0)),
+    discount: roundMoney(totals.discount + (sale.discount_amount || 0)),
+    net: roundMoney(totals.net + (sale.total_amount || 0))
+  }), { gross: 0, vatExemption: 0, discount: 0, net: 0 })
+
+  const renderChip = (key, label, isActive, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, isActive && styles.chipActive]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, isActive && styles.chipTextActive]}>{label}</Text>
+    </TouchableOpacity>
+  )
+
+  const renderSectionHeader = (title, onExport, canExport) => (
+    <View style={styles.sectionHeader}>
+      <Text style={styles.sectionTitle}>{title}</Text>
+      {canExport && (
+        <TouchableOpacity style={styles.exportButton} onPress={onExport}>
+          <Ionicons name="share-outline" size={16} color="#3b82f6" />
+          <Text style={styles.exportButtonText}>CSV</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  )
+
+  const renderBreakdownRow = (row) => (
+    <View key={row.group_key} style={styles.reportRow}>
+      <View style={styles.reportRowHeader}>
+        <Text style={[styles.holderName, { flex: 1 }]} numberOfLines={1}>{row.label}</Text>
+        <Text style={styles.netAmount}>{formatPrice(row.net)}</Text>
+      </View>
+      <Text style={styles.rowMeta}>
+        {row.transactions} transaction(s)
+        {breakdown !== 'payment_method' ? ` • ${row.quantity} sold` : ''}
+        {row.refunds > 0 ? ` • ${row.refunds} refund(s)` : ''}
+      </Text>
+      <View style={styles.rowFigures}>
+        <Text style={styles.figureText}>Gross {formatPrice(row.gross)}</Text>
+        <Text style={styles.figureText}>Discounts {formatPrice(row.discounts)}</Text>
+        <Text style={[styles.figureText, row.returns > 0 && styles.returnsText]}>Returns {formatPrice(row.returns)}</Text>
+        <Text style={styles.figureText}>VAT {formatPrice(row.vat)}</Text>
+      </View>
+    </View>
+  )
+
+  const renderMarginRow = (row) => (
+    <View key={row.group_key} style={styles.reportRow}>
+      <View style={styles.reportRowHeader}>
+        <Text style={[styles.holderName, { flex: 1 }]} numberOfLines={1}>{row.label}</Text>
+        <Text style={[styles.netAmount, row.gross_profit < 0 && styles.returnsText]}>
+          {row.margin_percent !== null ? `${row.margin_percent}%` : '—'}
+        </Text>
+      </View>
+      <View style={styles.rowFigures}>
+        <Text style={styles.figureText}>Revenue {formatPrice(row.revenue)}</Text>
+        <Text style={styles.figureText}>COGS {formatPrice(row.cogs)}</Text>
+        <Text style={styles.figureText}>Profit {formatPrice(row.gross_profit)}</Text>
+      </View>
+      {row.uncosted_quantity > 0 && (
+        <Text style={styles.missingText}>{row.uncosted_quantity} unit(s) sold before a cost was recorded</Text>
+      )}
+    </View>
+  )
+
+  const renderDiscountRow = (sale) => (
+    <View key={sale.id} style={styles.reportRow}>
+      <View style={styles.reportRowHeader}>
+        <Text style={styles.holderName}>{sale.discount_holder_name}</Text>
+        <Text style={styles.netAmount}>{formatPrice(sale.total_amount)}</Text>
+      </View>
+      <Text style={styles.rowMeta}>
+        {getDiscountTypeLabel(sale.discount_type)} • ID {sale.discount_id_number}
+      </Text>
+      <Text style={styles.rowMeta}>
+        {formatDateTime(sale.created_at)} • {sale.receipt_number || sale.id}{sale.cashier_name ? ` • ${sale.cashier_name}` : ''}
+      </Text>
+      <View style={styles.rowFigures}>
+        <Text style={styles.figureText}>Gross {formatPrice(sale.subtotal)}</Text>
+        <Text style={styles.figureText}>VAT Exempt {formatPrice(sale.vat_exemption_amount)}</Text>
+        <Text style={styles.figureText}>Discount {formatPrice(sale.discount_amount)}</Text>
+      </View>
+    </View>
+  )
+
+  // Role-based access control
+  if (!['super_admin', 'manager', 'supervisor'].includes(user?.role)) {
+    return (
+      <View style={styles.container}>
+        <View style={styles.accessDenied}>
+          <Ionicons name="lock-closed" size={64} color="#ef4444" />
+          <Text style={styles.accessTitle}>Access Restricted</Text>
+          <Text style={styles.accessText}>
+            You don't have permission to view reports.
+          </Text>
+        </View>
+      </View>
+    )
+  }
+
   return (
     <View style={styles.container}>
-      <Text style={styles.title}>Reports Page</Text>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={22} color="#1e293b" />
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.headerTitle}>Reports</Text>
+          <Text style={styles.headerSubtitle}>
+            {singleStoreId ? `Store: ${stores.find(s => s.id === singleStoreId)?.name || singleStoreId}` : 'All stores'}
+          </Text>
+        </View>
+      </View>
+
+      <ScrollView
+        style={styles.content}
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={onRefresh} />}
+      >
+        {/* Store filter, limited to the stores this user can access */}
+        {stores.length > 1 && (
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+            {renderChip('all', 'All Stores', !selectedStoreId, () => setSelectedStoreId(null))}
+            {stores.map(store =>
+              renderChip(store.id, store.name, selectedStoreId === store.id, () => setSelectedStoreId(store.id))
+            )}
+          </ScrollView>
+        )}
+
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+          {REPORT_PRESETS.map(option =>
+            renderChip(option.value, option.label, preset === option.value, () => selectPreset(option.value))
+          )}
+        </ScrollView>
+
+        {/* Date range, both days inclusive */}
+        <View style={styles.dateRow}>
+          <View style={styles.dateField}>
+            <Text style={styles.dateLabel}>From</Text>
+            <TextInput
+              style={styles.dateInput}
+              value={dates.fromDate}
+              onChangeText={(value) => updateDate('fromDate', value)}
+              placeholder="YYYY-MM-DD"
+              maxLength={10}
+            />
+          </View>
+          <View style={styles.dateField}>
+            <Text style={styles.dateLabel}>To</Text>
+            <TextInput
+              style={styles.dateInput}
+              value={dates.toDate}
+              onChangeText={(value) => updateDate('toDate', value)}
+              placeholder="YYYY-MM-DD"
+              maxLength={10}
+            />
+          </View>
+        </View>
+        {!range && (
+          <Text style={styles.rangeError}>Enter dates as YYYY-MM-DD, with From on or before To</Text>
+        )}
+
+        {/* Sales breakdown */}
+        <View style={styles.section}>
+          {renderSectionHeader('Sales', exportBreakdown, breakdownRows.length > 0)}
+
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+            {REPORT_BREAKDOWNS.map(option =>
+              renderChip(option.value, option.label, breakdown === option.value, () => setBreakdown(option.value))
+            )}
+          </ScrollView>
+
+          <View style={styles.summaryGrid}>
+            <View style={styles.summaryCard}>
+              <Text style={styles.summaryValue}>{formatPrice(breakdownTotals.gross)}</Text>
+              <Text style={styles.summaryLabel}>Gross Sales</Text>
+            </View>
+            <View style={styles.summaryCard}>
+              <Text style={styles.summaryValue}>{formatPrice(breakdownTotals.discounts)}</Text>
+              <Text style={styles.summaryLabel}>Discounts</Text>
+            </View>
+            <View style={styles.summaryCard}>
+              <Text style={styles.summaryValue}>{formatPrice(breakdownTotals.returns)}</Text>
+              <Text style={styles.summaryLabel}>Returns</Text>
+            </View>
+            <View style={styles.summaryCard}>
+              <Text style={styles.summaryValue}>{formatPrice(breakdownTotals.net)}</Text>
+              <Text style={styles.summaryLabel}>Net Sales</Text>
+            </View>
+            <View style={styles.summaryCard}>
+              <Text style={styles.summaryValue}>{formatPrice(breakdownTotals.vat)}</Text>
+              <Text style={styles.summaryLabel}>VAT</Text>
+            </View>
+          </View>
+
+          {loading ? (
+            <ActivityIndicator size="small" color="#3b82f6" style={{ marginVertical: 24 }} />
+          ) : breakdownRows.length === 0 ? (
+            <View style={styles.emptyState}>
+              <Ionicons name="bar-chart-outline" size={40} color="#cbd5e1" />
+              <Text style={styles.emptyText}>
+                {loadError || 'No sales for this period'}
+              </Text>
+            </View>
+          ) : (
+            breakdownRows.map(renderBreakdownRow)
+          )}
+        </View>
+
+        {/* Gross margin from the average cost each line sold at */}
+        {canSeeCosts && (
+          <View style={styles.section}>
+            {renderSectionHeader('Gross Margin', exportMargin, marginRows.length > 0)}
+
+            <View style={styles.chipRow}>
+              {MARGIN_BREAKDOWNS.map(option =>
+                renderChip(option.value, option.label, marginBreakdown === option.value, () => setMarginBreakdown(option.value))
+              )}
+            </View>
+
+            <View style={styles.summaryGrid}>
+              <View style={styles.summaryCard}>
+                <Text style={styles.summaryValue}>{formatPrice(marginTotals.revenue)}</Text>
+                <Text style={styles.summaryLabel}>Revenue (ex-VAT)</Text>
+              </View>
+              <View style={styles.summaryCard}>
+                <Text style={styles.summaryValue}>{formatPrice(marginTotals.cogs)}</Text>
+                <Text style={styles.summaryLabel}>Cost of Goods</Text>
+              </View>
+              <View style={styles.summaryCard}>
+                <Text style={styles.summaryValue}>{formatPrice(marginTotals.gross_profit)}</Text>
+                <Text style={styles.summaryLabel}>Gross Profit</Text>
+              </View>
+              <View style={styles.summaryCard}>
+                <Text style={styles.summaryValue}>
+                  {marginTotals.margin_percent !== null ? `${marginTotals.margin_percent}%` : '—'}
+                </Text>
+                <Text style={styles.summaryLabel}>Margin</Text>
+              </View>
+            </View>
+
+            {loading ? (
+              <ActivityIndicator size="small" color="#3b82f6" style={{ marginVertical: 24 }} />
+            ) : marginRows.length === 0 ? (
+              <View style={styles.emptyState}>
+                <Ionicons name="trending-up-outline" size={40} color="#cbd5e1" />
+                <Text style={styles.emptyText}>
+                  {loadError || 'No sales for this period'}
+                </Text>
+              </View>
+            ) : (
+              marginRows.map(renderMarginRow)
+            )}
+          </View>
+        )}
+
+        {/* SC/PWD Discount Report */}
+        <View style={styles.section}>
+          {renderSectionHeader('Senior Citizen / PWD Discounts', exportDiscounts, discountedSales.length > 0)}
+
+          <View style={styles.chipRow}>
+            {renderChip('all-types', 'All', !discountType, () => setDiscountType(''))}
+            {SC_PWD_DISCOUNT_TYPES.map(option =>
+              renderChip(option.value, option.label, discountType === option.value, () => setDiscountType(option.value))
+            )}
+          </View>
+
+          <View style={styles.summaryGrid}>
+            <View style={styles.summaryCard}>
+              <Text style={styles.summaryValue}>{discountedSales.length}</Text>
+              <Text style={styles.summaryLabel}>Transactions</Text>
+            </View>
+            <View style={styles.summaryCard}>
+              <Text style={styles.summaryValue}>{formatPrice(reportTotals.gross)}</Text>
+              <Text style={styles.summaryLabel}>Gross Sales</Text>
+            </View>
+            <View style={styles.summaryCard}>
+              <Text style={styles.summaryValue}>{formatPrice(reportTotals.vatExemption)}</Text>
+              <Text style={styles.summaryLabel}>VAT Exemption</Text>
+            </View>
+            <View style={styles.summaryCard}>
+              <Text style={styles.summaryValue}>{formatPrice(reportTotals.discount)}</Text>
+              <Text style={styles.summaryLabel}>20% Discount</Text>
+            </View>
+          </View>
+
+          {loading ? (
+            <ActivityIndicator size="small" color="#3b82f6" style={{ marginVertical: 24 }} />
+          ) : discountedSales.length === 0 ? (
+            <View style={styles.emptyState}>
+              <Ionicons name="document-text-outline" size={40} color="#cbd5e1" />
+              <Text style={styles.emptyText}>
+                {loadError || 'No discounted transactions for this period'}
+              </Text>
+            </View>
+          ) : (
+            discountedSales.map(renderDiscountRow)
+          )}
+        </View>
+
+        {/* Receipt Number Audit */}
+        {singleStoreId && (
+          <View style={styles.section}>
+            {renderSectionHeader('Receipt Number Audit', exportReceiptAudit, receiptAudit.length > 0)}
+
+            {receiptAudit.length === 0 ? (
+              <View style={styles.emptyState}>
+                <Ionicons name="receipt-outline" size={40} color="#cbd5e1" />
+                <Text style={styles.emptyText}>No receipts issued yet</Text>
+              </View>
+            ) : (
+              receiptAudit.map(series => (
+                <View key={`${series.terminal_id}-${series.document_type}`} style={styles.reportRow}>
+                  <View style={styles.reportRowHeader}>
+                    <Text style={styles.holderName}>{series.document_type} • Terminal {series.terminal_id}</Text>
+                    <Ionicons
+                      name={series.missing.length === 0 ? 'checkmark-circle' : 'alert-circle'}
+                      size={20}
+                      color={series.missing.length === 0 ? '#10b981' : '#ef4444'}
+                    />
+                  </View>
+                  <Text style={styles.rowMeta}>
+                    Last number {series.last_number} • {series.issued_count} journaled
+                  </Text>
+                  {series.missing.length > 0 && (
+                    <Text style={styles.missingText}>
+                      Missing: {series.missing.join(', ')}
+                    </Text>
+                  )}
+                </View>
+              ))
+            )}
+          </View>
+        )}
+      </ScrollView>
     </View>
   )
 }
@@ -12,14 +583,228 @@ const Reports = () => {
 const styles = StyleSheet.create({
   container: {
     flex: 1,
-    justifyContent: 'center',
+    backgroundColor: '#f8fafc',
+  },
+  header: {
+    flexDirection: 'row',
     alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 50,
+    paddingBottom: 16,
     backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
   },
-  title: {
+  backButton: {
+    padding: 6,
+    marginRight: 12,
+    borderRadius: 8,
+    backgroundColor: '#f1f5f9',
+  },
+  headerTitle: {
     fontSize: 24,
     fontWeight: 'bold',
+    color: '#1e293b',
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#64748b',
+    marginTop: 4,
+  },
+  content: {
+    flex: 1,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    paddingHorizontal: 16,
+    paddingTop: 12,
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  chipActive: {
+    backgroundColor: '#3b82f6',
+    borderColor: '#3b82f6',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#374151',
+    fontWeight: '500',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  section: {
+    backgroundColor: '#fff',
+    margin: 16,
+    borderRadius: 12,
+    paddingBottom: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 3,
+    elevation: 2,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingRight: 16,
+  },
+  exportButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingTop: 16,
+  },
+  exportButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#3b82f6',
+  },
+  dateRow: {
+    flexDirection: 'row',
+    gap: 12,
+    paddingHorizontal: 16,
+    paddingTop: 12,
+  },
+  dateField: {
+    flex: 1,
+  },
+  dateLabel: {
+    fontSize: 12,
+    color: '#64748b',
+    marginBottom: 4,
+  },
+  dateInput: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 15,
+    color: '#1e293b',
+    backgroundColor: '#fff',
+  },
+  rangeError: {
+    fontSize: 12,
+    color: '#ef4444',
+    paddingHorizontal: 16,
+    paddingTop: 6,
+  },
+  returnsText: {
+    color: '#ef4444',
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+    paddingHorizontal: 16,
+    paddingTop: 16,
+  },
+  summaryGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingHorizontal: 12,
+    paddingTop: 12,
+  },
+  summaryCard: {
+    width: '50%',
+    padding: 4,
+  },
+  summaryValue: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1e293b',
+    backgroundColor: '#f8fafc',
+    paddingHorizontal: 12,
+    paddingTop: 10,
+    borderTopLeftRadius: 8,
+    borderTopRightRadius: 8,
+  },
+  summaryLabel: {
+    fontSize: 12,
+    color: '#64748b',
+    backgroundColor: '#f8fafc',
+    paddingHorizontal: 12,
+    paddingBottom: 10,
+    borderBottomLeftRadius: 8,
+    borderBottomRightRadius: 8,
+  },
+  reportRow: {
+    marginHorizontal: 16,
+    paddingVertical: 12,
+    borderTopWidth: 1,
+    borderTopColor: '#f1f5f9',
+  },
+  reportRowHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  holderName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  netAmount: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#10b981',
+  },
+  rowMeta: {
+    fontSize: 12,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  rowFigures: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 12,
+    marginTop: 6,
+  },
+  figureText: {
+    fontSize: 12,
+    color: '#374151',
+  },
+  missingText: {
+    fontSize: 12,
+    color: '#ef4444',
+    marginTop: 6,
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 32,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#64748b',
+    marginTop: 8,
+  },
+  accessDenied: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 40,
+  },
+  accessTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginTop: 16,
+  },
+  accessText: {
+    fontSize: 14,
+    color: '#64748b',
+    textAlign: 'center',
+    marginTop: 8,
   },
 })
 
-export default Reports
\ No newline at end of file
+export default Reports
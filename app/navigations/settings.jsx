@@ -1,10 +1,370 @@
-import React from 'react'
-import { View, Text, StyleSheet } from 'react-native'
+// app/navigations/settings.jsx - Register settings for this device
+import React, { useState, useEffect } from 'react'
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  TextInput,
+  Switch,
+  Alert,
+  ActivityIndicator
+} from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { useRouter } from 'expo-router'
+import { useAuth } from '../../utils/authContext'
+import posSettingsService, { DOCUMENT_TYPES, PAPER_WIDTH_OPTIONS, RESTRICTED_ACTIONS } from '../../services/posSettings'
+import receiptJournalService from '../../services/receiptJournal'
+import productDatabaseService from '../../services/productDatabase'
 
 const Settings = () => {
+  const [terminalId, setTerminalId] = useState('')
+  const [documentType, setDocumentType] = useState('SI')
+  const [paperWidth, setPaperWidth] = useState(58)
+  const [restrictedActions, setRestrictedActions] = useState([])
+  const [discountThreshold, setDiscountThreshold] = useState('0')
+  const [heldExpiryHours, setHeldExpiryHours] = useState('12')
+  const [loyaltyEnabled, setLoyaltyEnabled] = useState(false)
+  const [pointsPerPeso, setPointsPerPeso] = useState('0.01')
+  const [pesoPerPoint, setPesoPerPoint] = useState('1')
+  const [pointsExpiryMonths, setPointsExpiryMonths] = useState('12')
+  const [categories, setCategories] = useState([])
+  const [categoryRates, setCategoryRates] = useState({})
+  const [savedSettings, setSavedSettings] = useState(null)
+  const [accumulators, setAccumulators] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+
+  const { user } = useAuth()
+  const router = useRouter()
+
+  // Receipt series settings affect BIR numbering, so only managers change them
+  const canEdit = ['super_admin', 'manager'].includes(user?.role)
+
+  useEffect(() => {
+    loadSettings()
+  }, [user?.store_id])
+
+  const loadSettings = async () => {
+    try {
+      const settings = await posSettingsService.getSettings()
+      setSavedSettings(settings)
+      setTerminalId(settings.terminal_id)
+      setDocumentType(settings.document_type)
+      setPaperWidth(settings.receipt_paper_width)
+      setRestrictedActions(settings.restricted_actions)
+      setDiscountThreshold(String(settings.discount_override_threshold))
+      setHeldExpiryHours(String(settings.held_ticket_expiry_hours))
+      setLoyaltyEnabled(settings.loyalty_enabled)
+      setPointsPerPeso(String(settings.loyalty_points_per_peso))
+      setPesoPerPoint(String(settings.loyalty_peso_per_point))
+      setPointsExpiryMonths(String(settings.loyalty_expiry_months))
+
+      if (user?.store_id) {
+        const [totals, categoriesData] = await Promise.all([
+          receiptJournalService.getAccumulators(user.store_id, settings.terminal_id),
+          productDatabaseService.getCategoriesByStore(user.store_id)
+        ])
+        setAccumulators(totals)
+        setCategories(categoriesData)
+        setCategoryRates(Object.fromEntries(categoriesData.map(category => [
+          category.id,
+          category.loyalty_points_rate === null || category.loyalty_points_rate === undefined
+            ? ''
+            : String(category.loyalty_points_rate)
+        ])))
+      }
+    } catch (error) {
+      console.error('Error loading settings:', error)
+      Alert.alert('Error', 'Failed to load settings')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleSave = () => {
+    const seriesChanged = terminalId.trim().toUpperCase() !== savedSettings?.terminal_id ||
+      documentType !== savedSettings?.document_type
+
+    if (!seriesChanged) {
+      saveSettings()
+      return
+    }
+
+    Alert.alert(
+      'Change Receipt Series',
+      'Receipts from this device will continue on a different number series. Only do this when the terminal is re-registered with BIR.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Save', onPress: saveSettings }
+      ]
+    )
+  }
+
+  const saveSettings = async () => {
+    try {
+      setSaving(true)
+      await posSettingsService.updateSettings({
+        terminal_id: terminalId,
+        document_type: documentType,
+        receipt_paper_width: paperWidth,
+        restricted_actions: restrictedActions,
+        discount_override_threshold: discountThreshold,
+        held_ticket_expiry_hours: heldExpiryHours,
+        loyalty_enabled: loyaltyEnabled,
+        loyalty_points_per_peso: pointsPerPeso,
+        loyalty_peso_per_point: pesoPerPoint,
+        loyalty_expiry_months: pointsExpiryMonths
+      })
+
+      // Category rates live with the store's categories, not on this device
+      for (const category of categories) {
+        const saved = category.loyalty_points_rate === null || category.loyalty_points_rate === undefined
+          ? ''
+          : String(category.loyalty_points_rate)
+        if ((categoryRates[category.id] || '').trim() !== saved) {
+          await productDatabaseService.updateCategoryLoyaltyRate(category.id, categoryRates[category.id], user)
+        }
+      }
+
+      await loadSettings()
+      Alert.alert('Success', 'Settings saved')
+    } catch (error) {
+      console.error('Error saving settings:', error)
+      Alert.alert('Error', error.message || 'Failed to save settings')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const toggleRestrictedAction = (action, restricted) => {
+    setRestrictedActions(restricted
+      ? [...restrictedActions, action]
+      : restrictedActions.filter(value => value !== action))
+  }
+
+  const formatPrice = (price) => {
+    return `₱${parseFloat(price || 0).toFixed(2)}`
+  }
+
+  if (loading) {
+    return (
+      <View style={[styles.container, styles.centered]}>
+        <ActivityIndicator size="large" color="#3b82f6" />
+      </View>
+    )
+  }
+
   return (
     <View style={styles.container}>
-      <Text style={styles.title}>Settings Page</Text>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={22} color="#1e293b" />
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.headerTitle}>Settings</Text>
+          <Text style={styles.headerSubtitle}>Register configuration for this device</Text>
+        </View>
+      </View>
+
+      <ScrollView style={styles.content}>
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Receipts</Text>
+
+          <Text style={styles.fieldLabel}>Terminal ID</Text>
+          <TextInput
+            style={[styles.textInput, !canEdit && styles.textInputDisabled]}
+            value={terminalId}
+            onChangeText={setTerminalId}
+            editable={canEdit}
+            autoCapitalize="characters"
+            placeholder="e.g. T001"
+          />
+
+          <Text style={styles.fieldLabel}>Document Type</Text>
+          <View style={styles.optionRow}>
+            {DOCUMENT_TYPES.map(type => (
+              <TouchableOpacity
+                key={type.value}
+                style={[styles.option, documentType === type.value && styles.optionActive]}
+                onPress={() => setDocumentType(type.value)}
+                disabled={!canEdit}
+              >
+                <Text style={[styles.optionText, documentType === type.value && styles.optionTextActive]}>
+                  {type.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <Text style={styles.fieldLabel}>Receipt Paper</Text>
+          <View style={styles.optionRow}>
+            {PAPER_WIDTH_OPTIONS.map(option => (
+              <TouchableOpacity
+                key={option.value}
+                style={[styles.option, paperWidth === option.value && styles.optionActive]}
+                onPress={() => setPaperWidth(option.value)}
+                disabled={!canEdit}
+              >
+                <Text style={[styles.optionText, paperWidth === option.value && styles.optionTextActive]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Held Tickets</Text>
+          <Text style={styles.fieldLabel}>Expire after (hours)</Text>
+          <TextInput
+            style={[styles.textInput, !canEdit && styles.textInputDisabled]}
+            value={heldExpiryHours}
+            onChangeText={setHeldExpiryHours}
+            editable={canEdit}
+            keyboardType="number-pad"
+            placeholder="12"
+          />
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Loyalty Points</Text>
+          <View style={styles.switchRow}>
+            <View style={{ flex: 1 }}>
+              <Text style={styles.switchLabel}>Loyalty program</Text>
+              <Text style={styles.switchDescription}>Customers attached to a sale earn and redeem points</Text>
+            </View>
+            <Switch
+              value={loyaltyEnabled}
+              onValueChange={setLoyaltyEnabled}
+              disabled={!canEdit}
+              trackColor={{ true: '#3b82f6' }}
+            />
+          </View>
+
+          {loyaltyEnabled && (
+            <>
+              <Text style={[styles.fieldLabel, { marginTop: 12 }]}>Points earned per ₱1</Text>
+              <TextInput
+                style={[styles.textInput, !canEdit && styles.textInputDisabled]}
+                value={pointsPerPeso}
+                onChangeText={setPointsPerPeso}
+                editable={canEdit}
+                keyboardType="decimal-pad"
+                placeholder="0.01"
+              />
+
+              <Text style={styles.fieldLabel}>Value of 1 point (₱)</Text>
+              <TextInput
+                style={[styles.textInput, !canEdit && styles.textInputDisabled]}
+                value={pesoPerPoint}
+                onChangeText={setPesoPerPoint}
+                editable={canEdit}
+                keyboardType="decimal-pad"
+                placeholder="1.00"
+              />
+
+              <Text style={styles.fieldLabel}>Points expire after (months, 0 = never)</Text>
+              <TextInput
+                style={[styles.textInput, !canEdit && styles.textInputDisabled]}
+                value={pointsExpiryMonths}
+                onChangeText={setPointsExpiryMonths}
+                editable={canEdit}
+                keyboardType="number-pad"
+                placeholder="12"
+              />
+
+              {categories.length > 0 && (
+                <>
+                  <Text style={styles.fieldLabel}>Points per ₱1 by category</Text>
+                  <Text style={styles.switchDescription}>Leave blank to use the rate above</Text>
+                  {categories.map(category => (
+                    <View key={category.id} style={styles.categoryRateRow}>
+                      <Text style={styles.categoryRateName} numberOfLines={1}>{category.name}</Text>
+                      <TextInput
+                        style={[styles.categoryRateInput, !canEdit && styles.textInputDisabled]}
+                        value={categoryRates[category.id] || ''}
+                        onChangeText={(value) => setCategoryRates({ ...categoryRates, [category.id]: value })}
+                        editable={canEdit}
+                        keyboardType="decimal-pad"
+                        placeholder={pointsPerPeso}
+                      />
+                    </View>
+                  ))}
+                </>
+              )}
+            </>
+          )}
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Manager Override</Text>
+          <Text style={styles.sectionSubtitle}>
+            Cashiers need a supervisor passcode for these actions. Supervisors and managers signed in approve them directly.
+          </Text>
+
+          {RESTRICTED_ACTIONS.map(action => (
+            <View key={action.value} style={styles.switchRow}>
+              <View style={{ flex: 1 }}>
+                <Text style={styles.switchLabel}>{action.label}</Text>
+                <Text style={styles.switchDescription}>{action.description}</Text>
+              </View>
+              <Switch
+                value={restrictedActions.includes(action.value)}
+                onValueChange={(value) => toggleRestrictedAction(action.value, value)}
+                disabled={!canEdit}
+                trackColor={{ true: '#3b82f6' }}
+              />
+            </View>
+          ))}
+
+          {restrictedActions.includes('discount') && (
+            <>
+              <Text style={[styles.fieldLabel, { marginTop: 12 }]}>Discount Threshold (₱)</Text>
+              <TextInput
+                style={[styles.textInput, !canEdit && styles.textInputDisabled]}
+                value={discountThreshold}
+                onChangeText={setDiscountThreshold}
+                editable={canEdit}
+                keyboardType="decimal-pad"
+                placeholder="0.00"
+              />
+            </>
+          )}
+
+          {canEdit && (
+            <TouchableOpacity
+              style={[styles.saveButton, saving && styles.saveButtonDisabled]}
+              onPress={handleSave}
+              disabled={saving}
+            >
+              <Text style={styles.saveButtonText}>{saving ? 'Saving...' : 'Save Settings'}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        {accumulators && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Accumulated Totals</Text>
+            <Text style={styles.sectionSubtitle}>Running totals for this terminal. These never reset.</Text>
+
+            <View style={styles.totalRow}>
+              <Text style={styles.totalLabel}>Grand Total Sales</Text>
+              <Text style={styles.totalValue}>{formatPrice(accumulators.grandTotal)}</Text>
+            </View>
+            <View style={styles.totalRow}>
+              <Text style={styles.totalLabel}>Accumulated Voids</Text>
+              <Text style={styles.totalValue}>{formatPrice(accumulators.voidTotal)}</Text>
+            </View>
+            <View style={styles.totalRow}>
+              <Text style={styles.totalLabel}>Accumulated Refunds</Text>
+              <Text style={styles.totalValue}>{formatPrice(accumulators.refundTotal)}</Text>
+            </View>
+          </View>
+        )}
+      </ScrollView>
     </View>
   )
 }
@@ -12,14 +372,178 @@ const Settings = () => {
 const styles = StyleSheet.create({
   container: {
     flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  centered: {
     justifyContent: 'center',
     alignItems: 'center',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 50,
+    paddingBottom: 16,
     backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
   },
-  title: {
+  backButton: {
+    padding: 6,
+    marginRight: 12,
+    borderRadius: 8,
+    backgroundColor: '#f1f5f9',
+  },
+  headerTitle: {
     fontSize: 24,
     fontWeight: 'bold',
+    color: '#1e293b',
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#64748b',
+    marginTop: 4,
+  },
+  content: {
+    flex: 1,
+  },
+  section: {
+    backgroundColor: '#fff',
+    marginHorizontal: 16,
+    marginTop: 16,
+    borderRadius: 12,
+    padding: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 3,
+    elevation: 2,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginBottom: 12,
+  },
+  sectionSubtitle: {
+    fontSize: 13,
+    color: '#64748b',
+    marginTop: -8,
+    marginBottom: 12,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#1e293b',
+    marginBottom: 16,
+  },
+  textInputDisabled: {
+    backgroundColor: '#f1f5f9',
+    color: '#64748b',
+  },
+  optionRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 16,
+  },
+  option: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  optionActive: {
+    backgroundColor: '#3b82f6',
+    borderColor: '#3b82f6',
+  },
+  optionText: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#64748b',
+  },
+  optionTextActive: {
+    color: '#fff',
+  },
+  saveButton: {
+    marginTop: 8,
+    backgroundColor: '#3b82f6',
+    borderRadius: 8,
+    paddingVertical: 12,
+    alignItems: 'center',
+  },
+  saveButtonDisabled: {
+    backgroundColor: '#94a3b8',
+  },
+  saveButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderTopWidth: 1,
+    borderTopColor: '#f1f5f9',
+  },
+  switchLabel: {
+    fontSize: 15,
+    fontWeight: '500',
+    color: '#1e293b',
+  },
+  switchDescription: {
+    fontSize: 12,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  categoryRateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    gap: 12,
+  },
+  categoryRateName: {
+    flex: 1,
+    fontSize: 14,
+    color: '#1e293b',
+  },
+  categoryRateInput: {
+    width: 90,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    fontSize: 14,
+    color: '#1e293b',
+    textAlign: 'right',
+  },
+  totalRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+  },
+  totalLabel: {
+    fontSize: 14,
+    color: '#64748b',
+  },
+  totalValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1e293b',
   },
 })
 
-export default Settings
\ No newline at end of file
+export default Settings
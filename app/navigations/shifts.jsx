@@ -0,0 +1,859 @@
+// app/navigations/shifts.jsx - Open and close cashier shifts, move drawer cash and take X/Z readings
+import React, { useState, useEffect, useCallback } from 'react'
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  TextInput,
+  Alert,
+  Modal,
+  ActivityIndicator
+} from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { useRouter } from 'expo-router'
+import { useAuth } from '../../utils/authContext'
+import shiftDatabaseService from '../../services/shiftDatabase'
+import staffDatabaseService from '../../services/staffDatabase'
+import posSettingsService from '../../services/posSettings'
+import ReceiptPreview from '../components/ReceiptPreview'
+import {
+  DENOMINATIONS,
+  CASH_MOVEMENT_TYPES,
+  getCashMovementLabel,
+  calculateDenominationTotal
+} from '../../utils/shiftCalculations'
+
+const ShiftsScreen = () => {
+  const [stores, setStores] = useState([])
+  const [selectedStoreId, setSelectedStoreId] = useState(null)
+  const [shift, setShift] = useState(null)
+  const [summary, setSummary] = useState(null)
+  const [movements, setMovements] = useState([])
+  const [lastZReading, setLastZReading] = useState(null)
+  const [openingFloat, setOpeningFloat] = useState('')
+  const [movementForm, setMovementForm] = useState(null)
+  const [showCloseShift, setShowCloseShift] = useState(false)
+  const [denominationCounts, setDenominationCounts] = useState({})
+  const [closeNotes, setCloseNotes] = useState('')
+  const [reading, setReading] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [submitting, setSubmitting] = useState(false)
+
+  const { user } = useAuth()
+  const router = useRouter()
+
+  const storeId = user?.store_id || selectedStoreId
+  const canTakeZReading = ['super_admin', 'manager', 'supervisor'].includes(user?.role)
+
+  useEffect(() => {
+    if (!user || user.store_id) return
+
+    const loadStores = async () => {
+      try {
+        const storesData = await staffDatabaseService.getAllStores()
+        setStores(storesData)
+        if (storesData.length > 0 && !selectedStoreId) {
+          setSelectedStoreId(storesData[0].id)
+        } else if (storesData.length === 0) {
+          setLoading(false)
+        }
+      } catch (error) {
+        console.error('Error loading stores:', error)
+        setStores([])
+        setLoading(false)
+      }
+    }
+
+    loadStores()
+  }, [user])
+
+  const loadShift = useCallback(async () => {
+    if (!storeId) return
+
+    try {
+      const settings = await posSettingsService.getSettings()
+      const [openShift, zReading] = await Promise.all([
+        shiftDatabaseService.getOpenShift(storeId),
+        shiftDatabaseService.getLastZReading(storeId, settings.terminal_id)
+      ])
+
+      setShift(openShift)
+      setLastZReading(zReading)
+
+      if (openShift) {
+        const [shiftSummary, shiftMovements] = await Promise.all([
+          shiftDatabaseService.getShiftSummary(openShift.id),
+          shiftDatabaseService.getCashMovements(openShift.id)
+        ])
+        setSummary(shiftSummary)
+        setMovements(shiftMovements)
+      } else {
+        setSummary(null)
+        setMovements([])
+      }
+    } catch (error) {
+      console.error('Error loading shift:', error)
+      Alert.alert('Error', 'Failed to load shift: ' + error.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [storeId])
+
+  useEffect(() => {
+    loadShift()
+  }, [loadShift])
+
+  const showReading = async (newReading) => {
+    const [store, settings] = await Promise.all([
+      staffDatabaseService.getStoreById(newReading.store_id),
+      posSettingsService.getSettings()
+    ])
+    setReading({ reading: newReading, store, paperWidth: settings.receipt_paper_width })
+  }
+
+  const handleOpenShift = async () => {
+    if (openingFloat.trim() === '' || isNaN(parseFloat(openingFloat))) {
+      Alert.alert('Opening Float Required', 'Count the starting cash in the drawer and enter it')
+      return
+    }
+
+    try {
+      setSubmitting(true)
+      await shiftDatabaseService.openShift(storeId, openingFloat, user)
+      setOpeningFloat('')
+      await loadShift()
+    } catch (error) {
+      console.error('Error opening shift:', error)
+      Alert.alert('Error', error.message || 'Failed to open shift')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleSaveMovement = async () => {
+    try {
+      setSubmitting(true)
+      await shiftDatabaseService.recordCashMovement(shift.id, {
+        movement_type: movementForm.movement_type,
+        amount: parseFloat(movementForm.amount),
+        reason: movementForm.reason
+      }, user)
+      setMovementForm(null)
+      await loadShift()
+    } catch (error) {
+      console.error('Error recording cash movement:', error)
+      Alert.alert('Error', error.message || 'Failed to record cash movement')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleXReading = async () => {
+    try {
+      const newReading = await shiftDatabaseService.generateXReading(shift.id, user)
+      await showReading(newReading)
+    } catch (error) {
+      console.error('Error taking X-reading:', error)
+      Alert.alert('Error', error.message || 'Failed to take X-reading')
+    }
+  }
+
+  const openCloseShift = () => {
+    setDenominationCounts({})
+    setCloseNotes('')
+    setShowCloseShift(true)
+  }
+
+  const handleCloseShift = () => {
+    const counted = calculateDenominationTotal(denominationCounts)
+
+    Alert.alert(
+      'Close Shift',
+      `Close this shift with ${formatPrice(counted)} counted in the drawer?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Close Shift', style: 'destructive', onPress: closeShift }
+      ]
+    )
+  }
+
+  const closeShift = async () => {
+    try {
+      setSubmitting(true)
+      const result = await shiftDatabaseService.closeShift(shift.id, {
+        denomination_counts: denominationCounts,
+        notes: closeNotes
+      }, user)
+
+      setShowCloseShift(false)
+      await loadShift()
+      await showReading(result.reading)
+    } catch (error) {
+      console.error('Error closing shift:', error)
+      Alert.alert('Error', error.message || 'Failed to close shift')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleZReading = () => {
+    Alert.alert(
+      'Take Z-Reading',
+      'This ends the business day for this register. Daily totals start over after the Z-reading.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Take Z-Reading', onPress: takeZReading }
+      ]
+    )
+  }
+
+  const takeZReading = async () => {
+    try {
+      setSubmitting(true)
+      const newReading = await shiftDatabaseService.generateZReading(storeId, user)
+      await loadShift()
+      await showReading(newReading)
+    } catch (error) {
+      console.error('Error taking Z-reading:', error)
+      Alert.alert('Error', error.message || 'Failed to take Z-reading')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const formatPrice = (price) => {
+    return `₱${parseFloat(price || 0).toFixed(2)}`
+  }
+
+  const formatDateTime = (isoString) => {
+    return new Date(isoString).toLocaleString()
+  }
+
+  if (!['super_admin', 'manager', 'supervisor', 'cashier'].includes(user?.role)) {
+    return (
+      <View style={styles.container}>
+        <View style={styles.accessDenied}>
+          <Ionicons name="lock-closed" size={64} color="#ef4444" />
+          <Text style={styles.accessTitle}>Access Restricted</Text>
+          <Text style={styles.accessText}>
+            You don't have permission to manage shifts.
+          </Text>
+        </View>
+      </View>
+    )
+  }
+
+  const renderOpenShift = () => (
+    <>
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Current Shift</Text>
+        <Text style={styles.sectionSubtitle}>
+          {shift.cashier_name || 'Unknown cashier'} • since {formatDateTime(shift.opened_at)}
+        </Text>
+
+        <View style={styles.totalRow}>
+          <Text style={styles.totalLabel}>Opening Float</Text>
+          <Text style={styles.totalValue}>{formatPrice(shift.opening_float)}</Text>
+        </View>
+        <View style={styles.totalRow}>
+          <Text style={styles.totalLabel}>Sales</Text>
+          <Text style={styles.totalValue}>{summary?.totals.sales_count || 0}</Text>
+        </View>
+        <View style={styles.totalRow}>
+          <Text style={styles.totalLabel}>Net Sales</Text>
+          <Text style={styles.totalValue}>{formatPrice(summary?.totals.net_sales)}</Text>
+        </View>
+        <View style={styles.totalRow}>
+          <Text style={styles.totalLabel}>Refunds</Text>
+          <Text style={styles.totalValue}>{formatPrice(summary?.totals.refund_amount)}</Text>
+        </View>
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Drawer Cash</Text>
+        <View style={styles.movementButtons}>
+          {CASH_MOVEMENT_TYPES.map(type => (
+            <TouchableOpacity
+              key={type.value}
+              style={styles.movementButton}
+              onPress={() => setMovementForm({ movement_type: type.value, amount: '', reason: '' })}
+            >
+              <Ionicons name={type.icon} size={22} color="#3b82f6" />
+              <Text style={styles.movementButtonText}>{type.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {movements.length === 0 ? (
+          <Text style={styles.emptyText}>No cash moved this shift</Text>
+        ) : (
+          movements.map(movement => (
+            <View key={movement.id} style={styles.movementRow}>
+              <View style={{ flex: 1 }}>
+                <Text style={styles.movementType}>{getCashMovementLabel(movement.movement_type)}</Text>
+                <Text style={styles.movementReason}>{movement.reason}</Text>
+              </View>
+              <Text style={[
+                styles.movementAmount,
+                movement.movement_type !== 'paid_in' && styles.movementAmountOut
+              ]}>
+                {movement.movement_type === 'paid_in' ? '+' : '-'}{formatPrice(movement.amount)}
+              </Text>
+            </View>
+          ))
+        )}
+      </View>
+
+      <View style={styles.actionRow}>
+        <TouchableOpacity style={styles.secondaryButton} onPress={handleXReading}>
+          <Ionicons name="document-text-outline" size={20} color="#3b82f6" />
+          <Text style={styles.secondaryButtonText}>X-Reading</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.primaryButton} onPress={openCloseShift}>
+          <Ionicons name="lock-closed-outline" size={20} color="#fff" />
+          <Text style={styles.primaryButtonText}>Close Shift</Text>
+        </TouchableOpacity>
+      </View>
+    </>
+  )
+
+  const renderNoShift = () => (
+    <>
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Open Shift</Text>
+        <Text style={styles.sectionSubtitle}>Count the starting cash in the drawer.</Text>
+        <Text style={styles.fieldLabel}>Opening Float (₱)</Text>
+        <TextInput
+          style={styles.textInput}
+          value={openingFloat}
+          onChangeText={setOpeningFloat}
+          keyboardType="decimal-pad"
+          placeholder="0.00"
+        />
+        <TouchableOpacity
+          style={[styles.primaryButton, submitting && styles.buttonDisabled]}
+          onPress={handleOpenShift}
+          disabled={submitting}
+        >
+          <Ionicons name="lock-open-outline" size={20} color="#fff" />
+          <Text style={styles.primaryButtonText}>Open Shift</Text>
+        </TouchableOpacity>
+      </View>
+
+      {canTakeZReading && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>End of Day</Text>
+          <Text style={styles.sectionSubtitle}>
+            {lastZReading
+              ? `Last Z-reading #${lastZReading.reading_number} on ${formatDateTime(lastZReading.period_end)}`
+              : 'No Z-reading taken on this register yet'}
+          </Text>
+          <TouchableOpacity
+            style={[styles.secondaryButton, submitting && styles.buttonDisabled]}
+            onPress={handleZReading}
+            disabled={submitting}
+          >
+            <Ionicons name="moon-outline" size={20} color="#3b82f6" />
+            <Text style={styles.secondaryButtonText}>Take Z-Reading</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </>
+  )
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={22} color="#1e293b" />
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.headerTitle}>Shifts</Text>
+          <Text style={styles.headerSubtitle}>
+            {shift ? 'Shift open on this register' : 'No open shift on this register'}
+          </Text>
+        </View>
+      </View>
+
+      {/* Store selector for users without an assigned store */}
+      {!user?.store_id && stores.length > 1 && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.chipRow}
+          contentContainerStyle={styles.chipRowContent}
+        >
+          {stores.map(store => (
+            <TouchableOpacity
+              key={store.id}
+              style={[styles.chip, selectedStoreId === store.id && styles.chipActive]}
+              onPress={() => setSelectedStoreId(store.id)}
+            >
+              <Text style={[styles.chipText, selectedStoreId === store.id && styles.chipTextActive]}>
+                {store.name}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#3b82f6" />
+        </View>
+      ) : (
+        <ScrollView style={styles.content}>
+          {shift ? renderOpenShift() : renderNoShift()}
+        </ScrollView>
+      )}
+
+      {/* Paid-in / paid-out / cash drop */}
+      <Modal
+        visible={!!movementForm}
+        animationType="slide"
+        presentationStyle="formSheet"
+        onRequestClose={() => setMovementForm(null)}
+      >
+        {movementForm && (
+          <View style={styles.modalContainer}>
+            <View style={styles.modalHeader}>
+              <TouchableOpacity onPress={() => setMovementForm(null)}>
+                <Text style={styles.modalCancel}>Cancel</Text>
+              </TouchableOpacity>
+              <Text style={styles.modalTitle}>{getCashMovementLabel(movementForm.movement_type)}</Text>
+              <TouchableOpacity onPress={handleSaveMovement} disabled={submitting}>
+                <Text style={styles.modalSave}>Save</Text>
+              </TouchableOpacity>
+            </View>
+            <View style={styles.modalContent}>
+              <Text style={styles.fieldLabel}>Amount (₱) *</Text>
+              <TextInput
+                style={styles.textInput}
+                value={movementForm.amount}
+                onChangeText={(text) => setMovementForm({ ...movementForm, amount: text })}
+                keyboardType="decimal-pad"
+                placeholder="0.00"
+                autoFocus
+              />
+              <Text style={styles.fieldLabel}>Reason *</Text>
+              <TextInput
+                style={styles.textInput}
+                value={movementForm.reason}
+                onChangeText={(text) => setMovementForm({ ...movementForm, reason: text })}
+                placeholder="e.g. Change fund, supplier delivery, safe drop"
+              />
+            </View>
+          </View>
+        )}
+      </Modal>
+
+      {/* Blind count at close: expected cash is only shown on the reading */}
+      <Modal
+        visible={showCloseShift}
+        animationType="slide"
+        presentationStyle="formSheet"
+        onRequestClose={() => setShowCloseShift(false)}
+      >
+        <View style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <TouchableOpacity onPress={() => setShowCloseShift(false)}>
+              <Text style={styles.modalCancel}>Cancel</Text>
+            </TouchableOpacity>
+            <Text style={styles.modalTitle}>Count Drawer</Text>
+            <TouchableOpacity onPress={handleCloseShift} disabled={submitting}>
+              <Text style={styles.modalSave}>Close</Text>
+            </TouchableOpacity>
+          </View>
+          <ScrollView contentContainerStyle={styles.modalContent}>
+            {DENOMINATIONS.map(denomination => {
+              const pieces = denominationCounts[denomination.value] || ''
+              return (
+                <View key={denomination.value} style={styles.denominationRow}>
+                  <Text style={styles.denominationLabel}>{denomination.label}</Text>
+                  <Text style={styles.denominationTimes}>×</Text>
+                  <TextInput
+                    style={styles.denominationInput}
+                    value={String(pieces)}
+                    onChangeText={(text) => setDenominationCounts({
+                      ...denominationCounts,
+                      [denomination.value]: text.replace(/[^0-9]/g, '')
+                    })}
+                    keyboardType="number-pad"
+                    placeholder="0"
+                  />
+                  <Text style={styles.denominationTotal}>
+                    {formatPrice(denomination.value * (parseInt(pieces) || 0))}
+                  </Text>
+                </View>
+              )
+            })}
+
+            <View style={[styles.totalRow, styles.countedRow]}>
+              <Text style={styles.countedLabel}>Counted Cash</Text>
+              <Text style={styles.countedValue}>{formatPrice(calculateDenominationTotal(denominationCounts))}</Text>
+            </View>
+
+            <Text style={styles.fieldLabel}>Notes</Text>
+            <TextInput
+              style={styles.textInput}
+              value={closeNotes}
+              onChangeText={setCloseNotes}
+              placeholder="Optional"
+            />
+          </ScrollView>
+        </View>
+      </Modal>
+
+      {/* X / Z reading */}
+      <Modal
+        visible={!!reading}
+        animationType="slide"
+        presentationStyle="formSheet"
+        onRequestClose={() => setReading(null)}
+      >
+        {reading && (
+          <View style={styles.modalContainer}>
+            <ScrollView contentContainerStyle={styles.readingScroll}>
+              <ReceiptPreview
+                reading={reading.reading}
+                store={reading.store}
+                paperWidth={reading.paperWidth}
+              />
+            </ScrollView>
+            <TouchableOpacity style={styles.doneButton} onPress={() => setReading(null)}>
+              <Text style={styles.primaryButtonText}>Done</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </Modal>
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 50,
+    paddingBottom: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  backButton: {
+    padding: 6,
+    marginRight: 12,
+    borderRadius: 8,
+    backgroundColor: '#f1f5f9',
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#1e293b',
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#64748b',
+    marginTop: 4,
+  },
+  chipRow: {
+    flexGrow: 0,
+    marginTop: 10,
+  },
+  chipRowContent: {
+    paddingHorizontal: 16,
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  chipActive: {
+    backgroundColor: '#3b82f6',
+    borderColor: '#3b82f6',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#374151',
+    fontWeight: '500',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  loadingContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  content: {
+    flex: 1,
+  },
+  section: {
+    backgroundColor: '#fff',
+    marginHorizontal: 16,
+    marginTop: 16,
+    borderRadius: 12,
+    padding: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 3,
+    elevation: 2,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginBottom: 12,
+  },
+  sectionSubtitle: {
+    fontSize: 13,
+    color: '#64748b',
+    marginTop: -8,
+    marginBottom: 12,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#1e293b',
+    backgroundColor: '#fff',
+    marginBottom: 16,
+  },
+  totalRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+  },
+  totalLabel: {
+    fontSize: 14,
+    color: '#64748b',
+  },
+  totalValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  movementButtons: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 12,
+  },
+  movementButton: {
+    flex: 1,
+    alignItems: 'center',
+    gap: 4,
+    paddingVertical: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#bfdbfe',
+    backgroundColor: '#eff6ff',
+  },
+  movementButtonText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#3b82f6',
+  },
+  movementRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#f1f5f9',
+  },
+  movementType: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#1e293b',
+  },
+  movementReason: {
+    fontSize: 12,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  movementAmount: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#10b981',
+  },
+  movementAmountOut: {
+    color: '#ef4444',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#94a3b8',
+    textAlign: 'center',
+    paddingVertical: 12,
+  },
+  actionRow: {
+    flexDirection: 'row',
+    gap: 12,
+    margin: 16,
+  },
+  primaryButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    backgroundColor: '#3b82f6',
+    borderRadius: 8,
+    paddingVertical: 14,
+  },
+  primaryButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  secondaryButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#3b82f6',
+    paddingVertical: 14,
+  },
+  secondaryButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#3b82f6',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  modalContainer: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  modalCancel: {
+    fontSize: 16,
+    color: '#ef4444',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  modalSave: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#3b82f6',
+  },
+  modalContent: {
+    padding: 20,
+  },
+  denominationRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 8,
+  },
+  denominationLabel: {
+    width: 60,
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  denominationTimes: {
+    fontSize: 15,
+    color: '#64748b',
+  },
+  denominationInput: {
+    width: 70,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    fontSize: 15,
+    textAlign: 'center',
+    backgroundColor: '#fff',
+  },
+  denominationTotal: {
+    flex: 1,
+    textAlign: 'right',
+    fontSize: 15,
+    color: '#1e293b',
+  },
+  countedRow: {
+    borderTopWidth: 1,
+    borderTopColor: '#e2e8f0',
+    marginTop: 8,
+    paddingTop: 12,
+    marginBottom: 16,
+  },
+  countedLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  countedValue: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1e293b',
+  },
+  readingScroll: {
+    padding: 16,
+  },
+  doneButton: {
+    alignItems: 'center',
+    backgroundColor: '#3b82f6',
+    margin: 16,
+    paddingVertical: 16,
+    borderRadius: 12,
+  },
+  accessDenied: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 40,
+  },
+  accessTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginTop: 16,
+  },
+  accessText: {
+    fontSize: 14,
+    color: '#64748b',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+})
+
+export default ShiftsScreen
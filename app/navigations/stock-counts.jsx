@@ -0,0 +1,1118 @@
+// app/navigations/stock-counts.jsx - Cycle count sessions: blind counting, variance review and posting
+import React, { useState, useEffect, useCallback, useMemo } from 'react'
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  TextInput,
+  FlatList,
+  Modal,
+  Switch,
+  RefreshControl,
+  Alert,
+  ActivityIndicator
+} from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { useRouter } from 'expo-router'
+import { useAuth } from '../../utils/authContext'
+import stockCountDatabaseService from '../../services/stockCountDatabase'
+import productDatabaseService from '../../services/productDatabase'
+import staffDatabaseService from '../../services/staffDatabase'
+import {
+  COUNT_SCOPES,
+  COUNT_STATUSES,
+  getCountScope,
+  getCountStatus,
+  isLineCounted,
+  getLineExpectedQuantity,
+  buildVarianceReport
+} from '../../utils/stockCountCalculations'
+
+const STATUS_FILTERS = [
+  { value: 'active', label: 'Active' },
+  { value: 'all', label: 'All' },
+  ...COUNT_STATUSES
+]
+
+const LINE_FILTERS = [
+  { value: 'uncounted', label: 'Uncounted' },
+  { value: 'counted', label: 'Counted' },
+  { value: 'all', label: 'All' }
+]
+
+const StockCounts = () => {
+  const [stores, setStores] = useState([])
+  const [selectedStoreId, setSelectedStoreId] = useState(null)
+  const [counts, setCounts] = useState([])
+  const [statusFilter, setStatusFilter] = useState('active')
+  const [loading, setLoading] = useState(true)
+  const [refreshing, setRefreshing] = useState(false)
+  const [saving, setSaving] = useState(false)
+
+  // New session
+  const [countForm, setCountForm] = useState(null)
+  const [categories, setCategories] = useState([])
+
+  // Open session
+  const [selectedCount, setSelectedCount] = useState(null)
+  const [lineFilter, setLineFilter] = useState('uncounted')
+  const [scanCode, setScanCode] = useState('')
+  const [entryQuantity, setEntryQuantity] = useState('1')
+  const [entryLine, setEntryLine] = useState(null)
+  const [lastEntry, setLastEntry] = useState(null)
+  const [zeroUncounted, setZeroUncounted] = useState(false)
+  const [cancelReason, setCancelReason] = useState('')
+
+  const { user } = useAuth()
+  const router = useRouter()
+
+  // Anyone on the floor can count; only managers see expected quantities,
+  // approve variances and post them
+  const canManageCounts = user?.role === 'super_admin' || user?.role === 'manager'
+
+  const storeId = user?.store_id || selectedStoreId
+
+  useEffect(() => {
+    if (!user || user.store_id) return
+
+    const loadStores = async () => {
+      try {
+        const storesData = await staffDatabaseService.getAllStores()
+        setStores(storesData)
+        setSelectedStoreId(current => current || storesData[0]?.id || null)
+      } catch (error) {
+        console.error('Error loading stores:', error)
+        setStores([])
+      }
+    }
+
+    loadStores()
+  }, [user])
+
+  const loadCounts = useCallback(async () => {
+    if (!storeId) {
+      setCounts([])
+      setLoading(false)
+      return
+    }
+
+    try {
+      const countsData = await stockCountDatabaseService.getCounts(storeId, {
+        status: statusFilter === 'active' ? ['counting', 'review'] : statusFilter === 'all' ? undefined : statusFilter
+      })
+      setCounts(countsData)
+    } catch (error) {
+      console.error('Error loading stock counts:', error)
+      Alert.alert('Error', 'Failed to load stock counts: ' + error.message)
+      setCounts([])
+    } finally {
+      setLoading(false)
+    }
+  }, [storeId, statusFilter])
+
+  useEffect(() => {
+    loadCounts()
+  }, [loadCounts])
+
+  const handleRefresh = async () => {
+    setRefreshing(true)
+    await loadCounts()
+    setRefreshing(false)
+  }
+
+  const formatPrice = (price) => {
+    return `₱${parseFloat(price || 0).toFixed(2)}`
+  }
+
+  const formatDate = (dateString) => {
+    return dateString ? new Date(dateString).toLocaleString() : '-'
+  }
+
+  const report = useMemo(() => {
+    return selectedCount ? buildVarianceReport(selectedCount.lines, { zeroUncounted }) : null
+  }, [selectedCount, zeroUncounted])
+
+  const visibleLines = useMemo(() => {
+    if (!selectedCount) return []
+    if (lineFilter === 'uncounted') return selectedCount.lines.filter(line => !isLineCounted(line))
+    if (lineFilter === 'counted') return selectedCount.lines.filter(isLineCounted)
+    return selectedCount.lines
+  }, [selectedCount, lineFilter])
+
+  // ----- Sessions -----
+
+  const openNewCount = async () => {
+    if (!storeId) {
+      Alert.alert('Select a Store', 'Pick the store to count first')
+      return
+    }
+
+    try {
+      const categoriesData = await productDatabaseService.getCategoriesByStore(storeId)
+      setCategories(categoriesData)
+    } catch (error) {
+      console.error('Error loading categories:', error)
+      setCategories([])
+    }
+
+    setCountForm({ scope: 'category', category_id: null, notes: '' })
+  }
+
+  const handleStartCount = async () => {
+    try {
+      setSaving(true)
+      const count = await stockCountDatabaseService.startCount({ ...countForm, store_id: storeId }, user)
+      setCountForm(null)
+      await loadCounts()
+      await openCount(count.id)
+    } catch (error) {
+      console.error('Error starting stock count:', error)
+      Alert.alert('Error', error.message || 'Failed to start stock count')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const openCount = async (countId) => {
+    try {
+      const count = await stockCountDatabaseService.getCountById(countId)
+      setScanCode('')
+      setEntryQuantity('1')
+      setEntryLine(null)
+      setLastEntry(null)
+      setCancelReason('')
+      setLineFilter(count.status === 'counting' ? 'uncounted' : 'all')
+      setSelectedCount(count)
+    } catch (error) {
+      console.error('Error loading stock count:', error)
+      Alert.alert('Error', 'Failed to load stock count')
+    }
+  }
+
+  const refreshSelectedCount = async () => {
+    const count = await stockCountDatabaseService.getCountById(selectedCount.id)
+    setSelectedCount(count)
+    await loadCounts()
+  }
+
+  // ----- Counting -----
+
+  const handleAddEntry = async () => {
+    if (!entryLine && !scanCode.trim()) {
+      Alert.alert('Nothing to Count', 'Scan a barcode, type a SKU or pick a product')
+      return
+    }
+
+    try {
+      setSaving(true)
+      const line = await stockCountDatabaseService.addCountEntry(selectedCount.id, {
+        line_id: entryLine?.id,
+        code: entryLine ? undefined : scanCode,
+        quantity: entryQuantity === '' ? 1 : parseInt(entryQuantity)
+      }, user)
+      setLastEntry({ name: line.product_name, quantity: entryQuantity || '1', total: line.counted_quantity })
+      setScanCode('')
+      setEntryQuantity('1')
+      setEntryLine(null)
+      const count = await stockCountDatabaseService.getCountById(selectedCount.id)
+      setSelectedCount(count)
+    } catch (error) {
+      Alert.alert('Not Counted', error.message || 'Failed to record count')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleSubmit = async () => {
+    const uncounted = selectedCount.lines.filter(line => !isLineCounted(line)).length
+
+    Alert.alert(
+      'Submit for Review',
+      uncounted > 0
+        ? `${uncounted} product(s) haven't been counted. Counting stops until the count is reopened.`
+        : 'Counting stops until the count is reopened.',
+      [
+        { text: 'Keep Counting', style: 'cancel' },
+        {
+          text: 'Submit',
+          onPress: async () => {
+            try {
+              setSaving(true)
+              await stockCountDatabaseService.submitCount(selectedCount.id)
+              setLineFilter('all')
+              await refreshSelectedCount()
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Failed to submit count')
+            } finally {
+              setSaving(false)
+            }
+          }
+        }
+      ]
+    )
+  }
+
+  // ----- Review -----
+
+  const handleReopen = async () => {
+    try {
+      setSaving(true)
+      await stockCountDatabaseService.reopenCount(selectedCount.id)
+      setLineFilter('uncounted')
+      await refreshSelectedCount()
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to reopen count')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleToggleApproval = async (line) => {
+    try {
+      await stockCountDatabaseService.setLineApproval(selectedCount.id, line.id, !line.is_approved)
+      setSelectedCount({
+        ...selectedCount,
+        lines: selectedCount.lines.map(countLine => countLine.id === line.id
+          ? { ...countLine, is_approved: line.is_approved ? 0 : 1 }
+          : countLine)
+      })
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to update approval')
+    }
+  }
+
+  const handlePost = () => {
+    const approved = report.rows.filter(row => row.is_approved && row.variance_quantity !== 0)
+    const netValue = approved.reduce((sum, row) => sum + row.variance_value, 0)
+
+    Alert.alert(
+      'Post Variances',
+      `Adjust stock on ${approved.length} product(s), ${formatPrice(netValue)} net at cost? This cannot be undone.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Post',
+          onPress: async () => {
+            try {
+              setSaving(true)
+              const result = await stockCountDatabaseService.postCount(selectedCount.id, { zeroUncounted }, user)
+              await refreshSelectedCount()
+              Alert.alert('Count Posted', `${result.adjustments} stock adjustment(s) posted`)
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Failed to post count')
+            } finally {
+              setSaving(false)
+            }
+          }
+        }
+      ]
+    )
+  }
+
+  const handleCancel = () => {
+    if (!cancelReason.trim()) {
+      Alert.alert('Reason Required', 'Enter why this count is being cancelled')
+      return
+    }
+
+    Alert.alert(
+      'Cancel Count',
+      `Cancel ${selectedCount.count_number}? Counts entered so far won't be posted.`,
+      [
+        { text: 'Keep Count', style: 'cancel' },
+        {
+          text: 'Cancel Count',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setSaving(true)
+              await stockCountDatabaseService.cancelCount(selectedCount.id, cancelReason)
+              await refreshSelectedCount()
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Failed to cancel count')
+            } finally {
+              setSaving(false)
+            }
+          }
+        }
+      ]
+    )
+  }
+
+  const renderStatusBadge = (status) => {
+    const option = getCountStatus(status)
+    return (
+      <View style={[styles.statusBadge, { backgroundColor: option.color + '20' }]}>
+        <Text style={[styles.statusText, { color: option.color }]}>{option.label}</Text>
+      </View>
+    )
+  }
+
+  const getScopeLabel = (count) => {
+    if (count.scope === 'category') return count.category_name || 'Category'
+    return getCountScope(count.scope).label
+  }
+
+  const renderCount = ({ item }) => (
+    <TouchableOpacity style={styles.countCard} onPress={() => openCount(item.id)} activeOpacity={0.7}>
+      <View style={styles.countHeader}>
+        <Text style={styles.countNumber}>{item.count_number}</Text>
+        {renderStatusBadge(item.status)}
+      </View>
+      <Text style={styles.countScope}>{getScopeLabel(item)}</Text>
+      <Text style={styles.countMeta}>
+        {item.counted_lines || 0} of {item.line_count} counted • Started {formatDate(item.started_at)}
+      </Text>
+    </TouchableOpacity>
+  )
+
+  const renderCountingLine = (line) => (
+    <TouchableOpacity
+      key={line.id}
+      style={[styles.lineCard, entryLine?.id === line.id && styles.lineCardActive]}
+      onPress={() => setEntryLine(entryLine?.id === line.id ? null : line)}
+      activeOpacity={0.7}
+    >
+      <View style={{ flex: 1 }}>
+        <Text style={styles.lineName}>{line.product_name}</Text>
+        <Text style={styles.lineMeta}>{[line.sku, line.barcode].filter(Boolean).join(' • ') || 'No code'}</Text>
+      </View>
+      <View style={styles.lineFigure}>
+        <Text style={[styles.lineCounted, !isLineCounted(line) && styles.lineUncounted]}>
+          {isLineCounted(line) ? line.counted_quantity : '-'}
+        </Text>
+        {line.counter_count > 1 && <Text style={styles.lineMeta}>{line.counter_count} counters</Text>}
+      </View>
+    </TouchableOpacity>
+  )
+
+  const renderVarianceLine = (row) => {
+    const isPosted = selectedCount.status === 'posted'
+    const variance = isPosted ? row.posted_quantity || 0 : row.variance_quantity
+
+    return (
+      <View key={row.id} style={styles.lineCard}>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.lineName}>{row.product_name}</Text>
+          <Text style={styles.lineMeta}>
+            Expected {getLineExpectedQuantity(row)} • Counted {row.counted ? row.counted_quantity : 'none'}
+          </Text>
+          {variance !== 0 && (
+            <Text style={[styles.varianceText, variance < 0 ? styles.varianceShort : styles.varianceOver]}>
+              {variance > 0 ? '+' : ''}{variance} unit(s) • {formatPrice(variance * (row.unit_cost || 0))}
+              {row.unit_cost === null ? ' (no cost)' : ''}
+            </Text>
+          )}
+        </View>
+        {selectedCount.status === 'review' && canManageCounts && row.variance_quantity !== 0 && (
+          <Switch value={!!row.is_approved} onValueChange={() => handleToggleApproval(row)} />
+        )}
+      </View>
+    )
+  }
+
+  const isReviewing = selectedCount && ['review', 'posted'].includes(selectedCount.status) && canManageCounts
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={22} color="#1e293b" />
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.headerTitle}>Stock Counts</Text>
+          <Text style={styles.headerSubtitle}>{counts.length} count(s)</Text>
+        </View>
+        {canManageCounts && (
+          <TouchableOpacity style={styles.addButton} onPress={openNewCount}>
+            <Ionicons name="add" size={22} color="#fff" />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {/* Store selector for users without an assigned store */}
+      {!user?.store_id && stores.length > 1 && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.chipRow}
+          contentContainerStyle={styles.chipRowContent}
+        >
+          {stores.map(store => (
+            <TouchableOpacity
+              key={store.id}
+              style={[styles.chip, selectedStoreId === store.id && styles.chipActive]}
+              onPress={() => setSelectedStoreId(store.id)}
+            >
+              <Text style={[styles.chipText, selectedStoreId === store.id && styles.chipTextActive]}>
+                {store.name}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.chipRow}
+        contentContainerStyle={styles.chipRowContent}
+      >
+        {STATUS_FILTERS.map(option => (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.chip, statusFilter === option.value && styles.chipActive]}
+            onPress={() => setStatusFilter(option.value)}
+          >
+            <Text style={[styles.chipText, statusFilter === option.value && styles.chipTextActive]}>{option.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#3b82f6" />
+        </View>
+      ) : counts.length === 0 ? (
+        <View style={styles.emptyState}>
+          <Ionicons name="clipboard-outline" size={64} color="#9ca3af" />
+          <Text style={styles.emptyTitle}>No Stock Counts</Text>
+          <Text style={styles.emptyText}>
+            {!storeId ? 'Select a store to see its counts.' : 'No counts match this filter.'}
+          </Text>
+        </View>
+      ) : (
+        <FlatList
+          data={counts}
+          renderItem={renderCount}
+          keyExtractor={(item) => item.id}
+          refreshControl={
+            <RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />
+          }
+          contentContainerStyle={styles.listContent}
+          showsVerticalScrollIndicator={false}
+        />
+      )}
+
+      {/* New count session */}
+      <Modal
+        visible={!!countForm}
+        animationType="slide"
+        presentationStyle="formSheet"
+        onRequestClose={() => setCountForm(null)}
+      >
+        {countForm && (
+          <View style={styles.modalContainer}>
+            <View style={styles.modalHeader}>
+              <TouchableOpacity onPress={() => setCountForm(null)}>
+                <Text style={styles.modalCancel}>Cancel</Text>
+              </TouchableOpacity>
+              <Text style={styles.modalTitle}>New Stock Count</Text>
+              <TouchableOpacity onPress={handleStartCount} disabled={saving}>
+                <Text style={[styles.modalSave, saving && styles.modalSaveDisabled]}>Start</Text>
+              </TouchableOpacity>
+            </View>
+
+            <ScrollView contentContainerStyle={styles.modalContent} keyboardShouldPersistTaps="handled">
+              <Text style={styles.modalHint}>
+                Stock on hand is frozen when the count starts. Sales during the count still go through;
+                only the difference found is posted.
+              </Text>
+
+              <Text style={styles.fieldLabel}>What to Count</Text>
+              <View style={styles.optionWrap}>
+                {COUNT_SCOPES
+                  .filter(option => option.value !== 'catalog' || user?.role === 'super_admin')
+                  .map(option => (
+                    <TouchableOpacity
+                      key={option.value}
+                      style={[styles.chip, countForm.scope === option.value && styles.chipActive]}
+                      onPress={() => setCountForm({ ...countForm, scope: option.value })}
+                    >
+                      <Text style={[styles.chipText, countForm.scope === option.value && styles.chipTextActive]}>
+                        {option.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+              </View>
+
+              {countForm.scope === 'category' && (
+                <>
+                  <Text style={styles.fieldLabel}>Category</Text>
+                  <View style={styles.optionWrap}>
+                    {categories.map(category => (
+                      <TouchableOpacity
+                        key={category.id}
+                        style={[styles.chip, countForm.category_id === category.id && styles.chipActive]}
+                        onPress={() => setCountForm({ ...countForm, category_id: category.id })}
+                      >
+                        <Text style={[styles.chipText, countForm.category_id === category.id && styles.chipTextActive]}>
+                          {category.name}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                </>
+              )}
+
+              {countForm.scope === 'catalog' && (
+                <Text style={styles.modalHint}>Counts every active product in every store.</Text>
+              )}
+
+              <Text style={styles.fieldLabel}>Notes</Text>
+              <TextInput
+                style={styles.textInput}
+                value={countForm.notes}
+                onChangeText={(value) => setCountForm({ ...countForm, notes: value })}
+                placeholder="Aisles, who is counting"
+              />
+            </ScrollView>
+          </View>
+        )}
+      </Modal>
+
+      {/* Count session */}
+      <Modal
+        visible={!!selectedCount}
+        animationType="slide"
+        presentationStyle="formSheet"
+        onRequestClose={() => setSelectedCount(null)}
+      >
+        {selectedCount && (
+          <View style={styles.modalContainer}>
+            <View style={styles.modalHeader}>
+              <TouchableOpacity onPress={() => setSelectedCount(null)}>
+                <Text style={styles.modalCancel}>Close</Text>
+              </TouchableOpacity>
+              <Text style={styles.modalTitle}>{selectedCount.count_number}</Text>
+              {renderStatusBadge(selectedCount.status)}
+            </View>
+
+            <ScrollView contentContainerStyle={styles.modalContent} keyboardShouldPersistTaps="handled">
+              <Text style={styles.countScope}>{getScopeLabel(selectedCount)}</Text>
+              <Text style={styles.modalHint}>
+                {report.totals.counted_lines} of {report.totals.lines} counted • Started {formatDate(selectedCount.started_at)}
+                {selectedCount.started_by_name ? ` by ${selectedCount.started_by_name}` : ''}
+                {selectedCount.posted_at ? `\nPosted ${formatDate(selectedCount.posted_at)} by ${selectedCount.posted_by_name || 'system'}` : ''}
+                {selectedCount.cancel_reason ? `\nCancelled: ${selectedCount.cancel_reason}` : ''}
+              </Text>
+
+              {selectedCount.status === 'counting' && (
+                <>
+                  {/* Scanner input: scanners type the code and send Enter */}
+                  <View style={styles.scanRow}>
+                    {entryLine ? (
+                      <TouchableOpacity style={styles.entryTarget} onPress={() => setEntryLine(null)}>
+                        <Text style={styles.entryTargetText} numberOfLines={1}>{entryLine.product_name}</Text>
+                        <Ionicons name="close-circle" size={18} color="#3b82f6" />
+                      </TouchableOpacity>
+                    ) : (
+                      <TextInput
+                        style={[styles.textInput, styles.scanInput]}
+                        value={scanCode}
+                        onChangeText={setScanCode}
+                        onSubmitEditing={handleAddEntry}
+                        placeholder="Scan barcode or type SKU"
+                        autoCapitalize="none"
+                        autoCorrect={false}
+                        autoFocus
+                        blurOnSubmit={false}
+                      />
+                    )}
+                    <TextInput
+                      style={[styles.textInput, styles.quantityInput]}
+                      value={entryQuantity}
+                      onChangeText={(value) => setEntryQuantity(value.replace(/[^0-9-]/g, ''))}
+                      placeholder="1"
+                      keyboardType="numbers-and-punctuation"
+                    />
+                    <TouchableOpacity style={styles.addEntryButton} onPress={handleAddEntry} disabled={saving}>
+                      <Ionicons name="add" size={22} color="#fff" />
+                    </TouchableOpacity>
+                  </View>
+                  {lastEntry && (
+                    <Text style={styles.lastEntryText}>
+                      ✓ {lastEntry.name}: {Number(lastEntry.quantity) > 0 ? '+' : ''}{lastEntry.quantity} → {lastEntry.total} counted
+                    </Text>
+                  )}
+
+                  <View style={styles.optionWrap}>
+                    {LINE_FILTERS.map(option => (
+                      <TouchableOpacity
+                        key={option.value}
+                        style={[styles.chip, lineFilter === option.value && styles.chipActive]}
+                        onPress={() => setLineFilter(option.value)}
+                      >
+                        <Text style={[styles.chipText, lineFilter === option.value && styles.chipTextActive]}>
+                          {option.label}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+
+                  {visibleLines.map(renderCountingLine)}
+
+                  {canManageCounts && (
+                    <TouchableOpacity style={[styles.primaryButton, { marginTop: 20 }]} onPress={handleSubmit} disabled={saving}>
+                      <Ionicons name="checkmark-done-outline" size={18} color="#fff" />
+                      <Text style={styles.primaryButtonText}>Submit for Review</Text>
+                    </TouchableOpacity>
+                  )}
+                </>
+              )}
+
+              {selectedCount.status === 'review' && !canManageCounts && (
+                <Text style={styles.modalHint}>This count is with a manager for review.</Text>
+              )}
+
+              {isReviewing && (
+                <>
+                  <View style={styles.summaryRow}>
+                    <View style={styles.summaryCard}>
+                      <Text style={styles.summaryLabel}>Over</Text>
+                      <Text style={[styles.summaryValue, styles.varianceOver]}>{report.totals.over_quantity}</Text>
+                      <Text style={styles.summarySub}>{formatPrice(report.totals.over_value)}</Text>
+                    </View>
+                    <View style={styles.summaryCard}>
+                      <Text style={styles.summaryLabel}>Short</Text>
+                      <Text style={[styles.summaryValue, styles.varianceShort]}>{report.totals.short_quantity}</Text>
+                      <Text style={styles.summarySub}>{formatPrice(report.totals.short_value)}</Text>
+                    </View>
+                    <View style={styles.summaryCard}>
+                      <Text style={styles.summaryLabel}>Net</Text>
+                      <Text style={styles.summaryValue}>{report.totals.variance_lines}</Text>
+                      <Text style={styles.summarySub}>{formatPrice(report.totals.net_value)}</Text>
+                    </View>
+                  </View>
+
+                  {selectedCount.status === 'review' && (
+                    <View style={styles.switchRow}>
+                      <View style={{ flex: 1 }}>
+                        <Text style={styles.fieldLabel}>Treat Uncounted as Zero</Text>
+                        <Text style={styles.lineMeta}>
+                          {report.totals.lines - report.totals.counted_lines} product(s) weren't counted
+                        </Text>
+                      </View>
+                      <Switch value={zeroUncounted} onValueChange={setZeroUncounted} />
+                    </View>
+                  )}
+
+                  {report.rows
+                    .filter(row => selectedCount.status === 'posted' ? row.posted_quantity : row.variance_quantity !== 0)
+                    .map(renderVarianceLine)}
+
+                  {report.totals.variance_lines === 0 && selectedCount.status === 'review' && (
+                    <Text style={styles.modalHint}>Every counted product matches what was expected.</Text>
+                  )}
+
+                  {selectedCount.status === 'review' && (
+                    <View style={styles.actions}>
+                      <TouchableOpacity style={styles.primaryButton} onPress={handlePost} disabled={saving}>
+                        <Ionicons name="cloud-upload-outline" size={18} color="#fff" />
+                        <Text style={styles.primaryButtonText}>Post Approved Variances</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity style={styles.secondaryButton} onPress={handleReopen} disabled={saving}>
+                        <Text style={styles.secondaryButtonText}>Reopen for Recount</Text>
+                      </TouchableOpacity>
+                    </View>
+                  )}
+                </>
+              )}
+
+              {canManageCounts && ['counting', 'review'].includes(selectedCount.status) && (
+                <View style={styles.actions}>
+                  <Text style={styles.fieldLabel}>Cancel Reason</Text>
+                  <TextInput
+                    style={styles.textInput}
+                    value={cancelReason}
+                    onChangeText={setCancelReason}
+                    placeholder="Why is this count being abandoned?"
+                  />
+                  <TouchableOpacity style={styles.dangerButton} onPress={handleCancel} disabled={saving}>
+                    <Text style={styles.dangerButtonText}>Cancel Count</Text>
+                  </TouchableOpacity>
+                </View>
+              )}
+            </ScrollView>
+          </View>
+        )}
+      </Modal>
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 50,
+    paddingBottom: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  backButton: {
+    padding: 6,
+    marginRight: 12,
+    borderRadius: 8,
+    backgroundColor: '#f1f5f9',
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#1e293b',
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#64748b',
+    marginTop: 4,
+  },
+  addButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#3b82f6',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  chipRow: {
+    flexGrow: 0,
+    marginTop: 10,
+  },
+  chipRowContent: {
+    paddingHorizontal: 16,
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  chipActive: {
+    backgroundColor: '#3b82f6',
+    borderColor: '#3b82f6',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#374151',
+    fontWeight: '500',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  optionWrap: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16,
+  },
+  loadingContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  listContent: {
+    padding: 16,
+  },
+  countCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 2,
+    elevation: 1,
+  },
+  countHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  countNumber: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#1e293b',
+  },
+  countScope: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#374151',
+    marginTop: 4,
+  },
+  countMeta: {
+    fontSize: 13,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  statusBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 10,
+  },
+  statusText: {
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  emptyState: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginTop: 16,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#64748b',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  modalContainer: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  modalCancel: {
+    fontSize: 16,
+    color: '#ef4444',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  modalSave: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#3b82f6',
+  },
+  modalSaveDisabled: {
+    color: '#94a3b8',
+  },
+  modalContent: {
+    padding: 20,
+  },
+  modalHint: {
+    fontSize: 14,
+    color: '#64748b',
+    marginTop: 4,
+    marginBottom: 16,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#1e293b',
+    backgroundColor: '#fff',
+    marginBottom: 16,
+  },
+  scanRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  scanInput: {
+    flex: 1,
+    marginBottom: 0,
+  },
+  quantityInput: {
+    width: 64,
+    marginBottom: 0,
+    textAlign: 'center',
+  },
+  entryTarget: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 12,
+    paddingVertical: 11,
+    borderRadius: 8,
+    backgroundColor: '#eff6ff',
+    borderWidth: 1,
+    borderColor: '#3b82f6',
+  },
+  entryTargetText: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1e40af',
+  },
+  addEntryButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 8,
+    backgroundColor: '#3b82f6',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  lastEntryText: {
+    fontSize: 14,
+    color: '#10b981',
+    fontWeight: '500',
+    marginTop: 8,
+  },
+  lineCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 12,
+    marginTop: 8,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    gap: 10,
+  },
+  lineCardActive: {
+    borderColor: '#3b82f6',
+    backgroundColor: '#eff6ff',
+  },
+  lineName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  lineMeta: {
+    fontSize: 13,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  lineFigure: {
+    alignItems: 'flex-end',
+    minWidth: 48,
+  },
+  lineCounted: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#1e293b',
+  },
+  lineUncounted: {
+    color: '#cbd5e1',
+  },
+  varianceText: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginTop: 4,
+  },
+  varianceOver: {
+    color: '#10b981',
+  },
+  varianceShort: {
+    color: '#ef4444',
+  },
+  summaryRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 12,
+  },
+  summaryCard: {
+    flex: 1,
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 12,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  summaryLabel: {
+    fontSize: 12,
+    color: '#64748b',
+  },
+  summaryValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#1e293b',
+    marginTop: 2,
+  },
+  summarySub: {
+    fontSize: 12,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  actions: {
+    marginTop: 20,
+    gap: 10,
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    paddingVertical: 12,
+    borderRadius: 8,
+    backgroundColor: '#3b82f6',
+  },
+  primaryButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  secondaryButton: {
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#f59e0b',
+    backgroundColor: '#fffbeb',
+  },
+  secondaryButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#b45309',
+  },
+  dangerButton: {
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#fecaca',
+    backgroundColor: '#fef2f2',
+  },
+  dangerButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#ef4444',
+  },
+})
+
+export default StockCounts
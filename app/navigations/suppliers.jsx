@@ -0,0 +1,551 @@
+// app/navigations/suppliers.jsx - Supplier list with open purchase orders still owed
+import React, { useState, useEffect, useCallback } from 'react'
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  TextInput,
+  FlatList,
+  Modal,
+  RefreshControl,
+  Alert,
+  ActivityIndicator
+} from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { useRouter } from 'expo-router'
+import { useAuth } from '../../utils/authContext'
+import purchaseOrderDatabaseService from '../../services/purchaseOrderDatabase'
+import staffDatabaseService from '../../services/staffDatabase'
+
+const EMPTY_SUPPLIER = {
+  name: '',
+  contact_name: '',
+  phone: '',
+  email: '',
+  address: '',
+  tin: '',
+  payment_terms: '',
+  notes: ''
+}
+
+const SUPPLIER_FIELDS = [
+  { key: 'name', label: 'Supplier Name *', placeholder: 'Company name' },
+  { key: 'contact_name', label: 'Contact Person', placeholder: 'Who to call' },
+  { key: 'phone', label: 'Phone', placeholder: '09XX XXX XXXX', keyboardType: 'phone-pad' },
+  { key: 'email', label: 'Email', placeholder: 'orders@supplier.com', keyboardType: 'email-address' },
+  { key: 'address', label: 'Address', placeholder: 'Warehouse or office address' },
+  { key: 'tin', label: 'TIN', placeholder: '000-000-000-000', keyboardType: 'number-pad' },
+  { key: 'payment_terms', label: 'Payment Terms', placeholder: 'e.g. COD, 30 days' },
+  { key: 'notes', label: 'Notes', placeholder: 'Delivery days, minimum order' }
+]
+
+const Suppliers = () => {
+  const [stores, setStores] = useState([])
+  const [selectedStoreId, setSelectedStoreId] = useState(null)
+  const [suppliers, setSuppliers] = useState([])
+  const [outstanding, setOutstanding] = useState({})
+  const [searchQuery, setSearchQuery] = useState('')
+  const [editing, setEditing] = useState(null)
+  const [form, setForm] = useState(EMPTY_SUPPLIER)
+  const [loading, setLoading] = useState(true)
+  const [refreshing, setRefreshing] = useState(false)
+  const [saving, setSaving] = useState(false)
+
+  const { user } = useAuth()
+  const router = useRouter()
+
+  // Suppliers are shared; only the open orders are per store
+  const storeId = user?.store_id || selectedStoreId
+
+  useEffect(() => {
+    if (!user || user.store_id) return
+
+    const loadStores = async () => {
+      try {
+        const storesData = await staffDatabaseService.getAllStores()
+        setStores(storesData)
+      } catch (error) {
+        console.error('Error loading stores:', error)
+        setStores([])
+      }
+    }
+
+    loadStores()
+  }, [user])
+
+  const loadSuppliers = useCallback(async () => {
+    try {
+      const [suppliersData, outstandingData] = await Promise.all([
+        purchaseOrderDatabaseService.getSuppliers({ search: searchQuery.trim() || undefined }),
+        purchaseOrderDatabaseService.getOutstandingBySupplier(storeId)
+      ])
+
+      setSuppliers(suppliersData)
+      setOutstanding(Object.fromEntries(outstandingData.map(row => [row.supplier_id, row])))
+    } catch (error) {
+      console.error('Error loading suppliers:', error)
+      Alert.alert('Error', 'Failed to load suppliers: ' + error.message)
+      setSuppliers([])
+      setOutstanding({})
+    } finally {
+      setLoading(false)
+    }
+  }, [storeId, searchQuery])
+
+  useEffect(() => {
+    loadSuppliers()
+  }, [loadSuppliers])
+
+  const handleRefresh = async () => {
+    setRefreshing(true)
+    await loadSuppliers()
+    setRefreshing(false)
+  }
+
+  const formatPrice = (price) => {
+    return `₱${parseFloat(price || 0).toFixed(2)}`
+  }
+
+  const openForm = (supplier = null) => {
+    setEditing(supplier || {})
+    setForm(supplier
+      ? Object.fromEntries(Object.keys(EMPTY_SUPPLIER).map(key => [key, supplier[key] || '']))
+      : EMPTY_SUPPLIER)
+  }
+
+  const handleSave = async () => {
+    try {
+      setSaving(true)
+      if (editing?.id) {
+        await purchaseOrderDatabaseService.updateSupplier(editing.id, form)
+      } else {
+        await purchaseOrderDatabaseService.createSupplier(form, user)
+      }
+      setEditing(null)
+      await loadSuppliers()
+    } catch (error) {
+      console.error('Error saving supplier:', error)
+      Alert.alert('Error', error.message || 'Failed to save supplier')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDeactivate = () => {
+    Alert.alert(
+      'Remove Supplier',
+      `Hide ${editing.name} from new orders? Past orders keep their history.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Remove',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await purchaseOrderDatabaseService.deactivateSupplier(editing.id)
+              setEditing(null)
+              await loadSuppliers()
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Failed to remove supplier')
+            }
+          }
+        }
+      ]
+    )
+  }
+
+  const totalOutstanding = Object.values(outstanding).reduce((sum, row) => sum + row.outstanding_value, 0)
+
+  const renderSupplier = ({ item }) => {
+    const open = outstanding[item.id]
+
+    return (
+      <TouchableOpacity
+        style={styles.supplierCard}
+        onPress={() => router.push(`../navigations/purchase-orders?supplierId=${item.id}`)}
+        activeOpacity={0.7}
+      >
+        <View style={{ flex: 1 }}>
+          <Text style={styles.supplierName}>{item.name}</Text>
+          <Text style={styles.supplierMeta} numberOfLines={1}>
+            {[item.contact_name, item.phone, item.payment_terms].filter(Boolean).join(' • ') || 'No contact details'}
+          </Text>
+          {open ? (
+            <Text style={styles.outstandingText}>
+              {open.open_orders} open PO(s) • {open.outstanding_quantity} unit(s) • {formatPrice(open.outstanding_value)} outstanding
+              {open.next_expected_date ? ` • due ${open.next_expected_date}` : ''}
+            </Text>
+          ) : (
+            <Text style={styles.supplierMeta}>No open orders</Text>
+          )}
+        </View>
+        <TouchableOpacity style={styles.editButton} onPress={() => openForm(item)}>
+          <Ionicons name="create-outline" size={18} color="#3b82f6" />
+        </TouchableOpacity>
+      </TouchableOpacity>
+    )
+  }
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={22} color="#1e293b" />
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.headerTitle}>Suppliers</Text>
+          <Text style={styles.headerSubtitle}>
+            {suppliers.length} supplier(s) • {formatPrice(totalOutstanding)} on order
+          </Text>
+        </View>
+        <TouchableOpacity style={styles.headerLink} onPress={() => router.push('../navigations/purchase-orders')}>
+          <Ionicons name="document-text-outline" size={20} color="#3b82f6" />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.addButton} onPress={() => openForm()}>
+          <Ionicons name="add" size={22} color="#fff" />
+        </TouchableOpacity>
+      </View>
+
+      {/* Store selector for users without an assigned store */}
+      {!user?.store_id && stores.length > 1 && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.chipRow}
+          contentContainerStyle={styles.chipRowContent}
+        >
+          <TouchableOpacity
+            style={[styles.chip, !selectedStoreId && styles.chipActive]}
+            onPress={() => setSelectedStoreId(null)}
+          >
+            <Text style={[styles.chipText, !selectedStoreId && styles.chipTextActive]}>All Stores</Text>
+          </TouchableOpacity>
+          {stores.map(store => (
+            <TouchableOpacity
+              key={store.id}
+              style={[styles.chip, selectedStoreId === store.id && styles.chipActive]}
+              onPress={() => setSelectedStoreId(store.id)}
+            >
+              <Text style={[styles.chipText, selectedStoreId === store.id && styles.chipTextActive]}>
+                {store.name}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+
+      {/* Search */}
+      <View style={styles.searchBox}>
+        <Ionicons name="search" size={20} color="#6b7280" />
+        <TextInput
+          style={styles.searchInput}
+          placeholder="Search name, contact or phone..."
+          value={searchQuery}
+          onChangeText={setSearchQuery}
+          autoCorrect={false}
+        />
+        {searchQuery.length > 0 && (
+          <TouchableOpacity onPress={() => setSearchQuery('')}>
+            <Ionicons name="close-circle" size={20} color="#9ca3af" />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#3b82f6" />
+        </View>
+      ) : suppliers.length === 0 ? (
+        <View style={styles.emptyState}>
+          <Ionicons name="business-outline" size={64} color="#9ca3af" />
+          <Text style={styles.emptyTitle}>No Suppliers Found</Text>
+          <Text style={styles.emptyText}>
+            {searchQuery ? 'No suppliers match your search.' : 'Add the suppliers you order stock from.'}
+          </Text>
+        </View>
+      ) : (
+        <FlatList
+          data={suppliers}
+          renderItem={renderSupplier}
+          keyExtractor={(item) => item.id}
+          refreshControl={
+            <RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />
+          }
+          contentContainerStyle={styles.listContent}
+          showsVerticalScrollIndicator={false}
+          keyboardShouldPersistTaps="handled"
+        />
+      )}
+
+      {/* Add / edit supplier */}
+      <Modal
+        visible={!!editing}
+        animationType="slide"
+        presentationStyle="formSheet"
+        onRequestClose={() => setEditing(null)}
+      >
+        <View style={styles.modalContainer}>
+          <View style={styles.modalHeader}>
+            <TouchableOpacity onPress={() => setEditing(null)}>
+              <Text style={styles.modalCancel}>Cancel</Text>
+            </TouchableOpacity>
+            <Text style={styles.modalTitle}>{editing?.id ? 'Edit Supplier' : 'New Supplier'}</Text>
+            <TouchableOpacity onPress={handleSave} disabled={saving}>
+              <Text style={[styles.modalSave, saving && styles.modalSaveDisabled]}>Save</Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView contentContainerStyle={styles.modalContent} keyboardShouldPersistTaps="handled">
+            {SUPPLIER_FIELDS.map(field => (
+              <View key={field.key}>
+                <Text style={styles.fieldLabel}>{field.label}</Text>
+                <TextInput
+                  style={styles.textInput}
+                  value={form[field.key]}
+                  onChangeText={(value) => setForm({ ...form, [field.key]: value })}
+                  placeholder={field.placeholder}
+                  keyboardType={field.keyboardType || 'default'}
+                  autoCapitalize={field.key === 'email' ? 'none' : 'sentences'}
+                />
+              </View>
+            ))}
+
+            {editing?.id && (
+              <TouchableOpacity style={styles.removeButton} onPress={handleDeactivate}>
+                <Ionicons name="trash-outline" size={18} color="#ef4444" />
+                <Text style={styles.removeButtonText}>Remove Supplier</Text>
+              </TouchableOpacity>
+            )}
+          </ScrollView>
+        </View>
+      </Modal>
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 50,
+    paddingBottom: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  backButton: {
+    padding: 6,
+    marginRight: 12,
+    borderRadius: 8,
+    backgroundColor: '#f1f5f9',
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#1e293b',
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#64748b',
+    marginTop: 4,
+  },
+  headerLink: {
+    padding: 8,
+    marginRight: 8,
+    borderRadius: 8,
+    backgroundColor: '#eff6ff',
+  },
+  addButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#3b82f6',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  chipRow: {
+    flexGrow: 0,
+    marginTop: 10,
+  },
+  chipRowContent: {
+    paddingHorizontal: 16,
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  chipActive: {
+    backgroundColor: '#3b82f6',
+    borderColor: '#3b82f6',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#374151',
+    fontWeight: '500',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  searchBox: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    marginHorizontal: 16,
+    marginTop: 12,
+    gap: 8,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 16,
+    color: '#1f2937',
+  },
+  loadingContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  listContent: {
+    padding: 16,
+  },
+  supplierCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 10,
+    gap: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 2,
+    elevation: 1,
+  },
+  supplierName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  supplierMeta: {
+    fontSize: 13,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  outstandingText: {
+    fontSize: 13,
+    color: '#f59e0b',
+    fontWeight: '500',
+    marginTop: 4,
+  },
+  editButton: {
+    padding: 8,
+    borderRadius: 8,
+    backgroundColor: '#eff6ff',
+  },
+  emptyState: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginTop: 16,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#64748b',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  modalContainer: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  modalCancel: {
+    fontSize: 16,
+    color: '#ef4444',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  modalSave: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#3b82f6',
+  },
+  modalSaveDisabled: {
+    color: '#94a3b8',
+  },
+  modalContent: {
+    padding: 20,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#1e293b',
+    backgroundColor: '#fff',
+    marginBottom: 16,
+  },
+  removeButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    paddingVertical: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#fecaca',
+    backgroundColor: '#fef2f2',
+    marginTop: 8,
+  },
+  removeButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#ef4444',
+  },
+})
+
+export default Suppliers
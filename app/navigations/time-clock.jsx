@@ -0,0 +1,430 @@
+// app/navigations/time-clock.jsx - Staff clock in/out and breaks by staff ID and passcode
+import React, { useState, useEffect, useCallback } from 'react'
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  TextInput,
+  Alert,
+  ActivityIndicator
+} from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { useRouter } from 'expo-router'
+import { useAuth } from '../../utils/authContext'
+import timeClockDatabaseService from '../../services/timeClockDatabase'
+import staffDatabaseService from '../../services/staffDatabase'
+import { PUNCH_TYPES, getPunchLabel, getClockStatus } from '../../utils/timeClockCalculations'
+
+const TimeClockScreen = () => {
+  const [stores, setStores] = useState([])
+  const [selectedStoreId, setSelectedStoreId] = useState(null)
+  const [staffCode, setStaffCode] = useState('')
+  const [passcode, setPasscode] = useState('')
+  const [clockedIn, setClockedIn] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [submitting, setSubmitting] = useState(false)
+
+  const { user } = useAuth()
+  const router = useRouter()
+
+  const storeId = user?.store_id || selectedStoreId
+
+  useEffect(() => {
+    if (!user || user.store_id) return
+
+    const loadStores = async () => {
+      try {
+        const storesData = await staffDatabaseService.getAllStores()
+        setStores(storesData)
+        if (storesData.length > 0 && !selectedStoreId) {
+          setSelectedStoreId(storesData[0].id)
+        } else if (storesData.length === 0) {
+          setLoading(false)
+        }
+      } catch (error) {
+        console.error('Error loading stores:', error)
+        setStores([])
+        setLoading(false)
+      }
+    }
+
+    loadStores()
+  }, [user])
+
+  const loadClockedIn = useCallback(async () => {
+    if (!storeId) return
+
+    try {
+      const rows = await timeClockDatabaseService.getClockedInStaff(storeId)
+      setClockedIn(rows)
+    } catch (error) {
+      console.error('Error loading clocked in staff:', error)
+      Alert.alert('Error', 'Failed to load time clock: ' + error.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [storeId])
+
+  useEffect(() => {
+    loadClockedIn()
+  }, [loadClockedIn])
+
+  const handlePunch = async (entryType) => {
+    if (!staffCode.trim() || !passcode.trim()) {
+      Alert.alert('Missing Details', 'Enter your staff ID and passcode')
+      return
+    }
+
+    try {
+      setSubmitting(true)
+      const entry = await timeClockDatabaseService.recordPunch(storeId, {
+        staff_code: staffCode,
+        passcode,
+        entry_type: entryType
+      })
+
+      setStaffCode('')
+      setPasscode('')
+      await loadClockedIn()
+
+      Alert.alert(
+        getPunchLabel(entry.entry_type),
+        `${entry.staff_name} • ${formatTime(entry.punched_at)}`
+      )
+    } catch (error) {
+      console.error('Error recording punch:', error)
+      Alert.alert('Time Clock', error.message || 'Failed to record punch')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const formatTime = (isoString) => {
+    return new Date(isoString).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+  }
+
+  if (!['super_admin', 'manager', 'supervisor', 'cashier'].includes(user?.role)) {
+    return (
+      <View style={styles.container}>
+        <View style={styles.accessDenied}>
+          <Ionicons name="lock-closed" size={64} color="#ef4444" />
+          <Text style={styles.accessTitle}>Access Restricted</Text>
+          <Text style={styles.accessText}>
+            You don't have permission to use the time clock.
+          </Text>
+        </View>
+      </View>
+    )
+  }
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={22} color="#1e293b" />
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.headerTitle}>Time Clock</Text>
+          <Text style={styles.headerSubtitle}>
+            {clockedIn.length} staff on the clock
+          </Text>
+        </View>
+      </View>
+
+      {/* Store selector for users without an assigned store */}
+      {!user?.store_id && stores.length > 1 && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.chipRow}
+          contentContainerStyle={styles.chipRowContent}
+        >
+          {stores.map(store => (
+            <TouchableOpacity
+              key={store.id}
+              style={[styles.chip, selectedStoreId === store.id && styles.chipActive]}
+              onPress={() => setSelectedStoreId(store.id)}
+            >
+              <Text style={[styles.chipText, selectedStoreId === store.id && styles.chipTextActive]}>
+                {store.name}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#3b82f6" />
+        </View>
+      ) : (
+        <ScrollView style={styles.content} keyboardShouldPersistTaps="handled">
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Punch</Text>
+            <Text style={styles.sectionSubtitle}>Enter your staff ID and passcode, then choose an action.</Text>
+
+            <Text style={styles.fieldLabel}>Staff ID</Text>
+            <TextInput
+              style={styles.textInput}
+              value={staffCode}
+              onChangeText={setStaffCode}
+              autoCapitalize="characters"
+              autoCorrect={false}
+              placeholder="e.g. ST001"
+            />
+            <Text style={styles.fieldLabel}>Passcode</Text>
+            <TextInput
+              style={styles.textInput}
+              value={passcode}
+              onChangeText={setPasscode}
+              keyboardType="number-pad"
+              secureTextEntry
+              placeholder="••••"
+            />
+
+            <View style={styles.punchGrid}>
+              {PUNCH_TYPES.map(type => (
+                <TouchableOpacity
+                  key={type.value}
+                  style={[
+                    styles.punchButton,
+                    { borderColor: type.color + '60', backgroundColor: type.color + '15' },
+                    submitting && styles.buttonDisabled
+                  ]}
+                  onPress={() => handlePunch(type.value)}
+                  disabled={submitting}
+                >
+                  <Ionicons name={type.icon} size={24} color={type.color} />
+                  <Text style={[styles.punchButtonText, { color: type.color }]}>{type.label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>On the Clock</Text>
+            {clockedIn.length === 0 ? (
+              <Text style={styles.emptyText}>Nobody is clocked in</Text>
+            ) : (
+              clockedIn.map(entry => {
+                const onBreak = getClockStatus(entry.entry_type) === 'on_break'
+                return (
+                  <View key={entry.staff_id} style={styles.staffRow}>
+                    <View style={{ flex: 1 }}>
+                      <Text style={styles.staffName}>{entry.staff_name}</Text>
+                      <Text style={styles.staffMeta}>
+                        {entry.staff_code} • {getPunchLabel(entry.entry_type)} at {formatTime(entry.punched_at)}
+                      </Text>
+                    </View>
+                    <View style={[styles.statusBadge, onBreak ? styles.breakBadge : styles.workingBadge]}>
+                      <Text style={[styles.statusText, onBreak ? styles.breakText : styles.workingText]}>
+                        {onBreak ? 'On Break' : 'Working'}
+                      </Text>
+                    </View>
+                  </View>
+                )
+              })
+            )}
+          </View>
+        </ScrollView>
+      )}
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 50,
+    paddingBottom: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  backButton: {
+    padding: 6,
+    marginRight: 12,
+    borderRadius: 8,
+    backgroundColor: '#f1f5f9',
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#1e293b',
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#64748b',
+    marginTop: 4,
+  },
+  chipRow: {
+    flexGrow: 0,
+    marginTop: 10,
+  },
+  chipRowContent: {
+    paddingHorizontal: 16,
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  chipActive: {
+    backgroundColor: '#3b82f6',
+    borderColor: '#3b82f6',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#374151',
+    fontWeight: '500',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  loadingContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  content: {
+    flex: 1,
+  },
+  section: {
+    backgroundColor: '#fff',
+    marginHorizontal: 16,
+    marginTop: 16,
+    borderRadius: 12,
+    padding: 16,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 3,
+    elevation: 2,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginBottom: 12,
+  },
+  sectionSubtitle: {
+    fontSize: 13,
+    color: '#64748b',
+    marginTop: -8,
+    marginBottom: 12,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#1e293b',
+    backgroundColor: '#fff',
+    marginBottom: 16,
+  },
+  punchGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  punchButton: {
+    width: '48%',
+    alignItems: 'center',
+    gap: 4,
+    paddingVertical: 16,
+    borderRadius: 8,
+    borderWidth: 1,
+  },
+  punchButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  staffRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderTopWidth: 1,
+    borderTopColor: '#f1f5f9',
+  },
+  staffName: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#1e293b',
+  },
+  staffMeta: {
+    fontSize: 12,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  statusBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 4,
+  },
+  workingBadge: {
+    backgroundColor: '#dcfce7',
+  },
+  breakBadge: {
+    backgroundColor: '#fef3c7',
+  },
+  statusText: {
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  workingText: {
+    color: '#16a34a',
+  },
+  breakText: {
+    color: '#d97706',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#94a3b8',
+    textAlign: 'center',
+    paddingVertical: 12,
+  },
+  accessDenied: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 40,
+  },
+  accessTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginTop: 16,
+  },
+  accessText: {
+    fontSize: 14,
+    color: '#64748b',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+})
+
+export default TimeClockScreen
@@ -0,0 +1,1102 @@
+// app/navigations/transfers.jsx - Stock transfers between company stores
+import React, { useState, useEffect, useCallback } from 'react'
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  TextInput,
+  FlatList,
+  Modal,
+  RefreshControl,
+  Alert,
+  ActivityIndicator
+} from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { useRouter } from 'expo-router'
+import { useAuth } from '../../utils/authContext'
+import transferDatabaseService from '../../services/transferDatabase'
+import productDatabaseService from '../../services/productDatabase'
+import storeService from '../../services/storeService'
+import {
+  TRANSFER_STATUSES,
+  DISCREPANCY_RESOLUTIONS,
+  getTransferStatus,
+  canTransitionTransfer,
+  canTransferStock,
+  calculateLineDiscrepancy
+} from '../../utils/transferCalculations'
+
+const DIRECTIONS = [
+  { value: 'all', label: 'All' },
+  { value: 'out', label: 'Outgoing' },
+  { value: 'in', label: 'Incoming' }
+]
+
+const STATUS_FILTERS = [
+  { value: 'active', label: 'Active' },
+  { value: 'all', label: 'All' },
+  ...TRANSFER_STATUSES
+]
+
+const Transfers = () => {
+  const [stores, setStores] = useState([])
+  const [selectedStoreId, setSelectedStoreId] = useState(null)
+  const [transfers, setTransfers] = useState([])
+  const [direction, setDirection] = useState('all')
+  const [statusFilter, setStatusFilter] = useState('active')
+  const [loading, setLoading] = useState(true)
+  const [refreshing, setRefreshing] = useState(false)
+  const [saving, setSaving] = useState(false)
+
+  // New transfer
+  const [transferForm, setTransferForm] = useState(null)
+  const [productSearch, setProductSearch] = useState('')
+  const [productResults, setProductResults] = useState([])
+
+  // Detail, receiving and discrepancies
+  const [selectedTransfer, setSelectedTransfer] = useState(null)
+  const [actionNotes, setActionNotes] = useState('')
+  const [receiptForm, setReceiptForm] = useState(null)
+
+  const { user } = useAuth()
+  const router = useRouter()
+
+  const canTransfer = canTransferStock(user)
+
+  useEffect(() => {
+    if (!user) return
+
+    const loadStores = async () => {
+      try {
+        const storesData = await storeService.getUserStores(user)
+        setStores(storesData)
+        setSelectedStoreId(current => current || user.store_id || storesData[0]?.id || null)
+      } catch (error) {
+        console.error('Error loading stores:', error)
+        setStores([])
+      }
+    }
+
+    loadStores()
+  }, [user])
+
+  const loadTransfers = useCallback(async () => {
+    if (!selectedStoreId) {
+      setTransfers([])
+      setLoading(false)
+      return
+    }
+
+    try {
+      const transfersData = await transferDatabaseService.getTransfers(selectedStoreId, {
+        direction: direction === 'all' ? undefined : direction,
+        status: statusFilter === 'active' ? ['dispatched', 'in_transit'] : statusFilter === 'all' ? undefined : statusFilter
+      })
+      setTransfers(transfersData)
+    } catch (error) {
+      console.error('Error loading transfers:', error)
+      Alert.alert('Error', 'Failed to load transfers: ' + error.message)
+      setTransfers([])
+    } finally {
+      setLoading(false)
+    }
+  }, [selectedStoreId, direction, statusFilter])
+
+  useEffect(() => {
+    loadTransfers()
+  }, [loadTransfers])
+
+  useEffect(() => {
+    if (!selectedStoreId || !productSearch.trim()) {
+      setProductResults([])
+      return
+    }
+
+    const searchProducts = async () => {
+      try {
+        const productsData = await productDatabaseService.getProductsByStore(selectedStoreId, {
+          search: productSearch.trim()
+        })
+        setProductResults(productsData.slice(0, 8))
+      } catch (error) {
+        console.error('Error searching products:', error)
+        setProductResults([])
+      }
+    }
+
+    searchProducts()
+  }, [selectedStoreId, productSearch])
+
+  const handleRefresh = async () => {
+    setRefreshing(true)
+    await loadTransfers()
+    setRefreshing(false)
+  }
+
+  const formatPrice = (price) => {
+    return `₱${parseFloat(price || 0).toFixed(2)}`
+  }
+
+  const formatDate = (dateString) => {
+    return dateString ? new Date(dateString).toLocaleString() : '-'
+  }
+
+  const getStoreName = (storeId) => {
+    return stores.find(store => String(store.id) === String(storeId))?.name || `Store ${storeId}`
+  }
+
+  const openTransfer = async (transferId) => {
+    try {
+      const transfer = await transferDatabaseService.getTransferById(transferId)
+      setActionNotes('')
+      setSelectedTransfer(transfer)
+    } catch (error) {
+      console.error('Error loading transfer:', error)
+      Alert.alert('Error', 'Failed to load transfer')
+    }
+  }
+
+  const refreshSelectedTransfer = async (transferId) => {
+    const transfer = await transferDatabaseService.getTransferById(transferId)
+    setActionNotes('')
+    setSelectedTransfer(transfer)
+    await loadTransfers()
+  }
+
+  // ----- Dispatch -----
+
+  const openNewTransfer = () => {
+    if (stores.length < 2) {
+      Alert.alert('No Other Stores', 'Transfers need at least two company stores')
+      return
+    }
+    setProductSearch('')
+    setTransferForm({ to_store_id: null, notes: '', lines: [] })
+  }
+
+  const addProductLine = (product) => {
+    if (transferForm.lines.some(line => line.product_id === product.id)) {
+      Alert.alert('Already Added', `${product.name} is already on this transfer`)
+      return
+    }
+
+    setTransferForm({
+      ...transferForm,
+      lines: [...transferForm.lines, {
+        product_id: product.id,
+        product_name: product.name,
+        available: product.stock_quantity,
+        quantity: ''
+      }]
+    })
+    setProductSearch('')
+  }
+
+  const updateTransferLine = (productId, quantity) => {
+    setTransferForm({
+      ...transferForm,
+      lines: transferForm.lines.map(line => line.product_id === productId ? { ...line, quantity } : line)
+    })
+  }
+
+  const removeTransferLine = (productId) => {
+    setTransferForm({ ...transferForm, lines: transferForm.lines.filter(line => line.product_id !== productId) })
+  }
+
+  const handleDispatch = async () => {
+    try {
+      setSaving(true)
+      const transfer = await transferDatabaseService.createTransfer({
+        from_store_id: selectedStoreId,
+        to_store_id: transferForm.to_store_id,
+        notes: transferForm.notes,
+        lines: transferForm.lines.map(line => ({ product_id: line.product_id, quantity: line.quantity }))
+      }, user)
+      setTransferForm(null)
+      await loadTransfers()
+      await openTransfer(transfer.id)
+    } catch (error) {
+      console.error('Error dispatching transfer:', error)
+      Alert.alert('Error', error.message || 'Failed to dispatch transfer')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  // ----- Status changes -----
+
+  const handleInTransit = async () => {
+    try {
+      setSaving(true)
+      await transferDatabaseService.markInTransit(selectedTransfer.id, user)
+      await refreshSelectedTransfer(selectedTransfer.id)
+    } catch (error) {
+      Alert.alert('Error', error.message || 'Failed to update transfer')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleCancel = () => {
+    if (!actionNotes.trim()) {
+      Alert.alert('Reason Required', 'Enter why this transfer is being cancelled')
+      return
+    }
+
+    Alert.alert(
+      'Cancel Transfer',
+      `Cancel ${selectedTransfer.transfer_number} and put the stock back into ${getStoreName(selectedTransfer.from_store_id)}?`,
+      [
+        { text: 'Keep Transfer', style: 'cancel' },
+        {
+          text: 'Cancel Transfer',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setSaving(true)
+              await transferDatabaseService.cancelTransfer(selectedTransfer.id, actionNotes, user)
+              await refreshSelectedTransfer(selectedTransfer.id)
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Failed to cancel transfer')
+            } finally {
+              setSaving(false)
+            }
+          }
+        }
+      ]
+    )
+  }
+
+  const openReceive = () => {
+    setReceiptForm(selectedTransfer.lines.map(line => ({
+      line_id: line.id,
+      product_name: line.product_name,
+      quantity_sent: line.quantity_sent,
+      quantity_received: String(line.quantity_sent),
+      reason: ''
+    })))
+  }
+
+  const updateReceiptLine = (lineId, changes) => {
+    setReceiptForm(receiptForm.map(line => line.line_id === lineId ? { ...line, ...changes } : line))
+  }
+
+  const handleReceive = async () => {
+    try {
+      setSaving(true)
+      await transferDatabaseService.receiveTransfer(selectedTransfer.id, receiptForm, user)
+      setReceiptForm(null)
+      await refreshSelectedTransfer(selectedTransfer.id)
+    } catch (error) {
+      console.error('Error receiving transfer:', error)
+      Alert.alert('Error', error.message || 'Failed to receive transfer')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleResolve = (resolution) => {
+    if (!actionNotes.trim()) {
+      Alert.alert('Notes Required', 'Record what happened to the missing or extra units')
+      return
+    }
+
+    const option = DISCREPANCY_RESOLUTIONS.find(item => item.value === resolution)
+    Alert.alert(
+      option.label,
+      resolution === 'returned'
+        ? `Put the short units back into ${getStoreName(selectedTransfer.from_store_id)}?`
+        : 'Accept the difference as it stands? No further stock will move.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: option.label,
+          onPress: async () => {
+            try {
+              setSaving(true)
+              await transferDatabaseService.resolveDiscrepancy(selectedTransfer.id, resolution, actionNotes, user)
+              await refreshSelectedTransfer(selectedTransfer.id)
+            } catch (error) {
+              Alert.alert('Error', error.message || 'Failed to resolve discrepancy')
+            } finally {
+              setSaving(false)
+            }
+          }
+        }
+      ]
+    )
+  }
+
+  const renderStatusBadge = (status) => {
+    const option = getTransferStatus(status)
+    return (
+      <View style={[styles.statusBadge, { backgroundColor: option.color + '20' }]}>
+        <Text style={[styles.statusText, { color: option.color }]}>{option.label}</Text>
+      </View>
+    )
+  }
+
+  const renderTransfer = ({ item }) => {
+    const isOutgoing = String(item.from_store_id) === String(selectedStoreId)
+
+    return (
+      <TouchableOpacity style={styles.transferCard} onPress={() => openTransfer(item.id)} activeOpacity={0.7}>
+        <View style={styles.transferHeader}>
+          <Text style={styles.transferNumber}>{item.transfer_number}</Text>
+          {renderStatusBadge(item.status)}
+        </View>
+        <View style={styles.routeRow}>
+          <Ionicons
+            name={isOutgoing ? 'arrow-up-circle-outline' : 'arrow-down-circle-outline'}
+            size={16}
+            color={isOutgoing ? '#f59e0b' : '#10b981'}
+          />
+          <Text style={styles.transferRoute}>
+            {isOutgoing ? `To ${getStoreName(item.to_store_id)}` : `From ${getStoreName(item.from_store_id)}`}
+          </Text>
+        </View>
+        <Text style={styles.transferMeta}>
+          {item.line_count} line(s) • {item.quantity_sent} sent
+          {item.quantity_received !== null ? ` • ${item.quantity_received} received` : ''} • {formatDate(item.dispatched_at)}
+        </Text>
+        {item.discrepancy_status === 'open' && (
+          <Text style={styles.discrepancyText}>Discrepancy to resolve</Text>
+        )}
+      </TouchableOpacity>
+    )
+  }
+
+  return (
+    <View style={styles.container}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.backButton} onPress={() => router.back()}>
+          <Ionicons name="arrow-back" size={22} color="#1e293b" />
+        </TouchableOpacity>
+        <View style={{ flex: 1 }}>
+          <Text style={styles.headerTitle}>Stock Transfers</Text>
+          <Text style={styles.headerSubtitle}>
+            {transfers.length} transfer(s){selectedStoreId ? ` • ${getStoreName(selectedStoreId)}` : ''}
+          </Text>
+        </View>
+        {canTransfer && (
+          <TouchableOpacity style={styles.addButton} onPress={openNewTransfer}>
+            <Ionicons name="add" size={22} color="#fff" />
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {/* Store the list is seen from */}
+      {stores.length > 1 && (
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.chipRow}
+          contentContainerStyle={styles.chipRowContent}
+        >
+          {stores.map(store => (
+            <TouchableOpacity
+              key={store.id}
+              style={[styles.chip, selectedStoreId === store.id && styles.chipActive]}
+              onPress={() => setSelectedStoreId(store.id)}
+            >
+              <Text style={[styles.chipText, selectedStoreId === store.id && styles.chipTextActive]}>
+                {store.name}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.chipRow}
+        contentContainerStyle={styles.chipRowContent}
+      >
+        {DIRECTIONS.map(option => (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.chip, direction === option.value && styles.chipActive]}
+            onPress={() => setDirection(option.value)}
+          >
+            <Text style={[styles.chipText, direction === option.value && styles.chipTextActive]}>{option.label}</Text>
+          </TouchableOpacity>
+        ))}
+        <View style={styles.chipDivider} />
+        {STATUS_FILTERS.map(option => (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.chip, statusFilter === option.value && styles.chipActive]}
+            onPress={() => setStatusFilter(option.value)}
+          >
+            <Text style={[styles.chipText, statusFilter === option.value && styles.chipTextActive]}>{option.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#3b82f6" />
+        </View>
+      ) : transfers.length === 0 ? (
+        <View style={styles.emptyState}>
+          <Ionicons name="swap-horizontal-outline" size={64} color="#9ca3af" />
+          <Text style={styles.emptyTitle}>No Transfers</Text>
+          <Text style={styles.emptyText}>
+            {!selectedStoreId ? 'Select a store to see its transfers.' : 'No transfers match this filter.'}
+          </Text>
+        </View>
+      ) : (
+        <FlatList
+          data={transfers}
+          renderItem={renderTransfer}
+          keyExtractor={(item) => item.id}
+          refreshControl={
+            <RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />
+          }
+          contentContainerStyle={styles.listContent}
+          showsVerticalScrollIndicator={false}
+        />
+      )}
+
+      {/* New transfer out of the selected store */}
+      <Modal
+        visible={!!transferForm}
+        animationType="slide"
+        presentationStyle="formSheet"
+        onRequestClose={() => setTransferForm(null)}
+      >
+        {transferForm && (
+          <View style={styles.modalContainer}>
+            <View style={styles.modalHeader}>
+              <TouchableOpacity onPress={() => setTransferForm(null)}>
+                <Text style={styles.modalCancel}>Cancel</Text>
+              </TouchableOpacity>
+              <Text style={styles.modalTitle}>New Transfer</Text>
+              <TouchableOpacity onPress={handleDispatch} disabled={saving}>
+                <Text style={[styles.modalSave, saving && styles.modalSaveDisabled]}>Dispatch</Text>
+              </TouchableOpacity>
+            </View>
+
+            <ScrollView contentContainerStyle={styles.modalContent} keyboardShouldPersistTaps="handled">
+              <Text style={styles.modalHint}>From {getStoreName(selectedStoreId)}</Text>
+
+              <Text style={styles.fieldLabel}>Send To *</Text>
+              <View style={styles.optionWrap}>
+                {stores.filter(store => store.id !== selectedStoreId).map(store => (
+                  <TouchableOpacity
+                    key={store.id}
+                    style={[styles.chip, transferForm.to_store_id === store.id && styles.chipActive]}
+                    onPress={() => setTransferForm({ ...transferForm, to_store_id: store.id })}
+                  >
+                    <Text style={[styles.chipText, transferForm.to_store_id === store.id && styles.chipTextActive]}>
+                      {store.name}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              <Text style={styles.fieldLabel}>Products *</Text>
+              <View style={styles.searchBoxInline}>
+                <Ionicons name="search" size={18} color="#6b7280" />
+                <TextInput
+                  style={styles.searchInput}
+                  placeholder="Add product by name, SKU or barcode..."
+                  value={productSearch}
+                  onChangeText={setProductSearch}
+                  autoCorrect={false}
+                />
+              </View>
+              {productResults.map(product => (
+                <TouchableOpacity key={product.id} style={styles.productResult} onPress={() => addProductLine(product)}>
+                  <View style={{ flex: 1 }}>
+                    <Text style={styles.lineName}>{product.name}</Text>
+                    <Text style={styles.lineMeta}>{product.sku || 'No SKU'} • On hand {product.stock_quantity}</Text>
+                  </View>
+                  <Ionicons name="add-circle-outline" size={22} color="#3b82f6" />
+                </TouchableOpacity>
+              ))}
+
+              {transferForm.lines.map(line => (
+                <View key={line.product_id} style={styles.lineCard}>
+                  <View style={styles.lineRow}>
+                    <View style={{ flex: 1 }}>
+                      <Text style={styles.lineName}>{line.product_name}</Text>
+                      <Text style={styles.lineMeta}>{line.available} on hand</Text>
+                    </View>
+                    <TextInput
+                      style={styles.quantityInput}
+                      value={line.quantity}
+                      onChangeText={(value) => updateTransferLine(line.product_id, value.replace(/[^0-9]/g, ''))}
+                      placeholder="0"
+                      keyboardType="number-pad"
+                    />
+                    <TouchableOpacity onPress={() => removeTransferLine(line.product_id)}>
+                      <Ionicons name="close-circle" size={20} color="#ef4444" />
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              ))}
+
+              <Text style={[styles.fieldLabel, { marginTop: 16 }]}>Notes</Text>
+              <TextInput
+                style={styles.textInput}
+                value={transferForm.notes}
+                onChangeText={(value) => setTransferForm({ ...transferForm, notes: value })}
+                placeholder="Courier, vehicle, reason for transfer"
+              />
+            </ScrollView>
+          </View>
+        )}
+      </Modal>
+
+      {/* Transfer detail */}
+      <Modal
+        visible={!!selectedTransfer}
+        animationType="slide"
+        presentationStyle="formSheet"
+        onRequestClose={() => setSelectedTransfer(null)}
+      >
+        {selectedTransfer && (
+          <View style={styles.modalContainer}>
+            <View style={styles.modalHeader}>
+              <TouchableOpacity onPress={() => setSelectedTransfer(null)}>
+                <Text style={styles.modalCancel}>Close</Text>
+              </TouchableOpacity>
+              <Text style={styles.modalTitle}>{selectedTransfer.transfer_number}</Text>
+              <View style={{ width: 40 }} />
+            </View>
+
+            <ScrollView contentContainerStyle={styles.modalContent} keyboardShouldPersistTaps="handled">
+              <View style={styles.transferHeader}>
+                <Text style={styles.modalRoute}>
+                  {getStoreName(selectedTransfer.from_store_id)} → {getStoreName(selectedTransfer.to_store_id)}
+                </Text>
+                {renderStatusBadge(selectedTransfer.status)}
+              </View>
+              <Text style={styles.modalHint}>
+                Dispatched {formatDate(selectedTransfer.dispatched_at)}
+                {selectedTransfer.dispatched_by_name ? ` by ${selectedTransfer.dispatched_by_name}` : ''}
+                {selectedTransfer.in_transit_at ? `\nIn transit ${formatDate(selectedTransfer.in_transit_at)}` : ''}
+                {selectedTransfer.received_at ? `\nReceived ${formatDate(selectedTransfer.received_at)}${selectedTransfer.received_by_name ? ` by ${selectedTransfer.received_by_name}` : ''}` : ''}
+              </Text>
+              {selectedTransfer.notes && <Text style={styles.modalHint}>{selectedTransfer.notes}</Text>}
+              {selectedTransfer.cancel_reason && (
+                <Text style={styles.discrepancyText}>Cancelled: {selectedTransfer.cancel_reason}</Text>
+              )}
+
+              {selectedTransfer.lines.map(line => {
+                const discrepancy = calculateLineDiscrepancy(line)
+                return (
+                  <View key={line.id} style={styles.lineCard}>
+                    <Text style={styles.lineName}>{line.product_name}</Text>
+                    <Text style={styles.lineMeta}>
+                      Sent {line.quantity_sent}
+                      {line.quantity_received !== null ? ` • Received ${line.quantity_received}` : ''}
+                      {line.unit_cost !== null ? ` • ${formatPrice(line.unit_cost)} each` : ''}
+                    </Text>
+                    {discrepancy !== 0 && (
+                      <Text style={styles.discrepancyText}>
+                        {discrepancy < 0 ? `${-discrepancy} short` : `${discrepancy} over`} - {line.discrepancy_reason}
+                      </Text>
+                    )}
+                  </View>
+                )
+              })}
+
+              <View style={styles.totalsCard}>
+                <View style={styles.totalsRow}>
+                  <Text style={styles.totalsLabel}>Value Sent</Text>
+                  <Text style={styles.totalsValue}>{formatPrice(selectedTransfer.totals.value_sent)}</Text>
+                </View>
+                {selectedTransfer.status === 'received' && (
+                  <View style={styles.totalsRow}>
+                    <Text style={styles.totalsLabel}>Discrepancy</Text>
+                    <Text style={[styles.totalsValue, selectedTransfer.totals.discrepancy_value !== 0 && styles.discrepancyValue]}>
+                      {selectedTransfer.totals.short_quantity} short • {selectedTransfer.totals.over_quantity} over • {formatPrice(selectedTransfer.totals.discrepancy_value)}
+                    </Text>
+                  </View>
+                )}
+                {selectedTransfer.discrepancy_status && selectedTransfer.discrepancy_status !== 'open' && (
+                  <Text style={styles.lineMeta}>
+                    {DISCREPANCY_RESOLUTIONS.find(item => item.value === selectedTransfer.discrepancy_status)?.label}: {selectedTransfer.discrepancy_notes}
+                  </Text>
+                )}
+              </View>
+
+              {canTransfer && (
+                <View style={styles.actions}>
+                  {canTransitionTransfer(selectedTransfer.status, 'in_transit') && (
+                    <TouchableOpacity style={styles.primaryButton} onPress={handleInTransit} disabled={saving}>
+                      <Ionicons name="car-outline" size={18} color="#fff" />
+                      <Text style={styles.primaryButtonText}>Mark In Transit</Text>
+                    </TouchableOpacity>
+                  )}
+
+                  {canTransitionTransfer(selectedTransfer.status, 'received') && (
+                    <TouchableOpacity style={styles.primaryButton} onPress={openReceive} disabled={saving}>
+                      <Ionicons name="download-outline" size={18} color="#fff" />
+                      <Text style={styles.primaryButtonText}>Receive at {getStoreName(selectedTransfer.to_store_id)}</Text>
+                    </TouchableOpacity>
+                  )}
+
+                  {(canTransitionTransfer(selectedTransfer.status, 'cancelled') || selectedTransfer.discrepancy_status === 'open') && (
+                    <>
+                      <Text style={styles.fieldLabel}>
+                        {selectedTransfer.discrepancy_status === 'open' ? 'Resolution Notes' : 'Cancel Reason'}
+                      </Text>
+                      <TextInput
+                        style={styles.textInput}
+                        value={actionNotes}
+                        onChangeText={setActionNotes}
+                        placeholder={selectedTransfer.discrepancy_status === 'open'
+                          ? 'What happened to the difference?'
+                          : 'Why is this transfer being cancelled?'}
+                      />
+                    </>
+                  )}
+
+                  {canTransitionTransfer(selectedTransfer.status, 'cancelled') && (
+                    <TouchableOpacity style={styles.dangerButton} onPress={handleCancel} disabled={saving}>
+                      <Text style={styles.dangerButtonText}>Cancel Transfer</Text>
+                    </TouchableOpacity>
+                  )}
+
+                  {selectedTransfer.discrepancy_status === 'open' && DISCREPANCY_RESOLUTIONS
+                    .filter(option => option.value !== 'returned' || selectedTransfer.totals.short_quantity > 0)
+                    .map(option => (
+                      <TouchableOpacity
+                        key={option.value}
+                        style={styles.secondaryButton}
+                        onPress={() => handleResolve(option.value)}
+                        disabled={saving}
+                      >
+                        <Text style={styles.secondaryButtonText}>{option.label}</Text>
+                      </TouchableOpacity>
+                    ))}
+                </View>
+              )}
+            </ScrollView>
+          </View>
+        )}
+
+        {/* Receive, stacked on the detail sheet */}
+        <Modal
+          visible={!!receiptForm}
+          animationType="slide"
+          presentationStyle="formSheet"
+          onRequestClose={() => setReceiptForm(null)}
+        >
+          {receiptForm && (
+            <View style={styles.modalContainer}>
+              <View style={styles.modalHeader}>
+                <TouchableOpacity onPress={() => setReceiptForm(null)}>
+                  <Text style={styles.modalCancel}>Cancel</Text>
+                </TouchableOpacity>
+                <Text style={styles.modalTitle}>Receive Transfer</Text>
+                <TouchableOpacity onPress={handleReceive} disabled={saving}>
+                  <Text style={[styles.modalSave, saving && styles.modalSaveDisabled]}>Post</Text>
+                </TouchableOpacity>
+              </View>
+
+              <ScrollView contentContainerStyle={styles.modalContent} keyboardShouldPersistTaps="handled">
+                <Text style={styles.modalHint}>
+                  Count what actually arrived. Any line that doesn't match what was sent needs a reason.
+                </Text>
+
+                {receiptForm.map(line => {
+                  const mismatch = line.quantity_received !== '' && Number(line.quantity_received) !== line.quantity_sent
+                  return (
+                    <View key={line.line_id} style={styles.lineCard}>
+                      <View style={styles.lineRow}>
+                        <View style={{ flex: 1 }}>
+                          <Text style={styles.lineName}>{line.product_name}</Text>
+                          <Text style={styles.lineMeta}>{line.quantity_sent} sent</Text>
+                        </View>
+                        <TextInput
+                          style={[styles.quantityInput, mismatch && styles.quantityMismatch]}
+                          value={line.quantity_received}
+                          onChangeText={(value) => updateReceiptLine(line.line_id, { quantity_received: value.replace(/[^0-9]/g, '') })}
+                          placeholder="0"
+                          keyboardType="number-pad"
+                        />
+                      </View>
+                      {mismatch && (
+                        <TextInput
+                          style={[styles.textInput, { marginTop: 8, marginBottom: 0 }]}
+                          value={line.reason}
+                          onChangeText={(value) => updateReceiptLine(line.line_id, { reason: value })}
+                          placeholder="Damaged, missing, miscounted..."
+                        />
+                      )}
+                    </View>
+                  )
+                })}
+              </ScrollView>
+            </View>
+          )}
+        </Modal>
+      </Modal>
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 50,
+    paddingBottom: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  backButton: {
+    padding: 6,
+    marginRight: 12,
+    borderRadius: 8,
+    backgroundColor: '#f1f5f9',
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#1e293b',
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: '#64748b',
+    marginTop: 4,
+  },
+  addButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#3b82f6',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  chipRow: {
+    flexGrow: 0,
+    marginTop: 10,
+  },
+  chipRowContent: {
+    paddingHorizontal: 16,
+    gap: 8,
+    alignItems: 'center',
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  chipActive: {
+    backgroundColor: '#3b82f6',
+    borderColor: '#3b82f6',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#374151',
+    fontWeight: '500',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  chipDivider: {
+    width: 1,
+    height: 20,
+    backgroundColor: '#e2e8f0',
+  },
+  optionWrap: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16,
+  },
+  loadingContainer: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  listContent: {
+    padding: 16,
+  },
+  transferCard: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 10,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 2,
+    elevation: 1,
+  },
+  transferHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  transferNumber: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#1e293b',
+  },
+  routeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginTop: 4,
+  },
+  transferRoute: {
+    fontSize: 15,
+    color: '#374151',
+  },
+  transferMeta: {
+    fontSize: 13,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  discrepancyText: {
+    fontSize: 13,
+    color: '#ef4444',
+    fontWeight: '500',
+    marginTop: 4,
+  },
+  discrepancyValue: {
+    color: '#ef4444',
+  },
+  statusBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 10,
+  },
+  statusText: {
+    fontSize: 12,
+    fontWeight: '600',
+  },
+  emptyState: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 40,
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+    marginTop: 16,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#64748b',
+    textAlign: 'center',
+    marginTop: 8,
+  },
+  modalContainer: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  modalCancel: {
+    fontSize: 16,
+    color: '#ef4444',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  modalSave: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#3b82f6',
+  },
+  modalSaveDisabled: {
+    color: '#94a3b8',
+  },
+  modalContent: {
+    padding: 20,
+  },
+  modalRoute: {
+    flex: 1,
+    fontSize: 17,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  modalHint: {
+    fontSize: 14,
+    color: '#64748b',
+    marginTop: 4,
+    marginBottom: 16,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#1e293b',
+    backgroundColor: '#fff',
+    marginBottom: 16,
+  },
+  searchBoxInline: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    gap: 8,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    marginBottom: 8,
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: 16,
+    color: '#1f2937',
+  },
+  productResult: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f1f5f9',
+    backgroundColor: '#fff',
+  },
+  lineCard: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 12,
+    marginTop: 10,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  lineRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  lineName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  lineMeta: {
+    fontSize: 13,
+    color: '#64748b',
+    marginTop: 2,
+  },
+  quantityInput: {
+    width: 72,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    fontSize: 16,
+    textAlign: 'center',
+    color: '#1e293b',
+    backgroundColor: '#f8fafc',
+  },
+  quantityMismatch: {
+    borderColor: '#ef4444',
+    backgroundColor: '#fef2f2',
+  },
+  totalsCard: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 12,
+    marginTop: 16,
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  totalsRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 4,
+  },
+  totalsLabel: {
+    fontSize: 14,
+    color: '#64748b',
+  },
+  totalsValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1e293b',
+  },
+  actions: {
+    marginTop: 20,
+    gap: 10,
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 8,
+    paddingVertical: 12,
+    borderRadius: 8,
+    backgroundColor: '#3b82f6',
+  },
+  primaryButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  secondaryButton: {
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#f59e0b',
+    backgroundColor: '#fffbeb',
+  },
+  secondaryButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#b45309',
+  },
+  dangerButton: {
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#fecaca',
+    backgroundColor: '#fef2f2',
+  },
+  dangerButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#ef4444',
+  },
+})
+
+export default Transfers
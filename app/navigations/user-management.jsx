@@ -8,21 +8,36 @@ import {
   FlatList, 
   RefreshControl,
   Alert,
-  ActivityIndicator 
+  ActivityIndicator,
+  Modal,
+  ScrollView,
+  TextInput
 } from 'react-native'
 import { Ionicons } from '@expo/vector-icons'
 import { useAuth } from '../../utils/authContext'
 import databaseService from '../../services/database'
 import staffDatabaseService from '../../services/staffDatabase'
+import timeClockDatabaseService from '../../services/timeClockDatabase'
 import StaffDataInspector from '../components/StaffDataInspector'
+import { buildTimesheet, getPunchLabel, formatMinutesAsHours } from '../../utils/timeClockCalculations'
+
+const TIMESHEET_RANGES = [
+  { value: 'today', label: 'Today', days: 1 },
+  { value: 'week', label: 'Last 7 Days', days: 7 },
+  { value: 'fortnight', label: 'Last 14 Days', days: 14 }
+]
 
 const UserManagement = () => {
   const [users, setUsers] = useState([])
   const [staff, setStaff] = useState([])
   const [loading, setLoading] = useState(true)
   const [refreshing, setRefreshing] = useState(false)
-  const [activeTab, setActiveTab] = useState('users') // 'users' or 'staff'
+  const [activeTab, setActiveTab] = useState('users') // 'users', 'staff' or 'timesheet'
   const [showStaffInspector, setShowStaffInspector] = useState(false)
+  const [timesheetRange, setTimesheetRange] = useState('week')
+  const [timesheet, setTimesheet] = useState([])
+  const [punchEdit, setPunchEdit] = useState(null)
+  const [savingPunch, setSavingPunch] = useState(false)
   const [stats, setStats] = useState({
     users: { total: 0, active: 0 },
     staff: { total: 0, active: 0 }
@@ -34,6 +49,10 @@ const UserManagement = () => {
     loadData()
   }, [user])
 
+  useEffect(() => {
+    if (user) loadTimesheet()
+  }, [user, timesheetRange])
+
   const loadData = async () => {
     if (!user) return
     
@@ -107,12 +126,102 @@ const UserManagement = () => {
     }
   }
 
+  const loadTimesheet = async () => {
+    try {
+      const range = TIMESHEET_RANGES.find(r => r.value === timesheetRange)
+      const from = new Date()
+      from.setHours(0, 0, 0, 0)
+      from.setDate(from.getDate() - (range.days - 1))
+
+      // Super admin sees every store's punches
+      const entries = await timeClockDatabaseService.getTimeEntries(
+        user.role === 'super_admin' ? null : user.store_id,
+        from.toISOString(),
+        new Date(Date.now() + 60000).toISOString()
+      )
+
+      setTimesheet(buildTimesheet(entries))
+    } catch (error) {
+      console.error('Error loading timesheet:', error)
+      setTimesheet([])
+    }
+  }
+
   const handleRefresh = async () => {
     setRefreshing(true)
-    await loadData()
+    await Promise.all([loadData(), loadTimesheet()])
     setRefreshing(false)
   }
 
+  // Punch times are edited as local "YYYY-MM-DD HH:MM"
+  const toPunchInput = (isoString) => {
+    const date = isoString ? new Date(isoString) : new Date()
+    const pad = (value) => String(value).padStart(2, '0')
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`
+  }
+
+  const parsePunchInput = (text) => {
+    const match = String(text).trim().match(/^(\d{4})-(\d{2})-(\d{2})\s+(\d{1,2}):(\d{2})$/)
+    if (!match) return null
+    const [, year, month, day, hours, minutes] = match.map(Number)
+    const date = new Date(year, month - 1, day, hours, minutes)
+    return isNaN(date.getTime()) ? null : date.toISOString()
+  }
+
+  const openPunchEdit = (entry) => {
+    setPunchEdit({
+      mode: 'edit',
+      entry,
+      staff_id: entry.staff_id,
+      staff_name: entry.staff_name,
+      entry_type: entry.entry_type,
+      value: toPunchInput(entry.punched_at),
+      reason: ''
+    })
+  }
+
+  const openAddClockOut = (shift) => {
+    setPunchEdit({
+      mode: 'add',
+      entry: null,
+      staff_id: shift.staff_id,
+      staff_name: shift.staff_name,
+      entry_type: 'clock_out',
+      value: toPunchInput(shift.clock_in.punched_at),
+      reason: ''
+    })
+  }
+
+  const handleSavePunch = async () => {
+    const punchedAt = parsePunchInput(punchEdit.value)
+
+    if (!punchedAt) {
+      Alert.alert('Invalid Time', 'Enter the time as YYYY-MM-DD HH:MM')
+      return
+    }
+
+    if (!punchEdit.reason.trim()) {
+      Alert.alert('Reason Required', 'Enter why this punch is being corrected')
+      return
+    }
+
+    try {
+      setSavingPunch(true)
+      if (punchEdit.mode === 'edit') {
+        await timeClockDatabaseService.updateTimeEntry(punchEdit.entry.id, punchedAt, punchEdit.reason, user)
+      } else {
+        await timeClockDatabaseService.addTimeEntry(punchEdit.staff_id, punchEdit.entry_type, punchedAt, punchEdit.reason, user)
+      }
+      setPunchEdit(null)
+      await loadTimesheet()
+    } catch (error) {
+      console.error('Error saving punch:', error)
+      Alert.alert('Error', error.message || 'Failed to save punch')
+    } finally {
+      setSavingPunch(false)
+    }
+  }
+
   const handleUserAction = (userItem, action) => {
     const userName = userItem.name || 'Unknown User'
     
@@ -404,6 +513,69 @@ const UserManagement = () => {
     </View>
   )
 
+  const formatPunchTime = (isoString) => {
+    return new Date(isoString).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+  }
+
+  const renderPunch = (entry, label) => (
+    <TouchableOpacity style={styles.punchCell} onPress={() => openPunchEdit(entry)}>
+      <Text style={styles.punchLabel}>{label}</Text>
+      <Text style={styles.punchTime}>
+        {formatPunchTime(entry.punched_at)}
+        {entry.is_edited ? ' ✎' : ''}
+      </Text>
+    </TouchableOpacity>
+  )
+
+  const renderTimesheetItem = ({ item }) => (
+    <View style={[styles.timesheetContainer, item.missing_clock_out && styles.timesheetFlagged]}>
+      <View style={styles.timesheetHeader}>
+        <View style={styles.itemInfo}>
+          <Text style={styles.itemName}>{item.staff_name}</Text>
+          <Text style={styles.itemEmail}>
+            {new Date(item.clock_in.punched_at).toLocaleDateString()} | ID: {item.staff_code}
+            {user?.role === 'super_admin' ? ` | Store: ${item.store_id}` : ''}
+          </Text>
+        </View>
+        {item.missing_clock_out ? (
+          <View style={[styles.statusBadge, styles.inactiveBadge]}>
+            <Text style={[styles.statusText, styles.inactiveText]}>Missing clock-out</Text>
+          </View>
+        ) : item.is_open ? (
+          <View style={[styles.statusBadge, styles.activeBadge]}>
+            <Text style={[styles.statusText, styles.activeText]}>
+              {item.open_break ? 'On break' : 'On the clock'}
+            </Text>
+          </View>
+        ) : (
+          <Text style={styles.workedText}>{formatMinutesAsHours(item.worked_minutes)}</Text>
+        )}
+      </View>
+
+      <View style={styles.punchRow}>
+        {renderPunch(item.clock_in, getPunchLabel('clock_in'))}
+        {item.breaks.map((punchBreak, index) => (
+          <React.Fragment key={punchBreak.start_entry.id}>
+            {renderPunch(punchBreak.start_entry, `Break ${index + 1}`)}
+            {punchBreak.end_entry && renderPunch(punchBreak.end_entry, 'Back')}
+          </React.Fragment>
+        ))}
+        {item.clock_out ? (
+          renderPunch(item.clock_out, getPunchLabel('clock_out'))
+        ) : item.missing_clock_out && (
+          <TouchableOpacity style={styles.addPunchButton} onPress={() => openAddClockOut(item)}>
+            <Ionicons name="add-circle-outline" size={16} color="#ef4444" />
+            <Text style={styles.addPunchText}>Add Clock Out</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+
+      {item.break_minutes > 0 && (
+        <Text style={styles.itemDetail}>Breaks: {formatMinutesAsHours(item.break_minutes)}</Text>
+      )}
+    </View>
+  )
+
   // Role-based access control
   if (user?.role !== 'super_admin' && user?.role !== 'manager') {
     return (
@@ -506,6 +678,23 @@ const UserManagement = () => {
             Staff ({staff.length})
           </Text>
         </TouchableOpacity>
+
+        <TouchableOpacity
+          style={[styles.tab, activeTab === 'timesheet' && styles.activeTab]}
+          onPress={() => setActiveTab('timesheet')}
+        >
+          <Ionicons 
+            name="alarm" 
+            size={20} 
+            color={activeTab === 'timesheet' ? '#3b82f6' : '#6b7280'} 
+          />
+          <Text style={[
+            styles.tabText, 
+            activeTab === 'timesheet' && styles.activeTabText
+          ]}>
+            Timesheet
+          </Text>
+        </TouchableOpacity>
       </View>
 
       {/* Action Buttons */}
@@ -521,9 +710,51 @@ const UserManagement = () => {
         </View>
       )}
 
+      {activeTab === 'timesheet' && (
+        <View style={styles.rangeRow}>
+          {TIMESHEET_RANGES.map(range => (
+            <TouchableOpacity
+              key={range.value}
+              style={[styles.rangeChip, timesheetRange === range.value && styles.rangeChipActive]}
+              onPress={() => setTimesheetRange(range.value)}
+            >
+              <Text style={[styles.rangeChipText, timesheetRange === range.value && styles.rangeChipTextActive]}>
+                {range.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+          {timesheet.some(shift => shift.missing_clock_out) && (
+            <Text style={styles.flagSummary}>
+              {timesheet.filter(shift => shift.missing_clock_out).length} missing clock-out
+            </Text>
+          )}
+        </View>
+      )}
+
       {/* Content List */}
       <View style={styles.listContainer}>
-        {activeTab === 'users' ? (
+        {activeTab === 'timesheet' ? (
+          timesheet.length === 0 ? (
+            <View style={styles.emptyState}>
+              <Ionicons name="alarm-outline" size={48} color="#9ca3af" />
+              <Text style={styles.emptyTitle}>No Time Entries</Text>
+              <Text style={styles.emptyText}>
+                Staff punches from the Time Clock will appear here.
+              </Text>
+            </View>
+          ) : (
+            <FlatList
+              data={timesheet}
+              renderItem={renderTimesheetItem}
+              keyExtractor={(item) => item.clock_in.id}
+              refreshControl={
+                <RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />
+              }
+              showsVerticalScrollIndicator={false}
+              contentContainerStyle={styles.listContent}
+            />
+          )
+        ) : activeTab === 'users' ? (
           users.length === 0 ? (
             <View style={styles.emptyState}>
               <Ionicons name="people-outline" size={48} color="#9ca3af" />
@@ -585,6 +816,54 @@ const UserManagement = () => {
           loadStaff() // Refresh staff data when inspector closes
         }}
       />
+
+      {/* Punch correction */}
+      <Modal
+        visible={!!punchEdit}
+        animationType="slide"
+        presentationStyle="formSheet"
+        onRequestClose={() => setPunchEdit(null)}
+      >
+        {punchEdit && (
+          <View style={styles.modalContainer}>
+            <View style={styles.modalHeader}>
+              <TouchableOpacity onPress={() => setPunchEdit(null)}>
+                <Text style={styles.modalCancel}>Cancel</Text>
+              </TouchableOpacity>
+              <Text style={styles.modalTitle}>
+                {punchEdit.mode === 'edit' ? 'Edit' : 'Add'} {getPunchLabel(punchEdit.entry_type)}
+              </Text>
+              <TouchableOpacity onPress={handleSavePunch} disabled={savingPunch}>
+                <Text style={styles.modalSave}>Save</Text>
+              </TouchableOpacity>
+            </View>
+            <ScrollView contentContainerStyle={styles.modalContent}>
+              <Text style={styles.modalStaffName}>{punchEdit.staff_name}</Text>
+              <Text style={styles.fieldLabel}>Time (YYYY-MM-DD HH:MM) *</Text>
+              <TextInput
+                style={styles.textInput}
+                value={punchEdit.value}
+                onChangeText={(text) => setPunchEdit({ ...punchEdit, value: text })}
+                autoCorrect={false}
+                placeholder="2024-01-31 17:30"
+              />
+              <Text style={styles.fieldLabel}>Reason *</Text>
+              <TextInput
+                style={styles.textInput}
+                value={punchEdit.reason}
+                onChangeText={(text) => setPunchEdit({ ...punchEdit, reason: text })}
+                placeholder="e.g. Forgot to clock out, confirmed with supervisor"
+                autoFocus
+              />
+              {punchEdit.mode === 'edit' && (
+                <Text style={styles.itemDetail}>
+                  Originally {new Date(punchEdit.entry.punched_at).toLocaleString()}
+                </Text>
+              )}
+            </ScrollView>
+          </View>
+        )}
+      </Modal>
     </View>
   )
 }
@@ -879,6 +1158,156 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '600',
   },
+  rangeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    paddingHorizontal: 20,
+    marginBottom: 16,
+    gap: 8,
+  },
+  rangeChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  rangeChipActive: {
+    backgroundColor: '#3b82f6',
+    borderColor: '#3b82f6',
+  },
+  rangeChipText: {
+    fontSize: 13,
+    color: '#374151',
+    fontWeight: '500',
+  },
+  rangeChipTextActive: {
+    color: '#fff',
+  },
+  flagSummary: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#dc2626',
+  },
+  timesheetContainer: {
+    backgroundColor: '#fff',
+    padding: 16,
+    borderRadius: 12,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.05,
+    shadowRadius: 2,
+    elevation: 1,
+  },
+  timesheetFlagged: {
+    borderWidth: 1,
+    borderColor: '#fecaca',
+  },
+  timesheetHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  workedText: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: '#1f2937',
+  },
+  punchRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  punchCell: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 6,
+    backgroundColor: '#f8fafc',
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+  },
+  punchLabel: {
+    fontSize: 10,
+    color: '#6b7280',
+  },
+  punchTime: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#1f2937',
+  },
+  addPunchButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 6,
+    backgroundColor: '#fef2f2',
+    borderWidth: 1,
+    borderColor: '#fecaca',
+  },
+  addPunchText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#ef4444',
+  },
+  modalContainer: {
+    flex: 1,
+    backgroundColor: '#f8fafc',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: '#e2e8f0',
+  },
+  modalCancel: {
+    fontSize: 16,
+    color: '#ef4444',
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#1f2937',
+  },
+  modalSave: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#3b82f6',
+  },
+  modalContent: {
+    padding: 20,
+  },
+  modalStaffName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#1f2937',
+    marginBottom: 16,
+  },
+  fieldLabel: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderColor: '#e2e8f0',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 16,
+    color: '#1f2937',
+    backgroundColor: '#fff',
+    marginBottom: 16,
+  },
 })
 
 export default UserManagement
\ No newline at end of file
@@ -0,0 +1,313 @@
+// services/chargeAccountDatabase.js - Customer charge accounts (accounts receivable ledger)
+import productDatabaseService from './productDatabase'
+import customerDatabaseService from './customerDatabase'
+import { roundMoney, PAYMENT_METHODS } from '../utils/salesCalculations'
+import {
+  calculateAvailableCredit,
+  calculateAging
+} from '../utils/chargeAccountCalculations'
+
+class ChargeAccountDatabaseService {
+  constructor() {
+    this.db = null
+    this.isInitialized = false
+    this.initPromise = null
+  }
+
+  async initializeChargeAccountDatabase() {
+    if (this.initPromise) {
+      return this.initPromise
+    }
+
+    if (this.isInitialized && this.db) {
+      return this.db
+    }
+
+    this.initPromise = this._initializeDatabase()
+    return this.initPromise
+  }
+
+  async _initializeDatabase() {
+    try {
+      console.log('🔧 Initializing Charge account database...')
+
+      // Credit limits live on the customer record
+      await customerDatabaseService.initializeCustomerDatabase()
+      this.db = await productDatabaseService.initializeProductDatabase()
+
+      await this.createTables()
+
+      this.isInitialized = true
+      console.log('✅ Charge account database initialized successfully!')
+
+      return this.db
+    } catch (error) {
+      console.error('❌ Charge account database initialization failed:', error)
+      this.isInitialized = false
+      this.db = null
+      this.initPromise = null
+      throw error
+    }
+  }
+
+  async createTables() {
+    if (!this.db) throw new Error('Database not initialized')
+
+    // Append-only: amounts are signed, charges positive and everything that
+    // reduces what the customer owes negative
+    await this.db.execAsync(`
+      CREATE TABLE IF NOT EXISTS ar_ledger (
+        id TEXT PRIMARY KEY,
+        customer_id TEXT NOT NULL,
+        store_id TEXT NOT NULL,
+        entry_type TEXT NOT NULL CHECK (entry_type IN ('charge', 'payment', 'refund', 'void')),
+        amount REAL NOT NULL,
+        balance_after REAL NOT NULL,
+        reference_type TEXT,
+        reference_id TEXT,
+        payment_method TEXT,
+        reference_number TEXT,
+        shift_id TEXT,
+        notes TEXT,
+        created_by TEXT,
+        created_by_name TEXT,
+        created_at TEXT DEFAULT (datetime('now'))
+      );
+    `)
+
+    await this.db.execAsync(`
+      CREATE INDEX IF NOT EXISTS idx_ar_ledger_customer ON ar_ledger(customer_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_ar_ledger_reference ON ar_ledger(reference_type, reference_id);
+    `)
+
+    console.log('✅ Charge account tables and indexes created')
+  }
+
+  async getBalance(customerId) {
+    if (!this.db) throw new Error('Database not initialized')
+
+    const result = await this.db.getFirstAsync(
+      'SELECT COALESCE(SUM(amount), 0) as balance FROM ar_ledger WHERE customer_id = ?',
+      [customerId]
+    )
+    return roundMoney(result?.balance || 0)
+  }
+
+  // Runs inside the caller's transaction when there is one
+  async recordEntry(entry, currentUser = null) {
+    if (!this.db) throw new Error('Database not initialized')
+
+    const amount = roundMoney(entry.amount)
+    if (!amount) {
+      return null
+    }
+
+    const balance = await this.getBalance(entry.customerId)
+
+    const newEntry = {
+      id: `ar-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      customer_id: entry.customerId,
+      store_id: String(entry.storeId),
+      entry_type: entry.entryType,
+      amount,
+      balance_after: roundMoney(balance + amount),
+      reference_type: entry.referenceType || null,
+      reference_id: entry.referenceId || null,
+      payment_method: entry.paymentMethod || null,
+      reference_number: entry.referenceNumber || null,
+      shift_id: entry.shiftId || null,
+      notes: entry.notes || null,
+      created_by: currentUser?.id || null,
+      created_by_name: currentUser?.name || null,
+      created_at: new Date().toISOString()
+    }
+
+    await this.db.runAsync(`
+      INSERT INTO ar_ledger (
+        id, customer_id, store_id, entry_type, amount, balance_after, reference_type,
+        reference_id, payment_method, reference_number, shift_id, notes,
+        created_by, created_by_name, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      newEntry.id, newEntry.customer_id, newEntry.store_id, newEntry.entry_type,
+      newEntry.amount, newEntry.balance_after, newEntry.reference_type, newEntry.reference_id,
+      newEntry.payment_method, newEntry.reference_number, newEntry.shift_id, newEntry.notes,
+      newEntry.created_by, newEntry.created_by_name, newEntry.created_at
+    ])
+
+    return newEntry
+  }
+
+  // Credit limit, balance and what is left to charge
+  async getAccount(customerId) {
+    try {
+      await this.initializeChargeAccountDatabase()
+
+      const customer = await this.db.getFirstAsync(
+        'SELECT id, name, store_id, credit_limit FROM customers WHERE id = ?',
+        [customerId]
+      )
+
+      if (!customer) {
+        return null
+      }
+
+      const balance = await this.getBalance(customerId)
+      const creditLimit = roundMoney(customer.credit_limit || 0)
+
+      return {
+        customer_id: customer.id,
+        customer_name: customer.name,
+        store_id: customer.store_id,
+        credit_limit: creditLimit,
+        balance,
+        available: calculateAvailableCredit(creditLimit, balance)
+      }
+    } catch (error) {
+      console.error('Get charge account error:', error)
+      throw error
+    }
+  }
+
+  async getAccountSummary(customerId) {
+    try {
+      const account = await this.getAccount(customerId)
+
+      if (!account) {
+        return null
+      }
+
+      const entries = await this.db.getAllAsync(
+        'SELECT amount, created_at FROM ar_ledger WHERE customer_id = ? ORDER BY created_at ASC, rowid ASC',
+        [customerId]
+      )
+
+      return { ...account, aging: calculateAging(entries || [], new Date().toISOString()) }
+    } catch (error) {
+      console.error('Get charge account summary error:', error)
+      throw error
+    }
+  }
+
+  async getLedger(customerId, limit = 50) {
+    try {
+      await this.initializeChargeAccountDatabase()
+
+      const entries = await this.db.getAllAsync(`
+        SELECT * FROM ar_ledger
+        WHERE customer_id = ?
+        ORDER BY created_at DESC, rowid DESC
+        LIMIT ?
+      `, [customerId, limit])
+
+      return entries || []
+    } catch (error) {
+      console.error('Get charge account ledger error:', error)
+      throw error
+    }
+  }
+
+  // paymentData: { amount, payment_method, reference_number, shift_id, notes }
+  async recordPayment(customerId, paymentData, currentUser) {
+    try {
+      const account = await this.getAccount(customerId)
+
+      if (!account) {
+        throw new Error('Customer not found')
+      }
+
+      const amount = roundMoney(paymentData.amount)
+      if (amount <= 0) {
+        throw new Error('Payment amount must be greater than zero')
+      }
+
+      if (amount > account.balance) {
+        throw new Error(`Payment is more than the ₱${account.balance.toFixed(2)} owed`)
+      }
+
+      const method = PAYMENT_METHODS.find(option => option.value === paymentData.payment_method)
+      if (!method || method.requiresCustomer) {
+        throw new Error('Invalid payment method')
+      }
+
+      // Cash collected on account goes into a drawer, so it needs an open shift
+      if (method.value === 'cash') {
+        const shift = paymentData.shift_id
+          ? await this.db.getFirstAsync('SELECT status FROM shifts WHERE id = ?', [paymentData.shift_id])
+          : null
+        if (shift?.status !== 'open') {
+          throw new Error('Open a shift before taking cash payments on account')
+        }
+      }
+
+      const entry = await this.recordEntry({
+        customerId,
+        storeId: account.store_id,
+        entryType: 'payment',
+        amount: -amount,
+        paymentMethod: method.value,
+        referenceNumber: paymentData.reference_number?.trim() || null,
+        shiftId: paymentData.shift_id || null,
+        notes: paymentData.notes?.trim() || null
+      }, currentUser)
+
+      console.log(`✅ Account payment recorded: ${account.customer_name} ${amount}`)
+      return entry
+    } catch (error) {
+      console.error('Record account payment error:', error)
+      throw error
+    }
+  }
+
+  // Opening balance, every entry in the period and aging as of the period end
+  async getStatement(customerId, options = {}) {
+    try {
+      await this.initializeChargeAccountDatabase()
+
+      const { from, to = new Date().toISOString() } = options
+
+      const customer = await customerDatabaseService.getCustomerById(customerId)
+      if (!customer) {
+        throw new Error('Customer not found')
+      }
+
+      const opening = await this.db.getFirstAsync(
+        'SELECT COALESCE(SUM(amount), 0) as balance FROM ar_ledger WHERE customer_id = ? AND created_at < ?',
+        [customerId, from]
+      )
+
+      const entries = await this.db.getAllAsync(`
+        SELECT * FROM ar_ledger
+        WHERE customer_id = ? AND created_at >= ? AND created_at <= ?
+        ORDER BY created_at ASC, rowid ASC
+      `, [customerId, from, to])
+
+      const history = await this.db.getAllAsync(
+        'SELECT amount, created_at FROM ar_ledger WHERE customer_id = ? AND created_at <= ? ORDER BY created_at ASC, rowid ASC',
+        [customerId, to]
+      )
+
+      const openingBalance = roundMoney(opening?.balance || 0)
+      const closingBalance = roundMoney((entries || []).reduce((sum, entry) => sum + entry.amount, openingBalance))
+
+      return {
+        customer,
+        from,
+        to,
+        opening_balance: openingBalance,
+        closing_balance: closingBalance,
+        credit_limit: roundMoney(customer.credit_limit || 0),
+        entries: entries || [],
+        aging: calculateAging(history || [], to),
+        created_at: new Date().toISOString()
+      }
+    } catch (error) {
+      console.error('Get customer statement error:', error)
+      throw error
+    }
+  }
+}
+
+// Export singleton instance
+export const chargeAccountDatabaseService = new ChargeAccountDatabaseService()
+export default chargeAccountDatabaseService
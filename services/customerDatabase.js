@@ -0,0 +1,315 @@
+// services/customerDatabase.js - Local customer records attached to sales
+import productDatabaseService from './productDatabase'
+import { PRICE_TIERS } from '../utils/salesCalculations'
+import { validateEmail } from '../utils/validation'
+
+class CustomerDatabaseService {
+  constructor() {
+    this.db = null
+    this.isInitialized = false
+    this.initPromise = null
+  }
+
+  async initializeCustomerDatabase() {
+    if (this.initPromise) {
+      return this.initPromise
+    }
+
+    if (this.isInitialized && this.db) {
+      return this.db
+    }
+
+    this.initPromise = this._initializeDatabase()
+    return this.initPromise
+  }
+
+  async _initializeDatabase() {
+    try {
+      console.log('🔧 Initializing Customer database...')
+
+      // Customers share the product database so purchase history can join sales
+      this.db = await productDatabaseService.initializeProductDatabase()
+
+      await this.createTables()
+
+      this.isInitialized = true
+      console.log('✅ Customer database initialized successfully!')
+
+      return this.db
+    } catch (error) {
+      console.error('❌ Customer database initialization failed:', error)
+      this.isInitialized = false
+      this.db = null
+      this.initPromise = null
+      throw error
+    }
+  }
+
+  async createTables() {
+    if (!this.db) throw new Error('Database not initialized')
+
+    await this.db.execAsync(`
+      CREATE TABLE IF NOT EXISTS customers (
+        id TEXT PRIMARY KEY,
+        store_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        phone TEXT,
+        email TEXT,
+        address TEXT,
+        tin TEXT,
+        price_tier TEXT DEFAULT 'walk_in',
+        credit_limit REAL DEFAULT 0.00, -- 0 means no charge account
+        notes TEXT,
+        is_active INTEGER DEFAULT 1,
+        created_by TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        updated_at TEXT DEFAULT (datetime('now'))
+      );
+    `)
+
+    await this.migrateTables()
+
+    await this.db.execAsync(`
+      CREATE INDEX IF NOT EXISTS idx_customers_store_id ON customers(store_id);
+      CREATE INDEX IF NOT EXISTS idx_customers_name ON customers(name);
+      CREATE INDEX IF NOT EXISTS idx_customers_phone ON customers(phone);
+    `)
+
+    console.log('✅ Customer tables and indexes created')
+  }
+
+  // Columns added after the customers table first shipped
+  async migrateTables() {
+    await productDatabaseService.addColumnIfMissing('customers', 'credit_limit', 'REAL DEFAULT 0.00')
+  }
+
+  // Trims and checks customer fields; returns the values to store
+  validateCustomer(customerData) {
+    const name = String(customerData.name || '').trim()
+    if (!name) {
+      throw new Error('Customer name is required')
+    }
+
+    const email = String(customerData.email || '').trim().toLowerCase()
+    if (email) {
+      const emailCheck = validateEmail(email)
+      if (!emailCheck.isValid) {
+        throw new Error(emailCheck.error)
+      }
+    }
+
+    // BIR TINs are 9 digits plus an optional 3-5 digit branch code
+    const tin = String(customerData.tin || '').trim()
+    if (tin && !/^\d{9}(\d{3,5})?$/.test(tin.replace(/[\s-]/g, ''))) {
+      throw new Error('TIN must be 9 digits, optionally followed by a branch code')
+    }
+
+    const priceTier = customerData.price_tier || PRICE_TIERS[0].value
+    if (!PRICE_TIERS.some(tier => tier.value === priceTier)) {
+      throw new Error('Invalid price tier')
+    }
+
+    const creditLimit = parseFloat(customerData.credit_limit || 0)
+    if (isNaN(creditLimit) || creditLimit < 0) {
+      throw new Error('Credit limit must be zero or more')
+    }
+
+    return {
+      name,
+      phone: String(customerData.phone || '').trim() || null,
+      email: email || null,
+      address: String(customerData.address || '').trim() || null,
+      tin: tin || null,
+      price_tier: priceTier,
+      credit_limit: creditLimit,
+      notes: String(customerData.notes || '').trim() || null
+    }
+  }
+
+  // A phone number identifies one active customer per store
+  async assertPhoneAvailable(storeId, phone, excludeCustomerId = null) {
+    await this.initializeCustomerDatabase()
+
+    if (!phone) return
+
+    const duplicate = await this.db.getFirstAsync(
+      'SELECT name FROM customers WHERE store_id = ? AND phone = ? AND is_active = 1 AND id != ?',
+      [String(storeId), phone, excludeCustomerId || '']
+    )
+
+    if (duplicate) {
+      throw new Error(`${duplicate.name} already uses phone ${phone}`)
+    }
+  }
+
+  // A null storeId means every store (super admin views)
+  async getCustomers(storeId, options = {}) {
+    try {
+      await this.initializeCustomerDatabase()
+
+      const { search, limit } = options
+
+      let query = 'SELECT * FROM customers WHERE is_active = 1'
+      let params = []
+
+      if (storeId) {
+        query += ' AND store_id = ?'
+        params.push(storeId)
+      }
+
+      if (search) {
+        query += ' AND (name LIKE ? OR phone LIKE ? OR email LIKE ? OR tin LIKE ?)'
+        const term = `%${search}%`
+        params.push(term, term, term, term)
+      }
+
+      query += ' ORDER BY name ASC'
+
+      if (limit) {
+        query += ' LIMIT ?'
+        params.push(limit)
+      }
+
+      const customers = await this.db.getAllAsync(query, params)
+      return customers || []
+    } catch (error) {
+      console.error('Get customers error:', error)
+      throw error
+    }
+  }
+
+  async getCustomerById(customerId) {
+    try {
+      await this.initializeCustomerDatabase()
+
+      const customer = await this.db.getFirstAsync('SELECT * FROM customers WHERE id = ?', [customerId])
+      return customer || null
+    } catch (error) {
+      console.error('Get customer by ID error:', error)
+      throw error
+    }
+  }
+
+  async createCustomer(customerData, currentUser) {
+    try {
+      await this.initializeCustomerDatabase()
+
+      if (!customerData.store_id) {
+        throw new Error('Store ID is required')
+      }
+
+      const fields = this.validateCustomer(customerData)
+      await this.assertPhoneAvailable(customerData.store_id, fields.phone)
+
+      const now = new Date().toISOString()
+      const newCustomer = {
+        id: customerData.id || `customer-${Date.now()}`,
+        store_id: String(customerData.store_id),
+        ...fields,
+        is_active: 1,
+        created_by: currentUser?.id || null,
+        created_at: now,
+        updated_at: now
+      }
+
+      await this.db.runAsync(`
+        INSERT INTO customers (
+          id, store_id, name, phone, email, address, tin, price_tier, credit_limit,
+          notes, is_active, created_by, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        newCustomer.id, newCustomer.store_id, newCustomer.name, newCustomer.phone,
+        newCustomer.email, newCustomer.address, newCustomer.tin, newCustomer.price_tier,
+        newCustomer.credit_limit, newCustomer.notes, newCustomer.is_active, newCustomer.created_by,
+        newCustomer.created_at, newCustomer.updated_at
+      ])
+
+      console.log(`✅ Customer created: ${newCustomer.name}`)
+      return newCustomer
+    } catch (error) {
+      console.error('Create customer error:', error)
+      throw error
+    }
+  }
+
+  async updateCustomer(customerId, updateData, currentUser = null) {
+    try {
+      await this.initializeCustomerDatabase()
+
+      const existing = await this.getCustomerById(customerId)
+      if (!existing) {
+        throw new Error('Customer not found')
+      }
+
+      const fields = this.validateCustomer({ ...existing, ...updateData })
+      await this.assertPhoneAvailable(existing.store_id, fields.phone, customerId)
+
+      const now = new Date().toISOString()
+
+      await this.db.runAsync(`
+        UPDATE customers
+        SET name = ?, phone = ?, email = ?, address = ?, tin = ?, price_tier = ?,
+          credit_limit = ?, notes = ?, updated_at = ?
+        WHERE id = ?
+      `, [
+        fields.name, fields.phone, fields.email, fields.address, fields.tin,
+        fields.price_tier, fields.credit_limit, fields.notes, now, customerId
+      ])
+
+      console.log(`✅ Customer updated: ${fields.name} by ${currentUser?.name || 'system'}`)
+      return { ...existing, ...fields, updated_at: now }
+    } catch (error) {
+      console.error('Update customer error:', error)
+      throw error
+    }
+  }
+
+  // Soft delete so past sales keep pointing at a customer record
+  async deleteCustomer(customerId, currentUser = null) {
+    try {
+      await this.initializeCustomerDatabase()
+
+      await this.db.runAsync(
+        'UPDATE customers SET is_active = 0, updated_at = ? WHERE id = ?',
+        [new Date().toISOString(), customerId]
+      )
+
+      console.log(`✅ Customer deactivated: ${customerId} by ${currentUser?.name || 'system'}`)
+      return true
+    } catch (error) {
+      console.error('Delete customer error:', error)
+      throw error
+    }
+  }
+
+  // Writes a record pulled from the middleware over the local copy
+  async saveSyncedCustomer(customer) {
+    if (!this.db) throw new Error('Database not initialized')
+
+    await this.db.runAsync(`
+      INSERT OR REPLACE INTO customers (
+        id, store_id, name, phone, email, address, tin, price_tier, credit_limit,
+        notes, is_active, created_by, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      customer.id,
+      String(customer.store_id),
+      customer.name,
+      customer.phone || null,
+      customer.email || null,
+      customer.address || null,
+      customer.tin || null,
+      customer.price_tier || PRICE_TIERS[0].value,
+      Number(customer.credit_limit) || 0,
+      customer.notes || null,
+      customer.is_active === false || customer.is_active === 0 ? 0 : 1,
+      customer.created_by || null,
+      customer.created_at || new Date().toISOString(),
+      customer.updated_at || customer.created_at || new Date().toISOString()
+    ])
+  }
+}
+
+// Export singleton instance
+export const customerDatabaseService = new CustomerDatabaseService()
+export default customerDatabaseService
@@ -0,0 +1,225 @@
+// services/customerService.js - Keeps local customers in sync with the middleware
+import customerDatabaseService from './customerDatabase'
+import authService from './authService'
+
+class CustomerService {
+  constructor() {
+    this.baseURL = 'https://byd-pos-middleware.vercel.app'
+  }
+
+  getAuthHeaders() {
+    const token = authService.token
+    return {
+      'Content-Type': 'application/json',
+      'Authorization': token ? `Bearer ${token}` : ''
+    }
+  }
+
+  // Fetch customers from Supabase with store filtering
+  async fetchCustomersFromSupabase(currentUser = null) {
+    try {
+      console.log('🔄 Fetching customers from Supabase for user:', currentUser?.role, currentUser?.store_id)
+
+      let url = `${this.baseURL}/customers`
+
+      if (currentUser?.role === 'super_admin' && currentUser?.store_id) {
+        url += `?store_id=${currentUser.store_id}`
+      }
+      // Store filtering for other roles is handled on the server side based on JWT token
+
+      const response = await fetch(url, {
+        method: 'GET',
+        headers: this.getAuthHeaders()
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `Server error: ${response.status}`)
+      }
+
+      const data = await response.json()
+      console.log('✅ Customers fetched from Supabase:', data.count)
+      return data.customers || []
+    } catch (error) {
+      console.error('❌ Failed to fetch customers from Supabase:', error)
+      throw error
+    }
+  }
+
+  async createCustomerOnSupabase(customerData, currentUser) {
+    try {
+      console.log('📝 Creating customer on Supabase:', customerData.name, 'by', currentUser?.name)
+
+      const response = await fetch(`${this.baseURL}/customers`, {
+        method: 'POST',
+        headers: this.getAuthHeaders(),
+        body: JSON.stringify(customerData)
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `Server error: ${response.status} - ${response.statusText}`)
+      }
+
+      const result = await response.json()
+      console.log('✅ Customer created on Supabase:', result.customer?.id)
+      return result.customer
+    } catch (error) {
+      console.error('❌ Failed to create customer on Supabase:', error.message)
+      throw error
+    }
+  }
+
+  async updateCustomerOnSupabase(customerId, customerData) {
+    try {
+      const response = await fetch(`${this.baseURL}/customers/${customerId}`, {
+        method: 'PUT',
+        headers: this.getAuthHeaders(),
+        body: JSON.stringify(customerData)
+      })
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}))
+        throw new Error(errorData.error || `Server error: ${response.status} - ${response.statusText}`)
+      }
+
+      const result = await response.json()
+      console.log('✅ Customer updated on Supabase:', customerId)
+      return result.customer
+    } catch (error) {
+      console.error('❌ Failed to update customer on Supabase:', error.message)
+      throw error
+    }
+  }
+
+  // Sync customers from Supabase to local database
+  async syncCustomersFromSupabase(currentUser) {
+    try {
+      console.log('🔄 Syncing customers from Supabase...')
+
+      await customerDatabaseService.initializeCustomerDatabase()
+
+      const supabaseCustomers = await this.fetchCustomersFromSupabase(currentUser)
+
+      if (supabaseCustomers.length === 0) {
+        console.log('ℹ️ No customers found on Supabase')
+        return { synced: 0, total: 0 }
+      }
+
+      let synced = 0
+
+      for (const customer of supabaseCustomers) {
+        try {
+          await customerDatabaseService.saveSyncedCustomer(customer)
+          synced++
+        } catch (error) {
+          console.error(`❌ Failed to sync customer ${customer.id}:`, error)
+        }
+      }
+
+      console.log(`🎉 Customer sync completed: ${synced}/${supabaseCustomers.length} synced`)
+      return { synced, total: supabaseCustomers.length }
+    } catch (error) {
+      console.error('❌ Customer sync failed:', error)
+      throw error
+    }
+  }
+
+  // Local first; an empty local list falls back to Supabase and syncs
+  async getCustomers(currentUser, options = {}) {
+    try {
+      const { storeId = currentUser?.store_id || null, search, forceRefresh = false } = options
+
+      if (!currentUser) {
+        throw new Error('User context required')
+      }
+
+      if (!forceRefresh) {
+        const localCustomers = await customerDatabaseService.getCustomers(storeId, { search })
+
+        if (localCustomers.length > 0 || search) {
+          return localCustomers
+        }
+      }
+
+      try {
+        await this.syncCustomersFromSupabase(currentUser)
+      } catch (error) {
+        console.log('⚠️ Customer sync unavailable, using local data:', error.message)
+      }
+
+      return await customerDatabaseService.getCustomers(storeId, { search })
+    } catch (error) {
+      console.error('❌ Failed to get customers:', error)
+      throw error
+    }
+  }
+
+  // Create customer with dual persistence: Supabase first, local only when offline
+  async createCustomer(customerData, currentUser) {
+    try {
+      if (!currentUser) {
+        throw new Error('User context required')
+      }
+
+      const storeId = currentUser.store_id || customerData.store_id
+      if (!storeId) {
+        throw new Error('Select a store for this customer')
+      }
+
+      const fields = customerDatabaseService.validateCustomer(customerData)
+      await customerDatabaseService.assertPhoneAvailable(storeId, fields.phone)
+
+      let remoteCustomer = null
+      try {
+        remoteCustomer = await this.createCustomerOnSupabase({ ...fields, store_id: storeId }, currentUser)
+      } catch (supabaseError) {
+        console.log('⚠️ Supabase creation failed, saving locally only:', supabaseError.message)
+      }
+
+      return await customerDatabaseService.createCustomer({
+        ...fields,
+        id: remoteCustomer?.id,
+        store_id: storeId
+      }, currentUser)
+    } catch (error) {
+      console.error('❌ Customer creation failed:', error)
+      throw error
+    }
+  }
+
+  async updateCustomer(customerId, updateData, currentUser) {
+    try {
+      const updated = await customerDatabaseService.updateCustomer(customerId, updateData, currentUser)
+
+      try {
+        await this.updateCustomerOnSupabase(customerId, updated)
+      } catch (supabaseError) {
+        console.log('⚠️ Supabase update failed, kept local change:', supabaseError.message)
+      }
+
+      return updated
+    } catch (error) {
+      console.error('❌ Customer update failed:', error)
+      throw error
+    }
+  }
+
+  async deleteCustomer(customerId, currentUser) {
+    try {
+      if (!currentUser) {
+        throw new Error('User context required')
+      }
+
+      await customerDatabaseService.deleteCustomer(customerId, currentUser)
+      return { success: true }
+    } catch (error) {
+      console.error('❌ Customer deletion failed:', error)
+      throw error
+    }
+  }
+}
+
+// Export singleton instance
+export const customerService = new CustomerService()
+export default customerService
@@ -0,0 +1,221 @@
+// services/heldTicketDatabase.js - Parked cashier carts that can be recalled later
+import productDatabaseService from './productDatabase'
+import posSettingsService from './posSettings'
+import { calculateCartTotals } from '../utils/salesCalculations'
+
+class HeldTicketDatabaseService {
+  constructor() {
+    this.db = null
+    this.isInitialized = false
+    this.initPromise = null
+  }
+
+  async initializeHeldTicketDatabase() {
+    if (this.initPromise) {
+      return this.initPromise
+    }
+
+    if (this.isInitialized && this.db) {
+      return this.db
+    }
+
+    this.initPromise = this._initializeDatabase()
+    return this.initPromise
+  }
+
+  async _initializeDatabase() {
+    try {
+      console.log('🔧 Initializing Held ticket database...')
+
+      this.db = await productDatabaseService.initializeProductDatabase()
+
+      await this.createTables()
+
+      this.isInitialized = true
+      console.log('✅ Held ticket database initialized successfully!')
+
+      return this.db
+    } catch (error) {
+      console.error('❌ Held ticket database initialization failed:', error)
+      this.isInitialized = false
+      this.db = null
+      this.initPromise = null
+      throw error
+    }
+  }
+
+  async createTables() {
+    if (!this.db) throw new Error('Database not initialized')
+
+    // Holding a ticket does not reserve stock; the cart is re-checked on recall
+    await this.db.execAsync(`
+      CREATE TABLE IF NOT EXISTS held_tickets (
+        id TEXT PRIMARY KEY,
+        store_id TEXT NOT NULL,
+        label TEXT,
+        price_tier TEXT DEFAULT 'walk_in',
+        items TEXT NOT NULL, -- JSON cart lines
+        discount TEXT, -- JSON SC/PWD discount details
+        customer TEXT, -- JSON customer attached to the sale
+        item_count INTEGER DEFAULT 0,
+        total_amount REAL DEFAULT 0.00,
+        status TEXT DEFAULT 'held' CHECK (status IN ('held', 'resumed', 'expired')),
+        held_by TEXT,
+        held_by_name TEXT,
+        resumed_by TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        updated_at TEXT DEFAULT (datetime('now'))
+      );
+    `)
+
+    await this.migrateTables()
+
+    await this.db.execAsync(`
+      CREATE INDEX IF NOT EXISTS idx_held_tickets_store_status ON held_tickets(store_id, status);
+      CREATE INDEX IF NOT EXISTS idx_held_tickets_created_at ON held_tickets(created_at);
+    `)
+
+    console.log('✅ Held ticket tables and indexes created')
+  }
+
+  // Columns added after the held tickets table first shipped
+  async migrateTables() {
+    await productDatabaseService.addColumnIfMissing('held_tickets', 'customer', 'TEXT')
+  }
+
+  // ticketData: { label, items, price_tier, discount, customer }
+  async holdTicket(storeId, ticketData, currentUser) {
+    try {
+      await this.initializeHeldTicketDatabase()
+
+      if (!storeId) {
+        throw new Error('Store ID is required')
+      }
+
+      if (!Array.isArray(ticketData.items) || ticketData.items.length === 0) {
+        throw new Error('Cannot hold an empty ticket')
+      }
+
+      const now = new Date().toISOString()
+      const totals = calculateCartTotals(ticketData.items, ticketData.discount?.type || null)
+
+      const ticket = {
+        id: `held-${Date.now()}`,
+        store_id: String(storeId),
+        label: ticketData.label?.trim() || null,
+        price_tier: ticketData.price_tier || 'walk_in',
+        items: JSON.stringify(ticketData.items),
+        discount: ticketData.discount ? JSON.stringify(ticketData.discount) : null,
+        customer: ticketData.customer ? JSON.stringify(ticketData.customer) : null,
+        item_count: totals.itemCount,
+        total_amount: totals.total,
+        status: 'held',
+        held_by: currentUser?.id || null,
+        held_by_name: currentUser?.name || null,
+        created_at: now,
+        updated_at: now
+      }
+
+      await this.db.runAsync(`
+        INSERT INTO held_tickets (
+          id, store_id, label, price_tier, items, discount, customer, item_count,
+          total_amount, status, held_by, held_by_name, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        ticket.id, ticket.store_id, ticket.label, ticket.price_tier, ticket.items,
+        ticket.discount, ticket.customer, ticket.item_count, ticket.total_amount, ticket.status,
+        ticket.held_by, ticket.held_by_name, ticket.created_at, ticket.updated_at
+      ])
+
+      console.log(`✅ Ticket held: ${ticket.label || ticket.id}`)
+      return ticket
+    } catch (error) {
+      console.error('Hold ticket error:', error)
+      throw error
+    }
+  }
+
+  // Tickets held before this are past the register's expiry window
+  async getExpiryCutoff() {
+    const settings = await posSettingsService.getSettings()
+    return new Date(Date.now() - settings.held_ticket_expiry_hours * 60 * 60 * 1000).toISOString()
+  }
+
+  // Marks tickets older than the register's expiry window as expired
+  async expireStaleTickets(storeId) {
+    if (!this.db) throw new Error('Database not initialized')
+
+    const cutoff = await this.getExpiryCutoff()
+
+    const result = await this.db.runAsync(`
+      UPDATE held_tickets
+      SET status = 'expired', updated_at = ?
+      WHERE store_id = ? AND status = 'held' AND created_at < ?
+    `, [new Date().toISOString(), storeId, cutoff])
+
+    if (result.changes > 0) {
+      console.log(`🧹 Expired ${result.changes} held ticket(s)`)
+    }
+
+    return result.changes
+  }
+
+  async getHeldTickets(storeId) {
+    try {
+      await this.initializeHeldTicketDatabase()
+      await this.expireStaleTickets(storeId)
+
+      const tickets = await this.db.getAllAsync(`
+        SELECT id, store_id, label, price_tier, item_count, total_amount, held_by_name, created_at
+        FROM held_tickets
+        WHERE store_id = ? AND status = 'held'
+        ORDER BY created_at ASC
+      `, [storeId])
+
+      return tickets || []
+    } catch (error) {
+      console.error('Get held tickets error:', error)
+      throw error
+    }
+  }
+
+  // Takes a ticket off hold and returns its cart so it can be rung up
+  async resumeTicket(ticketId, currentUser) {
+    try {
+      await this.initializeHeldTicketDatabase()
+
+      const ticket = await this.db.getFirstAsync('SELECT * FROM held_tickets WHERE id = ?', [ticketId])
+
+      if (!ticket || ticket.status !== 'held') {
+        throw new Error('This ticket is no longer on hold')
+      }
+
+      // Only one register can take the ticket, and only while it is inside
+      // the expiry window; the list it was picked from may be out of date
+      const cutoff = await this.getExpiryCutoff()
+      const result = await this.db.runAsync(`
+        UPDATE held_tickets
+        SET status = 'resumed', resumed_by = ?, updated_at = ?
+        WHERE id = ? AND status = 'held' AND created_at >= ?
+      `, [currentUser?.id || null, new Date().toISOString(), ticketId, cutoff])
+
+      if (result.changes !== 1) {
+        throw new Error('This ticket is no longer on hold')
+      }
+
+      return {
+        ...ticket,
+        items: JSON.parse(ticket.items),
+        discount: ticket.discount ? JSON.parse(ticket.discount) : null,
+        customer: ticket.customer ? JSON.parse(ticket.customer) : null
+      }
+    } catch (error) {
+      console.error('Resume ticket error:', error)
+      throw error
+    }
+  }
+}
+
+// Export singleton instance
+export const heldTicketDatabaseService = new HeldTicketDatabaseService()
+export default heldTicketDatabaseService
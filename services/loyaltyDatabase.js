@@ -0,0 +1,203 @@
+// services/loyaltyDatabase.js - Customer loyalty points ledger
+import productDatabaseService from './productDatabase'
+import posSettingsService from './posSettings'
+import {
+  pointsToPeso,
+  calculateExpiredPoints
+} from '../utils/loyaltyCalculations'
+
+class LoyaltyDatabaseService {
+  constructor() {
+    this.db = null
+    this.isInitialized = false
+    this.initPromise = null
+  }
+
+  async initializeLoyaltyDatabase() {
+    if (this.initPromise) {
+      return this.initPromise
+    }
+
+    if (this.isInitialized && this.db) {
+      return this.db
+    }
+
+    this.initPromise = this._initializeDatabase()
+    return this.initPromise
+  }
+
+  async _initializeDatabase() {
+    try {
+      console.log('🔧 Initializing Loyalty database...')
+
+      // The ledger shares the product database so sales and refunds can post
+      // points inside their own transactions
+      this.db = await productDatabaseService.initializeProductDatabase()
+
+      await this.createTables()
+
+      this.isInitialized = true
+      console.log('✅ Loyalty database initialized successfully!')
+
+      return this.db
+    } catch (error) {
+      console.error('❌ Loyalty database initialization failed:', error)
+      this.isInitialized = false
+      this.db = null
+      this.initPromise = null
+      throw error
+    }
+  }
+
+  async createTables() {
+    if (!this.db) throw new Error('Database not initialized')
+
+    // Append-only: a customer's balance is the sum of their entries
+    await this.db.execAsync(`
+      CREATE TABLE IF NOT EXISTS loyalty_ledger (
+        id TEXT PRIMARY KEY,
+        customer_id TEXT NOT NULL,
+        store_id TEXT NOT NULL,
+        entry_type TEXT NOT NULL CHECK (entry_type IN ('earn', 'redeem', 'reverse', 'restore', 'expire')),
+        points INTEGER NOT NULL,
+        balance_after INTEGER NOT NULL,
+        reference_type TEXT,
+        reference_id TEXT,
+        expires_at TEXT,
+        notes TEXT,
+        created_by TEXT,
+        created_at TEXT DEFAULT (datetime('now'))
+      );
+    `)
+
+    await this.db.execAsync(`
+      CREATE INDEX IF NOT EXISTS idx_loyalty_ledger_customer ON loyalty_ledger(customer_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_loyalty_ledger_reference ON loyalty_ledger(reference_type, reference_id);
+    `)
+
+    console.log('✅ Loyalty tables and indexes created')
+  }
+
+  async getBalance(customerId) {
+    if (!this.db) throw new Error('Database not initialized')
+
+    const result = await this.db.getFirstAsync(
+      'SELECT COALESCE(SUM(points), 0) as balance FROM loyalty_ledger WHERE customer_id = ?',
+      [customerId]
+    )
+    return result?.balance || 0
+  }
+
+  // Runs inside the caller's transaction when there is one; points are
+  // signed, positive for credits and negative for debits
+  async recordEntry(entry, currentUser = null) {
+    if (!this.db) throw new Error('Database not initialized')
+
+    const points = parseInt(entry.points)
+    if (!points) {
+      return null
+    }
+
+    const balance = await this.getBalance(entry.customerId)
+    if (balance + points < 0) {
+      throw new Error(`Customer has only ${balance} point(s)`)
+    }
+
+    const newEntry = {
+      id: `loyalty-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      customer_id: entry.customerId,
+      store_id: String(entry.storeId),
+      entry_type: entry.entryType,
+      points,
+      balance_after: balance + points,
+      reference_type: entry.referenceType || null,
+      reference_id: entry.referenceId || null,
+      expires_at: entry.expiresAt || null,
+      notes: entry.notes || null,
+      created_by: currentUser?.id || null,
+      created_at: new Date().toISOString()
+    }
+
+    await this.db.runAsync(`
+      INSERT INTO loyalty_ledger (
+        id, customer_id, store_id, entry_type, points, balance_after,
+        reference_type, reference_id, expires_at, notes, created_by, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      newEntry.id, newEntry.customer_id, newEntry.store_id, newEntry.entry_type,
+      newEntry.points, newEntry.balance_after, newEntry.reference_type, newEntry.reference_id,
+      newEntry.expires_at, newEntry.notes, newEntry.created_by, newEntry.created_at
+    ])
+
+    return newEntry
+  }
+
+  // Writes off credits past their expiry date. Called before a balance is shown
+  // or spent, so no background job is needed.
+  async expirePoints(customerId, storeId) {
+    if (!this.db) throw new Error('Database not initialized')
+
+    const entries = await this.db.getAllAsync(
+      'SELECT points, expires_at FROM loyalty_ledger WHERE customer_id = ? ORDER BY created_at ASC, rowid ASC',
+      [customerId]
+    )
+
+    const expired = calculateExpiredPoints(entries || [], new Date().toISOString())
+    if (expired <= 0) {
+      return 0
+    }
+
+    await this.recordEntry({
+      customerId,
+      storeId,
+      entryType: 'expire',
+      points: -expired,
+      notes: 'Points past their expiry date'
+    })
+
+    console.log(`⏰ Expired ${expired} loyalty point(s) for customer ${customerId}`)
+    return expired
+  }
+
+  async getLoyaltySummary(customer) {
+    try {
+      await this.initializeLoyaltyDatabase()
+
+      await this.expirePoints(customer.id, customer.store_id)
+
+      const settings = await posSettingsService.getSettings()
+      const balance = await this.getBalance(customer.id)
+
+      return {
+        balance,
+        value: pointsToPeso(balance, settings.loyalty_peso_per_point),
+        peso_per_point: settings.loyalty_peso_per_point
+      }
+    } catch (error) {
+      console.error('Get loyalty summary error:', error)
+      throw error
+    }
+  }
+
+  async getLedger(customerId, limit = 50) {
+    try {
+      await this.initializeLoyaltyDatabase()
+
+      const entries = await this.db.getAllAsync(`
+        SELECT * FROM loyalty_ledger
+        WHERE customer_id = ?
+        ORDER BY created_at DESC, rowid DESC
+        LIMIT ?
+      `, [customerId, limit])
+
+      return entries || []
+    } catch (error) {
+      console.error('Get loyalty ledger error:', error)
+      throw error
+    }
+  }
+}
+
+// Export singleton instance
+export const loyaltyDatabaseService = new LoyaltyDatabaseService()
+export default loyaltyDatabaseService
@@ -0,0 +1,328 @@
+// services/payrollDatabase.js - Holiday calendar, payroll estimates and labor cost vs sales
+import staffDatabaseService from './staffDatabase'
+import timeClockDatabaseService from './timeClockDatabase'
+import salesDatabaseService from './salesDatabase'
+import { buildTimesheet } from '../utils/timeClockCalculations'
+import { roundMoney } from '../utils/salesCalculations'
+import {
+  HOLIDAY_TYPES,
+  toDateKey,
+  calculateStaffPayroll,
+  calculateLaborCostPercent
+} from '../utils/payrollCalculations'
+
+class PayrollDatabaseService {
+  constructor() {
+    this.db = null
+    this.isInitialized = false
+    this.initPromise = null
+  }
+
+  async initializePayrollDatabase() {
+    if (this.initPromise) {
+      return this.initPromise
+    }
+
+    if (this.isInitialized && this.db) {
+      return this.db
+    }
+
+    this.initPromise = this._initializeDatabase()
+    return this.initPromise
+  }
+
+  async _initializeDatabase() {
+    try {
+      console.log('🔧 Initializing Payroll database...')
+
+      this.db = await staffDatabaseService.initializeStaffDatabase()
+
+      await this.createTables()
+
+      this.isInitialized = true
+      console.log('✅ Payroll database initialized successfully!')
+
+      return this.db
+    } catch (error) {
+      console.error('❌ Payroll database initialization failed:', error)
+      this.isInitialized = false
+      this.db = null
+      this.initPromise = null
+      throw error
+    }
+  }
+
+  async createTables() {
+    if (!this.db) throw new Error('Database not initialized')
+
+    // Create holidays table (pay multiplier per calendar date)
+    await this.db.execAsync(`
+      CREATE TABLE IF NOT EXISTS holidays (
+        id TEXT PRIMARY KEY,
+        holiday_date TEXT UNIQUE NOT NULL, -- YYYY-MM-DD
+        name TEXT NOT NULL,
+        holiday_type TEXT DEFAULT 'regular' CHECK (holiday_type IN ('regular', 'special')),
+        multiplier REAL NOT NULL DEFAULT 2.00,
+        created_by TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        updated_at TEXT DEFAULT (datetime('now'))
+      );
+    `)
+
+    await this.db.execAsync(`
+      CREATE INDEX IF NOT EXISTS idx_holidays_date ON holidays(holiday_date);
+    `)
+
+    console.log('✅ Payroll tables and indexes created')
+  }
+
+  // from/to are YYYY-MM-DD, to is exclusive
+  async getHolidays(from = null, to = null) {
+    try {
+      await this.initializePayrollDatabase()
+
+      const conditions = []
+      const params = []
+
+      if (from) {
+        conditions.push('holiday_date >= ?')
+        params.push(from)
+      }
+
+      if (to) {
+        conditions.push('holiday_date < ?')
+        params.push(to)
+      }
+
+      const holidays = await this.db.getAllAsync(`
+        SELECT * FROM holidays
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY holiday_date ASC
+      `, params)
+
+      return holidays || []
+    } catch (error) {
+      console.error('Get holidays error:', error)
+      throw error
+    }
+  }
+
+  // holidayData: { holiday_date, name, holiday_type, multiplier }
+  async saveHoliday(holidayData, currentUser) {
+    try {
+      await this.initializePayrollDatabase()
+
+      const holidayDate = String(holidayData.holiday_date || '').trim()
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(holidayDate) || isNaN(new Date(holidayDate).getTime())) {
+        throw new Error('Enter the holiday date as YYYY-MM-DD')
+      }
+
+      if (!holidayData.name?.trim()) {
+        throw new Error('Holiday name is required')
+      }
+
+      const holidayType = HOLIDAY_TYPES.find(type => type.value === holidayData.holiday_type)
+      if (!holidayType) {
+        throw new Error('Invalid holiday type')
+      }
+
+      const multiplier = holidayData.multiplier === undefined || holidayData.multiplier === ''
+        ? holidayType.multiplier
+        : parseFloat(holidayData.multiplier)
+
+      if (isNaN(multiplier) || multiplier < 1) {
+        throw new Error('Holiday multiplier must be 1 or more')
+      }
+
+      const now = new Date().toISOString()
+      const existing = await this.db.getFirstAsync(
+        'SELECT id FROM holidays WHERE holiday_date = ?',
+        [holidayDate]
+      )
+
+      // One holiday per date; saving the same date again replaces it
+      if (existing) {
+        await this.db.runAsync(`
+          UPDATE holidays
+          SET name = ?, holiday_type = ?, multiplier = ?, updated_at = ?
+          WHERE id = ?
+        `, [holidayData.name.trim(), holidayType.value, multiplier, now, existing.id])
+
+        console.log(`✅ Holiday updated: ${holidayDate}`)
+        return { id: existing.id, holiday_date: holidayDate, name: holidayData.name.trim(), holiday_type: holidayType.value, multiplier }
+      }
+
+      const holiday = {
+        id: `holiday-${Date.now()}`,
+        holiday_date: holidayDate,
+        name: holidayData.name.trim(),
+        holiday_type: holidayType.value,
+        multiplier,
+        created_by: currentUser?.id || null,
+        created_at: now,
+        updated_at: now
+      }
+
+      await this.db.runAsync(`
+        INSERT INTO holidays (
+          id, holiday_date, name, holiday_type, multiplier, created_by, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        holiday.id, holiday.holiday_date, holiday.name, holiday.holiday_type,
+        holiday.multiplier, holiday.created_by, holiday.created_at, holiday.updated_at
+      ])
+
+      console.log(`✅ Holiday added: ${holidayDate}`)
+      return holiday
+    } catch (error) {
+      console.error('Save holiday error:', error)
+      throw error
+    }
+  }
+
+  async deleteHoliday(holidayId) {
+    try {
+      await this.initializePayrollDatabase()
+
+      await this.db.runAsync('DELETE FROM holidays WHERE id = ?', [holidayId])
+
+      console.log(`✅ Holiday deleted: ${holidayId}`)
+      return true
+    } catch (error) {
+      console.error('Delete holiday error:', error)
+      throw error
+    }
+  }
+
+  // Shifts clocked in during [from, to) priced at each staff member's hourly rate.
+  // storeId null covers every store (super admin).
+  async getPayrollEstimate(storeId, from, to) {
+    try {
+      await this.initializePayrollDatabase()
+
+      // Overnight shifts clocked in before `to` can clock out after it
+      const entriesTo = new Date(new Date(to).getTime() + 24 * 60 * 60 * 1000).toISOString()
+      const [entries, holidays] = await Promise.all([
+        timeClockDatabaseService.getTimeEntries(storeId, from, entriesTo),
+        this.getHolidays(toDateKey(from), toDateKey(to))
+      ])
+
+      const shifts = buildTimesheet(entries).filter(shift => shift.clock_in.punched_at < to)
+      const staffIds = [...new Set(shifts.map(shift => shift.staff_id))]
+
+      const staffRows = staffIds.length > 0
+        ? await this.db.getAllAsync(`
+            SELECT id, staff_id, name, store_id, role, hourly_rate
+            FROM staff
+            WHERE id IN (${staffIds.map(() => '?').join(', ')})
+          `, staffIds)
+        : []
+
+      const staffById = {}
+      staffRows.forEach(row => {
+        staffById[row.id] = row
+      })
+
+      const rows = staffIds.map(staffId => {
+        const staffShifts = shifts.filter(shift => shift.staff_id === staffId)
+        const staff = staffById[staffId] || {}
+        const hourlyRate = Number(staff.hourly_rate) || 0
+
+        return {
+          staff_id: staffId,
+          staff_code: staff.staff_id || staffShifts[0].staff_code,
+          staff_name: staff.name || staffShifts[0].staff_name,
+          store_id: staff.store_id || staffShifts[0].store_id,
+          hourly_rate: hourlyRate,
+          missing_clock_outs: staffShifts.filter(shift => shift.missing_clock_out).length,
+          open_shifts: staffShifts.filter(shift => shift.is_open).length,
+          ...calculateStaffPayroll(staffShifts, hourlyRate, holidays)
+        }
+      }).sort((a, b) => a.staff_name.localeCompare(b.staff_name))
+
+      const sum = (key) => rows.reduce((total, row) => total + row[key], 0)
+
+      return {
+        from,
+        to,
+        holidays,
+        rows,
+        totals: {
+          staff_count: rows.length,
+          worked_hours: Math.round(sum('worked_hours') * 100) / 100,
+          regular_hours: Math.round(sum('regular_hours') * 100) / 100,
+          overtime_hours: Math.round(sum('overtime_hours') * 100) / 100,
+          night_hours: Math.round(sum('night_hours') * 100) / 100,
+          holiday_hours: Math.round(sum('holiday_hours') * 100) / 100,
+          gross_pay: roundMoney(sum('gross_pay')),
+          missing_clock_outs: sum('missing_clock_outs')
+        }
+      }
+    } catch (error) {
+      console.error('Get payroll estimate error:', error)
+      throw error
+    }
+  }
+
+  // Estimated labor cost against sales for each store and day in the period.
+  // Pass an estimate already loaded for the same period to avoid rebuilding it.
+  async getLaborCostReport(storeId, from, to, estimate = null) {
+    try {
+      if (!estimate) {
+        estimate = await this.getPayrollEstimate(storeId, from, to)
+      }
+
+      const laborByStoreDay = {}
+      estimate.rows.forEach(row => {
+        row.days.forEach(day => {
+          const key = `${day.store_id}|${day.date}`
+          if (!laborByStoreDay[key]) {
+            laborByStoreDay[key] = { store_id: day.store_id, date: day.date, labor_hours: 0, labor_cost: 0 }
+          }
+          laborByStoreDay[key].labor_hours += day.worked_hours
+          laborByStoreDay[key].labor_cost += day.gross_pay
+        })
+      })
+
+      const storeIds = storeId
+        ? [String(storeId)]
+        : (await staffDatabaseService.getAllStores()).map(store => String(store.id))
+
+      const salesByStore = await Promise.all(storeIds.map(id =>
+        salesDatabaseService.getDailySales(id, { from, to })
+      ))
+
+      const salesByStoreDay = {}
+      storeIds.forEach((id, index) => {
+        salesByStore[index].forEach(day => {
+          salesByStoreDay[`${id}|${day.sale_date}`] = day.sales
+        })
+      })
+
+      const keys = [...new Set([...Object.keys(laborByStoreDay), ...Object.keys(salesByStoreDay)])]
+
+      return keys.map(key => {
+        const [dayStoreId, date] = key.split('|')
+        const labor = laborByStoreDay[key] || { labor_hours: 0, labor_cost: 0 }
+        const sales = roundMoney(salesByStoreDay[key] || 0)
+        const laborCost = roundMoney(labor.labor_cost)
+
+        return {
+          store_id: dayStoreId,
+          date,
+          labor_hours: Math.round(labor.labor_hours * 100) / 100,
+          labor_cost: laborCost,
+          sales,
+          labor_cost_percent: calculateLaborCostPercent(laborCost, sales)
+        }
+      }).sort((a, b) => a.date.localeCompare(b.date) || a.store_id.localeCompare(b.store_id))
+    } catch (error) {
+      console.error('Get labor cost report error:', error)
+      throw error
+    }
+  }
+}
+
+// Export singleton instance
+export const payrollDatabaseService = new PayrollDatabaseService()
+export default payrollDatabaseService
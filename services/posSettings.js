@@ -0,0 +1,174 @@
+// services/posSettings.js - Per-device register settings kept in AsyncStorage
+import AsyncStorage from '@react-native-async-storage/async-storage'
+
+const SETTINGS_KEY = 'pos_settings'
+
+// BIR document types a terminal can issue; each keeps its own number series
+export const DOCUMENT_TYPES = [
+  { value: 'SI', label: 'Sales Invoice' },
+  { value: 'OR', label: 'Official Receipt' }
+]
+
+// Thermal paper the receipt printer on this terminal takes
+export const PAPER_WIDTH_OPTIONS = [
+  { value: 58, label: '58mm' },
+  { value: 80, label: '80mm' }
+]
+
+// Cashier actions that can be made to need a supervisor or manager's approval
+export const RESTRICTED_ACTIONS = [
+  { value: 'void_item', label: 'Void item', description: 'Remove a rung-up item from a sale' },
+  { value: 'void_ticket', label: 'Void open sale', description: 'Clear every item from an unpaid sale' },
+  { value: 'void_sale', label: 'Void paid sale', description: 'Cancel a sale after payment' },
+  { value: 'discount', label: 'Discounts above threshold', description: 'SC/PWD discounts over the set amount' },
+  { value: 'price_override', label: 'Price override', description: 'Change an item price at the register' },
+  { value: 'refund', label: 'Refunds', description: 'Refund or return items from a sale' },
+  { value: 'no_sale', label: 'No sale', description: 'Open the cash drawer without a sale' }
+]
+
+// Actions that need approval on every register, whatever the settings say
+export const ALWAYS_RESTRICTED_ACTIONS = [
+  { value: 'credit_limit', label: 'Charge over credit limit', description: 'Charge a sale past what is left of a customer credit limit' }
+]
+
+// App roles that approve overrides themselves instead of asking for a passcode
+export const OVERRIDE_APPROVER_ROLES = ['super_admin', 'manager', 'supervisor']
+
+const DEFAULT_SETTINGS = {
+  terminal_id: null,
+  document_type: 'SI',
+  receipt_paper_width: 58,
+  restricted_actions: RESTRICTED_ACTIONS.map(action => action.value),
+  discount_override_threshold: 0,
+  held_ticket_expiry_hours: 12,
+  // One point per ₱100 spent, each point worth ₱1 off; 0 months never expires
+  loyalty_enabled: false,
+  loyalty_points_per_peso: 0.01,
+  loyalty_peso_per_point: 1,
+  loyalty_expiry_months: 12,
+  // Reorder suggestions average sales over this many days and flag anything
+  // with fewer days of stock left than the cover threshold
+  reorder_window_days: 30,
+  reorder_cover_days: 7
+}
+
+export const getRestrictedActionLabel = (value) => {
+  return [...RESTRICTED_ACTIONS, ...ALWAYS_RESTRICTED_ACTIONS].find(action => action.value === value)?.label || value
+}
+
+export const isActionRestricted = (settings, action) => {
+  return ALWAYS_RESTRICTED_ACTIONS.some(restricted => restricted.value === action) ||
+    (settings?.restricted_actions || []).includes(action)
+}
+
+class PosSettingsService {
+  constructor() {
+    this.settings = null
+  }
+
+  async getSettings() {
+    try {
+      if (this.settings) {
+        return this.settings
+      }
+
+      const stored = await AsyncStorage.getItem(SETTINGS_KEY)
+      const settings = { ...DEFAULT_SETTINGS, ...(stored ? JSON.parse(stored) : {}) }
+
+      // Every device needs a stable terminal id before it can issue receipt numbers
+      if (!settings.terminal_id) {
+        settings.terminal_id = `T${Date.now().toString(36).toUpperCase()}`
+        await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(settings))
+        console.log(`✅ Terminal ID assigned: ${settings.terminal_id}`)
+      }
+
+      this.settings = settings
+      return settings
+    } catch (error) {
+      console.error('Get POS settings error:', error)
+      throw error
+    }
+  }
+
+  async updateSettings(updates) {
+    try {
+      const current = await this.getSettings()
+      const settings = { ...current, ...updates }
+
+      if (!settings.terminal_id || !String(settings.terminal_id).trim()) {
+        throw new Error('Terminal ID is required')
+      }
+
+      if (!DOCUMENT_TYPES.some(type => type.value === settings.document_type)) {
+        throw new Error('Invalid document type')
+      }
+
+      if (!PAPER_WIDTH_OPTIONS.some(option => option.value === settings.receipt_paper_width)) {
+        throw new Error('Invalid receipt paper width')
+      }
+
+      if (!Array.isArray(settings.restricted_actions) ||
+        settings.restricted_actions.some(value => !RESTRICTED_ACTIONS.some(action => action.value === value))) {
+        throw new Error('Invalid restricted actions')
+      }
+
+      const threshold = parseFloat(settings.discount_override_threshold)
+      if (isNaN(threshold) || threshold < 0) {
+        throw new Error('Discount threshold must be zero or more')
+      }
+
+      const expiryHours = parseInt(settings.held_ticket_expiry_hours)
+      if (isNaN(expiryHours) || expiryHours < 1) {
+        throw new Error('Held tickets must be kept for at least 1 hour')
+      }
+
+      const pointsPerPeso = parseFloat(settings.loyalty_points_per_peso)
+      if (isNaN(pointsPerPeso) || pointsPerPeso < 0) {
+        throw new Error('Points earned per peso must be zero or more')
+      }
+
+      const pesoPerPoint = parseFloat(settings.loyalty_peso_per_point)
+      if (isNaN(pesoPerPoint) || pesoPerPoint <= 0) {
+        throw new Error('Point value must be more than zero')
+      }
+
+      const pointsExpiry = parseInt(settings.loyalty_expiry_months)
+      if (isNaN(pointsExpiry) || pointsExpiry < 0) {
+        throw new Error('Points expiry must be zero or more months')
+      }
+
+      const reorderWindow = parseInt(settings.reorder_window_days)
+      if (isNaN(reorderWindow) || reorderWindow < 1) {
+        throw new Error('Reorder sales window must be at least 1 day')
+      }
+
+      const reorderCover = parseInt(settings.reorder_cover_days)
+      if (isNaN(reorderCover) || reorderCover < 0) {
+        throw new Error('Days of cover must be zero or more')
+      }
+
+      settings.terminal_id = String(settings.terminal_id).trim().toUpperCase()
+      settings.discount_override_threshold = threshold
+      settings.held_ticket_expiry_hours = expiryHours
+      settings.loyalty_enabled = !!settings.loyalty_enabled
+      settings.loyalty_points_per_peso = pointsPerPeso
+      settings.loyalty_peso_per_point = pesoPerPoint
+      settings.loyalty_expiry_months = pointsExpiry
+      settings.reorder_window_days = reorderWindow
+      settings.reorder_cover_days = reorderCover
+
+      await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(settings))
+      this.settings = settings
+
+      console.log('✅ POS settings saved')
+      return settings
+    } catch (error) {
+      console.error('Update POS settings error:', error)
+      throw error
+    }
+  }
+}
+
+// Export singleton instance
+export const posSettingsService = new PosSettingsService()
+export default posSettingsService
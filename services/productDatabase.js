@@ -1,5 +1,13 @@
 // services/productDatabase.js - Local SQLite database for products and categories
 import * as SQLite from 'expo-sqlite'
+import { DEFAULT_TAX_CLASS, isValidTaxClass } from '../utils/salesCalculations'
+import { isValidCommissionType } from '../utils/commissionCalculations'
+import {
+  roundCost,
+  calculateWeightedAverageCost,
+  calculateLineCost,
+  validateUnitCost
+} from '../utils/inventoryCalculations'
 
 class ProductDatabaseService {
   constructor() {
@@ -128,6 +136,8 @@ class ProductDatabaseService {
         FOREIGN KEY (product_id) REFERENCES products(id)
       );
     `)
+
+    await this.migrateTables()
     
     // Create indexes
     await this.db.execAsync(`
@@ -140,11 +150,46 @@ class ProductDatabaseService {
       CREATE INDEX IF NOT EXISTS idx_products_active ON products(is_active);
       CREATE INDEX IF NOT EXISTS idx_inventory_product_id ON inventory_movements(product_id);
       CREATE INDEX IF NOT EXISTS idx_inventory_store_id ON inventory_movements(store_id);
+      CREATE INDEX IF NOT EXISTS idx_inventory_reference ON inventory_movements(reference_type, reference_id);
     `)
     
     console.log('✅ Product tables and indexes created')
   }
 
+  // Columns added after the product tables first shipped
+  async migrateTables() {
+    // A product's tax_class is nullable so it can follow its category
+    await this.addColumnIfMissing('categories', 'tax_class', `TEXT DEFAULT '${DEFAULT_TAX_CLASS}'`)
+    await this.addColumnIfMissing('products', 'tax_class', 'TEXT')
+    await this.addColumnIfMissing('categories', 'sc_pwd_eligible', 'INTEGER DEFAULT 1')
+    // Commission rules follow the same product-over-category fallback
+    await this.addColumnIfMissing('categories', 'commission_type', 'TEXT')
+    await this.addColumnIfMissing('categories', 'commission_rate', 'REAL DEFAULT 0.00')
+    await this.addColumnIfMissing('products', 'commission_type', 'TEXT')
+    await this.addColumnIfMissing('products', 'commission_rate', 'REAL DEFAULT 0.00')
+    // NULL earns at the store's loyalty rate
+    await this.addColumnIfMissing('categories', 'loyalty_points_rate', 'REAL')
+    // Weighted-average unit cost of the stock on hand; NULL until first costed receipt
+    await this.addColumnIfMissing('products', 'average_cost', 'REAL')
+    // Supplier reorder suggestions are raised with; set from the first PO received
+    await this.addColumnIfMissing('products', 'preferred_supplier_id', 'TEXT')
+  }
+
+  // CREATE TABLE IF NOT EXISTS leaves existing installs on the old schema,
+  // so columns added after a table first shipped go through here
+  async addColumnIfMissing(table, column, definition) {
+    if (!this.db) throw new Error('Database not initialized')
+
+    const columns = await this.db.getAllAsync(`PRAGMA table_info(${table})`)
+    if (columns.some(col => col.name === column)) {
+      return false
+    }
+
+    await this.db.execAsync(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition};`)
+    console.log(`✅ Added column ${table}.${column}`)
+    return true
+  }
+
   async seedDemoData() {
     if (!this.db) throw new Error('Database not initialized')
     
@@ -344,6 +389,8 @@ class ProductDatabaseService {
         description: categoryData.description || '',
         color: categoryData.color || '#3b82f6',
         icon: categoryData.icon || 'cube-outline',
+        tax_class: isValidTaxClass(categoryData.tax_class) ? categoryData.tax_class : DEFAULT_TAX_CLASS,
+        sc_pwd_eligible: categoryData.sc_pwd_eligible === false || categoryData.sc_pwd_eligible === 0 ? 0 : 1,
         store_id: String(categoryData.store_id),
         is_active: 1,
         created_by: currentUser?.id || 'system',
@@ -352,12 +399,14 @@ class ProductDatabaseService {
       }
 
       await this.db.runAsync(`
-        INSERT INTO categories (id, name, description, color, icon, store_id, is_active, created_by, created_at, updated_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO categories (
+          id, name, description, color, icon, tax_class, sc_pwd_eligible,
+          store_id, is_active, created_by, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
         newCategory.id, newCategory.name, newCategory.description, newCategory.color,
-        newCategory.icon, newCategory.store_id, newCategory.is_active, newCategory.created_by,
-        newCategory.created_at, newCategory.updated_at
+        newCategory.icon, newCategory.tax_class, newCategory.sc_pwd_eligible, newCategory.store_id,
+        newCategory.is_active, newCategory.created_by, newCategory.created_at, newCategory.updated_at
       ])
 
       console.log(`✅ Category created: ${newCategory.name}`)
@@ -368,6 +417,86 @@ class ProductDatabaseService {
     }
   }
 
+  // scope is 'category' or 'product'; a null commission_type clears the rule
+  async updateCommissionRule(scope, id, rule, currentUser = null) {
+    try {
+      await this.initializeProductDatabase()
+
+      const table = scope === 'category' ? 'categories' : scope === 'product' ? 'products' : null
+      if (!table) {
+        throw new Error('Invalid commission rule scope')
+      }
+
+      const commissionType = rule?.commission_type || null
+      if (commissionType && !isValidCommissionType(commissionType)) {
+        throw new Error('Invalid commission type')
+      }
+
+      const commissionRate = commissionType ? parseFloat(rule.commission_rate) : 0
+      if (isNaN(commissionRate) || commissionRate < 0) {
+        throw new Error('Commission rate must be zero or more')
+      }
+
+      if (commissionType === 'percent' && commissionRate > 100) {
+        throw new Error('Commission percentage cannot exceed 100%')
+      }
+
+      await this.db.runAsync(`
+        UPDATE ${table}
+        SET commission_type = ?, commission_rate = ?, updated_at = ?
+        WHERE id = ?
+      `, [commissionType, commissionRate, new Date().toISOString(), id])
+
+      console.log(`✅ Commission rule updated: ${scope} ${id} by ${currentUser?.name || 'system'}`)
+      return { commission_type: commissionType, commission_rate: commissionRate }
+    } catch (error) {
+      console.error('Update commission rule error:', error)
+      throw error
+    }
+  }
+
+  // A blank rate puts the category back on the store's loyalty rate
+  async updateCategoryLoyaltyRate(categoryId, rate, currentUser = null) {
+    try {
+      await this.initializeProductDatabase()
+
+      const blank = rate === null || rate === undefined || String(rate).trim() === ''
+      const pointsRate = blank ? null : parseFloat(rate)
+      if (!blank && (isNaN(pointsRate) || pointsRate < 0)) {
+        throw new Error('Loyalty points rate must be zero or more')
+      }
+
+      await this.db.runAsync(
+        'UPDATE categories SET loyalty_points_rate = ?, updated_at = ? WHERE id = ?',
+        [pointsRate, new Date().toISOString(), categoryId]
+      )
+
+      console.log(`✅ Category loyalty rate updated: ${categoryId} by ${currentUser?.name || 'system'}`)
+      return pointsRate
+    } catch (error) {
+      console.error('Update category loyalty rate error:', error)
+      throw error
+    }
+  }
+
+  // A null supplier leaves the product out of one-tap reorder POs
+  async updatePreferredSupplier(productId, supplierId, currentUser = null) {
+    try {
+      await this.initializeProductDatabase()
+
+      await this.db.runAsync(
+        'UPDATE products SET preferred_supplier_id = ?, updated_at = ? WHERE id = ?',
+        [supplierId || null, new Date().toISOString(), productId]
+      )
+
+      console.log(`✅ Preferred supplier updated: ${productId} by ${currentUser?.name || 'system'}`)
+      return supplierId || null
+    } catch (error) {
+      console.error('Update preferred supplier error:', error)
+      throw error
+    }
+  }
+
   // Products methods
   async getProductsByStore(storeId, options = {}) {
     try {
@@ -376,7 +505,10 @@ class ProductDatabaseService {
       const { categoryId, activeOnly = true, search, limit } = options
       
       let query = `
-        SELECT p.*, c.name as category_name, c.color as category_color
+        SELECT p.*, c.name as category_name, c.color as category_color,
+          c.tax_class as category_tax_class, c.sc_pwd_eligible as category_sc_pwd_eligible,
+          c.commission_type as category_commission_type, c.commission_rate as category_commission_rate,
+          c.loyalty_points_rate as category_loyalty_points_rate
         FROM products p
         LEFT JOIN categories c ON p.category_id = c.id
         WHERE p.store_id = ?
@@ -441,6 +573,7 @@ class ProductDatabaseService {
         barcode: productData.barcode || null,
         category_id: productData.category_id || null,
         store_id: String(productData.store_id),
+        tax_class: isValidTaxClass(productData.tax_class) ? productData.tax_class : null,
         default_price: parseFloat(productData.default_price),
         manila_price: productData.manila_price ? parseFloat(productData.manila_price) : null,
         delivery_price: productData.delivery_price ? parseFloat(productData.delivery_price) : null,
@@ -463,15 +596,15 @@ class ProductDatabaseService {
 
       await this.db.runAsync(`
         INSERT INTO products (
-          id, name, description, sku, barcode, category_id, store_id,
+          id, name, description, sku, barcode, category_id, store_id, tax_class,
           default_price, manila_price, delivery_price, wholesale_price,
           stock_quantity, min_stock_level, max_stock_level, unit, weight,
           dimensions, image_url, images, is_active, is_featured, tags,
           created_by, created_at, updated_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
         newProduct.id, newProduct.name, newProduct.description, newProduct.sku,
-        newProduct.barcode, newProduct.category_id, newProduct.store_id,
+        newProduct.barcode, newProduct.category_id, newProduct.store_id, newProduct.tax_class,
         newProduct.default_price, newProduct.manila_price, newProduct.delivery_price,
         newProduct.wholesale_price, newProduct.stock_quantity, newProduct.min_stock_level,
         newProduct.max_stock_level, newProduct.unit, newProduct.weight, newProduct.dimensions,
@@ -488,62 +621,175 @@ class ProductDatabaseService {
   }
 
   // Inventory methods
-  async updateStock(productId, newQuantity, movementType = 'adjustment', notes = '', currentUser = null) {
+  async updateStock(productId, newQuantity, movementType = 'adjustment', notes = '', currentUser = null, unitCost = null) {
     try {
       await this.initializeProductDatabase()
-      
-      // Get current stock
-      const product = await this.db.getFirstAsync(
-        'SELECT stock_quantity, store_id FROM products WHERE id = ?',
-        [productId]
-      )
-      
-      if (!product) {
-        throw new Error('Product not found')
+
+      await this.db.execAsync('BEGIN TRANSACTION')
+
+      let result
+      try {
+        // Read the stock inside the transaction so a movement posted since
+        // the caller loaded the product is not overwritten
+        const product = await this.db.getFirstAsync(
+          'SELECT stock_quantity FROM products WHERE id = ?',
+          [productId]
+        )
+
+        if (!product) {
+          throw new Error('Product not found')
+        }
+
+        result = await this.applyStockMovement({
+          productId,
+          quantityChange: newQuantity - product.stock_quantity,
+          movementType,
+          notes,
+          unitCost,
+          currentUser
+        })
+        await this.db.execAsync('COMMIT')
+      } catch (error) {
+        await this.db.execAsync('ROLLBACK')
+        throw error
       }
 
-      const previousStock = product.stock_quantity
-      const quantity = newQuantity - previousStock
+      console.log(`✅ Stock updated for product ${productId}: ${result.previousStock} → ${result.newStock}`)
+      return { success: true, previousStock: result.previousStock, newStock: result.newStock }
+    } catch (error) {
+      console.error('Update stock error:', error)
+      throw error
+    }
+  }
 
-      // Update product stock
-      await this.db.runAsync(
-        'UPDATE products SET stock_quantity = ?, updated_at = ? WHERE id = ?',
-        [newQuantity, new Date().toISOString(), productId]
-      )
+  // Stock received from outside the store at a known unit cost
+  async receiveStock(productId, quantity, unitCost, options = {}, currentUser = null) {
+    try {
+      await this.initializeProductDatabase()
 
-      // Record inventory movement
-      const movement = {
-        id: `inv-${Date.now()}`,
-        product_id: productId,
-        store_id: product.store_id,
-        movement_type: movementType,
-        quantity: quantity,
-        previous_stock: previousStock,
-        new_stock: newQuantity,
-        notes: notes,
-        created_by: currentUser?.id || 'system',
-        created_at: new Date().toISOString()
+      const received = parseInt(quantity)
+      if (isNaN(received) || received <= 0) {
+        throw new Error('Quantity received must be at least 1')
       }
 
-      await this.db.runAsync(`
-        INSERT INTO inventory_movements (
-          id, product_id, store_id, movement_type, quantity,
-          previous_stock, new_stock, notes, created_by, created_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `, [
-        movement.id, movement.product_id, movement.store_id, movement.movement_type,
-        movement.quantity, movement.previous_stock, movement.new_stock,
-        movement.notes, movement.created_by, movement.created_at
-      ])
+      const costError = validateUnitCost(unitCost)
+      if (costError) {
+        throw new Error(costError)
+      }
 
-      console.log(`✅ Stock updated for product ${productId}: ${previousStock} → ${newQuantity}`)
-      return { success: true, previousStock, newStock: newQuantity }
+      await this.db.execAsync('BEGIN TRANSACTION')
+
+      let result
+      try {
+        result = await this.applyStockMovement({
+          productId,
+          quantityChange: received,
+          movementType: 'in',
+          referenceType: options.referenceType || 'receipt',
+          referenceId: options.referenceId || null,
+          notes: options.notes || 'Stock received',
+          unitCost: Number(unitCost),
+          currentUser
+        })
+        await this.db.execAsync('COMMIT')
+      } catch (error) {
+        await this.db.execAsync('ROLLBACK')
+        throw error
+      }
+
+      console.log(`✅ Received ${received} of product ${productId} at ${unitCost}; average cost now ${result.averageCost}`)
+      return result
     } catch (error) {
-      console.error('Update stock error:', error)
+      console.error('Receive stock error:', error)
       throw error
     }
   }
 
+  // Changes stock by a signed quantity and records the matching movement.
+  // Runs inside the caller's transaction, so it never begins or commits one
+  // itself; sales, returns and receiving all post stock through here.
+  // Stock coming in at a known unitCost re-averages the product's cost;
+  // every other movement is costed at the average as it stands.
+  async applyStockMovement({
+    productId,
+    quantityChange,
+    movementType,
+    referenceType = null,
+    referenceId = null,
+    storeId = null,
+    notes = '',
+    unitCost = null,
+    allowNegative = true,
+    currentUser = null
+  }) {
+    if (!this.db) throw new Error('Database not initialized')
+
+    const product = await this.db.getFirstAsync(
+      'SELECT id, name, stock_quantity, store_id, average_cost FROM products WHERE id = ?',
+      [productId]
+    )
+
+    if (!product) {
+      throw new Error('Product not found')
+    }
+
+    if (storeId && product.store_id !== storeId) {
+      throw new Error(`${product.name} does not belong to this store`)
+    }
+
+    const previousStock = product.stock_quantity || 0
+    const newStock = previousStock + quantityChange
+
+    if (!allowNegative && newStock < 0) {
+      throw new Error(`Insufficient stock for ${product.name}: ${previousStock} available`)
+    }
+
+    const hasUnitCost = unitCost !== null && unitCost !== undefined
+    const movementCost = hasUnitCost ? roundCost(unitCost) : product.average_cost ?? null
+    const averageCost = hasUnitCost && quantityChange > 0
+      ? calculateWeightedAverageCost(previousStock, product.average_cost, quantityChange, unitCost)
+      : product.average_cost ?? null
+
+    const now = new Date().toISOString()
+
+    await this.db.runAsync(
+      'UPDATE products SET stock_quantity = ?, average_cost = ?, updated_at = ? WHERE id = ?',
+      [newStock, averageCost, now, productId]
+    )
+
+    const movement = {
+      id: `inv-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      product_id: productId,
+      store_id: product.store_id,
+      movement_type: movementType,
+      quantity: quantityChange,
+      previous_stock: previousStock,
+      new_stock: newStock,
+      unit_cost: movementCost,
+      total_cost: calculateLineCost(movementCost, quantityChange),
+      reference_type: referenceType,
+      reference_id: referenceId,
+      notes: notes,
+      created_by: currentUser?.id || 'system',
+      created_at: now
+    }
+
+    await this.db.runAsync(`
+      INSERT INTO inventory_movements (
+        id, product_id, store_id, movement_type, quantity,
+        previous_stock, new_stock, unit_cost, total_cost,
+        reference_type, reference_id, notes, created_by, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      movement.id, movement.product_id, movement.store_id, movement.movement_type,
+      movement.quantity, movement.previous_stock, movement.new_stock,
+      movement.unit_cost, movement.total_cost, movement.reference_type,
+      movement.reference_id, movement.notes, movement.created_by, movement.created_at
+    ])
+
+    return { previousStock, newStock, averageCost, movement }
+  }
+
   async getInventoryMovements(storeId, options = {}) {
     try {
       await this.initializeProductDatabase()
@@ -0,0 +1,807 @@
+// services/purchaseOrderDatabase.js - Suppliers and purchase orders received into stock
+import productDatabaseService from './productDatabase'
+import { validateEmail } from '../utils/validation'
+import { roundMoney } from '../utils/salesCalculations'
+import { roundCost } from '../utils/inventoryCalculations'
+import {
+  OPEN_PO_STATUSES,
+  getPoStatus,
+  calculateOutstandingQuantity,
+  calculatePoTotals,
+  resolveReceivedStatus,
+  validatePoLines,
+  validateReceipt
+} from '../utils/purchaseOrderCalculations'
+
+class PurchaseOrderDatabaseService {
+  constructor() {
+    this.db = null
+    this.isInitialized = false
+    this.initPromise = null
+  }
+
+  async initializePurchaseOrderDatabase() {
+    if (this.initPromise) {
+      return this.initPromise
+    }
+
+    if (this.isInitialized && this.db) {
+      return this.db
+    }
+
+    this.initPromise = this._initializeDatabase()
+    return this.initPromise
+  }
+
+  async _initializeDatabase() {
+    try {
+      console.log('🔧 Initializing Purchase order database...')
+
+      // Receiving posts stock movements, so orders share the product database
+      this.db = await productDatabaseService.initializeProductDatabase()
+
+      await this.createTables()
+
+      this.isInitialized = true
+      console.log('✅ Purchase order database initialized successfully!')
+
+      return this.db
+    } catch (error) {
+      console.error('❌ Purchase order database initialization failed:', error)
+      this.isInitialized = false
+      this.db = null
+      this.initPromise = null
+      throw error
+    }
+  }
+
+  async createTables() {
+    if (!this.db) throw new Error('Database not initialized')
+
+    // Suppliers are shared by every store on the device
+    await this.db.execAsync(`
+      CREATE TABLE IF NOT EXISTS suppliers (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        contact_name TEXT,
+        phone TEXT,
+        email TEXT,
+        address TEXT,
+        tin TEXT,
+        payment_terms TEXT,
+        notes TEXT,
+        is_active INTEGER DEFAULT 1,
+        created_by TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        updated_at TEXT DEFAULT (datetime('now'))
+      );
+    `)
+
+    await this.db.execAsync(`
+      CREATE TABLE IF NOT EXISTS purchase_orders (
+        id TEXT PRIMARY KEY,
+        po_number TEXT NOT NULL,
+        supplier_id TEXT NOT NULL,
+        store_id TEXT NOT NULL,
+        status TEXT DEFAULT 'draft' CHECK (status IN ('draft', 'sent', 'partially_received', 'received', 'cancelled')),
+        expected_date TEXT,
+        notes TEXT,
+        created_by TEXT,
+        created_by_name TEXT,
+        sent_at TEXT,
+        received_at TEXT,
+        cancelled_at TEXT,
+        cancel_reason TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        updated_at TEXT DEFAULT (datetime('now')),
+
+        FOREIGN KEY (supplier_id) REFERENCES suppliers(id)
+      );
+    `)
+
+    // quantity_cancelled is the balance closed short; anything not received
+    // or cancelled is still on back-order
+    await this.db.execAsync(`
+      CREATE TABLE IF NOT EXISTS purchase_order_lines (
+        id TEXT PRIMARY KEY,
+        purchase_order_id TEXT NOT NULL,
+        product_id TEXT NOT NULL,
+        product_name TEXT NOT NULL,
+        sku TEXT,
+        quantity_ordered INTEGER NOT NULL,
+        quantity_received INTEGER DEFAULT 0,
+        quantity_cancelled INTEGER DEFAULT 0,
+        expected_unit_cost REAL NOT NULL DEFAULT 0.00,
+        last_unit_cost REAL,
+        created_at TEXT DEFAULT (datetime('now')),
+
+        FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders(id),
+        FOREIGN KEY (product_id) REFERENCES products(id)
+      );
+    `)
+
+    await this.db.execAsync(`
+      CREATE INDEX IF NOT EXISTS idx_suppliers_name ON suppliers(name);
+      CREATE INDEX IF NOT EXISTS idx_purchase_orders_store ON purchase_orders(store_id, status);
+      CREATE INDEX IF NOT EXISTS idx_purchase_orders_supplier ON purchase_orders(supplier_id);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_purchase_orders_number ON purchase_orders(store_id, po_number);
+      CREATE INDEX IF NOT EXISTS idx_purchase_order_lines_order ON purchase_order_lines(purchase_order_id);
+      CREATE INDEX IF NOT EXISTS idx_purchase_order_lines_product ON purchase_order_lines(product_id);
+    `)
+
+    console.log('✅ Purchase order tables and indexes created')
+  }
+
+  // Trims and checks supplier fields; returns the values to store
+  validateSupplier(supplierData) {
+    const name = String(supplierData.name || '').trim()
+    if (!name) {
+      throw new Error('Supplier name is required')
+    }
+
+    const email = String(supplierData.email || '').trim().toLowerCase()
+    if (email) {
+      const emailCheck = validateEmail(email)
+      if (!emailCheck.isValid) {
+        throw new Error(emailCheck.error)
+      }
+    }
+
+    const tin = String(supplierData.tin || '').trim()
+    if (tin && !/^\d{9}(\d{3,5})?$/.test(tin.replace(/[\s-]/g, ''))) {
+      throw new Error('TIN must be 9 digits, optionally followed by a branch code')
+    }
+
+    return {
+      name,
+      contact_name: String(supplierData.contact_name || '').trim() || null,
+      phone: String(supplierData.phone || '').trim() || null,
+      email: email || null,
+      address: String(supplierData.address || '').trim() || null,
+      tin: tin || null,
+      payment_terms: String(supplierData.payment_terms || '').trim() || null,
+      notes: String(supplierData.notes || '').trim() || null
+    }
+  }
+
+  async getSuppliers(options = {}) {
+    try {
+      await this.initializePurchaseOrderDatabase()
+
+      const { activeOnly = true, search } = options
+
+      let query = 'SELECT * FROM suppliers WHERE 1 = 1'
+      const params = []
+
+      if (activeOnly) {
+        query += ' AND is_active = 1'
+      }
+
+      if (search) {
+        query += ' AND (name LIKE ? OR contact_name LIKE ? OR phone LIKE ?)'
+        const searchParam = `%${search}%`
+        params.push(searchParam, searchParam, searchParam)
+      }
+
+      query += ' ORDER BY name ASC'
+
+      const suppliers = await this.db.getAllAsync(query, params)
+      return suppliers || []
+    } catch (error) {
+      console.error('Get suppliers error:', error)
+      throw error
+    }
+  }
+
+  async getSupplierById(supplierId) {
+    try {
+      await this.initializePurchaseOrderDatabase()
+
+      const supplier = await this.db.getFirstAsync('SELECT * FROM suppliers WHERE id = ?', [supplierId])
+      return supplier || null
+    } catch (error) {
+      console.error('Get supplier error:', error)
+      throw error
+    }
+  }
+
+  async createSupplier(supplierData, currentUser) {
+    try {
+      await this.initializePurchaseOrderDatabase()
+
+      const fields = this.validateSupplier(supplierData)
+      const now = new Date().toISOString()
+
+      const newSupplier = {
+        id: `supplier-${Date.now()}`,
+        ...fields,
+        is_active: 1,
+        created_by: currentUser?.id || null,
+        created_at: now,
+        updated_at: now
+      }
+
+      await this.db.runAsync(`
+        INSERT INTO suppliers (
+          id, name, contact_name, phone, email, address, tin, payment_terms,
+          notes, is_active, created_by, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        newSupplier.id, newSupplier.name, newSupplier.contact_name, newSupplier.phone,
+        newSupplier.email, newSupplier.address, newSupplier.tin, newSupplier.payment_terms,
+        newSupplier.notes, newSupplier.is_active, newSupplier.created_by,
+        newSupplier.created_at, newSupplier.updated_at
+      ])
+
+      console.log(`✅ Supplier created: ${newSupplier.name}`)
+      return newSupplier
+    } catch (error) {
+      console.error('Create supplier error:', error)
+      throw error
+    }
+  }
+
+  async updateSupplier(supplierId, supplierData) {
+    try {
+      await this.initializePurchaseOrderDatabase()
+
+      const fields = this.validateSupplier(supplierData)
+      const now = new Date().toISOString()
+
+      await this.db.runAsync(`
+        UPDATE suppliers
+        SET name = ?, contact_name = ?, phone = ?, email = ?, address = ?, tin = ?,
+          payment_terms = ?, notes = ?, updated_at = ?
+        WHERE id = ?
+      `, [
+        fields.name, fields.contact_name, fields.phone, fields.email, fields.address,
+        fields.tin, fields.payment_terms, fields.notes, now, supplierId
+      ])
+
+      console.log(`✅ Supplier updated: ${fields.name}`)
+      return { id: supplierId, ...fields, updated_at: now }
+    } catch (error) {
+      console.error('Update supplier error:', error)
+      throw error
+    }
+  }
+
+  // Past orders keep pointing at the supplier, so it is hidden rather than deleted
+  async deactivateSupplier(supplierId) {
+    try {
+      await this.initializePurchaseOrderDatabase()
+
+      const open = await this.db.getFirstAsync(
+        `SELECT COUNT(*) as count FROM purchase_orders WHERE supplier_id = ? AND status IN ('draft', ${OPEN_PO_STATUSES.map(() => '?').join(', ')})`,
+        [supplierId, ...OPEN_PO_STATUSES]
+      )
+
+      if (open?.count > 0) {
+        throw new Error('Receive or cancel this supplier\'s open orders first')
+      }
+
+      await this.db.runAsync(
+        'UPDATE suppliers SET is_active = 0, updated_at = ? WHERE id = ?',
+        [new Date().toISOString(), supplierId]
+      )
+
+      console.log(`✅ Supplier deactivated: ${supplierId}`)
+    } catch (error) {
+      console.error('Deactivate supplier error:', error)
+      throw error
+    }
+  }
+
+  // Order numbers run per store: PO-000001, PO-000002, ...
+  async getNextPoNumber(storeId) {
+    if (!this.db) throw new Error('Database not initialized')
+
+    const result = await this.db.getFirstAsync(
+      'SELECT COUNT(*) as count FROM purchase_orders WHERE store_id = ?',
+      [String(storeId)]
+    )
+    return `PO-${String((result?.count || 0) + 1).padStart(6, '0')}`
+  }
+
+  // Orders with supplier name and line totals. options: { status, supplierId }
+  async getPurchaseOrders(storeId, options = {}) {
+    try {
+      await this.initializePurchaseOrderDatabase()
+
+      const { status, supplierId } = options
+      const conditions = []
+      const params = []
+
+      if (storeId) {
+        conditions.push('po.store_id = ?')
+        params.push(String(storeId))
+      }
+
+      if (Array.isArray(status)) {
+        conditions.push(`po.status IN (${status.map(() => '?').join(', ')})`)
+        params.push(...status)
+      } else if (status) {
+        conditions.push('po.status = ?')
+        params.push(status)
+      }
+
+      if (supplierId) {
+        conditions.push('po.supplier_id = ?')
+        params.push(supplierId)
+      }
+
+      const orders = await this.db.getAllAsync(`
+        SELECT po.*, s.name as supplier_name,
+          COUNT(pol.id) as line_count,
+          COALESCE(SUM(pol.quantity_ordered), 0) as ordered_quantity,
+          COALESCE(SUM(pol.quantity_received), 0) as received_quantity,
+          COALESCE(SUM(MAX(pol.quantity_ordered - pol.quantity_received - pol.quantity_cancelled, 0)), 0) as outstanding_quantity,
+          COALESCE(SUM(pol.quantity_ordered * pol.expected_unit_cost), 0) as expected_total
+        FROM purchase_orders po
+        LEFT JOIN suppliers s ON po.supplier_id = s.id
+        LEFT JOIN purchase_order_lines pol ON pol.purchase_order_id = po.id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        GROUP BY po.id
+        ORDER BY po.created_at DESC
+      `, params)
+
+      return (orders || []).map(order => ({ ...order, expected_total: roundMoney(order.expected_total) }))
+    } catch (error) {
+      console.error('Get purchase orders error:', error)
+      throw error
+    }
+  }
+
+  async getPurchaseOrderById(orderId) {
+    try {
+      await this.initializePurchaseOrderDatabase()
+
+      const order = await this.db.getFirstAsync(`
+        SELECT po.*, s.name as supplier_name, s.phone as supplier_phone, s.email as supplier_email
+        FROM purchase_orders po
+        LEFT JOIN suppliers s ON po.supplier_id = s.id
+        WHERE po.id = ?
+      `, [orderId])
+
+      if (!order) {
+        return null
+      }
+
+      const lines = await this.db.getAllAsync(
+        'SELECT * FROM purchase_order_lines WHERE purchase_order_id = ? ORDER BY id ASC',
+        [orderId]
+      )
+
+      return { ...order, lines: lines || [], totals: calculatePoTotals(lines || []) }
+    } catch (error) {
+      console.error('Get purchase order error:', error)
+      throw error
+    }
+  }
+
+  // Checks lines against the store's products and returns the rows to insert
+  async buildOrderLines(orderId, storeId, lines, now) {
+    const lineError = validatePoLines(lines)
+    if (lineError) {
+      throw new Error(lineError)
+    }
+
+    const orderLines = []
+    for (const [index, line] of lines.entries()) {
+      const product = await this.db.getFirstAsync(
+        'SELECT id, name, sku, store_id FROM products WHERE id = ?',
+        [line.product_id]
+      )
+
+      if (!product || product.store_id !== String(storeId)) {
+        throw new Error('Every product on the order must belong to its store')
+      }
+
+      orderLines.push({
+        id: `${orderId}-line-${index + 1}`,
+        purchase_order_id: orderId,
+        product_id: product.id,
+        product_name: product.name,
+        sku: product.sku || null,
+        quantity_ordered: Number(line.quantity),
+        expected_unit_cost: roundCost(line.unit_cost),
+        created_at: now
+      })
+    }
+
+    return orderLines
+  }
+
+  async insertOrderLines(orderLines) {
+    for (const line of orderLines) {
+      await this.db.runAsync(`
+        INSERT INTO purchase_order_lines (
+          id, purchase_order_id, product_id, product_name, sku,
+          quantity_ordered, expected_unit_cost, created_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        line.id, line.purchase_order_id, line.product_id, line.product_name, line.sku,
+        line.quantity_ordered, line.expected_unit_cost, line.created_at
+      ])
+    }
+  }
+
+  // orderData: { supplier_id, store_id, expected_date, notes, lines: [{ product_id, quantity, unit_cost }] }
+  async createPurchaseOrder(orderData, currentUser) {
+    try {
+      const [newOrder] = await this.createPurchaseOrders([orderData], currentUser)
+      return newOrder
+    } catch (error) {
+      console.error('Create purchase order error:', error)
+      throw error
+    }
+  }
+
+  // Several draft orders in one transaction: every one is checked before any
+  // is written, so either all of them are created or none are
+  async createPurchaseOrders(ordersData, currentUser) {
+    try {
+      await this.initializePurchaseOrderDatabase()
+
+      if (!Array.isArray(ordersData) || ordersData.length === 0) {
+        throw new Error('No purchase orders to create')
+      }
+
+      const now = new Date().toISOString()
+      const drafts = []
+
+      for (const orderData of ordersData) {
+        if (!orderData.store_id) {
+          throw new Error('Store is required')
+        }
+
+        const supplier = await this.getSupplierById(orderData.supplier_id)
+        if (!supplier || !supplier.is_active) {
+          throw new Error('Choose an active supplier')
+        }
+
+        const orderId = `po-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+        drafts.push({
+          orderData,
+          supplier,
+          orderId,
+          orderLines: await this.buildOrderLines(orderId, orderData.store_id, orderData.lines || [], now)
+        })
+      }
+
+      await this.db.execAsync('BEGIN TRANSACTION')
+
+      const newOrders = []
+      try {
+        for (const { orderData, supplier, orderId, orderLines } of drafts) {
+          const newOrder = {
+            id: orderId,
+            po_number: await this.getNextPoNumber(orderData.store_id),
+            supplier_id: supplier.id,
+            store_id: String(orderData.store_id),
+            status: 'draft',
+            expected_date: orderData.expected_date || null,
+            notes: String(orderData.notes || '').trim() || null,
+            created_by: currentUser?.id || null,
+            created_by_name: currentUser?.name || null,
+            created_at: now,
+            updated_at: now
+          }
+
+          await this.db.runAsync(`
+            INSERT INTO purchase_orders (
+              id, po_number, supplier_id, store_id, status, expected_date, notes,
+              created_by, created_by_name, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `, [
+            newOrder.id, newOrder.po_number, newOrder.supplier_id, newOrder.store_id,
+            newOrder.status, newOrder.expected_date, newOrder.notes, newOrder.created_by,
+            newOrder.created_by_name, newOrder.created_at, newOrder.updated_at
+          ])
+
+          await this.insertOrderLines(orderLines)
+
+          newOrders.push({ ...newOrder, supplier_name: supplier.name, lines: orderLines })
+        }
+
+        await this.db.execAsync('COMMIT')
+      } catch (error) {
+        await this.db.execAsync('ROLLBACK')
+        throw error
+      }
+
+      newOrders.forEach(order => console.log(`✅ Purchase order created: ${order.po_number} (${order.supplier_name})`))
+      return newOrders
+    } catch (error) {
+      console.error('Create purchase orders error:', error)
+      throw error
+    }
+  }
+
+  // Only drafts can change; the lines are replaced wholesale
+  async updatePurchaseOrder(orderId, orderData) {
+    try {
+      const order = await this.getPurchaseOrderById(orderId)
+
+      if (!order) {
+        throw new Error('Purchase order not found')
+      }
+
+      if (order.status !== 'draft') {
+        throw new Error('Only draft orders can be edited')
+      }
+
+      const supplier = await this.getSupplierById(orderData.supplier_id || order.supplier_id)
+      if (!supplier || !supplier.is_active) {
+        throw new Error('Choose an active supplier')
+      }
+
+      const now = new Date().toISOString()
+      const orderLines = await this.buildOrderLines(order.id, order.store_id, orderData.lines || [], now)
+
+      await this.db.execAsync('BEGIN TRANSACTION')
+
+      try {
+        await this.db.runAsync(`
+          UPDATE purchase_orders
+          SET supplier_id = ?, expected_date = ?, notes = ?, updated_at = ?
+          WHERE id = ?
+        `, [supplier.id, orderData.expected_date || null, String(orderData.notes || '').trim() || null, now, order.id])
+
+        await this.db.runAsync('DELETE FROM purchase_order_lines WHERE purchase_order_id = ?', [order.id])
+        await this.insertOrderLines(orderLines)
+
+        await this.db.execAsync('COMMIT')
+      } catch (error) {
+        await this.db.execAsync('ROLLBACK')
+        throw error
+      }
+
+      console.log(`✅ Purchase order updated: ${order.po_number}`)
+      return await this.getPurchaseOrderById(order.id)
+    } catch (error) {
+      console.error('Update purchase order error:', error)
+      throw error
+    }
+  }
+
+  async markPurchaseOrderSent(orderId) {
+    try {
+      const order = await this.getPurchaseOrderById(orderId)
+
+      if (!order) {
+        throw new Error('Purchase order not found')
+      }
+
+      if (order.status !== 'draft') {
+        throw new Error(`This order is already ${getPoStatus(order.status).label.toLowerCase()}`)
+      }
+
+      const now = new Date().toISOString()
+      await this.db.runAsync(
+        "UPDATE purchase_orders SET status = 'sent', sent_at = ?, updated_at = ? WHERE id = ?",
+        [now, now, order.id]
+      )
+
+      console.log(`📤 Purchase order sent: ${order.po_number}`)
+      return { ...order, status: 'sent', sent_at: now }
+    } catch (error) {
+      console.error('Send purchase order error:', error)
+      throw error
+    }
+  }
+
+  // Drafts and sent orders are cancelled outright. Once stock has arrived
+  // the rest is closed short instead, which leaves the order received.
+  async cancelPurchaseOrder(orderId, reason, currentUser = null) {
+    try {
+      const order = await this.getPurchaseOrderById(orderId)
+
+      if (!order) {
+        throw new Error('Purchase order not found')
+      }
+
+      if (!['draft', 'sent'].includes(order.status)) {
+        throw new Error(order.status === 'partially_received'
+          ? 'Stock has arrived on this order; close the back-order short instead'
+          : `This order is already ${getPoStatus(order.status).label.toLowerCase()}`)
+      }
+
+      if (!reason?.trim()) {
+        throw new Error('A reason is required')
+      }
+
+      const now = new Date().toISOString()
+
+      await this.db.execAsync('BEGIN TRANSACTION')
+
+      try {
+        await this.db.runAsync(`
+          UPDATE purchase_orders
+          SET status = 'cancelled', cancelled_at = ?, cancel_reason = ?, updated_at = ?
+          WHERE id = ?
+        `, [now, reason.trim(), now, order.id])
+
+        await this.db.runAsync(
+          'UPDATE purchase_order_lines SET quantity_cancelled = quantity_ordered - quantity_received WHERE purchase_order_id = ?',
+          [order.id]
+        )
+
+        await this.db.execAsync('COMMIT')
+      } catch (error) {
+        await this.db.execAsync('ROLLBACK')
+        throw error
+      }
+
+      console.log(`🚫 Purchase order cancelled: ${order.po_number} by ${currentUser?.name || 'system'}`)
+      return { ...order, status: 'cancelled', cancelled_at: now, cancel_reason: reason.trim() }
+    } catch (error) {
+      console.error('Cancel purchase order error:', error)
+      throw error
+    }
+  }
+
+  // receiptData: { lines: [{ line_id, quantity, unit_cost }], notes, close_short }
+  // Each received line posts an 'in' movement at the invoiced unit cost. Units
+  // not delivered stay on back-order unless close_short cancels the balance.
+  async receivePurchaseOrder(orderId, receiptData, currentUser) {
+    try {
+      const order = await this.getPurchaseOrderById(orderId)
+
+      if (!order) {
+        throw new Error('Purchase order not found')
+      }
+
+      if (!OPEN_PO_STATUSES.includes(order.status)) {
+        throw new Error(order.status === 'draft'
+          ? 'Mark the order as sent before receiving it'
+          : `This order is already ${getPoStatus(order.status).label.toLowerCase()}`)
+      }
+
+      const receipt = (receiptData.lines || []).filter(row => Number(row.quantity) > 0)
+      const closeShort = !!receiptData.close_short
+
+      // Closing short with nothing delivered is allowed; it just ends the back-order
+      if (receipt.length > 0 || !closeShort) {
+        const receiptError = validateReceipt(order.lines, receipt)
+        if (receiptError) {
+          throw new Error(receiptError)
+        }
+      }
+
+      const now = new Date().toISOString()
+      const notes = String(receiptData.notes || '').trim()
+
+      await this.db.execAsync('BEGIN TRANSACTION')
+
+      let status
+      try {
+        const updatedLines = order.lines.map(line => ({ ...line }))
+
+        for (const row of receipt) {
+          const line = updatedLines.find(orderLine => orderLine.id === row.line_id)
+          const quantity = Number(row.quantity)
+          const unitCost = roundCost(row.unit_cost)
+
+          await productDatabaseService.applyStockMovement({
+            productId: line.product_id,
+            quantityChange: quantity,
+            movementType: 'in',
+            referenceType: 'purchase_order',
+            referenceId: order.id,
+            storeId: order.store_id,
+            notes: `${order.po_number} from ${order.supplier_name}${notes ? ` - ${notes}` : ''}`,
+            unitCost,
+            currentUser
+          })
+
+          line.quantity_received += quantity
+          line.last_unit_cost = unitCost
+
+          // The first supplier a product is received from becomes its reorder supplier
+          await this.db.runAsync(
+            'UPDATE products SET preferred_supplier_id = ? WHERE id = ? AND preferred_supplier_id IS NULL',
+            [order.supplier_id, line.product_id]
+          )
+
+          await this.db.runAsync(
+            'UPDATE purchase_order_lines SET quantity_received = ?, last_unit_cost = ? WHERE id = ?',
+            [line.quantity_received, line.last_unit_cost, line.id]
+          )
+        }
+
+        if (closeShort) {
+          for (const line of updatedLines) {
+            const outstanding = calculateOutstandingQuantity(line)
+            if (outstanding > 0) {
+              line.quantity_cancelled += outstanding
+              await this.db.runAsync(
+                'UPDATE purchase_order_lines SET quantity_cancelled = ? WHERE id = ?',
+                [line.quantity_cancelled, line.id]
+              )
+            }
+          }
+        }
+
+        status = resolveReceivedStatus(updatedLines)
+
+        await this.db.runAsync(`
+          UPDATE purchase_orders
+          SET status = ?, received_at = ?, updated_at = ?
+          WHERE id = ?
+        `, [status, status === 'received' ? now : null, now, order.id])
+
+        await this.db.execAsync('COMMIT')
+      } catch (error) {
+        await this.db.execAsync('ROLLBACK')
+        throw error
+      }
+
+      console.log(`📦 Purchase order ${order.po_number} received: ${receipt.length} line(s), now ${status}`)
+      return await this.getPurchaseOrderById(order.id)
+    } catch (error) {
+      console.error('Receive purchase order error:', error)
+      throw error
+    }
+  }
+
+  // Units still to arrive per product, as { [product_id]: quantity }. Drafts
+  // count by default so reordering twice doesn't order the same stock twice.
+  async getOutstandingQuantitiesByProduct(storeId, statuses = ['draft', ...OPEN_PO_STATUSES]) {
+    try {
+      await this.initializePurchaseOrderDatabase()
+
+      const rows = await this.db.getAllAsync(`
+        SELECT pol.product_id,
+          SUM(MAX(pol.quantity_ordered - pol.quantity_received - pol.quantity_cancelled, 0)) as outstanding_quantity
+        FROM purchase_order_lines pol
+        JOIN purchase_orders po ON pol.purchase_order_id = po.id
+        WHERE po.store_id = ? AND po.status IN (${statuses.map(() => '?').join(', ')})
+        GROUP BY pol.product_id
+      `, [String(storeId), ...statuses])
+
+      return Object.fromEntries((rows || []).map(row => [row.product_id, row.outstanding_quantity]))
+    } catch (error) {
+      console.error('Get outstanding quantities error:', error)
+      throw error
+    }
+  }
+
+  // Open orders per supplier with units and value still to arrive
+  async getOutstandingBySupplier(storeId = null) {
+    try {
+      await this.initializePurchaseOrderDatabase()
+
+      const conditions = [`po.status IN (${OPEN_PO_STATUSES.map(() => '?').join(', ')})`]
+      const params = [...OPEN_PO_STATUSES]
+
+      if (storeId) {
+        conditions.push('po.store_id = ?')
+        params.push(String(storeId))
+      }
+
+      const rows = await this.db.getAllAsync(`
+        SELECT s.id as supplier_id, s.name as supplier_name,
+          COUNT(DISTINCT po.id) as open_orders,
+          COALESCE(SUM(MAX(pol.quantity_ordered - pol.quantity_received - pol.quantity_cancelled, 0)), 0) as outstanding_quantity,
+          COALESCE(SUM(MAX(pol.quantity_ordered - pol.quantity_received - pol.quantity_cancelled, 0) * pol.expected_unit_cost), 0) as outstanding_value,
+          MIN(po.expected_date) as next_expected_date
+        FROM purchase_orders po
+        JOIN suppliers s ON po.supplier_id = s.id
+        JOIN purchase_order_lines pol ON pol.purchase_order_id = po.id
+        WHERE ${conditions.join(' AND ')}
+        GROUP BY s.id
+        ORDER BY outstanding_value DESC
+      `, params)
+
+      return (rows || []).map(row => ({ ...row, outstanding_value: roundMoney(row.outstanding_value) }))
+    } catch (error) {
+      console.error('Get outstanding purchase orders error:', error)
+      throw error
+    }
+  }
+}
+
+// Export singleton instance
+export const purchaseOrderDatabaseService = new PurchaseOrderDatabaseService()
+export default purchaseOrderDatabaseService
@@ -0,0 +1,430 @@
+// services/receiptJournal.js - Gapless receipt numbering and the append-only electronic journal
+import productDatabaseService from './productDatabase'
+import posSettingsService from './posSettings'
+import { roundMoney } from '../utils/salesCalculations'
+
+// Every event that must be reconstructable from the journal alone
+export const JOURNAL_ENTRY_TYPES = ['sale', 'void', 'refund', 'reprint']
+
+export const formatReceiptNumber = (documentType, terminalId, sequence) => {
+  return `${documentType}-${terminalId}-${String(sequence).padStart(8, '0')}`
+}
+
+class ReceiptJournalService {
+  constructor() {
+    this.db = null
+    this.isInitialized = false
+    this.initPromise = null
+  }
+
+  async initializeReceiptJournal() {
+    if (this.initPromise) {
+      return this.initPromise
+    }
+
+    if (this.isInitialized && this.db) {
+      return this.db
+    }
+
+    this.initPromise = this._initializeDatabase()
+    return this.initPromise
+  }
+
+  async _initializeDatabase() {
+    try {
+      console.log('🔧 Initializing Receipt journal...')
+
+      // Numbers are issued inside the sale transaction, so the journal lives
+      // on the same connection as sales and products
+      this.db = await productDatabaseService.initializeProductDatabase()
+
+      await this.createTables()
+
+      this.isInitialized = true
+      console.log('✅ Receipt journal initialized successfully!')
+
+      return this.db
+    } catch (error) {
+      console.error('❌ Receipt journal initialization failed:', error)
+      this.isInitialized = false
+      this.db = null
+      this.initPromise = null
+      throw error
+    }
+  }
+
+  async createTables() {
+    if (!this.db) throw new Error('Database not initialized')
+
+    // One counter per store, terminal and document type
+    await this.db.execAsync(`
+      CREATE TABLE IF NOT EXISTS receipt_sequences (
+        store_id TEXT NOT NULL,
+        terminal_id TEXT NOT NULL,
+        document_type TEXT NOT NULL,
+        last_number INTEGER NOT NULL DEFAULT 0,
+        updated_at TEXT DEFAULT (datetime('now')),
+
+        PRIMARY KEY (store_id, terminal_id, document_type)
+      );
+    `)
+
+    await this.db.execAsync(`
+      CREATE TABLE IF NOT EXISTS electronic_journal (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        store_id TEXT NOT NULL,
+        terminal_id TEXT NOT NULL,
+        entry_type TEXT NOT NULL,
+        document_type TEXT,
+        receipt_number TEXT,
+        reference_id TEXT,
+        amount REAL NOT NULL DEFAULT 0.00,
+
+        -- Running accumulators per store and terminal; never reset
+        grand_total REAL NOT NULL DEFAULT 0.00,
+        void_total REAL NOT NULL DEFAULT 0.00,
+        refund_total REAL NOT NULL DEFAULT 0.00,
+
+        payload TEXT, -- JSON snapshot of the document
+        created_by TEXT,
+        created_at TEXT DEFAULT (datetime('now'))
+      );
+    `)
+
+    // The journal is append-only: SQLite itself refuses edits and deletes
+    await this.db.execAsync(`
+      CREATE TRIGGER IF NOT EXISTS electronic_journal_no_update
+      BEFORE UPDATE ON electronic_journal
+      BEGIN
+        SELECT RAISE(ABORT, 'electronic_journal is append-only');
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS electronic_journal_no_delete
+      BEFORE DELETE ON electronic_journal
+      BEGIN
+        SELECT RAISE(ABORT, 'electronic_journal is append-only');
+      END;
+    `)
+
+    await this.db.execAsync(`
+      CREATE INDEX IF NOT EXISTS idx_journal_store_terminal ON electronic_journal(store_id, terminal_id);
+      CREATE INDEX IF NOT EXISTS idx_journal_reference_id ON electronic_journal(reference_id);
+      CREATE INDEX IF NOT EXISTS idx_journal_created_at ON electronic_journal(created_at);
+    `)
+
+    console.log('✅ Receipt journal tables created')
+  }
+
+  // Takes the next number in the series. Runs inside the caller's transaction
+  // so a rolled-back sale also rolls back its number and the series stays gapless.
+  async issueReceiptNumber(storeId, terminalId, documentType) {
+    if (!this.db) throw new Error('Database not initialized')
+
+    await this.db.runAsync(`
+      INSERT OR IGNORE INTO receipt_sequences (store_id, terminal_id, document_type, last_number)
+      VALUES (?, ?, ?, 0)
+    `, [storeId, terminalId, documentType])
+
+    await this.db.runAsync(`
+      UPDATE receipt_sequences
+      SET last_number = last_number + 1, updated_at = ?
+      WHERE store_id = ? AND terminal_id = ? AND document_type = ?
+    `, [new Date().toISOString(), storeId, terminalId, documentType])
+
+    const row = await this.db.getFirstAsync(`
+      SELECT last_number FROM receipt_sequences
+      WHERE store_id = ? AND terminal_id = ? AND document_type = ?
+    `, [storeId, terminalId, documentType])
+
+    return {
+      sequence: row.last_number,
+      receiptNumber: formatReceiptNumber(documentType, terminalId, row.last_number)
+    }
+  }
+
+  // Appends one journal row and rolls the accumulators forward. Runs inside
+  // the caller's transaction. Sales add to grand_total; voids and refunds
+  // have their own accumulators so the grand total never goes down.
+  async appendJournalEntry({
+    storeId,
+    terminalId,
+    entryType,
+    documentType = null,
+    receiptNumber = null,
+    referenceId = null,
+    amount = 0,
+    payload = null,
+    currentUser = null
+  }) {
+    if (!this.db) throw new Error('Database not initialized')
+
+    if (!JOURNAL_ENTRY_TYPES.includes(entryType)) {
+      throw new Error(`Invalid journal entry type: ${entryType}`)
+    }
+
+    const previous = await this.db.getFirstAsync(`
+      SELECT grand_total, void_total, refund_total FROM electronic_journal
+      WHERE store_id = ? AND terminal_id = ?
+      ORDER BY id DESC LIMIT 1
+    `, [storeId, terminalId])
+
+    const entryAmount = roundMoney(amount)
+    let grandTotal = roundMoney(previous?.grand_total)
+    let voidTotal = roundMoney(previous?.void_total)
+    let refundTotal = roundMoney(previous?.refund_total)
+
+    if (entryType === 'sale') grandTotal = roundMoney(grandTotal + entryAmount)
+    if (entryType === 'void') voidTotal = roundMoney(voidTotal + entryAmount)
+    if (entryType === 'refund') refundTotal = roundMoney(refundTotal + entryAmount)
+
+    const entry = {
+      store_id: storeId,
+      terminal_id: terminalId,
+      entry_type: entryType,
+      document_type: documentType,
+      receipt_number: receiptNumber,
+      reference_id: referenceId,
+      amount: entryAmount,
+      grand_total: grandTotal,
+      void_total: voidTotal,
+      refund_total: refundTotal,
+      payload: payload ? JSON.stringify(payload) : null,
+      created_by: currentUser?.id || 'system',
+      created_at: new Date().toISOString()
+    }
+
+    const result = await this.db.runAsync(`
+      INSERT INTO electronic_journal (
+        store_id, terminal_id, entry_type, document_type, receipt_number,
+        reference_id, amount, grand_total, void_total, refund_total,
+        payload, created_by, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      entry.store_id, entry.terminal_id, entry.entry_type, entry.document_type,
+      entry.receipt_number, entry.reference_id, entry.amount, entry.grand_total,
+      entry.void_total, entry.refund_total, entry.payload, entry.created_by,
+      entry.created_at
+    ])
+
+    return { id: result.lastInsertRowId, ...entry }
+  }
+
+  // Reprints change nothing on the sale but must still leave a trace
+  async recordReprint(sale, currentUser) {
+    try {
+      await this.initializeReceiptJournal()
+
+      if (!sale?.receipt_number) {
+        throw new Error('Sale has no receipt number to reprint')
+      }
+
+      await this.db.execAsync('BEGIN TRANSACTION')
+
+      let entry
+      try {
+        entry = await this.appendJournalEntry({
+          storeId: sale.store_id,
+          terminalId: sale.terminal_id,
+          entryType: 'reprint',
+          documentType: sale.document_type,
+          receiptNumber: sale.receipt_number,
+          referenceId: sale.id,
+          amount: 0,
+          currentUser
+        })
+        await this.db.execAsync('COMMIT')
+      } catch (error) {
+        await this.db.execAsync('ROLLBACK')
+        throw error
+      }
+
+      console.log(`✅ Reprint journaled: ${sale.receipt_number}`)
+      return entry
+    } catch (error) {
+      console.error('Record reprint error:', error)
+      throw error
+    }
+  }
+
+  // Voids happen before payment, so no receipt number is consumed; the
+  // journal still records what was rung up and taken off the ticket
+  async recordVoid(storeId, voidData, currentUser) {
+    try {
+      await this.initializeReceiptJournal()
+
+      const { scope = 'ticket', items = [], reason = null, approved_by = null } = voidData
+      const amount = roundMoney(items.reduce((sum, item) => sum + (Number(item.line_total) || 0), 0))
+      const settings = await posSettingsService.getSettings()
+
+      await this.db.execAsync('BEGIN TRANSACTION')
+
+      let entry
+      try {
+        entry = await this.appendJournalEntry({
+          storeId,
+          terminalId: settings.terminal_id,
+          entryType: 'void',
+          amount,
+          payload: { scope, reason, approved_by, items },
+          currentUser
+        })
+        await this.db.execAsync('COMMIT')
+      } catch (error) {
+        await this.db.execAsync('ROLLBACK')
+        throw error
+      }
+
+      console.log(`✅ ${scope === 'line' ? 'Line' : 'Ticket'} void journaled (${amount})`)
+      return entry
+    } catch (error) {
+      console.error('Record void error:', error)
+      throw error
+    }
+  }
+
+  // Opening the drawer without a sale moves no money but is journaled with
+  // the shift and whoever approved it, so drawer opens can be audited
+  async recordNoSale(storeId, noSaleData, currentUser) {
+    try {
+      await this.initializeReceiptJournal()
+
+      const { shift_id = null, reason = null, approved_by = null } = noSaleData
+      const settings = await posSettingsService.getSettings()
+
+      await this.db.execAsync('BEGIN TRANSACTION')
+
+      let entry
+      try {
+        entry = await this.appendJournalEntry({
+          storeId,
+          terminalId: settings.terminal_id,
+          entryType: 'no_sale',
+          referenceId: shift_id,
+          amount: 0,
+          payload: { shift_id, reason, approved_by },
+          currentUser
+        })
+        await this.db.execAsync('COMMIT')
+      } catch (error) {
+        await this.db.execAsync('ROLLBACK')
+        throw error
+      }
+
+      console.log(`✅ No-sale drawer open journaled on ${settings.terminal_id}`)
+      return entry
+    } catch (error) {
+      console.error('Record no-sale error:', error)
+      throw error
+    }
+  }
+
+  async getJournalEntries(storeId, options = {}) {
+    try {
+      await this.initializeReceiptJournal()
+
+      const { terminalId, entryType, from, to, limit = 100 } = options
+
+      let query = 'SELECT * FROM electronic_journal WHERE store_id = ?'
+      let params = [storeId]
+
+      if (terminalId) {
+        query += ' AND terminal_id = ?'
+        params.push(terminalId)
+      }
+
+      if (entryType) {
+        query += ' AND entry_type = ?'
+        params.push(entryType)
+      }
+
+      if (from) {
+        query += ' AND created_at >= ?'
+        params.push(from)
+      }
+
+      if (to) {
+        query += ' AND created_at < ?'
+        params.push(to)
+      }
+
+      query += ' ORDER BY id DESC LIMIT ?'
+      params.push(limit)
+
+      const entries = await this.db.getAllAsync(query, params)
+      return entries || []
+    } catch (error) {
+      console.error('Get journal entries error:', error)
+      throw error
+    }
+  }
+
+  async getAccumulators(storeId, terminalId) {
+    try {
+      await this.initializeReceiptJournal()
+
+      const latest = await this.db.getFirstAsync(`
+        SELECT grand_total, void_total, refund_total FROM electronic_journal
+        WHERE store_id = ? AND terminal_id = ?
+        ORDER BY id DESC LIMIT 1
+      `, [storeId, terminalId])
+
+      return {
+        grandTotal: roundMoney(latest?.grand_total),
+        voidTotal: roundMoney(latest?.void_total),
+        refundTotal: roundMoney(latest?.refund_total)
+      }
+    } catch (error) {
+      console.error('Get accumulators error:', error)
+      throw error
+    }
+  }
+
+  // Compares each number series against the receipts actually journaled and
+  // lists any number that was issued but never reached the journal
+  async getReceiptAudit(storeId) {
+    try {
+      await this.initializeReceiptJournal()
+
+      const sequences = await this.db.getAllAsync(
+        'SELECT * FROM receipt_sequences WHERE store_id = ? ORDER BY terminal_id, document_type',
+        [storeId]
+      )
+
+      const audit = []
+
+      for (const series of sequences || []) {
+        const issued = await this.db.getAllAsync(`
+          SELECT receipt_number FROM electronic_journal
+          WHERE store_id = ? AND terminal_id = ? AND document_type = ? AND entry_type IN ('sale', 'refund')
+        `, [series.store_id, series.terminal_id, series.document_type])
+
+        const journaled = new Set((issued || []).map(row => row.receipt_number))
+        const missing = []
+
+        for (let n = 1; n <= series.last_number; n++) {
+          const receiptNumber = formatReceiptNumber(series.document_type, series.terminal_id, n)
+          if (!journaled.has(receiptNumber)) {
+            missing.push(receiptNumber)
+          }
+        }
+
+        audit.push({
+          terminal_id: series.terminal_id,
+          document_type: series.document_type,
+          last_number: series.last_number,
+          issued_count: journaled.size,
+          missing
+        })
+      }
+
+      return audit
+    } catch (error) {
+      console.error('Get receipt audit error:', error)
+      throw error
+    }
+  }
+}
+
+// Export singleton instance
+export const receiptJournalService = new ReceiptJournalService()
+export default receiptJournalService
@@ -0,0 +1,659 @@
+// services/refundDatabase.js - Refunds and returns against completed sales
+import productDatabaseService from './productDatabase'
+import salesDatabaseService, { SALES_BREAKDOWN_GROUPS } from './salesDatabase'
+import receiptJournalService from './receiptJournal'
+import posSettingsService from './posSettings'
+import {
+  roundMoney,
+  extractVat,
+  calculateRefundLineAmount,
+  allocateRefundToTenders
+} from '../utils/salesCalculations'
+import { calculateCommissionReversal } from '../utils/commissionCalculations'
+import { calculateLineCost } from '../utils/inventoryCalculations'
+import loyaltyDatabaseService from './loyaltyDatabase'
+import {
+  LOYALTY_PAYMENT_METHOD,
+  calculatePointsReversal,
+  calculatePointsRestore,
+  calculatePointsExpiry
+} from '../utils/loyaltyCalculations'
+import chargeAccountDatabaseService from './chargeAccountDatabase'
+import { CHARGE_PAYMENT_METHOD } from '../utils/chargeAccountCalculations'
+
+// Refund slips run on their own number series, separate from sales
+export const REFUND_DOCUMENT_TYPE = 'RF'
+
+// Returns land on the day and hour they were made, not when the sale was
+const RETURNS_BREAKDOWN_GROUPS = {
+  ...SALES_BREAKDOWN_GROUPS,
+  day: { key: "DATE(r.created_at, 'localtime')", label: "DATE(r.created_at, 'localtime')" },
+  hour: { key: "strftime('%H', r.created_at, 'localtime')", label: "strftime('%H', r.created_at, 'localtime')" }
+}
+
+class RefundDatabaseService {
+  constructor() {
+    this.db = null
+    this.isInitialized = false
+    this.initPromise = null
+  }
+
+  async initializeRefundDatabase() {
+    if (this.initPromise) {
+      return this.initPromise
+    }
+
+    if (this.isInitialized && this.db) {
+      return this.db
+    }
+
+    this.initPromise = this._initializeDatabase()
+    return this.initPromise
+  }
+
+  async _initializeDatabase() {
+    try {
+      console.log('🔧 Initializing Refund database...')
+
+      // Refunds restock products and update sales in one transaction, so they
+      // share the product database connection like sales do
+      await salesDatabaseService.initializeSalesDatabase()
+      await receiptJournalService.initializeReceiptJournal()
+      this.db = await productDatabaseService.initializeProductDatabase()
+
+      await this.createTables()
+
+      this.isInitialized = true
+      console.log('✅ Refund database initialized successfully!')
+
+      return this.db
+    } catch (error) {
+      console.error('❌ Refund database initialization failed:', error)
+      this.isInitialized = false
+      this.db = null
+      this.initPromise = null
+      throw error
+    }
+  }
+
+  async createTables() {
+    if (!this.db) throw new Error('Database not initialized')
+
+    // Create refunds table
+    await this.db.execAsync(`
+      CREATE TABLE IF NOT EXISTS refunds (
+        id TEXT PRIMARY KEY,
+        sale_id TEXT NOT NULL,
+        store_id TEXT NOT NULL,
+        terminal_id TEXT,
+        shift_id TEXT,
+        document_type TEXT DEFAULT 'RF',
+        receipt_sequence INTEGER,
+        receipt_number TEXT,
+        original_receipt_number TEXT,
+
+        refund_amount REAL NOT NULL DEFAULT 0.00,
+        vatable_amount REAL DEFAULT 0.00,
+        vat_amount REAL DEFAULT 0.00,
+        vat_exempt_amount REAL DEFAULT 0.00,
+        zero_rated_amount REAL DEFAULT 0.00,
+        item_count INTEGER DEFAULT 0,
+
+        -- Loyalty points taken back from, and returned to, the sale's customer
+        loyalty_points_reversed INTEGER DEFAULT 0,
+        loyalty_points_restored INTEGER DEFAULT 0,
+
+        reason TEXT,
+        processed_by TEXT,
+        processed_by_name TEXT,
+        approved_by TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+
+        FOREIGN KEY (sale_id) REFERENCES sales(id)
+      );
+    `)
+
+    // Create refund items table
+    await this.db.execAsync(`
+      CREATE TABLE IF NOT EXISTS refund_items (
+        id TEXT PRIMARY KEY,
+        refund_id TEXT NOT NULL,
+        sale_item_id TEXT NOT NULL,
+        product_id TEXT NOT NULL,
+        product_name TEXT NOT NULL,
+        quantity INTEGER NOT NULL,
+        unit_price REAL NOT NULL,
+        refund_amount REAL NOT NULL,
+        tax_class TEXT DEFAULT 'vat',
+        restocked INTEGER DEFAULT 1,
+        commission_reversed REAL DEFAULT 0.00,
+        -- Cost of the returned units at the sale line's snapshot cost
+        cogs_amount REAL,
+        created_at TEXT DEFAULT (datetime('now')),
+
+        FOREIGN KEY (refund_id) REFERENCES refunds(id),
+        FOREIGN KEY (sale_item_id) REFERENCES sale_items(id)
+      );
+    `)
+
+    // Create refund payments table (money returned per original tender)
+    await this.db.execAsync(`
+      CREATE TABLE IF NOT EXISTS refund_payments (
+        id TEXT PRIMARY KEY,
+        refund_id TEXT NOT NULL,
+        sale_payment_id TEXT NOT NULL,
+        payment_method TEXT NOT NULL,
+        amount REAL NOT NULL,
+        created_at TEXT DEFAULT (datetime('now')),
+
+        FOREIGN KEY (refund_id) REFERENCES refunds(id),
+        FOREIGN KEY (sale_payment_id) REFERENCES sale_payments(id)
+      );
+    `)
+
+    await this.migrateTables()
+
+    // Create indexes
+    await this.db.execAsync(`
+      CREATE INDEX IF NOT EXISTS idx_refunds_sale_id ON refunds(sale_id);
+      CREATE INDEX IF NOT EXISTS idx_refunds_store_id ON refunds(store_id);
+      CREATE INDEX IF NOT EXISTS idx_refunds_created_at ON refunds(created_at);
+      CREATE INDEX IF NOT EXISTS idx_refund_items_refund_id ON refund_items(refund_id);
+      CREATE INDEX IF NOT EXISTS idx_refund_items_sale_item_id ON refund_items(sale_item_id);
+      CREATE INDEX IF NOT EXISTS idx_refund_payments_refund_id ON refund_payments(refund_id);
+      CREATE INDEX IF NOT EXISTS idx_refund_payments_sale_payment_id ON refund_payments(sale_payment_id);
+    `)
+
+    console.log('✅ Refund tables and indexes created')
+  }
+
+  // Columns added after the refund tables first shipped
+  async migrateTables() {
+    await productDatabaseService.addColumnIfMissing('refunds', 'approved_by', 'TEXT')
+    await productDatabaseService.addColumnIfMissing('refunds', 'shift_id', 'TEXT')
+    await productDatabaseService.addColumnIfMissing('refund_items', 'commission_reversed', 'REAL DEFAULT 0.00')
+    await productDatabaseService.addColumnIfMissing('refunds', 'loyalty_points_reversed', 'INTEGER DEFAULT 0')
+    await productDatabaseService.addColumnIfMissing('refunds', 'loyalty_points_restored', 'INTEGER DEFAULT 0')
+    await productDatabaseService.addColumnIfMissing('refund_items', 'cogs_amount', 'REAL')
+  }
+
+  // Loads a sale with what has already been returned and refunded against
+  // each line and tender, which is what every refund is capped by
+  async getRefundableSale(saleId) {
+    if (!this.db) throw new Error('Database not initialized')
+
+    const sale = await this.db.getFirstAsync('SELECT * FROM sales WHERE id = ?', [saleId])
+
+    if (!sale) {
+      return null
+    }
+
+    const items = await this.db.getAllAsync(`
+      SELECT si.*,
+        COALESCE((SELECT SUM(ri.quantity) FROM refund_items ri WHERE ri.sale_item_id = si.id), 0) as returned_quantity,
+        COALESCE((SELECT SUM(ri.refund_amount) FROM refund_items ri WHERE ri.sale_item_id = si.id), 0) as refunded_amount,
+        COALESCE((SELECT SUM(ri.commission_reversed) FROM refund_items ri WHERE ri.sale_item_id = si.id), 0) as commission_reversed
+      FROM sale_items si
+      WHERE si.sale_id = ?
+      ORDER BY si.id ASC
+    `, [saleId])
+
+    const payments = await this.db.getAllAsync(`
+      SELECT sp.*,
+        COALESCE((SELECT SUM(rp.amount) FROM refund_payments rp WHERE rp.sale_payment_id = sp.id), 0) as refunded_amount
+      FROM sale_payments sp
+      WHERE sp.sale_id = ?
+      ORDER BY sp.id ASC
+    `, [saleId])
+
+    const loyalty = await this.db.getFirstAsync(`
+      SELECT COALESCE(SUM(loyalty_points_reversed), 0) as loyalty_points_reversed,
+        COALESCE(SUM(loyalty_points_restored), 0) as loyalty_points_restored
+      FROM refunds
+      WHERE sale_id = ?
+    `, [saleId])
+
+    return { ...sale, ...loyalty, items: items || [], payments: payments || [] }
+  }
+
+  async getSaleByReceiptNumber(receiptNumber, storeId = null) {
+    try {
+      await this.initializeRefundDatabase()
+
+      let query = 'SELECT id FROM sales WHERE receipt_number = ?'
+      let params = [String(receiptNumber).trim().toUpperCase()]
+
+      if (storeId) {
+        query += ' AND store_id = ?'
+        params.push(storeId)
+      }
+
+      const match = await this.db.getFirstAsync(query, params)
+
+      if (!match) {
+        return null
+      }
+
+      return await this.getRefundableSale(match.id)
+    } catch (error) {
+      console.error('Get sale by receipt number error:', error)
+      throw error
+    }
+  }
+
+  // refundData: { sale_id, shift_id, items: [{ sale_item_id, quantity, restock }], reason, approved_by }
+  async createRefund(refundData, currentUser) {
+    try {
+      await this.initializeRefundDatabase()
+      await loyaltyDatabaseService.initializeLoyaltyDatabase()
+      await chargeAccountDatabaseService.initializeChargeAccountDatabase()
+
+      const sale = await this.getRefundableSale(refundData.sale_id)
+
+      if (!sale) {
+        throw new Error('Original sale not found')
+      }
+
+      if (sale.status === 'voided' || sale.status === 'refunded') {
+        throw new Error(`Sale ${sale.receipt_number || sale.id} is already ${sale.status}`)
+      }
+
+      // Refunded cash leaves the drawer, so it must be counted against a shift
+      if (!refundData.shift_id) {
+        throw new Error('Open a shift before processing refunds')
+      }
+
+      const requested = (refundData.items || []).filter(item => parseInt(item.quantity) > 0)
+
+      if (requested.length === 0) {
+        throw new Error('Select at least one item to return')
+      }
+
+      // Each sale line is checked against what is left to return once, so it
+      // can only appear once; a copy with another restock choice is ambiguous
+      const saleItemIds = requested.map(item => item.sale_item_id)
+      if (new Set(saleItemIds).size !== saleItemIds.length) {
+        throw new Error('Each item from the original sale can only be listed once per refund')
+      }
+
+      const settings = await posSettingsService.getSettings()
+      const now = new Date().toISOString()
+      const refundId = `refund-${Date.now()}`
+
+      const items = requested.map((request, index) => {
+        const saleItem = sale.items.find(item => item.id === request.sale_item_id)
+
+        if (!saleItem) {
+          throw new Error('Item is not part of the original sale')
+        }
+
+        const quantity = parseInt(request.quantity)
+        const remaining = saleItem.quantity - saleItem.returned_quantity
+
+        if (quantity > remaining) {
+          throw new Error(`Only ${remaining} of ${saleItem.product_name} can still be returned`)
+        }
+
+        return {
+          id: `${refundId}-item-${index + 1}`,
+          refund_id: refundId,
+          sale_item_id: saleItem.id,
+          product_id: saleItem.product_id,
+          product_name: saleItem.product_name,
+          quantity,
+          unit_price: saleItem.unit_price,
+          refund_amount: calculateRefundLineAmount(saleItem, quantity),
+          tax_class: saleItem.tax_class || 'vat',
+          restocked: request.restock === false ? 0 : 1,
+          commission_reversed: calculateCommissionReversal(saleItem, quantity),
+          unit_cost: saleItem.unit_cost ?? null,
+          cogs_amount: calculateLineCost(saleItem.unit_cost, quantity),
+          created_at: now
+        }
+      })
+
+      const refundAmount = roundMoney(items.reduce((sum, item) => sum + item.refund_amount, 0))
+      const { allocations, unallocated } = allocateRefundToTenders(sale.payments, refundAmount)
+
+      if (unallocated > 0) {
+        throw new Error('Refund exceeds the amount paid on the original tenders')
+      }
+
+      const payments = allocations.map((allocation, index) => ({
+        id: `${refundId}-pay-${index + 1}`,
+        refund_id: refundId,
+        ...allocation,
+        created_at: now
+      }))
+
+      const sumByClass = (taxClass) => roundMoney(
+        items.filter(item => item.tax_class === taxClass).reduce((sum, item) => sum + item.refund_amount, 0)
+      )
+      const vat = extractVat(sumByClass('vat'))
+
+      const newRefund = {
+        id: refundId,
+        sale_id: sale.id,
+        store_id: sale.store_id,
+        terminal_id: settings.terminal_id,
+        shift_id: refundData.shift_id,
+        document_type: REFUND_DOCUMENT_TYPE,
+        receipt_sequence: null,
+        receipt_number: null,
+        original_receipt_number: sale.receipt_number || null,
+        refund_amount: refundAmount,
+        vatable_amount: vat.net,
+        vat_amount: vat.vat,
+        vat_exempt_amount: sumByClass('vat_exempt'),
+        zero_rated_amount: sumByClass('zero_rated'),
+        item_count: items.reduce((sum, item) => sum + item.quantity, 0),
+        loyalty_points_reversed: 0,
+        loyalty_points_restored: 0,
+        reason: refundData.reason || null,
+        processed_by: currentUser?.id || null,
+        processed_by_name: currentUser?.name || null,
+        approved_by: refundData.approved_by || null,
+        created_at: now
+      }
+
+      const fullyReturned = sale.items.every(saleItem => {
+        const returning = items.find(item => item.sale_item_id === saleItem.id)?.quantity || 0
+        return saleItem.returned_quantity + returning >= saleItem.quantity
+      })
+
+      // Returned units take back the points they earned; money refunded to
+      // the points tender goes back to the customer as points
+      const returnedPoints = items.reduce((sum, item) => {
+        const saleItem = sale.items.find(line => line.id === item.sale_item_id)
+        return sum + (Number(saleItem.loyalty_points) || 0) * item.quantity / saleItem.quantity
+      }, 0)
+      newRefund.loyalty_points_reversed = sale.customer_id
+        ? calculatePointsReversal(sale, returnedPoints, fullyReturned)
+        : 0
+      newRefund.loyalty_points_restored = sale.customer_id
+        ? payments
+          .filter(payment => payment.payment_method === LOYALTY_PAYMENT_METHOD)
+          .reduce((sum, payment) => sum + calculatePointsRestore(
+            sale,
+            sale.payments.find(salePayment => salePayment.id === payment.sale_payment_id),
+            payment.amount
+          ), 0)
+        : 0
+
+      await this.db.execAsync('BEGIN TRANSACTION')
+
+      try {
+        const shift = await this.db.getFirstAsync('SELECT status FROM shifts WHERE id = ?', [newRefund.shift_id])
+        if (shift?.status !== 'open') {
+          throw new Error('The shift for this register is closed; open a new shift to continue')
+        }
+
+        const receipt = await receiptJournalService.issueReceiptNumber(
+          newRefund.store_id,
+          newRefund.terminal_id,
+          newRefund.document_type
+        )
+        newRefund.receipt_sequence = receipt.sequence
+        newRefund.receipt_number = receipt.receiptNumber
+
+        if (sale.customer_id) {
+          await loyaltyDatabaseService.recordEntry({
+            customerId: sale.customer_id,
+            storeId: sale.store_id,
+            entryType: 'restore',
+            points: newRefund.loyalty_points_restored,
+            referenceType: 'refund',
+            referenceId: newRefund.id,
+            expiresAt: calculatePointsExpiry(now, settings.loyalty_expiry_months),
+            notes: `Refund ${newRefund.receipt_number} of ${newRefund.original_receipt_number || sale.id}`
+          }, currentUser)
+
+          // Points already spent or expired cannot be taken back twice
+          const balance = await loyaltyDatabaseService.getBalance(sale.customer_id)
+          newRefund.loyalty_points_reversed = Math.min(newRefund.loyalty_points_reversed, balance)
+
+          await loyaltyDatabaseService.recordEntry({
+            customerId: sale.customer_id,
+            storeId: sale.store_id,
+            entryType: 'reverse',
+            points: -newRefund.loyalty_points_reversed,
+            referenceType: 'refund',
+            referenceId: newRefund.id,
+            notes: `Refund ${newRefund.receipt_number} of ${newRefund.original_receipt_number || sale.id}`
+          }, currentUser)
+        }
+
+        await this.db.runAsync(`
+          INSERT INTO refunds (
+            id, sale_id, store_id, terminal_id, shift_id, document_type, receipt_sequence,
+            receipt_number, original_receipt_number, refund_amount, vatable_amount,
+            vat_amount, vat_exempt_amount, zero_rated_amount, item_count,
+            loyalty_points_reversed, loyalty_points_restored, reason,
+            processed_by, processed_by_name, approved_by, created_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          newRefund.id, newRefund.sale_id, newRefund.store_id, newRefund.terminal_id,
+          newRefund.shift_id, newRefund.document_type, newRefund.receipt_sequence, newRefund.receipt_number,
+          newRefund.original_receipt_number, newRefund.refund_amount, newRefund.vatable_amount,
+          newRefund.vat_amount, newRefund.vat_exempt_amount, newRefund.zero_rated_amount,
+          newRefund.item_count, newRefund.loyalty_points_reversed, newRefund.loyalty_points_restored,
+          newRefund.reason, newRefund.processed_by,
+          newRefund.processed_by_name, newRefund.approved_by, newRefund.created_at
+        ])
+
+        for (const refundItem of items) {
+          await this.db.runAsync(`
+            INSERT INTO refund_items (
+              id, refund_id, sale_item_id, product_id, product_name, quantity,
+              unit_price, refund_amount, tax_class, restocked, commission_reversed,
+              cogs_amount, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `, [
+            refundItem.id, refundItem.refund_id, refundItem.sale_item_id, refundItem.product_id,
+            refundItem.product_name, refundItem.quantity, refundItem.unit_price,
+            refundItem.refund_amount, refundItem.tax_class, refundItem.restocked,
+            refundItem.commission_reversed, refundItem.cogs_amount, refundItem.created_at
+          ])
+
+          // Damaged goods are refunded without going back on the shelf
+          if (refundItem.restocked) {
+            await productDatabaseService.applyStockMovement({
+              productId: refundItem.product_id,
+              quantityChange: refundItem.quantity,
+              movementType: 'in',
+              referenceType: 'return',
+              referenceId: newRefund.id,
+              notes: `Return on ${newRefund.original_receipt_number || newRefund.sale_id}`,
+              unitCost: refundItem.unit_cost,
+              currentUser
+            })
+          }
+        }
+
+        for (const payment of payments) {
+          await this.db.runAsync(`
+            INSERT INTO refund_payments (id, refund_id, sale_payment_id, payment_method, amount, created_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+          `, [
+            payment.id, payment.refund_id, payment.sale_payment_id, payment.payment_method,
+            payment.amount, payment.created_at
+          ])
+
+          // Refunding a charged sale credits the customer's account instead of paying out
+          if (payment.payment_method === CHARGE_PAYMENT_METHOD && sale.customer_id) {
+            await chargeAccountDatabaseService.recordEntry({
+              customerId: sale.customer_id,
+              storeId: sale.store_id,
+              entryType: 'refund',
+              amount: -payment.amount,
+              referenceType: 'refund',
+              referenceId: newRefund.id,
+              shiftId: newRefund.shift_id,
+              notes: `Refund ${newRefund.receipt_number} of ${newRefund.original_receipt_number || sale.id}`
+            }, currentUser)
+          }
+        }
+
+        await this.db.runAsync(
+          'UPDATE sales SET status = ?, updated_at = ? WHERE id = ?',
+          [fullyReturned ? 'refunded' : 'partially_refunded', now, sale.id]
+        )
+
+        await receiptJournalService.appendJournalEntry({
+          storeId: newRefund.store_id,
+          terminalId: newRefund.terminal_id,
+          entryType: 'refund',
+          documentType: newRefund.document_type,
+          receiptNumber: newRefund.receipt_number,
+          referenceId: newRefund.id,
+          amount: newRefund.refund_amount,
+          payload: { ...newRefund, items, payments },
+          currentUser
+        })
+
+        await this.db.execAsync('COMMIT')
+      } catch (error) {
+        await this.db.execAsync('ROLLBACK')
+        throw error
+      }
+
+      console.log(`✅ Refund recorded: ${newRefund.receipt_number} (${newRefund.refund_amount})`)
+      return { ...newRefund, items, payments }
+    } catch (error) {
+      console.error('Create refund error:', error)
+      throw error
+    }
+  }
+
+  async getRefundsBySale(saleId) {
+    try {
+      await this.initializeRefundDatabase()
+
+      const refunds = await this.db.getAllAsync(
+        'SELECT * FROM refunds WHERE sale_id = ? ORDER BY created_at ASC',
+        [saleId]
+      )
+      return refunds || []
+    } catch (error) {
+      console.error('Get refunds by sale error:', error)
+      throw error
+    }
+  }
+
+  // WHERE clause for refunds made in a period; `to` is exclusive and
+  // storeId may be a list, as in salesDatabaseService.buildPeriodFilter
+  buildRefundFilter(storeId, options = {}, conditions = []) {
+    const { from, to } = options
+    const params = []
+
+    if (Array.isArray(storeId)) {
+      conditions.push(`r.store_id IN (${storeId.map(() => '?').join(', ')})`)
+      params.push(...storeId)
+    } else if (storeId) {
+      conditions.push('r.store_id = ?')
+      params.push(storeId)
+    }
+
+    if (from) {
+      conditions.push('r.created_at >= ?')
+      params.push(from)
+    }
+
+    if (to) {
+      conditions.push('r.created_at < ?')
+      params.push(to)
+    }
+
+    return { where: conditions.join(' AND '), params }
+  }
+
+  // Commission taken back from each staff member by refunds made in the period
+  async getCommissionReversalsByStaff(storeId, options = {}) {
+    try {
+      await this.initializeRefundDatabase()
+
+      const { where, params } = this.buildRefundFilter(storeId, options, ['si.staff_id IS NOT NULL'])
+
+      const rows = await this.db.getAllAsync(`
+        SELECT
+          si.staff_id,
+          MAX(si.staff_name) as staff_name,
+          COALESCE(SUM(ri.refund_amount), 0) as refunded_sales,
+          COALESCE(SUM(ri.commission_reversed), 0) as commission_reversed
+        FROM refund_items ri
+        JOIN refunds r ON ri.refund_id = r.id
+        JOIN sale_items si ON ri.sale_item_id = si.id
+        WHERE ${where}
+        GROUP BY si.staff_id
+      `, params)
+
+      return rows || []
+    } catch (error) {
+      console.error('Get commission reversals by staff error:', error)
+      throw error
+    }
+  }
+
+  // Returned amounts per report group, the counterpart of
+  // salesDatabaseService.getSalesBreakdown. Payment methods are the tenders
+  // the money went back through.
+  async getReturnsBreakdown(storeId, options = {}) {
+    try {
+      await this.initializeRefundDatabase()
+
+      const { breakdown = 'day' } = options
+      const { where, params } = this.buildRefundFilter(storeId, options, ["s.status != 'voided'"])
+
+      if (breakdown === 'payment_method') {
+        const rows = await this.db.getAllAsync(`
+          SELECT
+            rp.payment_method as group_key,
+            rp.payment_method as group_label,
+            COUNT(DISTINCT r.id) as refunds,
+            COALESCE(SUM(rp.amount), 0) as returns,
+            COALESCE(SUM((COALESCE(r.vatable_amount, 0) + COALESCE(r.vat_amount, 0)) * rp.amount / NULLIF(r.refund_amount, 0)), 0) as vatable_returns
+          FROM refund_payments rp
+          JOIN refunds r ON rp.refund_id = r.id
+          JOIN sales s ON r.sale_id = s.id
+          WHERE ${where}
+          GROUP BY rp.payment_method
+        `, params)
+
+        return rows || []
+      }
+
+      const group = RETURNS_BREAKDOWN_GROUPS[breakdown]
+      if (!group) {
+        throw new Error(`Unknown report breakdown: ${breakdown}`)
+      }
+
+      const rows = await this.db.getAllAsync(`
+        SELECT
+          ${group.key} as group_key,
+          ${group.label} as group_label,
+          COUNT(DISTINCT r.id) as refunds,
+          COALESCE(SUM(ri.quantity), 0) as returned_quantity,
+          COALESCE(SUM(ri.refund_amount), 0) as returns,
+          COALESCE(SUM(CASE WHEN COALESCE(ri.tax_class, 'vat') = 'vat' THEN ri.refund_amount ELSE 0 END), 0) as vatable_returns,
+          COALESCE(SUM(ri.cogs_amount), 0) as cogs_returned
+        FROM refund_items ri
+        JOIN refunds r ON ri.refund_id = r.id
+        JOIN sale_items si ON ri.sale_item_id = si.id
+        JOIN sales s ON r.sale_id = s.id
+        LEFT JOIN products p ON si.product_id = p.id
+        LEFT JOIN categories c ON p.category_id = c.id
+        WHERE ${where}
+        GROUP BY group_key
+      `, params)
+
+      return rows || []
+    } catch (error) {
+      console.error('Get returns breakdown error:', error)
+      throw error
+    }
+  }
+}
+
+// Export singleton instance
+export const refundDatabaseService = new RefundDatabaseService()
+export default refundDatabaseService
@@ -0,0 +1,105 @@
+// services/reorderService.js - Reorder suggestions from sales velocity and one-tap draft POs
+import productDatabaseService from './productDatabase'
+import salesDatabaseService from './salesDatabase'
+import refundDatabaseService from './refundDatabase'
+import purchaseOrderDatabaseService from './purchaseOrderDatabase'
+import { toReportRange } from '../utils/reportCalculations'
+import {
+  getVelocityWindow,
+  buildReorderSuggestions,
+  groupSuggestionsBySupplier
+} from '../utils/reorderCalculations'
+
+class ReorderService {
+  // Units sold per product over the window, net of returns made in it
+  async getUnitsSold(storeId, windowDays) {
+    const { fromDate, toDate } = getVelocityWindow(windowDays)
+    const range = toReportRange(fromDate, toDate)
+
+    const [sales, returns] = await Promise.all([
+      salesDatabaseService.getSalesBreakdown(storeId, { ...range, breakdown: 'product' }),
+      refundDatabaseService.getReturnsBreakdown(storeId, { ...range, breakdown: 'product' })
+    ])
+
+    const unitsSold = {}
+    sales.forEach(row => {
+      unitsSold[row.group_key] = (unitsSold[row.group_key] || 0) + (row.quantity || 0)
+    })
+    returns.forEach(row => {
+      unitsSold[row.group_key] = (unitsSold[row.group_key] || 0) - (row.returned_quantity || 0)
+    })
+
+    return unitsSold
+  }
+
+  // options: { windowDays, coverDays }
+  async getReorderSuggestions(storeId, options = {}) {
+    try {
+      const { windowDays = 30, coverDays = 7 } = options
+
+      if (!storeId) {
+        throw new Error('Store is required')
+      }
+
+      const [products, unitsSold, onOrder, suppliers] = await Promise.all([
+        productDatabaseService.getProductsByStore(storeId),
+        this.getUnitsSold(storeId, windowDays),
+        purchaseOrderDatabaseService.getOutstandingQuantitiesByProduct(storeId),
+        purchaseOrderDatabaseService.getSuppliers()
+      ])
+
+      const suggestions = buildReorderSuggestions(products, unitsSold, onOrder, { windowDays, coverDays })
+
+      console.log(`📈 Reorder suggestions for store ${storeId}: ${suggestions.length} product(s) over ${windowDays} days`)
+      return {
+        suggestions,
+        groups: groupSuggestionsBySupplier(suggestions, suppliers),
+        suppliers
+      }
+    } catch (error) {
+      console.error('Get reorder suggestions error:', error)
+      throw error
+    }
+  }
+
+  // lines: [{ product_id, preferred_supplier_id, quantity, unit_cost }]
+  // One draft PO per preferred supplier, grouped the way the suggestions are
+  // shown: lines without a quantity or an active supplier are left out and
+  // counted in `skipped`. The drafts are created all together or not at all.
+  async createDraftOrders(storeId, lines, currentUser, options = {}) {
+    try {
+      const { windowDays } = options
+      const suppliers = await purchaseOrderDatabaseService.getSuppliers()
+      const orderable = lines.filter(line => Number(line.quantity) > 0)
+      const groups = groupSuggestionsBySupplier(orderable, suppliers).filter(group => group.supplier_id)
+
+      const ordersData = groups.map(group => ({
+        supplier_id: group.supplier_id,
+        store_id: storeId,
+        notes: windowDays ? `Reorder suggestion from ${windowDays}-day sales` : 'Reorder suggestion',
+        lines: group.lines.map(line => ({
+          product_id: line.product_id,
+          quantity: Number(line.quantity),
+          unit_cost: line.unit_cost ?? 0
+        }))
+      }))
+      const skipped = lines.length - ordersData.reduce((sum, order) => sum + order.lines.length, 0)
+
+      if (ordersData.length === 0) {
+        throw new Error('Nothing to order: give the products a quantity and an active preferred supplier')
+      }
+
+      const orders = await purchaseOrderDatabaseService.createPurchaseOrders(ordersData, currentUser)
+
+      console.log(`📝 Reorder drafts created: ${orders.length} PO(s), ${skipped} line(s) skipped`)
+      return { orders, skipped }
+    } catch (error) {
+      console.error('Create reorder drafts error:', error)
+      throw error
+    }
+  }
+}
+
+// Export singleton instance
+export const reorderService = new ReorderService()
+export default reorderService
@@ -0,0 +1,1210 @@
+// services/salesDatabase.js - Local SQLite storage for completed sales
+import productDatabaseService from './productDatabase'
+import receiptJournalService from './receiptJournal'
+import posSettingsService, { isActionRestricted, OVERRIDE_APPROVER_ROLES } from './posSettings'
+import staffDatabaseService from './staffDatabase'
+import {
+  roundMoney,
+  calculateLineTotal,
+  calculateCartTotals,
+  calculateTenderSummary,
+  applyLineDiscount,
+  getDiscountTypeLabel,
+  getPriceTier
+} from '../utils/salesCalculations'
+import { resolveCommissionRule, calculateLineCommission } from '../utils/commissionCalculations'
+import loyaltyDatabaseService from './loyaltyDatabase'
+import {
+  LOYALTY_PAYMENT_METHOD,
+  resolveLoyaltyRate,
+  calculateLinePoints,
+  calculateEarnedPoints,
+  pesoToPoints,
+  calculatePointsExpiry
+} from '../utils/loyaltyCalculations'
+import chargeAccountDatabaseService from './chargeAccountDatabase'
+import { CHARGE_PAYMENT_METHOD, exceedsCreditLimit } from '../utils/chargeAccountCalculations'
+
+// Line-level report groupings; `label` is aggregated since names can change
+// between sales of the same product, category or cashier
+export const SALES_BREAKDOWN_GROUPS = {
+  day: { key: "DATE(s.created_at, 'localtime')", label: "DATE(s.created_at, 'localtime')" },
+  hour: { key: "strftime('%H', s.created_at, 'localtime')", label: "strftime('%H', s.created_at, 'localtime')" },
+  category: { key: "COALESCE(p.category_id, '')", label: "MAX(COALESCE(c.name, 'Uncategorized'))" },
+  product: { key: 'si.product_id', label: 'MAX(si.product_name)' },
+  cashier: { key: "COALESCE(s.cashier_id, '')", label: "MAX(COALESCE(s.cashier_name, 'Unknown'))" },
+  price_tier: { key: "COALESCE(si.price_tier, 'walk_in')", label: "COALESCE(si.price_tier, 'walk_in')" },
+  store: { key: 's.store_id', label: 's.store_id' }
+}
+
+class SalesDatabaseService {
+  constructor() {
+    this.db = null
+    this.isInitialized = false
+    this.initPromise = null
+  }
+
+  async initializeSalesDatabase() {
+    if (this.initPromise) {
+      return this.initPromise
+    }
+
+    if (this.isInitialized && this.db) {
+      return this.db
+    }
+
+    this.initPromise = this._initializeDatabase()
+    return this.initPromise
+  }
+
+  async _initializeDatabase() {
+    try {
+      console.log('🔧 Initializing Sales database...')
+
+      // Sales share the product database connection so a sale and the
+      // stock it consumes can be written in the same transaction
+      this.db = await productDatabaseService.initializeProductDatabase()
+
+      await this.createTables()
+
+      this.isInitialized = true
+      console.log('✅ Sales database initialized successfully!')
+
+      return this.db
+    } catch (error) {
+      console.error('❌ Sales database initialization failed:', error)
+      this.isInitialized = false
+      this.db = null
+      this.initPromise = null
+      throw error
+    }
+  }
+
+  async createTables() {
+    if (!this.db) throw new Error('Database not initialized')
+
+    // Create sales table
+    await this.db.execAsync(`
+      CREATE TABLE IF NOT EXISTS sales (
+        id TEXT PRIMARY KEY,
+        store_id TEXT NOT NULL,
+        cashier_id TEXT,
+        cashier_name TEXT,
+        customer_id TEXT,
+        customer_name TEXT,
+        customer_tin TEXT,
+        customer_address TEXT,
+        shift_id TEXT,
+        sales_staff_id TEXT,
+        sales_staff_name TEXT,
+
+        -- BIR receipt numbering
+        terminal_id TEXT,
+        document_type TEXT,
+        receipt_sequence INTEGER,
+        receipt_number TEXT,
+
+        -- Totals
+        subtotal REAL NOT NULL DEFAULT 0.00,
+        total_amount REAL NOT NULL DEFAULT 0.00,
+        item_count INTEGER DEFAULT 0,
+
+        -- VAT breakdown (prices are VAT-inclusive)
+        vatable_sales REAL DEFAULT 0.00,
+        vat_amount REAL DEFAULT 0.00,
+        vat_exempt_sales REAL DEFAULT 0.00,
+        zero_rated_sales REAL DEFAULT 0.00,
+
+        -- Senior citizen / PWD discount
+        discount_type TEXT,
+        discount_id_number TEXT,
+        discount_holder_name TEXT,
+        vat_exemption_amount REAL DEFAULT 0.00,
+        discount_amount REAL DEFAULT 0.00,
+        discount_approved_by TEXT,
+
+        price_tier TEXT DEFAULT 'walk_in',
+        payment_method TEXT DEFAULT 'cash',
+
+        -- Loyalty points for the attached customer
+        loyalty_points_earned INTEGER DEFAULT 0,
+        loyalty_points_redeemed INTEGER DEFAULT 0,
+        loyalty_balance INTEGER,
+
+        -- Supervisor or manager who let a charge go over the credit limit
+        credit_approved_by TEXT,
+
+        status TEXT DEFAULT 'completed' CHECK (status IN ('completed', 'voided', 'refunded', 'partially_refunded')),
+        notes TEXT,
+
+        -- Post-payment void
+        voided_by TEXT,
+        void_approved_by TEXT,
+        void_reason TEXT,
+        voided_at TEXT,
+
+        created_at TEXT DEFAULT (datetime('now')),
+        updated_at TEXT DEFAULT (datetime('now'))
+      );
+    `)
+
+    // Create sale items table
+    await this.db.execAsync(`
+      CREATE TABLE IF NOT EXISTS sale_items (
+        id TEXT PRIMARY KEY,
+        sale_id TEXT NOT NULL,
+        product_id TEXT NOT NULL,
+        product_name TEXT NOT NULL,
+        sku TEXT,
+        quantity INTEGER NOT NULL,
+        unit_price REAL NOT NULL,
+        line_total REAL NOT NULL,
+        price_tier TEXT DEFAULT 'walk_in',
+        tax_class TEXT DEFAULT 'vat',
+        vat_exemption_amount REAL DEFAULT 0.00,
+        discount_amount REAL DEFAULT 0.00,
+        original_unit_price REAL,
+        price_override_by TEXT,
+
+        -- Staff member credited with the line and the commission it earned
+        staff_id TEXT,
+        staff_name TEXT,
+        commission_type TEXT,
+        commission_rate REAL,
+        commission_amount REAL DEFAULT 0.00,
+
+        -- Points the line earned before the sale total is rounded down
+        loyalty_points REAL DEFAULT 0.00,
+
+        -- Average cost when the stock left the shelf; NULL if never costed
+        unit_cost REAL,
+        cogs_amount REAL,
+
+        created_at TEXT DEFAULT (datetime('now')),
+
+        FOREIGN KEY (sale_id) REFERENCES sales(id)
+      );
+    `)
+
+    // Create sale payments table (one row per tender)
+    await this.db.execAsync(`
+      CREATE TABLE IF NOT EXISTS sale_payments (
+        id TEXT PRIMARY KEY,
+        sale_id TEXT NOT NULL,
+        payment_method TEXT NOT NULL,
+        amount REAL NOT NULL,
+        reference_number TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+
+        FOREIGN KEY (sale_id) REFERENCES sales(id)
+      );
+    `)
+
+    await this.migrateTables()
+
+    // Create indexes
+    await this.db.execAsync(`
+      CREATE INDEX IF NOT EXISTS idx_sales_store_id ON sales(store_id);
+      CREATE INDEX IF NOT EXISTS idx_sales_created_at ON sales(created_at);
+      CREATE INDEX IF NOT EXISTS idx_sales_status ON sales(status);
+      CREATE INDEX IF NOT EXISTS idx_sales_cashier_id ON sales(cashier_id);
+      CREATE INDEX IF NOT EXISTS idx_sale_items_sale_id ON sale_items(sale_id);
+      CREATE INDEX IF NOT EXISTS idx_sale_items_product_id ON sale_items(product_id);
+      CREATE INDEX IF NOT EXISTS idx_sale_payments_sale_id ON sale_payments(sale_id);
+      CREATE INDEX IF NOT EXISTS idx_sale_payments_method ON sale_payments(payment_method);
+      CREATE INDEX IF NOT EXISTS idx_sale_items_price_tier ON sale_items(price_tier);
+      CREATE INDEX IF NOT EXISTS idx_sales_discount_type ON sales(discount_type);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_sales_receipt_number ON sales(store_id, receipt_number);
+      CREATE INDEX IF NOT EXISTS idx_sales_shift_id ON sales(shift_id);
+      CREATE INDEX IF NOT EXISTS idx_sales_customer_id ON sales(customer_id);
+      CREATE INDEX IF NOT EXISTS idx_sale_items_staff_id ON sale_items(staff_id);
+    `)
+
+    console.log('✅ Sales tables and indexes created')
+  }
+
+  // Columns added after the sales tables first shipped
+  async migrateTables() {
+    await productDatabaseService.addColumnIfMissing('sales', 'price_tier', "TEXT DEFAULT 'walk_in'")
+    await productDatabaseService.addColumnIfMissing('sale_items', 'price_tier', "TEXT DEFAULT 'walk_in'")
+    await productDatabaseService.addColumnIfMissing('sale_payments', 'tendered_amount', 'REAL')
+    await productDatabaseService.addColumnIfMissing('sale_payments', 'change_amount', 'REAL DEFAULT 0.00')
+    await productDatabaseService.addColumnIfMissing('sales', 'vatable_sales', 'REAL DEFAULT 0.00')
+    await productDatabaseService.addColumnIfMissing('sales', 'vat_amount', 'REAL DEFAULT 0.00')
+    await productDatabaseService.addColumnIfMissing('sales', 'vat_exempt_sales', 'REAL DEFAULT 0.00')
+    await productDatabaseService.addColumnIfMissing('sales', 'zero_rated_sales', 'REAL DEFAULT 0.00')
+    await productDatabaseService.addColumnIfMissing('sale_items', 'tax_class', "TEXT DEFAULT 'vat'")
+    await productDatabaseService.addColumnIfMissing('sales', 'discount_type', 'TEXT')
+    await productDatabaseService.addColumnIfMissing('sales', 'discount_id_number', 'TEXT')
+    await productDatabaseService.addColumnIfMissing('sales', 'discount_holder_name', 'TEXT')
+    await productDatabaseService.addColumnIfMissing('sales', 'vat_exemption_amount', 'REAL DEFAULT 0.00')
+    await productDatabaseService.addColumnIfMissing('sales', 'discount_amount', 'REAL DEFAULT 0.00')
+    await productDatabaseService.addColumnIfMissing('sale_items', 'vat_exemption_amount', 'REAL DEFAULT 0.00')
+    await productDatabaseService.addColumnIfMissing('sale_items', 'discount_amount', 'REAL DEFAULT 0.00')
+    await productDatabaseService.addColumnIfMissing('sales', 'terminal_id', 'TEXT')
+    await productDatabaseService.addColumnIfMissing('sales', 'document_type', 'TEXT')
+    await productDatabaseService.addColumnIfMissing('sales', 'receipt_sequence', 'INTEGER')
+    await productDatabaseService.addColumnIfMissing('sales', 'receipt_number', 'TEXT')
+    await productDatabaseService.addColumnIfMissing('sales', 'discount_approved_by', 'TEXT')
+    await productDatabaseService.addColumnIfMissing('sales', 'voided_by', 'TEXT')
+    await productDatabaseService.addColumnIfMissing('sales', 'void_approved_by', 'TEXT')
+    await productDatabaseService.addColumnIfMissing('sales', 'void_reason', 'TEXT')
+    await productDatabaseService.addColumnIfMissing('sales', 'voided_at', 'TEXT')
+    await productDatabaseService.addColumnIfMissing('sale_items', 'original_unit_price', 'REAL')
+    await productDatabaseService.addColumnIfMissing('sale_items', 'price_override_by', 'TEXT')
+    await productDatabaseService.addColumnIfMissing('sales', 'shift_id', 'TEXT')
+    await productDatabaseService.addColumnIfMissing('sales', 'sales_staff_id', 'TEXT')
+    await productDatabaseService.addColumnIfMissing('sales', 'sales_staff_name', 'TEXT')
+    await productDatabaseService.addColumnIfMissing('sale_items', 'staff_id', 'TEXT')
+    await productDatabaseService.addColumnIfMissing('sale_items', 'staff_name', 'TEXT')
+    await productDatabaseService.addColumnIfMissing('sale_items', 'commission_type', 'TEXT')
+    await productDatabaseService.addColumnIfMissing('sale_items', 'commission_rate', 'REAL')
+    await productDatabaseService.addColumnIfMissing('sale_items', 'commission_amount', 'REAL DEFAULT 0.00')
+    await productDatabaseService.addColumnIfMissing('sales', 'customer_id', 'TEXT')
+    await productDatabaseService.addColumnIfMissing('sales', 'customer_tin', 'TEXT')
+    await productDatabaseService.addColumnIfMissing('sales', 'customer_address', 'TEXT')
+    await productDatabaseService.addColumnIfMissing('sales', 'loyalty_points_earned', 'INTEGER DEFAULT 0')
+    await productDatabaseService.addColumnIfMissing('sales', 'loyalty_points_redeemed', 'INTEGER DEFAULT 0')
+    await productDatabaseService.addColumnIfMissing('sales', 'loyalty_balance', 'INTEGER')
+    await productDatabaseService.addColumnIfMissing('sale_items', 'loyalty_points', 'REAL DEFAULT 0.00')
+    await productDatabaseService.addColumnIfMissing('sales', 'credit_approved_by', 'TEXT')
+    await productDatabaseService.addColumnIfMissing('sale_items', 'unit_cost', 'REAL')
+    await productDatabaseService.addColumnIfMissing('sale_items', 'cogs_amount', 'REAL')
+  }
+
+  // Whoever approved an override: the manager or supervisor ringing the sale,
+  // or an active supervisor at the store. Null when the id is neither.
+  async resolveOverrideApprover(storeId, approverId, currentUser) {
+    if (!approverId) return null
+
+    if (approverId === currentUser?.id && OVERRIDE_APPROVER_ROLES.includes(currentUser?.role)) {
+      return currentUser
+    }
+
+    return staffDatabaseService.getOverrideApprover(storeId, approverId)
+  }
+
+  async createSale(saleData, currentUser) {
+    try {
+      await this.initializeSalesDatabase()
+      await receiptJournalService.initializeReceiptJournal()
+      await loyaltyDatabaseService.initializeLoyaltyDatabase()
+      await chargeAccountDatabaseService.initializeChargeAccountDatabase()
+
+      if (!saleData.store_id) {
+        throw new Error('Store ID is required')
+      }
+
+      if (!Array.isArray(saleData.items) || saleData.items.length === 0) {
+        throw new Error('A sale needs at least one item')
+      }
+
+      // Every sale is rung under a cashier shift so the drawer can be reconciled
+      if (!saleData.shift_id) {
+        throw new Error('Open a shift before ringing up sales')
+      }
+
+      // Statutory SC/PWD discounts must carry the ID holder's details for BIR
+      const discount = saleData.discount || null
+      if (discount) {
+        if (!getDiscountTypeLabel(discount.type)) {
+          throw new Error('Invalid discount type')
+        }
+        if (!discount.id_number?.trim() || !discount.holder_name?.trim()) {
+          throw new Error('ID number and name are required for SC/PWD discounts')
+        }
+      }
+
+      const settings = await posSettingsService.getSettings()
+      const now = new Date().toISOString()
+      const discountType = discount?.type || null
+      const totals = calculateCartTotals(saleData.items, discountType)
+      const priceTier = getPriceTier(saleData.price_tier).value
+
+      // Discounts over the threshold need the same approval the register asks for
+      const discountTotal = roundMoney(totals.discountAmount + totals.vatExemption)
+      const discountApprover = await this.resolveOverrideApprover(saleData.store_id, discount?.approved_by, currentUser)
+      if (discount && discountTotal > settings.discount_override_threshold &&
+        isActionRestricted(settings, 'discount') && !discountApprover) {
+        throw new Error(`A supervisor must approve discounts over ₱${Number(settings.discount_override_threshold).toFixed(2)}`)
+      }
+
+      // Only a recognised approver can let a charge go over the credit limit
+      const creditApprover = await this.resolveOverrideApprover(saleData.store_id, saleData.credit_approved_by, currentUser)
+      if (saleData.credit_approved_by && !creditApprover) {
+        throw new Error('The credit limit override was not approved by an active supervisor or manager')
+      }
+
+      const newSale = {
+        id: `sale-${Date.now()}`,
+        store_id: String(saleData.store_id),
+        cashier_id: currentUser?.id || null,
+        cashier_name: currentUser?.name || null,
+        // Customer details are copied so the receipt reprints as issued
+        customer_id: saleData.customer?.id || null,
+        customer_name: saleData.customer?.name || saleData.customer_name || null,
+        customer_tin: saleData.customer?.tin || null,
+        customer_address: saleData.customer?.address || null,
+        shift_id: saleData.shift_id,
+        // Staff member from the staff table credited with the sale, which
+        // need not be the signed-in user ringing it up
+        sales_staff_id: saleData.sales_staff_id || null,
+        sales_staff_name: saleData.sales_staff_name || null,
+        terminal_id: settings.terminal_id,
+        document_type: settings.document_type,
+        receipt_sequence: null,
+        receipt_number: null,
+        subtotal: totals.subtotal,
+        total_amount: totals.total,
+        item_count: totals.itemCount,
+        vatable_sales: totals.vatableSales,
+        vat_amount: totals.vatAmount,
+        vat_exempt_sales: totals.vatExemptSales,
+        zero_rated_sales: totals.zeroRatedSales,
+        discount_type: discountType,
+        discount_id_number: discount ? discount.id_number.trim() : null,
+        discount_holder_name: discount ? discount.holder_name.trim() : null,
+        vat_exemption_amount: totals.vatExemption,
+        discount_amount: totals.discountAmount,
+        discount_approved_by: discountApprover?.id || null,
+        price_tier: priceTier,
+        payment_method: 'cash',
+        loyalty_points_earned: 0,
+        loyalty_points_redeemed: 0,
+        loyalty_balance: null,
+        credit_approved_by: creditApprover?.id || null,
+        status: 'completed',
+        notes: saleData.notes || null,
+        created_at: now,
+        updated_at: now
+      }
+
+      // Without explicit tenders the whole total is taken in one payment method
+      const tenders = Array.isArray(saleData.payments) && saleData.payments.length > 0
+        ? saleData.payments
+        : [{
+          payment_method: saleData.payment_method || 'cash',
+          amount: newSale.total_amount,
+          reference_number: saleData.reference_number || null
+        }]
+
+      // Points are earned only on the part of the sale not paid with points
+      const loyaltyActive = settings.loyalty_enabled && !!newSale.customer_id
+      const pointsPaid = roundMoney(tenders
+        .filter(tender => tender.payment_method === LOYALTY_PAYMENT_METHOD)
+        .reduce((sum, tender) => sum + roundMoney(tender.amount), 0))
+
+      if (pointsPaid > 0 && !loyaltyActive) {
+        throw new Error(newSale.customer_id
+          ? 'Loyalty points are turned off on this register'
+          : 'Attach a customer to pay with points')
+      }
+
+      const chargeAmount = roundMoney(tenders
+        .filter(tender => tender.payment_method === CHARGE_PAYMENT_METHOD)
+        .reduce((sum, tender) => sum + roundMoney(tender.amount), 0))
+
+      if (chargeAmount > 0 && !newSale.customer_id) {
+        throw new Error('Attach a customer to charge the sale to an account')
+      }
+
+      const earningShare = newSale.total_amount > 0
+        ? (newSale.total_amount - pointsPaid) / newSale.total_amount
+        : 0
+
+      const items = saleData.items.map((item, index) => {
+        const adjusted = applyLineDiscount(item, discountType)
+
+        // A staff member picked for the line overrides the one on the sale
+        const staffId = item.staff_id || newSale.sales_staff_id
+        const staffName = item.staff_id ? item.staff_name || null : newSale.sales_staff_name
+        const commissionRule = staffId ? resolveCommissionRule(item) : null
+        const commissionAmount = calculateLineCommission({
+          quantity: item.quantity,
+          line_total: calculateLineTotal(item),
+          tax_class: adjusted.taxClass,
+          vat_exemption_amount: adjusted.vatExemption,
+          discount_amount: adjusted.discountAmount
+        }, commissionRule)
+
+        return {
+          id: `${newSale.id}-item-${index + 1}`,
+          sale_id: newSale.id,
+          product_id: item.product_id,
+          product_name: item.product_name,
+          sku: item.sku || null,
+          quantity: parseInt(item.quantity),
+          unit_price: roundMoney(item.unit_price),
+          line_total: calculateLineTotal(item),
+          price_tier: priceTier,
+          tax_class: adjusted.taxClass,
+          vat_exemption_amount: adjusted.vatExemption,
+          discount_amount: adjusted.discountAmount,
+          // Set only when the cashier changed the price with an approved override
+          original_unit_price: item.price_overridden ? roundMoney(item.original_unit_price) : null,
+          price_override_by: item.price_override_by || null,
+          staff_id: staffId || null,
+          staff_name: staffName,
+          commission_type: commissionRule?.commission_type || null,
+          commission_rate: commissionRule?.commission_rate ?? null,
+          commission_amount: commissionAmount,
+          loyalty_points: loyaltyActive
+            ? calculateLinePoints({
+              line_total: calculateLineTotal(item),
+              vat_exemption_amount: adjusted.vatExemption,
+              discount_amount: adjusted.discountAmount
+            }, resolveLoyaltyRate(item, settings.loyalty_points_per_peso), earningShare)
+            : 0,
+          created_at: now
+        }
+      })
+
+      if (loyaltyActive) {
+        newSale.loyalty_points_earned = calculateEarnedPoints(items)
+        newSale.loyalty_points_redeemed = pesoToPoints(pointsPaid, settings.loyalty_peso_per_point)
+      }
+
+      const tenderSummary = calculateTenderSummary(tenders, newSale.total_amount)
+      if (!tenderSummary.isCovered) {
+        throw new Error(tenderSummary.error)
+      }
+
+      // Change is handed back from the cash tenders only, so each cash row
+      // records what was tendered and what it actually paid toward the sale
+      let changeLeft = tenderSummary.change
+      const payments = tenders
+        .filter(tender => roundMoney(tender.amount) > 0)
+        .map((tender, index) => {
+          const tendered = roundMoney(tender.amount)
+          let change = 0
+
+          if (tender.payment_method === 'cash' && changeLeft > 0) {
+            change = roundMoney(Math.min(changeLeft, tendered))
+            changeLeft = roundMoney(changeLeft - change)
+          }
+
+          return {
+            id: `${newSale.id}-pay-${index + 1}`,
+            sale_id: newSale.id,
+            payment_method: tender.payment_method,
+            amount: roundMoney(tendered - change),
+            tendered_amount: tendered,
+            change_amount: change,
+            reference_number: tender.reference_number || null,
+            created_at: now
+          }
+        })
+        .filter(payment => payment.amount > 0)
+
+      const methods = [...new Set(payments.map(payment => payment.payment_method))]
+      newSale.payment_method = methods.length > 1 ? 'split' : methods[0]
+
+      await this.db.execAsync('BEGIN TRANSACTION')
+
+      try {
+        const shift = await this.db.getFirstAsync('SELECT status FROM shifts WHERE id = ?', [newSale.shift_id])
+        if (shift?.status !== 'open') {
+          throw new Error('The shift for this register is closed; open a new shift to continue')
+        }
+
+        const receipt = await receiptJournalService.issueReceiptNumber(
+          newSale.store_id,
+          newSale.terminal_id,
+          newSale.document_type
+        )
+        newSale.receipt_sequence = receipt.sequence
+        newSale.receipt_number = receipt.receiptNumber
+
+        // The balance is checked inside the transaction so two registers
+        // cannot both charge the last of a customer's credit
+        if (chargeAmount > 0) {
+          const account = await chargeAccountDatabaseService.getAccount(newSale.customer_id)
+
+          if (!account?.credit_limit) {
+            throw new Error(`${newSale.customer_name || 'This customer'} has no charge account`)
+          }
+
+          if (exceedsCreditLimit(account.credit_limit, account.balance, chargeAmount) && !newSale.credit_approved_by) {
+            throw new Error(`Charge exceeds ${account.customer_name}'s available credit of ₱${account.available.toFixed(2)}`)
+          }
+
+          await chargeAccountDatabaseService.recordEntry({
+            customerId: newSale.customer_id,
+            storeId: newSale.store_id,
+            entryType: 'charge',
+            amount: chargeAmount,
+            referenceType: 'sale',
+            referenceId: newSale.id,
+            shiftId: newSale.shift_id,
+            notes: `Charged on ${newSale.receipt_number}`
+          }, currentUser)
+        }
+
+        // Points post to the customer's ledger in the same transaction as the
+        // sale; expired points are written off first so they cannot be spent
+        if (loyaltyActive) {
+          await loyaltyDatabaseService.expirePoints(newSale.customer_id, newSale.store_id)
+
+          await loyaltyDatabaseService.recordEntry({
+            customerId: newSale.customer_id,
+            storeId: newSale.store_id,
+            entryType: 'redeem',
+            points: -newSale.loyalty_points_redeemed,
+            referenceType: 'sale',
+            referenceId: newSale.id,
+            notes: `Paid on ${newSale.receipt_number}`
+          }, currentUser)
+
+          await loyaltyDatabaseService.recordEntry({
+            customerId: newSale.customer_id,
+            storeId: newSale.store_id,
+            entryType: 'earn',
+            points: newSale.loyalty_points_earned,
+            referenceType: 'sale',
+            referenceId: newSale.id,
+            expiresAt: calculatePointsExpiry(now, settings.loyalty_expiry_months),
+            notes: `Earned on ${newSale.receipt_number}`
+          }, currentUser)
+
+          newSale.loyalty_balance = await loyaltyDatabaseService.getBalance(newSale.customer_id)
+        }
+
+        await this.db.runAsync(`
+          INSERT INTO sales (
+            id, store_id, cashier_id, cashier_name, customer_id, customer_name,
+            customer_tin, customer_address, shift_id, sales_staff_id, sales_staff_name,
+            terminal_id, document_type, receipt_sequence, receipt_number,
+            subtotal, total_amount, item_count, vatable_sales, vat_amount,
+            vat_exempt_sales, zero_rated_sales, discount_type, discount_id_number,
+            discount_holder_name, vat_exemption_amount, discount_amount, discount_approved_by,
+            price_tier, payment_method, loyalty_points_earned, loyalty_points_redeemed,
+            loyalty_balance, credit_approved_by, status, notes, created_at, updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          newSale.id, newSale.store_id, newSale.cashier_id, newSale.cashier_name,
+          newSale.customer_id, newSale.customer_name, newSale.customer_tin,
+          newSale.customer_address, newSale.shift_id, newSale.sales_staff_id,
+          newSale.sales_staff_name, newSale.terminal_id, newSale.document_type,
+          newSale.receipt_sequence, newSale.receipt_number, newSale.subtotal,
+          newSale.total_amount, newSale.item_count, newSale.vatable_sales,
+          newSale.vat_amount, newSale.vat_exempt_sales, newSale.zero_rated_sales,
+          newSale.discount_type, newSale.discount_id_number, newSale.discount_holder_name,
+          newSale.vat_exemption_amount, newSale.discount_amount, newSale.discount_approved_by,
+          newSale.price_tier, newSale.payment_method, newSale.loyalty_points_earned,
+          newSale.loyalty_points_redeemed, newSale.loyalty_balance, newSale.credit_approved_by,
+          newSale.status, newSale.notes,
+          newSale.created_at, newSale.updated_at
+        ])
+
+        // Deduct stock for every line; an oversell rolls the whole sale back.
+        // Each line keeps the average cost it left the shelf at for COGS.
+        for (const saleItem of items) {
+          const { movement } = await productDatabaseService.applyStockMovement({
+            productId: saleItem.product_id,
+            quantityChange: -saleItem.quantity,
+            movementType: 'out',
+            referenceType: 'sale',
+            referenceId: newSale.id,
+            storeId: newSale.store_id,
+            notes: `Sale ${newSale.id}`,
+            allowNegative: false,
+            currentUser
+          })
+
+          saleItem.unit_cost = movement.unit_cost
+          saleItem.cogs_amount = movement.total_cost
+        }
+
+        for (const saleItem of items) {
+          await this.db.runAsync(`
+            INSERT INTO sale_items (
+              id, sale_id, product_id, product_name, sku,
+              quantity, unit_price, line_total, price_tier, tax_class,
+              vat_exemption_amount, discount_amount, original_unit_price,
+              price_override_by, staff_id, staff_name, commission_type,
+              commission_rate, commission_amount, loyalty_points, unit_cost,
+              cogs_amount, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `, [
+            saleItem.id, saleItem.sale_id, saleItem.product_id, saleItem.product_name,
+            saleItem.sku, saleItem.quantity, saleItem.unit_price, saleItem.line_total,
+            saleItem.price_tier, saleItem.tax_class, saleItem.vat_exemption_amount,
+            saleItem.discount_amount, saleItem.original_unit_price,
+            saleItem.price_override_by, saleItem.staff_id, saleItem.staff_name,
+            saleItem.commission_type, saleItem.commission_rate, saleItem.commission_amount,
+            saleItem.loyalty_points, saleItem.unit_cost, saleItem.cogs_amount, saleItem.created_at
+          ])
+        }
+
+        for (const payment of payments) {
+          await this.db.runAsync(`
+            INSERT INTO sale_payments (
+              id, sale_id, payment_method, amount, tendered_amount,
+              change_amount, reference_number, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          `, [
+            payment.id, payment.sale_id, payment.payment_method, payment.amount,
+            payment.tendered_amount, payment.change_amount, payment.reference_number,
+            payment.created_at
+          ])
+        }
+
+        await receiptJournalService.appendJournalEntry({
+          storeId: newSale.store_id,
+          terminalId: newSale.terminal_id,
+          entryType: 'sale',
+          documentType: newSale.document_type,
+          receiptNumber: newSale.receipt_number,
+          referenceId: newSale.id,
+          amount: newSale.total_amount,
+          payload: { ...newSale, items, payments },
+          currentUser
+        })
+
+        await this.db.execAsync('COMMIT')
+      } catch (error) {
+        await this.db.execAsync('ROLLBACK')
+        throw error
+      }
+
+      console.log(`✅ Sale recorded: ${newSale.receipt_number} (${newSale.total_amount})`)
+      return { ...newSale, items, payments, change_amount: tenderSummary.change }
+    } catch (error) {
+      console.error('Create sale error:', error)
+      throw error
+    }
+  }
+
+  async getSaleById(saleId) {
+    try {
+      await this.initializeSalesDatabase()
+
+      const sale = await this.db.getFirstAsync('SELECT * FROM sales WHERE id = ?', [saleId])
+
+      if (!sale) {
+        return null
+      }
+
+      const items = await this.db.getAllAsync(
+        'SELECT * FROM sale_items WHERE sale_id = ? ORDER BY id ASC',
+        [saleId]
+      )
+
+      const payments = await this.db.getAllAsync(
+        'SELECT * FROM sale_payments WHERE sale_id = ? ORDER BY id ASC',
+        [saleId]
+      )
+
+      return { ...sale, items: items || [], payments: payments || [] }
+    } catch (error) {
+      console.error('Get sale by ID error:', error)
+      throw error
+    }
+  }
+
+  // Cancels a paid sale outright: stock goes back on the shelf and the void is
+  // journaled against the original receipt number, which stays issued
+  async voidSale(saleId, voidData, currentUser) {
+    try {
+      await this.initializeSalesDatabase()
+      await receiptJournalService.initializeReceiptJournal()
+      await loyaltyDatabaseService.initializeLoyaltyDatabase()
+      await chargeAccountDatabaseService.initializeChargeAccountDatabase()
+
+      const sale = await this.getSaleById(saleId)
+
+      if (!sale) {
+        throw new Error('Sale not found')
+      }
+
+      if (sale.status !== 'completed') {
+        throw new Error(`Only completed sales can be voided; this sale is ${sale.status.replace('_', ' ')}`)
+      }
+
+      if (!voidData?.reason?.trim()) {
+        throw new Error('A reason is required to void a sale')
+      }
+
+      const now = new Date().toISOString()
+      const voided = {
+        voided_by: currentUser?.id || null,
+        void_approved_by: voidData.approved_by || null,
+        void_reason: voidData.reason.trim(),
+        voided_at: now
+      }
+
+      await this.db.execAsync('BEGIN TRANSACTION')
+
+      try {
+        // A void changes its shift's totals, so it can't reach back into a
+        // shift that has been read and closed; those sales are refunded instead
+        if (sale.shift_id) {
+          const shift = await this.db.getFirstAsync('SELECT status FROM shifts WHERE id = ?', [sale.shift_id])
+          if (shift?.status !== 'open') {
+            throw new Error('This sale\'s shift is closed; refund it instead of voiding')
+          }
+        }
+
+        await this.db.runAsync(`
+          UPDATE sales
+          SET status = 'voided', voided_by = ?, void_approved_by = ?, void_reason = ?,
+            voided_at = ?, updated_at = ?
+          WHERE id = ?
+        `, [voided.voided_by, voided.void_approved_by, voided.void_reason, voided.voided_at, now, sale.id])
+
+        // Stock goes back at the cost it went out at
+        for (const saleItem of sale.items) {
+          await productDatabaseService.applyStockMovement({
+            productId: saleItem.product_id,
+            quantityChange: saleItem.quantity,
+            movementType: 'in',
+            referenceType: 'void',
+            referenceId: sale.id,
+            notes: `Void of ${sale.receipt_number || sale.id}`,
+            unitCost: saleItem.unit_cost,
+            currentUser
+          })
+        }
+
+        // Whatever was charged to the customer's account comes off it
+        const charged = roundMoney(sale.payments
+          .filter(payment => payment.payment_method === CHARGE_PAYMENT_METHOD)
+          .reduce((sum, payment) => sum + payment.amount, 0))
+
+        if (charged > 0 && sale.customer_id) {
+          await chargeAccountDatabaseService.recordEntry({
+            customerId: sale.customer_id,
+            storeId: sale.store_id,
+            entryType: 'void',
+            amount: -charged,
+            referenceType: 'sale',
+            referenceId: sale.id,
+            notes: `Void of ${sale.receipt_number || sale.id}`
+          }, currentUser)
+        }
+
+        // Points spent on the sale go back and the points it earned come off,
+        // short of whatever has expired or been spent since
+        if (sale.customer_id) {
+          const settings = await posSettingsService.getSettings()
+
+          await loyaltyDatabaseService.recordEntry({
+            customerId: sale.customer_id,
+            storeId: sale.store_id,
+            entryType: 'restore',
+            points: sale.loyalty_points_redeemed,
+            referenceType: 'sale',
+            referenceId: sale.id,
+            expiresAt: calculatePointsExpiry(now, settings.loyalty_expiry_months),
+            notes: `Void of ${sale.receipt_number || sale.id}`
+          }, currentUser)
+
+          const balance = await loyaltyDatabaseService.getBalance(sale.customer_id)
+          await loyaltyDatabaseService.recordEntry({
+            customerId: sale.customer_id,
+            storeId: sale.store_id,
+            entryType: 'reverse',
+            points: -Math.min(Number(sale.loyalty_points_earned) || 0, balance),
+            referenceType: 'sale',
+            referenceId: sale.id,
+            notes: `Void of ${sale.receipt_number || sale.id}`
+          }, currentUser)
+        }
+
+        await receiptJournalService.appendJournalEntry({
+          storeId: sale.store_id,
+          terminalId: sale.terminal_id,
+          entryType: 'void',
+          documentType: sale.document_type,
+          receiptNumber: sale.receipt_number,
+          referenceId: sale.id,
+          amount: sale.total_amount,
+          payload: { scope: 'sale', ...voided },
+          currentUser
+        })
+
+        await this.db.execAsync('COMMIT')
+      } catch (error) {
+        await this.db.execAsync('ROLLBACK')
+        throw error
+      }
+
+      console.log(`✅ Sale voided: ${sale.receipt_number || sale.id}`)
+      return { ...sale, ...voided, status: 'voided' }
+    } catch (error) {
+      console.error('Void sale error:', error)
+      throw error
+    }
+  }
+
+  // A null storeId means every store (super admin views)
+  async getRecentSales(storeId, limit = 5) {
+    try {
+      await this.initializeSalesDatabase()
+
+      let query = `
+        SELECT s.*,
+          (SELECT GROUP_CONCAT(sp.payment_method, ', ') FROM sale_payments sp WHERE sp.sale_id = s.id) as payment_methods
+        FROM sales s
+      `
+      let params = []
+
+      if (storeId) {
+        query += ' WHERE s.store_id = ?'
+        params.push(storeId)
+      }
+
+      query += ' ORDER BY s.created_at DESC LIMIT ?'
+      params.push(limit)
+
+      const sales = await this.db.getAllAsync(query, params)
+      return sales || []
+    } catch (error) {
+      console.error('Get recent sales error:', error)
+      throw error
+    }
+  }
+
+  // Every sale rung up for a customer, newest first, voids included
+  async getSalesByCustomer(customerId, limit = 50) {
+    try {
+      await this.initializeSalesDatabase()
+
+      const sales = await this.db.getAllAsync(`
+        SELECT s.*,
+          (SELECT GROUP_CONCAT(sp.payment_method, ', ') FROM sale_payments sp WHERE sp.sale_id = s.id) as payment_methods
+        FROM sales s
+        WHERE s.customer_id = ?
+        ORDER BY s.created_at DESC
+        LIMIT ?
+      `, [customerId, limit])
+
+      return sales || []
+    } catch (error) {
+      console.error('Get sales by customer error:', error)
+      throw error
+    }
+  }
+
+  async getCustomerSalesSummary(customerId) {
+    try {
+      await this.initializeSalesDatabase()
+
+      const summary = await this.db.getFirstAsync(`
+        SELECT
+          COUNT(*) as transactions,
+          COALESCE(SUM(s.total_amount), 0) as total_spent,
+          COALESCE(AVG(s.total_amount), 0) as average_sale,
+          MIN(s.created_at) as first_purchase,
+          MAX(s.created_at) as last_purchase
+        FROM sales s
+        WHERE s.customer_id = ? AND s.status != 'voided'
+      `, [customerId])
+
+      return {
+        transactions: summary?.transactions || 0,
+        total_spent: summary?.total_spent || 0,
+        average_sale: summary?.average_sale || 0,
+        first_purchase: summary?.first_purchase || null,
+        last_purchase: summary?.last_purchase || null
+      }
+    } catch (error) {
+      console.error('Get customer sales summary error:', error)
+      throw error
+    }
+  }
+
+  // Builds the shared WHERE clause for aggregate queries. Dates are ISO
+  // timestamps; `to` is exclusive. Voided sales never count toward totals.
+  // storeId may be a list for users who can see several stores.
+  buildPeriodFilter(storeId, options = {}, alias = 's') {
+    const { from, to } = options
+    const conditions = [`${alias}.status != 'voided'`]
+    const params = []
+
+    if (Array.isArray(storeId)) {
+      conditions.push(`${alias}.store_id IN (${storeId.map(() => '?').join(', ')})`)
+      params.push(...storeId)
+    } else if (storeId) {
+      conditions.push(`${alias}.store_id = ?`)
+      params.push(storeId)
+    }
+
+    if (from) {
+      conditions.push(`${alias}.created_at >= ?`)
+      params.push(from)
+    }
+
+    if (to) {
+      conditions.push(`${alias}.created_at < ?`)
+      params.push(to)
+    }
+
+    return { where: conditions.join(' AND '), params }
+  }
+
+  async getSalesSummary(storeId, options = {}) {
+    try {
+      await this.initializeSalesDatabase()
+
+      const { where, params } = this.buildPeriodFilter(storeId, options)
+
+      const summary = await this.db.getFirstAsync(`
+        SELECT
+          COUNT(*) as transactions,
+          COALESCE(SUM(s.total_amount), 0) as sales,
+          COALESCE(SUM(s.item_count), 0) as items,
+          COALESCE(AVG(s.total_amount), 0) as average_sale,
+          COALESCE(SUM(s.vatable_sales), 0) as vatable_sales,
+          COALESCE(SUM(s.vat_amount), 0) as vat_amount,
+          COALESCE(SUM(s.vat_exempt_sales), 0) as vat_exempt_sales,
+          COALESCE(SUM(s.zero_rated_sales), 0) as zero_rated_sales
+        FROM sales s
+        WHERE ${where}
+      `, params)
+
+      return {
+        transactions: summary?.transactions || 0,
+        sales: roundMoney(summary?.sales),
+        items: summary?.items || 0,
+        averageSale: roundMoney(summary?.average_sale),
+        vatableSales: roundMoney(summary?.vatable_sales),
+        vatAmount: roundMoney(summary?.vat_amount),
+        vatExemptSales: roundMoney(summary?.vat_exempt_sales),
+        zeroRatedSales: roundMoney(summary?.zero_rated_sales)
+      }
+    } catch (error) {
+      console.error('Get sales summary error:', error)
+      throw error
+    }
+  }
+
+  async getDailySales(storeId, options = {}) {
+    try {
+      await this.initializeSalesDatabase()
+
+      const { where, params } = this.buildPeriodFilter(storeId, options)
+
+      const days = await this.db.getAllAsync(`
+        SELECT
+          DATE(s.created_at, 'localtime') as sale_date,
+          COUNT(*) as transactions,
+          COALESCE(SUM(s.total_amount), 0) as sales
+        FROM sales s
+        WHERE ${where}
+        GROUP BY sale_date
+        ORDER BY sale_date ASC
+      `, params)
+
+      return days || []
+    } catch (error) {
+      console.error('Get daily sales error:', error)
+      throw error
+    }
+  }
+
+  async getTopProducts(storeId, options = {}) {
+    try {
+      await this.initializeSalesDatabase()
+
+      const { limit = 10 } = options
+      const { where, params } = this.buildPeriodFilter(storeId, options)
+
+      const products = await this.db.getAllAsync(`
+        SELECT
+          si.product_id,
+          si.product_name,
+          SUM(si.quantity) as quantity,
+          COALESCE(SUM(si.line_total), 0) as revenue
+        FROM sale_items si
+        JOIN sales s ON si.sale_id = s.id
+        WHERE ${where}
+        GROUP BY si.product_id, si.product_name
+        ORDER BY revenue DESC
+        LIMIT ?
+      `, [...params, limit])
+
+      return products || []
+    } catch (error) {
+      console.error('Get top products error:', error)
+      throw error
+    }
+  }
+
+  async getRevenueByPriceTier(storeId, options = {}) {
+    try {
+      await this.initializeSalesDatabase()
+
+      const { where, params } = this.buildPeriodFilter(storeId, options)
+
+      const tiers = await this.db.getAllAsync(`
+        SELECT
+          si.price_tier,
+          COUNT(DISTINCT s.id) as transactions,
+          SUM(si.quantity) as quantity,
+          COALESCE(SUM(si.line_total), 0) as revenue
+        FROM sale_items si
+        JOIN sales s ON si.sale_id = s.id
+        WHERE ${where}
+        GROUP BY si.price_tier
+        ORDER BY revenue DESC
+      `, params)
+
+      return tiers || []
+    } catch (error) {
+      console.error('Get revenue by price tier error:', error)
+      throw error
+    }
+  }
+
+  // Gross, SC/PWD discounts and VATable sales per report group (see
+  // SALES_BREAKDOWN_GROUPS). Payment methods take a share of each sale in
+  // proportion to what they paid, since tenders are not tied to lines.
+  async getSalesBreakdown(storeId, options = {}) {
+    try {
+      await this.initializeSalesDatabase()
+
+      const { breakdown = 'day' } = options
+      const { where, params } = this.buildPeriodFilter(storeId, options)
+
+      if (breakdown === 'payment_method') {
+        const rows = await this.db.getAllAsync(`
+          SELECT
+            sp.payment_method as group_key,
+            sp.payment_method as group_label,
+            COUNT(DISTINCT s.id) as transactions,
+            COALESCE(SUM(s.subtotal * sp.amount / NULLIF(s.total_amount, 0)), 0) as gross,
+            COALESCE(SUM((COALESCE(s.vat_exemption_amount, 0) + COALESCE(s.discount_amount, 0)) * sp.amount / NULLIF(s.total_amount, 0)), 0) as discounts,
+            COALESCE(SUM((COALESCE(s.vatable_sales, 0) + COALESCE(s.vat_amount, 0)) * sp.amount / NULLIF(s.total_amount, 0)), 0) as vatable_gross
+          FROM sale_payments sp
+          JOIN sales s ON sp.sale_id = s.id
+          WHERE ${where}
+          GROUP BY sp.payment_method
+        `, params)
+
+        return rows || []
+      }
+
+      const group = SALES_BREAKDOWN_GROUPS[breakdown]
+      if (!group) {
+        throw new Error(`Unknown report breakdown: ${breakdown}`)
+      }
+
+      const rows = await this.db.getAllAsync(`
+        SELECT
+          ${group.key} as group_key,
+          ${group.label} as group_label,
+          COUNT(DISTINCT s.id) as transactions,
+          COALESCE(SUM(si.quantity), 0) as quantity,
+          COALESCE(SUM(si.line_total), 0) as gross,
+          COALESCE(SUM(COALESCE(si.vat_exemption_amount, 0) + COALESCE(si.discount_amount, 0)), 0) as discounts,
+          COALESCE(SUM(CASE WHEN COALESCE(si.tax_class, 'vat') = 'vat'
+            THEN si.line_total - COALESCE(si.vat_exemption_amount, 0) - COALESCE(si.discount_amount, 0)
+            ELSE 0 END), 0) as vatable_gross,
+          COALESCE(SUM(si.cogs_amount), 0) as cogs,
+          COALESCE(SUM(CASE WHEN si.unit_cost IS NULL THEN si.quantity ELSE 0 END), 0) as uncosted_quantity
+        FROM sale_items si
+        JOIN sales s ON si.sale_id = s.id
+        LEFT JOIN products p ON si.product_id = p.id
+        LEFT JOIN categories c ON p.category_id = c.id
+        WHERE ${where}
+        GROUP BY group_key
+      `, params)
+
+      return rows || []
+    } catch (error) {
+      console.error('Get sales breakdown error:', error)
+      throw error
+    }
+  }
+
+  async getPaymentBreakdown(storeId, options = {}) {
+    try {
+      await this.initializeSalesDatabase()
+
+      const { where, params } = this.buildPeriodFilter(storeId, options)
+
+      const breakdown = await this.db.getAllAsync(`
+        SELECT
+          sp.payment_method,
+          COUNT(*) as tenders,
+          COALESCE(SUM(sp.amount), 0) as amount
+        FROM sale_payments sp
+        JOIN sales s ON sp.sale_id = s.id
+        WHERE ${where}
+        GROUP BY sp.payment_method
+        ORDER BY amount DESC
+      `, params)
+
+      return breakdown || []
+    } catch (error) {
+      console.error('Get payment breakdown error:', error)
+      throw error
+    }
+  }
+
+  // SC/PWD discounted transactions for the BIR discount report
+  async getDiscountedSales(storeId, options = {}) {
+    try {
+      await this.initializeSalesDatabase()
+
+      const { discountType } = options
+      const { where, params } = this.buildPeriodFilter(storeId, options)
+
+      let query = `
+        SELECT
+          s.id, s.store_id, s.receipt_number, s.created_at, s.cashier_name, s.discount_type,
+          s.discount_id_number, s.discount_holder_name, s.subtotal,
+          s.vat_exemption_amount, s.discount_amount, s.total_amount
+        FROM sales s
+        WHERE ${where} AND s.discount_type IS NOT NULL
+      `
+      const queryParams = [...params]
+
+      if (discountType) {
+        query += ' AND s.discount_type = ?'
+        queryParams.push(discountType)
+      }
+
+      query += ' ORDER BY s.created_at ASC'
+
+      const sales = await this.db.getAllAsync(query, queryParams)
+      return sales || []
+    } catch (error) {
+      console.error('Get discounted sales error:', error)
+      throw error
+    }
+  }
+
+  // Net sales and commission earned per staff member on non-voided sales
+  async getCommissionsByStaff(storeId, options = {}) {
+    try {
+      await this.initializeSalesDatabase()
+
+      const { where, params } = this.buildPeriodFilter(storeId, options)
+
+      const rows = await this.db.getAllAsync(`
+        SELECT
+          si.staff_id,
+          MAX(si.staff_name) as staff_name,
+          COUNT(*) as line_count,
+          COALESCE(SUM(si.line_total - COALESCE(si.vat_exemption_amount, 0) - COALESCE(si.discount_amount, 0)), 0) as sales,
+          COALESCE(SUM(si.commission_amount), 0) as commission
+        FROM sale_items si
+        JOIN sales s ON si.sale_id = s.id
+        WHERE ${where} AND si.staff_id IS NOT NULL
+        GROUP BY si.staff_id
+        ORDER BY commission DESC
+      `, params)
+
+      return rows || []
+    } catch (error) {
+      console.error('Get commissions by staff error:', error)
+      throw error
+    }
+  }
+}
+
+// Export singleton instance
+export const salesDatabaseService = new SalesDatabaseService()
+export default salesDatabaseService
@@ -0,0 +1,608 @@
+// services/shiftDatabase.js - Cashier shifts, drawer cash movements and X/Z register readings
+import productDatabaseService from './productDatabase'
+import salesDatabaseService from './salesDatabase'
+import refundDatabaseService from './refundDatabase'
+import receiptJournalService from './receiptJournal'
+import posSettingsService from './posSettings'
+import chargeAccountDatabaseService from './chargeAccountDatabase'
+import { roundMoney } from '../utils/salesCalculations'
+import {
+  CASH_MOVEMENT_TYPES,
+  calculateDenominationTotal,
+  calculateExpectedCash,
+  calculateCashVariance
+} from '../utils/shiftCalculations'
+
+class ShiftDatabaseService {
+  constructor() {
+    this.db = null
+    this.isInitialized = false
+    this.initPromise = null
+  }
+
+  async initializeShiftDatabase() {
+    if (this.initPromise) {
+      return this.initPromise
+    }
+
+    if (this.isInitialized && this.db) {
+      return this.db
+    }
+
+    this.initPromise = this._initializeDatabase()
+    return this.initPromise
+  }
+
+  async _initializeDatabase() {
+    try {
+      console.log('🔧 Initializing Shift database...')
+
+      // Readings total up sales, refunds, account payments and journal voids,
+      // so every table they read from must exist before the first shift report runs
+      await salesDatabaseService.initializeSalesDatabase()
+      await refundDatabaseService.initializeRefundDatabase()
+      await chargeAccountDatabaseService.initializeChargeAccountDatabase()
+      await receiptJournalService.initializeReceiptJournal()
+      this.db = await productDatabaseService.initializeProductDatabase()
+
+      await this.createTables()
+
+      this.isInitialized = true
+      console.log('✅ Shift database initialized successfully!')
+
+      return this.db
+    } catch (error) {
+      console.error('❌ Shift database initialization failed:', error)
+      this.isInitialized = false
+      this.db = null
+      this.initPromise = null
+      throw error
+    }
+  }
+
+  async createTables() {
+    if (!this.db) throw new Error('Database not initialized')
+
+    // Create shifts table
+    await this.db.execAsync(`
+      CREATE TABLE IF NOT EXISTS shifts (
+        id TEXT PRIMARY KEY,
+        store_id TEXT NOT NULL,
+        terminal_id TEXT NOT NULL,
+        cashier_id TEXT,
+        cashier_name TEXT,
+        status TEXT DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+
+        opening_float REAL NOT NULL DEFAULT 0.00,
+        expected_cash REAL,
+        counted_cash REAL,
+        cash_variance REAL,
+        denomination_counts TEXT, -- JSON { denomination: pieces }
+
+        opened_at TEXT DEFAULT (datetime('now')),
+        closed_at TEXT,
+        closed_by TEXT,
+        notes TEXT
+      );
+    `)
+
+    // Create cash movements table (paid-ins, paid-outs and cash drops)
+    await this.db.execAsync(`
+      CREATE TABLE IF NOT EXISTS cash_movements (
+        id TEXT PRIMARY KEY,
+        shift_id TEXT NOT NULL,
+        store_id TEXT NOT NULL,
+        movement_type TEXT NOT NULL CHECK (movement_type IN ('paid_in', 'paid_out', 'cash_drop')),
+        amount REAL NOT NULL,
+        reason TEXT NOT NULL,
+        created_by TEXT,
+        created_by_name TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+
+        FOREIGN KEY (shift_id) REFERENCES shifts(id)
+      );
+    `)
+
+    // Create register readings table (X per shift, Z per business day)
+    await this.db.execAsync(`
+      CREATE TABLE IF NOT EXISTS register_readings (
+        id TEXT PRIMARY KEY,
+        store_id TEXT NOT NULL,
+        terminal_id TEXT NOT NULL,
+        shift_id TEXT,
+        reading_type TEXT NOT NULL CHECK (reading_type IN ('X', 'Z')),
+        reading_number INTEGER,
+        period_start TEXT,
+        period_end TEXT,
+
+        sales_count INTEGER DEFAULT 0,
+        gross_sales REAL DEFAULT 0.00,
+        net_sales REAL DEFAULT 0.00,
+        void_amount REAL DEFAULT 0.00,
+        refund_amount REAL DEFAULT 0.00,
+        beginning_grand_total REAL DEFAULT 0.00,
+        ending_grand_total REAL DEFAULT 0.00,
+
+        payload TEXT, -- JSON of the full reading
+        created_by TEXT,
+        created_at TEXT DEFAULT (datetime('now'))
+      );
+    `)
+
+    // Create indexes
+    await this.db.execAsync(`
+      CREATE INDEX IF NOT EXISTS idx_shifts_store_terminal ON shifts(store_id, terminal_id, status);
+      CREATE INDEX IF NOT EXISTS idx_cash_movements_shift_id ON cash_movements(shift_id);
+      CREATE INDEX IF NOT EXISTS idx_readings_store_terminal ON register_readings(store_id, terminal_id, reading_type);
+    `)
+
+    console.log('✅ Shift tables and indexes created')
+  }
+
+  // The open shift on this device, if any
+  async getOpenShift(storeId) {
+    try {
+      await this.initializeShiftDatabase()
+
+      const settings = await posSettingsService.getSettings()
+      const shift = await this.db.getFirstAsync(`
+        SELECT * FROM shifts
+        WHERE store_id = ? AND terminal_id = ? AND status = 'open'
+        ORDER BY opened_at DESC LIMIT 1
+      `, [storeId, settings.terminal_id])
+
+      return shift || null
+    } catch (error) {
+      console.error('Get open shift error:', error)
+      throw error
+    }
+  }
+
+  async openShift(storeId, openingFloat, currentUser) {
+    try {
+      await this.initializeShiftDatabase()
+
+      if (!storeId) {
+        throw new Error('Store ID is required')
+      }
+
+      const float = roundMoney(openingFloat)
+      if (isNaN(parseFloat(openingFloat)) || float < 0) {
+        throw new Error('Opening float must be zero or more')
+      }
+
+      const existing = await this.getOpenShift(storeId)
+      if (existing) {
+        throw new Error(`A shift is already open on this register (${existing.cashier_name || 'unknown cashier'})`)
+      }
+
+      const settings = await posSettingsService.getSettings()
+      const shift = {
+        id: `shift-${Date.now()}`,
+        store_id: String(storeId),
+        terminal_id: settings.terminal_id,
+        cashier_id: currentUser?.id || null,
+        cashier_name: currentUser?.name || null,
+        status: 'open',
+        opening_float: float,
+        opened_at: new Date().toISOString()
+      }
+
+      await this.db.runAsync(`
+        INSERT INTO shifts (id, store_id, terminal_id, cashier_id, cashier_name, status, opening_float, opened_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        shift.id, shift.store_id, shift.terminal_id, shift.cashier_id,
+        shift.cashier_name, shift.status, shift.opening_float, shift.opened_at
+      ])
+
+      console.log(`✅ Shift opened: ${shift.id} with float ${shift.opening_float}`)
+      return shift
+    } catch (error) {
+      console.error('Open shift error:', error)
+      throw error
+    }
+  }
+
+  // movementData: { movement_type, amount, reason }
+  async recordCashMovement(shiftId, movementData, currentUser) {
+    try {
+      await this.initializeShiftDatabase()
+
+      const shift = await this.db.getFirstAsync('SELECT * FROM shifts WHERE id = ?', [shiftId])
+      if (!shift || shift.status !== 'open') {
+        throw new Error('Cash can only be moved during an open shift')
+      }
+
+      if (!CASH_MOVEMENT_TYPES.some(type => type.value === movementData.movement_type)) {
+        throw new Error('Invalid cash movement type')
+      }
+
+      const amount = roundMoney(movementData.amount)
+      if (amount <= 0) {
+        throw new Error('Amount must be greater than zero')
+      }
+
+      if (!movementData.reason?.trim()) {
+        throw new Error('A reason is required')
+      }
+
+      const movement = {
+        id: `cash-${Date.now()}`,
+        shift_id: shift.id,
+        store_id: shift.store_id,
+        movement_type: movementData.movement_type,
+        amount,
+        reason: movementData.reason.trim(),
+        created_by: currentUser?.id || null,
+        created_by_name: currentUser?.name || null,
+        created_at: new Date().toISOString()
+      }
+
+      await this.db.runAsync(`
+        INSERT INTO cash_movements (id, shift_id, store_id, movement_type, amount, reason, created_by, created_by_name, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        movement.id, movement.shift_id, movement.store_id, movement.movement_type,
+        movement.amount, movement.reason, movement.created_by, movement.created_by_name,
+        movement.created_at
+      ])
+
+      console.log(`✅ Cash movement recorded: ${movement.movement_type} ${movement.amount}`)
+      return movement
+    } catch (error) {
+      console.error('Record cash movement error:', error)
+      throw error
+    }
+  }
+
+  async getCashMovements(shiftId) {
+    try {
+      await this.initializeShiftDatabase()
+
+      const movements = await this.db.getAllAsync(
+        'SELECT * FROM cash_movements WHERE shift_id = ? ORDER BY created_at DESC',
+        [shiftId]
+      )
+      return movements || []
+    } catch (error) {
+      console.error('Get cash movements error:', error)
+      throw error
+    }
+  }
+
+  // Totals for one reading period. A shift reading filters on shift_id; a Z
+  // reading covers everything on the terminal since the previous Z.
+  async buildReadingTotals({ storeId, terminalId, shiftId = null, from = null, to }) {
+    if (!this.db) throw new Error('Database not initialized')
+
+    const scope = (alias) => (shiftId
+      ? `${alias}.shift_id = ?`
+      : `${alias}.terminal_id = ? AND ${alias}.created_at >= ? AND ${alias}.created_at < ?`)
+    const scopeParams = shiftId ? [shiftId] : [terminalId, from || '', to]
+
+    const sales = await this.db.getFirstAsync(`
+      SELECT
+        COUNT(*) as sales_count,
+        COALESCE(SUM(subtotal), 0) as gross_sales,
+        COALESCE(SUM(discount_amount), 0) as discount_amount,
+        COALESCE(SUM(vat_exemption_amount), 0) as vat_exemption_amount,
+        COALESCE(SUM(total_amount), 0) as net_sales,
+        COALESCE(SUM(vatable_sales), 0) as vatable_sales,
+        COALESCE(SUM(vat_amount), 0) as vat_amount,
+        COALESCE(SUM(vat_exempt_sales), 0) as vat_exempt_sales,
+        COALESCE(SUM(zero_rated_sales), 0) as zero_rated_sales,
+        MIN(receipt_number) as beginning_receipt,
+        MAX(receipt_number) as ending_receipt
+      FROM sales s
+      WHERE s.store_id = ? AND s.status != 'voided' AND ${scope('s')}
+    `, [storeId, ...scopeParams])
+
+    const payments = await this.db.getAllAsync(`
+      SELECT sp.payment_method, COALESCE(SUM(sp.amount), 0) as amount
+      FROM sale_payments sp
+      JOIN sales s ON sp.sale_id = s.id
+      WHERE s.store_id = ? AND s.status != 'voided' AND ${scope('s')}
+      GROUP BY sp.payment_method
+      ORDER BY amount DESC
+    `, [storeId, ...scopeParams])
+
+    const refunds = await this.db.getFirstAsync(`
+      SELECT COUNT(*) as refund_count, COALESCE(SUM(refund_amount), 0) as refund_amount
+      FROM refunds r
+      WHERE r.store_id = ? AND ${scope('r')}
+    `, [storeId, ...scopeParams])
+
+    const cashRefunds = await this.db.getFirstAsync(`
+      SELECT COALESCE(SUM(rp.amount), 0) as amount
+      FROM refund_payments rp
+      JOIN refunds r ON rp.refund_id = r.id
+      WHERE r.store_id = ? AND rp.payment_method = 'cash' AND ${scope('r')}
+    `, [storeId, ...scopeParams])
+
+    // Voids live in the journal, which covers both pre-payment and paid-sale voids
+    const voids = await this.db.getFirstAsync(`
+      SELECT COUNT(*) as void_count, COALESCE(SUM(amount), 0) as void_amount
+      FROM electronic_journal
+      WHERE store_id = ? AND terminal_id = ? AND entry_type = 'void' AND created_at >= ? AND created_at < ?
+    `, [storeId, terminalId, from || '', to])
+
+    // Cash taken on charge accounts goes into the drawer of the shift it was
+    // taken on, whichever store the customer belongs to
+    const accountPayments = await this.db.getFirstAsync(`
+      SELECT COUNT(*) as payment_count, COALESCE(SUM(-a.amount), 0) as amount
+      FROM ar_ledger a
+      WHERE a.entry_type = 'payment' AND a.payment_method = 'cash' AND ${shiftId
+        ? 'a.shift_id = ?'
+        : 'a.shift_id IN (SELECT id FROM shifts WHERE store_id = ? AND terminal_id = ?) AND a.created_at >= ? AND a.created_at < ?'}
+    `, shiftId ? [shiftId] : [storeId, terminalId, from || '', to])
+
+    const cashSales = payments.find(payment => payment.payment_method === 'cash')?.amount || 0
+
+    return {
+      sales_count: sales?.sales_count || 0,
+      gross_sales: roundMoney(sales?.gross_sales),
+      discount_amount: roundMoney(sales?.discount_amount),
+      vat_exemption_amount: roundMoney(sales?.vat_exemption_amount),
+      net_sales: roundMoney(sales?.net_sales),
+      vatable_sales: roundMoney(sales?.vatable_sales),
+      vat_amount: roundMoney(sales?.vat_amount),
+      vat_exempt_sales: roundMoney(sales?.vat_exempt_sales),
+      zero_rated_sales: roundMoney(sales?.zero_rated_sales),
+      beginning_receipt: sales?.beginning_receipt || null,
+      ending_receipt: sales?.ending_receipt || null,
+      payments: (payments || []).map(payment => ({ ...payment, amount: roundMoney(payment.amount) })),
+      refund_count: refunds?.refund_count || 0,
+      refund_amount: roundMoney(refunds?.refund_amount),
+      void_count: voids?.void_count || 0,
+      void_amount: roundMoney(voids?.void_amount),
+      cash_sales: roundMoney(cashSales),
+      cash_refunds: roundMoney(cashRefunds?.amount),
+      account_payment_count: accountPayments?.payment_count || 0,
+      cash_account_payments: roundMoney(accountPayments?.amount)
+    }
+  }
+
+  async getCashMovementTotals(shiftId) {
+    if (!this.db) throw new Error('Database not initialized')
+
+    const rows = await this.db.getAllAsync(`
+      SELECT movement_type, COALESCE(SUM(amount), 0) as amount
+      FROM cash_movements WHERE shift_id = ?
+      GROUP BY movement_type
+    `, [shiftId])
+
+    return CASH_MOVEMENT_TYPES.reduce((totals, type) => {
+      totals[type.value] = roundMoney(rows.find(row => row.movement_type === type.value)?.amount)
+      return totals
+    }, {})
+  }
+
+  // Live figures for an open shift; the expected cash is what the close compares against
+  async getShiftSummary(shiftId) {
+    try {
+      await this.initializeShiftDatabase()
+
+      const shift = await this.db.getFirstAsync('SELECT * FROM shifts WHERE id = ?', [shiftId])
+      if (!shift) {
+        throw new Error('Shift not found')
+      }
+
+      const to = shift.closed_at || new Date().toISOString()
+      const totals = await this.buildReadingTotals({
+        storeId: shift.store_id,
+        terminalId: shift.terminal_id,
+        shiftId: shift.id,
+        from: shift.opened_at,
+        to
+      })
+      const cashMovements = await this.getCashMovementTotals(shift.id)
+
+      const expectedCash = calculateExpectedCash({
+        opening_float: shift.opening_float,
+        cash_sales: totals.cash_sales,
+        cash_refunds: totals.cash_refunds,
+        cash_account_payments: totals.cash_account_payments,
+        ...cashMovements
+      })
+
+      return { shift, totals, cashMovements, expectedCash, periodEnd: to }
+    } catch (error) {
+      console.error('Get shift summary error:', error)
+      throw error
+    }
+  }
+
+  async saveReading(reading) {
+    if (!this.db) throw new Error('Database not initialized')
+
+    await this.db.runAsync(`
+      INSERT INTO register_readings (
+        id, store_id, terminal_id, shift_id, reading_type, reading_number,
+        period_start, period_end, sales_count, gross_sales, net_sales,
+        void_amount, refund_amount, beginning_grand_total, ending_grand_total,
+        payload, created_by, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      reading.id, reading.store_id, reading.terminal_id, reading.shift_id,
+      reading.reading_type, reading.reading_number, reading.period_start,
+      reading.period_end, reading.sales_count, reading.gross_sales, reading.net_sales,
+      reading.void_amount, reading.refund_amount, reading.beginning_grand_total,
+      reading.ending_grand_total, JSON.stringify(reading), reading.created_by,
+      reading.created_at
+    ])
+
+    return reading
+  }
+
+  // X-reading: a shift report that can be taken any time without resetting anything
+  async generateXReading(shiftId, currentUser) {
+    try {
+      const summary = await this.getShiftSummary(shiftId)
+      const { shift } = summary
+      const accumulators = await receiptJournalService.getAccumulators(shift.store_id, shift.terminal_id)
+
+      const reading = {
+        id: `reading-${Date.now()}`,
+        store_id: shift.store_id,
+        terminal_id: shift.terminal_id,
+        shift_id: shift.id,
+        reading_type: 'X',
+        reading_number: null,
+        period_start: shift.opened_at,
+        period_end: summary.periodEnd,
+        cashier_name: shift.cashier_name,
+        ...summary.totals,
+        opening_float: shift.opening_float,
+        ...summary.cashMovements,
+        expected_cash: summary.expectedCash,
+        counted_cash: shift.counted_cash,
+        cash_variance: shift.cash_variance,
+        beginning_grand_total: null,
+        ending_grand_total: accumulators.grandTotal,
+        created_by: currentUser?.id || null,
+        created_at: new Date().toISOString()
+      }
+
+      await this.saveReading(reading)
+
+      console.log(`✅ X-reading taken for shift ${shift.id}`)
+      return reading
+    } catch (error) {
+      console.error('Generate X-reading error:', error)
+      throw error
+    }
+  }
+
+  // closeData: { denomination_counts: { [denomination]: pieces }, notes }
+  // The expected cash, the close and the X-reading are taken together so a
+  // sale can't slip in between them and a failed reading leaves the shift open
+  async closeShift(shiftId, closeData, currentUser) {
+    try {
+      await this.initializeShiftDatabase()
+
+      await this.db.execAsync('BEGIN TRANSACTION')
+
+      let closed
+      try {
+        const shift = await this.db.getFirstAsync('SELECT * FROM shifts WHERE id = ?', [shiftId])
+        if (!shift || shift.status !== 'open') {
+          throw new Error('This shift is already closed')
+        }
+
+        const summary = await this.getShiftSummary(shiftId)
+        const countedCash = calculateDenominationTotal(closeData.denomination_counts)
+        const variance = calculateCashVariance(countedCash, summary.expectedCash)
+        const now = new Date().toISOString()
+
+        const result = await this.db.runAsync(`
+          UPDATE shifts
+          SET status = 'closed', expected_cash = ?, counted_cash = ?, cash_variance = ?,
+            denomination_counts = ?, closed_at = ?, closed_by = ?, notes = ?
+          WHERE id = ? AND status = 'open'
+        `, [
+          summary.expectedCash, countedCash, variance,
+          JSON.stringify(closeData.denomination_counts || {}), now,
+          currentUser?.id || null, closeData.notes?.trim() || null, shift.id
+        ])
+
+        if (result.changes !== 1) {
+          throw new Error('This shift is already closed')
+        }
+
+        const reading = await this.generateXReading(shift.id, currentUser)
+        closed = { expectedCash: summary.expectedCash, countedCash, variance, reading }
+
+        await this.db.execAsync('COMMIT')
+      } catch (error) {
+        await this.db.execAsync('ROLLBACK')
+        throw error
+      }
+
+      console.log(`✅ Shift closed: ${shiftId} (variance ${closed.variance})`)
+      return closed
+    } catch (error) {
+      console.error('Close shift error:', error)
+      throw error
+    }
+  }
+
+  async getLastZReading(storeId, terminalId) {
+    try {
+      await this.initializeShiftDatabase()
+
+      const reading = await this.db.getFirstAsync(`
+        SELECT * FROM register_readings
+        WHERE store_id = ? AND terminal_id = ? AND reading_type = 'Z'
+        ORDER BY reading_number DESC LIMIT 1
+      `, [storeId, terminalId])
+
+      return reading ? JSON.parse(reading.payload) : null
+    } catch (error) {
+      console.error('Get last Z-reading error:', error)
+      throw error
+    }
+  }
+
+  // Z-reading: end-of-day totals since the previous Z. The daily counters
+  // start over from here; the journal's grand accumulator never does.
+  async generateZReading(storeId, currentUser) {
+    try {
+      await this.initializeShiftDatabase()
+
+      const openShift = await this.getOpenShift(storeId)
+      if (openShift) {
+        throw new Error('Close the open shift before taking the Z-reading')
+      }
+
+      const settings = await posSettingsService.getSettings()
+      const terminalId = settings.terminal_id
+      const previous = await this.getLastZReading(storeId, terminalId)
+      const now = new Date().toISOString()
+      const from = previous?.period_end || null
+
+      const totals = await this.buildReadingTotals({ storeId, terminalId, from, to: now })
+
+      const shifts = await this.db.getAllAsync(`
+        SELECT * FROM shifts
+        WHERE store_id = ? AND terminal_id = ? AND status = 'closed' AND closed_at >= ? AND closed_at < ?
+      `, [storeId, terminalId, from || '', now])
+
+      const sumShifts = (field) => roundMoney(shifts.reduce((sum, shift) => sum + (Number(shift[field]) || 0), 0))
+      const accumulators = await receiptJournalService.getAccumulators(storeId, terminalId)
+
+      const reading = {
+        id: `reading-${Date.now()}`,
+        store_id: storeId,
+        terminal_id: terminalId,
+        shift_id: null,
+        reading_type: 'Z',
+        reading_number: (previous?.reading_number || 0) + 1,
+        period_start: from,
+        period_end: now,
+        shift_count: shifts.length,
+        ...totals,
+        opening_float: sumShifts('opening_float'),
+        expected_cash: sumShifts('expected_cash'),
+        counted_cash: sumShifts('counted_cash'),
+        cash_variance: sumShifts('cash_variance'),
+        beginning_grand_total: previous?.ending_grand_total || 0,
+        ending_grand_total: accumulators.grandTotal,
+        created_by: currentUser?.id || null,
+        created_at: now
+      }
+
+      await this.saveReading(reading)
+
+      console.log(`✅ Z-reading #${reading.reading_number} taken for ${terminalId}`)
+      return reading
+    } catch (error) {
+      console.error('Generate Z-reading error:', error)
+      throw error
+    }
+  }
+}
+
+// Export singleton instance
+export const shiftDatabaseService = new ShiftDatabaseService()
+export default shiftDatabaseService
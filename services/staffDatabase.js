@@ -525,6 +525,61 @@ class StaffDatabaseService {
     }
   }
 
+  // Find the active supervisor at a store whose staff ID and passcode approve an override
+  async verifyOverridePasscode(storeId, staffCode, passcode) {
+    try {
+      const approver = await this.verifyStaffPasscode(storeId, staffCode, passcode)
+      return approver?.role === 'supervisor' ? approver : null
+    } catch (error) {
+      console.error('Verify override passcode error:', error)
+      throw error
+    }
+  }
+
+  // The active supervisor at a store recorded as approving an override
+  async getOverrideApprover(storeId, staffId) {
+    try {
+      await this.ensureInitialized()
+
+      if (!storeId || !staffId) {
+        return null
+      }
+
+      const approver = await this.db.getFirstAsync(`
+        SELECT id, staff_id, name, role, store_id
+        FROM staff
+        WHERE id = ? AND store_id = ? AND role = 'supervisor' AND is_active = 1
+      `, [staffId, storeId])
+
+      return approver || null
+    } catch (error) {
+      console.error('Get override approver error:', error)
+      throw error
+    }
+  }
+
+  // Find the active staff member at a store matching a staff ID and passcode
+  async verifyStaffPasscode(storeId, staffCode, passcode) {
+    try {
+      await this.ensureInitialized()
+
+      if (!storeId || !String(staffCode || '').trim() || !String(passcode || '').trim()) {
+        return null
+      }
+
+      const staff = await this.db.getFirstAsync(`
+        SELECT id, staff_id, name, role, store_id
+        FROM staff
+        WHERE store_id = ? AND staff_id = ? AND passcode = ? AND is_active = 1
+      `, [storeId, String(staffCode).trim(), String(passcode).trim()])
+
+      return staff || null
+    } catch (error) {
+      console.error('Verify staff passcode error:', error)
+      throw error
+    }
+  }
+
   // Get staff stats by store
   async getStaffStatsByStore(storeId) {
     try {
@@ -603,6 +658,19 @@ class StaffDatabaseService {
     }
   }
 
+  // Get store by ID
+  async getStoreById(storeId) {
+    try {
+      await this.ensureInitialized()
+      
+      const store = await this.db.getFirstAsync('SELECT * FROM stores WHERE id = ?', [storeId])
+      return store || null
+    } catch (error) {
+      console.error('Get store by ID error:', error)
+      throw error
+    }
+  }
+
   // Clear data (for testing)
   async clearAllStaff() {
     try {
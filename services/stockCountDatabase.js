@@ -0,0 +1,585 @@
+// services/stockCountDatabase.js - Cycle count sessions: frozen expectations, counts and variance posting
+import productDatabaseService from './productDatabase'
+import {
+  getCountStatus,
+  buildVarianceReport,
+  calculateLineVariance,
+  getLineExpectedQuantity,
+  isLineCounted,
+  matchCountLine,
+  validateCountEntry
+} from '../utils/stockCountCalculations'
+
+class StockCountDatabaseService {
+  constructor() {
+    this.db = null
+    this.isInitialized = false
+    this.initPromise = null
+  }
+
+  async initializeStockCountDatabase() {
+    if (this.initPromise) {
+      return this.initPromise
+    }
+
+    if (this.isInitialized && this.db) {
+      return this.db
+    }
+
+    this.initPromise = this._initializeDatabase()
+    return this.initPromise
+  }
+
+  async _initializeDatabase() {
+    try {
+      console.log('🔧 Initializing Stock count database...')
+
+      // Posting adjusts product stock, so counts share the product database
+      this.db = await productDatabaseService.initializeProductDatabase()
+
+      await this.createTables()
+
+      this.isInitialized = true
+      console.log('✅ Stock count database initialized successfully!')
+
+      return this.db
+    } catch (error) {
+      console.error('❌ Stock count database initialization failed:', error)
+      this.isInitialized = false
+      this.db = null
+      this.initPromise = null
+      throw error
+    }
+  }
+
+  async createTables() {
+    if (!this.db) throw new Error('Database not initialized')
+
+    // store_id is null for a full-catalog count across every store
+    await this.db.execAsync(`
+      CREATE TABLE IF NOT EXISTS stock_counts (
+        id TEXT PRIMARY KEY,
+        count_number TEXT UNIQUE NOT NULL,
+        store_id TEXT,
+        scope TEXT NOT NULL CHECK (scope IN ('category', 'store', 'catalog')),
+        category_id TEXT,
+        status TEXT DEFAULT 'counting' CHECK (status IN ('counting', 'review', 'posted', 'cancelled')),
+        notes TEXT,
+        started_by TEXT,
+        started_by_name TEXT,
+        started_at TEXT NOT NULL,
+        submitted_at TEXT,
+        posted_by TEXT,
+        posted_by_name TEXT,
+        posted_at TEXT,
+        cancelled_at TEXT,
+        cancel_reason TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        updated_at TEXT DEFAULT (datetime('now'))
+      );
+    `)
+
+    // expected_quantity and unit_cost are frozen when the session starts;
+    // counted_quantity is the running total of every counter's entries and
+    // moved_quantity the net stock movement between the freeze and the latest one
+    await this.db.execAsync(`
+      CREATE TABLE IF NOT EXISTS stock_count_lines (
+        id TEXT PRIMARY KEY,
+        count_id TEXT NOT NULL,
+        product_id TEXT NOT NULL,
+        store_id TEXT NOT NULL,
+        product_name TEXT NOT NULL,
+        sku TEXT,
+        barcode TEXT,
+        expected_quantity INTEGER NOT NULL,
+        unit_cost REAL,
+        counted_quantity INTEGER,
+        moved_quantity INTEGER DEFAULT 0,
+        is_approved INTEGER DEFAULT 1,
+        posted_quantity INTEGER,
+        updated_at TEXT DEFAULT (datetime('now')),
+
+        FOREIGN KEY (count_id) REFERENCES stock_counts(id),
+        FOREIGN KEY (product_id) REFERENCES products(id)
+      );
+    `)
+
+    await this.db.execAsync(`
+      CREATE TABLE IF NOT EXISTS stock_count_entries (
+        id TEXT PRIMARY KEY,
+        count_id TEXT NOT NULL,
+        line_id TEXT NOT NULL,
+        quantity INTEGER NOT NULL,
+        counter_id TEXT,
+        counter_name TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+
+        FOREIGN KEY (count_id) REFERENCES stock_counts(id),
+        FOREIGN KEY (line_id) REFERENCES stock_count_lines(id)
+      );
+    `)
+
+    await this.db.execAsync(`
+      CREATE INDEX IF NOT EXISTS idx_stock_counts_store ON stock_counts(store_id, status);
+      CREATE INDEX IF NOT EXISTS idx_stock_count_lines_count ON stock_count_lines(count_id);
+      CREATE INDEX IF NOT EXISTS idx_stock_count_entries_line ON stock_count_entries(line_id);
+    `)
+
+    console.log('✅ Stock count tables and indexes created')
+  }
+
+  async getNextCountNumber() {
+    if (!this.db) throw new Error('Database not initialized')
+
+    const result = await this.db.getFirstAsync('SELECT COUNT(*) as count FROM stock_counts')
+    return `SC-${String((result?.count || 0) + 1).padStart(6, '0')}`
+  }
+
+  // countData: { scope, store_id, category_id, notes }
+  // Freezes on-hand and average cost for every active product in scope.
+  async startCount(countData, currentUser) {
+    try {
+      await this.initializeStockCountDatabase()
+
+      const { scope } = countData
+      const storeId = countData.store_id ? String(countData.store_id) : null
+
+      if (!['category', 'store', 'catalog'].includes(scope)) {
+        throw new Error('Choose what to count')
+      }
+
+      if (scope !== 'catalog' && !storeId) {
+        throw new Error('Store is required')
+      }
+
+      if (scope === 'category' && !countData.category_id) {
+        throw new Error('Choose a category to count')
+      }
+
+      let query = 'SELECT id, name, sku, barcode, store_id, stock_quantity, average_cost FROM products WHERE is_active = 1'
+      const params = []
+
+      if (scope !== 'catalog') {
+        query += ' AND store_id = ?'
+        params.push(storeId)
+      }
+
+      if (scope === 'category') {
+        query += ' AND category_id = ?'
+        params.push(countData.category_id)
+      }
+
+      const products = await this.db.getAllAsync(query + ' ORDER BY name ASC', params)
+
+      if (!products || products.length === 0) {
+        throw new Error('There are no products to count in this scope')
+      }
+
+      const now = new Date().toISOString()
+      const countId = `count-${Date.now()}`
+
+      await this.db.execAsync('BEGIN TRANSACTION')
+
+      let newCount
+      try {
+        newCount = {
+          id: countId,
+          count_number: await this.getNextCountNumber(),
+          store_id: scope === 'catalog' ? null : storeId,
+          scope,
+          category_id: scope === 'category' ? countData.category_id : null,
+          status: 'counting',
+          notes: String(countData.notes || '').trim() || null,
+          started_by: currentUser?.id || null,
+          started_by_name: currentUser?.name || null,
+          started_at: now,
+          created_at: now,
+          updated_at: now
+        }
+
+        await this.db.runAsync(`
+          INSERT INTO stock_counts (
+            id, count_number, store_id, scope, category_id, status, notes,
+            started_by, started_by_name, started_at, created_at, updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          newCount.id, newCount.count_number, newCount.store_id, newCount.scope,
+          newCount.category_id, newCount.status, newCount.notes, newCount.started_by,
+          newCount.started_by_name, newCount.started_at, newCount.created_at, newCount.updated_at
+        ])
+
+        for (const [index, product] of products.entries()) {
+          await this.db.runAsync(`
+            INSERT INTO stock_count_lines (
+              id, count_id, product_id, store_id, product_name, sku, barcode,
+              expected_quantity, unit_cost, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `, [
+            `${countId}-line-${index + 1}`, countId, product.id, product.store_id,
+            product.name, product.sku || null, product.barcode || null,
+            product.stock_quantity || 0, product.average_cost ?? null, now
+          ])
+        }
+
+        await this.db.execAsync('COMMIT')
+      } catch (error) {
+        await this.db.execAsync('ROLLBACK')
+        throw error
+      }
+
+      console.log(`📋 Stock count started: ${newCount.count_number} (${products.length} products)`)
+      return newCount
+    } catch (error) {
+      console.error('Start stock count error:', error)
+      throw error
+    }
+  }
+
+  // Sessions for a store, including full-catalog counts. options: { status }
+  async getCounts(storeId, options = {}) {
+    try {
+      await this.initializeStockCountDatabase()
+
+      const { status } = options
+      const conditions = []
+      const params = []
+
+      if (storeId) {
+        conditions.push('(sc.store_id = ? OR sc.store_id IS NULL)')
+        params.push(String(storeId))
+      }
+
+      if (Array.isArray(status)) {
+        conditions.push(`sc.status IN (${status.map(() => '?').join(', ')})`)
+        params.push(...status)
+      } else if (status) {
+        conditions.push('sc.status = ?')
+        params.push(status)
+      }
+
+      const counts = await this.db.getAllAsync(`
+        SELECT sc.*, c.name as category_name,
+          COUNT(scl.id) as line_count,
+          SUM(CASE WHEN scl.counted_quantity IS NOT NULL THEN 1 ELSE 0 END) as counted_lines
+        FROM stock_counts sc
+        LEFT JOIN categories c ON sc.category_id = c.id
+        LEFT JOIN stock_count_lines scl ON scl.count_id = sc.id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        GROUP BY sc.id
+        ORDER BY sc.started_at DESC
+      `, params)
+
+      return counts || []
+    } catch (error) {
+      console.error('Get stock counts error:', error)
+      throw error
+    }
+  }
+
+  async getCountById(countId) {
+    try {
+      await this.initializeStockCountDatabase()
+
+      const count = await this.db.getFirstAsync(`
+        SELECT sc.*, c.name as category_name
+        FROM stock_counts sc
+        LEFT JOIN categories c ON sc.category_id = c.id
+        WHERE sc.id = ?
+      `, [countId])
+
+      if (!count) {
+        return null
+      }
+
+      const lines = await this.db.getAllAsync(`
+        SELECT scl.*,
+          (SELECT COUNT(DISTINCT sce.counter_id) FROM stock_count_entries sce WHERE sce.line_id = scl.id) as counter_count
+        FROM stock_count_lines scl
+        WHERE scl.count_id = ?
+        ORDER BY scl.product_name ASC
+      `, [countId])
+
+      return { ...count, lines: lines || [] }
+    } catch (error) {
+      console.error('Get stock count error:', error)
+      throw error
+    }
+  }
+
+  async getCountEntries(countId, lineId = null) {
+    try {
+      await this.initializeStockCountDatabase()
+
+      let query = `
+        SELECT sce.*, scl.product_name
+        FROM stock_count_entries sce
+        JOIN stock_count_lines scl ON sce.line_id = scl.id
+        WHERE sce.count_id = ?
+      `
+      const params = [countId]
+
+      if (lineId) {
+        query += ' AND sce.line_id = ?'
+        params.push(lineId)
+      }
+
+      const entries = await this.db.getAllAsync(query + ' ORDER BY sce.created_at DESC', params)
+      return entries || []
+    } catch (error) {
+      console.error('Get stock count entries error:', error)
+      throw error
+    }
+  }
+
+  // Net stock movement for a product after the freeze, up to and including `until`
+  async getMovedQuantity(productId, since, until) {
+    const result = await this.db.getFirstAsync(`
+      SELECT COALESCE(SUM(quantity), 0) as moved
+      FROM inventory_movements
+      WHERE product_id = ? AND created_at > ? AND created_at <= ?
+    `, [productId, since, until])
+
+    return result?.moved || 0
+  }
+
+  async getOpenCount(countId, expectedStatus) {
+    const count = await this.getCountById(countId)
+
+    if (!count) {
+      throw new Error('Stock count not found')
+    }
+
+    if (count.status !== expectedStatus) {
+      throw new Error(`This count is ${getCountStatus(count.status).label.toLowerCase()}`)
+    }
+
+    return count
+  }
+
+  // entryData: { line_id } or { code } from a barcode scan, plus quantity.
+  // Entries add up, so several counters can work different shelves of the
+  // same product; a negative entry corrects a mis-scan. Each entry snapshots
+  // the stock moved since the freeze, so the line is compared against what
+  // should have been on the shelf when it was counted.
+  async addCountEntry(countId, entryData, currentUser) {
+    try {
+      const count = await this.getOpenCount(countId, 'counting')
+
+      const line = entryData.line_id
+        ? count.lines.find(countLine => countLine.id === entryData.line_id)
+        : matchCountLine(count.lines, entryData.code)
+
+      if (!line) {
+        throw new Error(entryData.code
+          ? `No product in this count matches "${String(entryData.code).trim()}"`
+          : 'Product is not part of this count')
+      }
+
+      const quantity = Number(entryData.quantity ?? 1)
+      const entryError = validateCountEntry(line, quantity)
+      if (entryError) {
+        throw new Error(entryError)
+      }
+
+      const now = new Date().toISOString()
+      const countedQuantity = (line.counted_quantity || 0) + quantity
+
+      await this.db.execAsync('BEGIN TRANSACTION')
+
+      let movedQuantity
+      try {
+        movedQuantity = await this.getMovedQuantity(line.product_id, count.started_at, now)
+
+        await this.db.runAsync(`
+          INSERT INTO stock_count_entries (
+            id, count_id, line_id, quantity, counter_id, counter_name, created_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [
+          `count-entry-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+          count.id, line.id, quantity, currentUser?.id || null, currentUser?.name || null, now
+        ])
+
+        await this.db.runAsync(
+          'UPDATE stock_count_lines SET counted_quantity = ?, moved_quantity = ?, updated_at = ? WHERE id = ?',
+          [countedQuantity, movedQuantity, now, line.id]
+        )
+
+        await this.db.execAsync('COMMIT')
+      } catch (error) {
+        await this.db.execAsync('ROLLBACK')
+        throw error
+      }
+
+      return { ...line, counted_quantity: countedQuantity, moved_quantity: movedQuantity }
+    } catch (error) {
+      console.error('Add stock count entry error:', error)
+      throw error
+    }
+  }
+
+  // Counting stops and the variance report is open for approval
+  async submitCount(countId) {
+    try {
+      const count = await this.getOpenCount(countId, 'counting')
+
+      if (!count.lines.some(line => line.counted_quantity !== null)) {
+        throw new Error('Nothing has been counted yet')
+      }
+
+      const now = new Date().toISOString()
+      await this.db.runAsync(
+        "UPDATE stock_counts SET status = 'review', submitted_at = ?, updated_at = ? WHERE id = ?",
+        [now, now, count.id]
+      )
+
+      console.log(`📋 Stock count submitted for review: ${count.count_number}`)
+      return { ...count, status: 'review', submitted_at: now }
+    } catch (error) {
+      console.error('Submit stock count error:', error)
+      throw error
+    }
+  }
+
+  // Back to counting when review turns up lines that need a recount
+  async reopenCount(countId) {
+    try {
+      const count = await this.getOpenCount(countId, 'review')
+
+      const now = new Date().toISOString()
+      await this.db.runAsync(
+        "UPDATE stock_counts SET status = 'counting', submitted_at = NULL, updated_at = ? WHERE id = ?",
+        [now, count.id]
+      )
+
+      console.log(`📋 Stock count reopened: ${count.count_number}`)
+      return { ...count, status: 'counting', submitted_at: null }
+    } catch (error) {
+      console.error('Reopen stock count error:', error)
+      throw error
+    }
+  }
+
+  async setLineApproval(countId, lineId, approved) {
+    try {
+      await this.getOpenCount(countId, 'review')
+
+      await this.db.runAsync(
+        'UPDATE stock_count_lines SET is_approved = ?, updated_at = ? WHERE id = ? AND count_id = ?',
+        [approved ? 1 : 0, new Date().toISOString(), lineId, countId]
+      )
+    } catch (error) {
+      console.error('Set stock count approval error:', error)
+      throw error
+    }
+  }
+
+  async getVarianceReport(countId, options = {}) {
+    const count = await this.getCountById(countId)
+
+    if (!count) {
+      throw new Error('Stock count not found')
+    }
+
+    return { count, ...buildVarianceReport(count.lines, options) }
+  }
+
+  // Posts every approved variance as one 'adjustment' per product, applied
+  // to current stock rather than overwriting it. A line's variance is taken
+  // against the frozen quantity plus the movements snapshotted at its latest
+  // entry, so sales and receipts booked between the freeze and the count
+  // aren't counted twice, and those booked after the count still stand.
+  // Zeroed uncounted lines stand for an empty shelf now, so they take every
+  // movement up to posting.
+  async postCount(countId, options = {}, currentUser) {
+    try {
+      const count = await this.getOpenCount(countId, 'review')
+      const { zeroUncounted = false } = options
+      const now = new Date().toISOString()
+
+      const approved = []
+      for (const line of count.lines.filter(countLine => countLine.is_approved)) {
+        approved.push(isLineCounted(line)
+          ? line
+          : { ...line, moved_quantity: await this.getMovedQuantity(line.product_id, count.started_at, now) })
+      }
+
+      const toPost = approved
+        .map(line => ({ ...line, variance: calculateLineVariance(line, { zeroUncounted }) }))
+        .filter(line => line.variance !== 0)
+
+      await this.db.execAsync('BEGIN TRANSACTION')
+
+      try {
+        for (const line of toPost) {
+          await productDatabaseService.applyStockMovement({
+            productId: line.product_id,
+            quantityChange: line.variance,
+            movementType: 'adjustment',
+            referenceType: 'stock_count',
+            referenceId: count.id,
+            storeId: line.store_id,
+            notes: `${count.count_number}: counted ${line.counted_quantity ?? 0}, expected ${getLineExpectedQuantity(line)}`,
+            currentUser
+          })
+
+          await this.db.runAsync(
+            'UPDATE stock_count_lines SET posted_quantity = ?, updated_at = ? WHERE id = ?',
+            [line.variance, now, line.id]
+          )
+        }
+
+        await this.db.runAsync(`
+          UPDATE stock_counts
+          SET status = 'posted', posted_by = ?, posted_by_name = ?, posted_at = ?, updated_at = ?
+          WHERE id = ?
+        `, [currentUser?.id || null, currentUser?.name || null, now, now, count.id])
+
+        await this.db.execAsync('COMMIT')
+      } catch (error) {
+        await this.db.execAsync('ROLLBACK')
+        throw error
+      }
+
+      console.log(`✅ Stock count posted: ${count.count_number} (${toPost.length} adjustment(s))`)
+      return { ...count, status: 'posted', posted_at: now, adjustments: toPost.length }
+    } catch (error) {
+      console.error('Post stock count error:', error)
+      throw error
+    }
+  }
+
+  async cancelCount(countId, reason) {
+    try {
+      const count = await this.getCountById(countId)
+
+      if (!count) {
+        throw new Error('Stock count not found')
+      }
+
+      if (!['counting', 'review'].includes(count.status)) {
+        throw new Error(`This count is already ${getCountStatus(count.status).label.toLowerCase()}`)
+      }
+
+      if (!reason?.trim()) {
+        throw new Error('A reason is required')
+      }
+
+      const now = new Date().toISOString()
+      await this.db.runAsync(`
+        UPDATE stock_counts
+        SET status = 'cancelled', cancelled_at = ?, cancel_reason = ?, updated_at = ?
+        WHERE id = ?
+      `, [now, reason.trim(), now, count.id])
+
+      console.log(`🚫 Stock count cancelled: ${count.count_number}`)
+      return { ...count, status: 'cancelled', cancelled_at: now, cancel_reason: reason.trim() }
+    } catch (error) {
+      console.error('Cancel stock count error:', error)
+      throw error
+    }
+  }
+}
+
+// Export singleton instance
+export const stockCountDatabaseService = new StockCountDatabaseService()
+export default stockCountDatabaseService
@@ -0,0 +1,419 @@
+// services/timeClockDatabase.js - Staff clock in/out and break punches with manager corrections
+import staffDatabaseService from './staffDatabase'
+import { getAllowedPunches, getPunchLabel } from '../utils/timeClockCalculations'
+
+const PUNCH_TYPE_VALUES = ['clock_in', 'break_start', 'break_end', 'clock_out']
+
+class TimeClockDatabaseService {
+  constructor() {
+    this.db = null
+    this.isInitialized = false
+    this.initPromise = null
+  }
+
+  async initializeTimeClockDatabase() {
+    if (this.initPromise) {
+      return this.initPromise
+    }
+
+    if (this.isInitialized && this.db) {
+      return this.db
+    }
+
+    this.initPromise = this._initializeDatabase()
+    return this.initPromise
+  }
+
+  async _initializeDatabase() {
+    try {
+      console.log('🔧 Initializing Time clock database...')
+
+      // Punches live next to the staff table they belong to
+      this.db = await staffDatabaseService.initializeStaffDatabase()
+
+      await this.createTables()
+
+      this.isInitialized = true
+      console.log('✅ Time clock database initialized successfully!')
+
+      return this.db
+    } catch (error) {
+      console.error('❌ Time clock database initialization failed:', error)
+      this.isInitialized = false
+      this.db = null
+      this.initPromise = null
+      throw error
+    }
+  }
+
+  async createTables() {
+    if (!this.db) throw new Error('Database not initialized')
+
+    // Create time entries table (one row per punch)
+    await this.db.execAsync(`
+      CREATE TABLE IF NOT EXISTS time_entries (
+        id TEXT PRIMARY KEY,
+        staff_id TEXT NOT NULL,
+        staff_code TEXT,
+        staff_name TEXT,
+        store_id TEXT NOT NULL,
+        entry_type TEXT NOT NULL CHECK (entry_type IN ('clock_in', 'break_start', 'break_end', 'clock_out')),
+        punched_at TEXT NOT NULL,
+        source TEXT DEFAULT 'clock' CHECK (source IN ('clock', 'manual')),
+        is_edited INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT (datetime('now')),
+        updated_at TEXT DEFAULT (datetime('now'))
+      );
+    `)
+
+    // Create time entry edits table (audit trail of manager corrections)
+    await this.db.execAsync(`
+      CREATE TABLE IF NOT EXISTS time_entry_edits (
+        id TEXT PRIMARY KEY,
+        time_entry_id TEXT NOT NULL,
+        staff_id TEXT NOT NULL,
+        store_id TEXT NOT NULL,
+        change_type TEXT NOT NULL CHECK (change_type IN ('edit', 'add')),
+        previous_punched_at TEXT,
+        new_punched_at TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        edited_by TEXT,
+        edited_by_name TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        FOREIGN KEY (time_entry_id) REFERENCES time_entries (id)
+      );
+    `)
+
+    await this.db.execAsync(`
+      CREATE INDEX IF NOT EXISTS idx_time_entries_staff_punched ON time_entries(staff_id, punched_at);
+      CREATE INDEX IF NOT EXISTS idx_time_entries_store_punched ON time_entries(store_id, punched_at);
+      CREATE INDEX IF NOT EXISTS idx_time_entry_edits_entry ON time_entry_edits(time_entry_id);
+    `)
+
+    console.log('✅ Time clock tables and indexes created')
+  }
+
+  async getLastPunch(staffId) {
+    if (!this.db) throw new Error('Database not initialized')
+
+    return this.db.getFirstAsync(`
+      SELECT * FROM time_entries
+      WHERE staff_id = ?
+      ORDER BY punched_at DESC
+      LIMIT 1
+    `, [staffId])
+  }
+
+  // punchData: { staff_code, passcode, entry_type }
+  async recordPunch(storeId, punchData) {
+    try {
+      await this.initializeTimeClockDatabase()
+
+      if (!storeId) {
+        throw new Error('Store ID is required')
+      }
+
+      if (!PUNCH_TYPE_VALUES.includes(punchData.entry_type)) {
+        throw new Error('Invalid punch type')
+      }
+
+      const staffCode = String(punchData.staff_code || '').trim()
+      const passcode = String(punchData.passcode || '').trim()
+
+      if (!staffCode || !passcode) {
+        throw new Error('Staff ID and passcode are required')
+      }
+
+      const staff = await this.db.getFirstAsync(`
+        SELECT id, staff_id, name, store_id, role
+        FROM staff
+        WHERE staff_id = ? AND passcode = ? AND is_active = 1
+      `, [staffCode, passcode])
+
+      if (!staff) {
+        throw new Error('Invalid staff ID or passcode')
+      }
+
+      if (String(staff.store_id) !== String(storeId)) {
+        throw new Error(`${staff.name} is not assigned to this store`)
+      }
+
+      const lastPunch = await this.getLastPunch(staff.id)
+
+      if (!getAllowedPunches(lastPunch?.entry_type).includes(punchData.entry_type)) {
+        throw new Error(lastPunch
+          ? `${staff.name} cannot ${getPunchLabel(punchData.entry_type).toLowerCase()} after ${getPunchLabel(lastPunch.entry_type).toLowerCase()}`
+          : `${staff.name} must clock in first`)
+      }
+
+      const now = new Date().toISOString()
+      const entry = {
+        id: `time-${Date.now()}`,
+        staff_id: staff.id,
+        staff_code: staff.staff_id,
+        staff_name: staff.name,
+        store_id: String(storeId),
+        entry_type: punchData.entry_type,
+        punched_at: now,
+        source: 'clock',
+        created_at: now,
+        updated_at: now
+      }
+
+      await this.db.runAsync(`
+        INSERT INTO time_entries (
+          id, staff_id, staff_code, staff_name, store_id, entry_type,
+          punched_at, source, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        entry.id, entry.staff_id, entry.staff_code, entry.staff_name, entry.store_id,
+        entry.entry_type, entry.punched_at, entry.source, entry.created_at, entry.updated_at
+      ])
+
+      console.log(`✅ ${getPunchLabel(entry.entry_type)}: ${staff.name}`)
+      return entry
+    } catch (error) {
+      console.error('Record punch error:', error)
+      throw error
+    }
+  }
+
+  // Staff whose latest punch leaves them on the clock
+  async getClockedInStaff(storeId) {
+    try {
+      await this.initializeTimeClockDatabase()
+
+      const rows = await this.db.getAllAsync(`
+        SELECT t.*
+        FROM time_entries t
+        WHERE t.store_id = ?
+          AND t.punched_at = (
+            SELECT MAX(latest.punched_at) FROM time_entries latest WHERE latest.staff_id = t.staff_id
+          )
+          AND t.entry_type != 'clock_out'
+        ORDER BY t.staff_name ASC
+      `, [storeId])
+
+      return rows || []
+    } catch (error) {
+      console.error('Get clocked in staff error:', error)
+      throw error
+    }
+  }
+
+  // storeId null returns every store (super admin)
+  async getTimeEntries(storeId, from, to) {
+    try {
+      await this.initializeTimeClockDatabase()
+
+      const conditions = ['punched_at >= ?', 'punched_at < ?']
+      const params = [from, to]
+
+      if (storeId) {
+        conditions.push('store_id = ?')
+        params.push(storeId)
+      }
+
+      const rows = await this.db.getAllAsync(`
+        SELECT * FROM time_entries
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY punched_at ASC
+      `, params)
+
+      return rows || []
+    } catch (error) {
+      console.error('Get time entries error:', error)
+      throw error
+    }
+  }
+
+  // Corrected punches must stay in sequence with the staff member's other punches
+  async assertPunchFits(staffId, entryType, punchedAt, excludeId = null) {
+    const previous = await this.db.getFirstAsync(`
+      SELECT * FROM time_entries
+      WHERE staff_id = ? AND punched_at < ? AND id != ?
+      ORDER BY punched_at DESC
+      LIMIT 1
+    `, [staffId, punchedAt, excludeId || ''])
+
+    const next = await this.db.getFirstAsync(`
+      SELECT * FROM time_entries
+      WHERE staff_id = ? AND punched_at > ? AND id != ?
+      ORDER BY punched_at ASC
+      LIMIT 1
+    `, [staffId, punchedAt, excludeId || ''])
+
+    if (!getAllowedPunches(previous?.entry_type).includes(entryType)) {
+      throw new Error(previous
+        ? `${getPunchLabel(entryType)} cannot follow ${getPunchLabel(previous.entry_type).toLowerCase()} at ${new Date(previous.punched_at).toLocaleString()}`
+        : `${getPunchLabel(entryType)} needs an earlier clock in`)
+    }
+
+    if (next && !getAllowedPunches(entryType).includes(next.entry_type)) {
+      throw new Error(`${getPunchLabel(entryType)} cannot come before ${getPunchLabel(next.entry_type).toLowerCase()} at ${new Date(next.punched_at).toLocaleString()}`)
+    }
+  }
+
+  validateCorrection(punchedAt, reason) {
+    const time = new Date(punchedAt)
+
+    if (isNaN(time.getTime())) {
+      throw new Error('Enter a valid date and time')
+    }
+
+    if (time.getTime() > Date.now()) {
+      throw new Error('Punch time cannot be in the future')
+    }
+
+    if (!String(reason || '').trim()) {
+      throw new Error('A reason is required when correcting punches')
+    }
+
+    return time.toISOString()
+  }
+
+  async updateTimeEntry(entryId, punchedAt, reason, currentUser) {
+    try {
+      await this.initializeTimeClockDatabase()
+
+      const entry = await this.db.getFirstAsync('SELECT * FROM time_entries WHERE id = ?', [entryId])
+
+      if (!entry) {
+        throw new Error('Time entry not found')
+      }
+
+      const newPunchedAt = this.validateCorrection(punchedAt, reason)
+      await this.assertPunchFits(entry.staff_id, entry.entry_type, newPunchedAt, entry.id)
+
+      const now = new Date().toISOString()
+
+      await this.db.execAsync('BEGIN TRANSACTION')
+
+      try {
+        await this.db.runAsync(`
+          UPDATE time_entries
+          SET punched_at = ?, is_edited = 1, updated_at = ?
+          WHERE id = ?
+        `, [newPunchedAt, now, entry.id])
+
+        await this.db.runAsync(`
+          INSERT INTO time_entry_edits (
+            id, time_entry_id, staff_id, store_id, change_type, previous_punched_at,
+            new_punched_at, reason, edited_by, edited_by_name, created_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          `tedit-${Date.now()}`, entry.id, entry.staff_id, entry.store_id, 'edit',
+          entry.punched_at, newPunchedAt, reason.trim(), currentUser?.id || null,
+          currentUser?.name || null, now
+        ])
+
+        await this.db.execAsync('COMMIT')
+      } catch (error) {
+        await this.db.execAsync('ROLLBACK')
+        throw error
+      }
+
+      console.log(`✅ Time entry corrected: ${entry.staff_name} ${getPunchLabel(entry.entry_type)}`)
+      return { ...entry, punched_at: newPunchedAt, is_edited: 1, updated_at: now }
+    } catch (error) {
+      console.error('Update time entry error:', error)
+      throw error
+    }
+  }
+
+  // Adds a punch the staff member forgot, e.g. a missing clock-out
+  async addTimeEntry(staffId, entryType, punchedAt, reason, currentUser) {
+    try {
+      await this.initializeTimeClockDatabase()
+
+      if (!PUNCH_TYPE_VALUES.includes(entryType)) {
+        throw new Error('Invalid punch type')
+      }
+
+      const staff = await this.db.getFirstAsync(
+        'SELECT id, staff_id, name, store_id FROM staff WHERE id = ?',
+        [staffId]
+      )
+
+      if (!staff) {
+        throw new Error('Staff member not found')
+      }
+
+      const newPunchedAt = this.validateCorrection(punchedAt, reason)
+      await this.assertPunchFits(staff.id, entryType, newPunchedAt)
+
+      const now = new Date().toISOString()
+      const entry = {
+        id: `time-${Date.now()}`,
+        staff_id: staff.id,
+        staff_code: staff.staff_id,
+        staff_name: staff.name,
+        store_id: String(staff.store_id),
+        entry_type: entryType,
+        punched_at: newPunchedAt,
+        source: 'manual',
+        is_edited: 1,
+        created_at: now,
+        updated_at: now
+      }
+
+      await this.db.execAsync('BEGIN TRANSACTION')
+
+      try {
+        await this.db.runAsync(`
+          INSERT INTO time_entries (
+            id, staff_id, staff_code, staff_name, store_id, entry_type,
+            punched_at, source, is_edited, created_at, updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          entry.id, entry.staff_id, entry.staff_code, entry.staff_name, entry.store_id,
+          entry.entry_type, entry.punched_at, entry.source, entry.is_edited,
+          entry.created_at, entry.updated_at
+        ])
+
+        await this.db.runAsync(`
+          INSERT INTO time_entry_edits (
+            id, time_entry_id, staff_id, store_id, change_type, previous_punched_at,
+            new_punched_at, reason, edited_by, edited_by_name, created_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          `tedit-${Date.now()}`, entry.id, entry.staff_id, entry.store_id, 'add',
+          null, newPunchedAt, reason.trim(), currentUser?.id || null,
+          currentUser?.name || null, now
+        ])
+
+        await this.db.execAsync('COMMIT')
+      } catch (error) {
+        await this.db.execAsync('ROLLBACK')
+        throw error
+      }
+
+      console.log(`✅ Time entry added: ${staff.name} ${getPunchLabel(entryType)}`)
+      return entry
+    } catch (error) {
+      console.error('Add time entry error:', error)
+      throw error
+    }
+  }
+
+  async getTimeEntryEdits(entryId) {
+    try {
+      await this.initializeTimeClockDatabase()
+
+      const edits = await this.db.getAllAsync(`
+        SELECT * FROM time_entry_edits
+        WHERE time_entry_id = ?
+        ORDER BY created_at DESC
+      `, [entryId])
+
+      return edits || []
+    } catch (error) {
+      console.error('Get time entry edits error:', error)
+      throw error
+    }
+  }
+}
+
+// Export singleton instance
+export const timeClockDatabaseService = new TimeClockDatabaseService()
+export default timeClockDatabaseService
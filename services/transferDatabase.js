@@ -0,0 +1,564 @@
+// services/transferDatabase.js - Inter-store stock transfers with paired transfer movements
+import productDatabaseService from './productDatabase'
+import {
+  getTransferStatus,
+  canTransitionTransfer,
+  canTransferStock,
+  calculateLineDiscrepancy,
+  calculateTransferTotals,
+  validateTransferLines,
+  validateTransferReceipt
+} from '../utils/transferCalculations'
+
+class TransferDatabaseService {
+  constructor() {
+    this.db = null
+    this.isInitialized = false
+    this.initPromise = null
+  }
+
+  async initializeTransferDatabase() {
+    if (this.initPromise) {
+      return this.initPromise
+    }
+
+    if (this.isInitialized && this.db) {
+      return this.db
+    }
+
+    this.initPromise = this._initializeDatabase()
+    return this.initPromise
+  }
+
+  async _initializeDatabase() {
+    try {
+      console.log('🔧 Initializing Transfer database...')
+
+      // Transfers move stock between product rows, so they share the product database
+      this.db = await productDatabaseService.initializeProductDatabase()
+
+      await this.createTables()
+
+      this.isInitialized = true
+      console.log('✅ Transfer database initialized successfully!')
+
+      return this.db
+    } catch (error) {
+      console.error('❌ Transfer database initialization failed:', error)
+      this.isInitialized = false
+      this.db = null
+      this.initPromise = null
+      throw error
+    }
+  }
+
+  async createTables() {
+    if (!this.db) throw new Error('Database not initialized')
+
+    // discrepancy_status is null until a receipt doesn't match what was sent,
+    // then 'open' until a manager writes the difference off or returns it
+    await this.db.execAsync(`
+      CREATE TABLE IF NOT EXISTS stock_transfers (
+        id TEXT PRIMARY KEY,
+        transfer_number TEXT UNIQUE NOT NULL,
+        from_store_id TEXT NOT NULL,
+        to_store_id TEXT NOT NULL,
+        status TEXT DEFAULT 'dispatched' CHECK (status IN ('dispatched', 'in_transit', 'received', 'cancelled')),
+        notes TEXT,
+        dispatched_by TEXT,
+        dispatched_by_name TEXT,
+        dispatched_at TEXT NOT NULL,
+        in_transit_at TEXT,
+        received_by TEXT,
+        received_by_name TEXT,
+        received_at TEXT,
+        cancelled_at TEXT,
+        cancel_reason TEXT,
+        discrepancy_status TEXT CHECK (discrepancy_status IN ('open', 'written_off', 'returned')),
+        discrepancy_notes TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+        updated_at TEXT DEFAULT (datetime('now'))
+      );
+    `)
+
+    // Each line pairs the sending store's product row with the receiving
+    // store's row for the same item
+    await this.db.execAsync(`
+      CREATE TABLE IF NOT EXISTS stock_transfer_lines (
+        id TEXT PRIMARY KEY,
+        transfer_id TEXT NOT NULL,
+        from_product_id TEXT NOT NULL,
+        to_product_id TEXT NOT NULL,
+        product_name TEXT NOT NULL,
+        sku TEXT,
+        quantity_sent INTEGER NOT NULL,
+        quantity_received INTEGER,
+        unit_cost REAL,
+        discrepancy_reason TEXT,
+        created_at TEXT DEFAULT (datetime('now')),
+
+        FOREIGN KEY (transfer_id) REFERENCES stock_transfers(id),
+        FOREIGN KEY (from_product_id) REFERENCES products(id),
+        FOREIGN KEY (to_product_id) REFERENCES products(id)
+      );
+    `)
+
+    await this.db.execAsync(`
+      CREATE INDEX IF NOT EXISTS idx_stock_transfers_from ON stock_transfers(from_store_id, status);
+      CREATE INDEX IF NOT EXISTS idx_stock_transfers_to ON stock_transfers(to_store_id, status);
+      CREATE INDEX IF NOT EXISTS idx_stock_transfer_lines_transfer ON stock_transfer_lines(transfer_id);
+    `)
+
+    console.log('✅ Transfer tables and indexes created')
+  }
+
+  assertCanTransfer(currentUser) {
+    if (!canTransferStock(currentUser)) {
+      throw new Error('Only managers with company-wide access can transfer stock between stores')
+    }
+  }
+
+  async getNextTransferNumber() {
+    if (!this.db) throw new Error('Database not initialized')
+
+    const result = await this.db.getFirstAsync('SELECT COUNT(*) as count FROM stock_transfers')
+    return `TR-${String((result?.count || 0) + 1).padStart(6, '0')}`
+  }
+
+  // The receiving store's row for the same item: barcode first, then name.
+  // SKUs are unique per row, so they can't be used to pair stores.
+  async findMatchingProduct(storeId, product) {
+    if (!this.db) throw new Error('Database not initialized')
+
+    if (product.barcode) {
+      const byBarcode = await this.db.getFirstAsync(
+        'SELECT id, name FROM products WHERE store_id = ? AND barcode = ? AND is_active = 1',
+        [String(storeId), product.barcode]
+      )
+      if (byBarcode) return byBarcode
+    }
+
+    const byName = await this.db.getFirstAsync(
+      'SELECT id, name FROM products WHERE store_id = ? AND LOWER(name) = LOWER(?) AND is_active = 1',
+      [String(storeId), product.name]
+    )
+    return byName || null
+  }
+
+  // Transfers going out of or coming into a store. options: { status, direction: 'out' | 'in' }
+  async getTransfers(storeId, options = {}) {
+    try {
+      await this.initializeTransferDatabase()
+
+      const { status, direction } = options
+      const conditions = []
+      const params = []
+
+      if (storeId) {
+        if (direction === 'out') {
+          conditions.push('st.from_store_id = ?')
+          params.push(String(storeId))
+        } else if (direction === 'in') {
+          conditions.push('st.to_store_id = ?')
+          params.push(String(storeId))
+        } else {
+          conditions.push('(st.from_store_id = ? OR st.to_store_id = ?)')
+          params.push(String(storeId), String(storeId))
+        }
+      }
+
+      if (Array.isArray(status)) {
+        conditions.push(`st.status IN (${status.map(() => '?').join(', ')})`)
+        params.push(...status)
+      } else if (status) {
+        conditions.push('st.status = ?')
+        params.push(status)
+      }
+
+      const transfers = await this.db.getAllAsync(`
+        SELECT st.*,
+          COUNT(stl.id) as line_count,
+          COALESCE(SUM(stl.quantity_sent), 0) as quantity_sent,
+          SUM(stl.quantity_received) as quantity_received
+        FROM stock_transfers st
+        LEFT JOIN stock_transfer_lines stl ON stl.transfer_id = st.id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        GROUP BY st.id
+        ORDER BY st.dispatched_at DESC
+      `, params)
+
+      return transfers || []
+    } catch (error) {
+      console.error('Get transfers error:', error)
+      throw error
+    }
+  }
+
+  async getTransferById(transferId) {
+    try {
+      await this.initializeTransferDatabase()
+
+      const transfer = await this.db.getFirstAsync('SELECT * FROM stock_transfers WHERE id = ?', [transferId])
+
+      if (!transfer) {
+        return null
+      }
+
+      const lines = await this.db.getAllAsync(
+        'SELECT * FROM stock_transfer_lines WHERE transfer_id = ? ORDER BY id ASC',
+        [transferId]
+      )
+
+      return { ...transfer, lines: lines || [], totals: calculateTransferTotals(lines || []) }
+    } catch (error) {
+      console.error('Get transfer error:', error)
+      throw error
+    }
+  }
+
+  // transferData: { from_store_id, to_store_id, notes, lines: [{ product_id, quantity }] }
+  // Dispatching takes the stock out of the sending store straight away; it is
+  // in neither store's count until the receiving store books it in.
+  async createTransfer(transferData, currentUser) {
+    try {
+      await this.initializeTransferDatabase()
+      this.assertCanTransfer(currentUser)
+
+      const fromStoreId = transferData.from_store_id ? String(transferData.from_store_id) : null
+      const toStoreId = transferData.to_store_id ? String(transferData.to_store_id) : null
+      const lines = transferData.lines || []
+
+      const lineError = validateTransferLines(fromStoreId, toStoreId, lines)
+      if (lineError) {
+        throw new Error(lineError)
+      }
+
+      const now = new Date().toISOString()
+      const transferId = `transfer-${Date.now()}`
+
+      const pairedLines = []
+      for (const [index, line] of lines.entries()) {
+        const product = await this.db.getFirstAsync(
+          'SELECT id, name, sku, barcode, store_id FROM products WHERE id = ?',
+          [line.product_id]
+        )
+
+        if (!product || product.store_id !== fromStoreId) {
+          throw new Error('Every product on the transfer must belong to the sending store')
+        }
+
+        const match = await this.findMatchingProduct(toStoreId, product)
+        if (!match) {
+          throw new Error(`${product.name} isn't set up at the receiving store yet`)
+        }
+
+        pairedLines.push({
+          id: `${transferId}-line-${index + 1}`,
+          transfer_id: transferId,
+          from_product_id: product.id,
+          to_product_id: match.id,
+          product_name: product.name,
+          sku: product.sku || null,
+          quantity_sent: Number(line.quantity),
+          created_at: now
+        })
+      }
+
+      await this.db.execAsync('BEGIN TRANSACTION')
+
+      let newTransfer
+      try {
+        newTransfer = {
+          id: transferId,
+          transfer_number: await this.getNextTransferNumber(),
+          from_store_id: fromStoreId,
+          to_store_id: toStoreId,
+          status: 'dispatched',
+          notes: String(transferData.notes || '').trim() || null,
+          dispatched_by: currentUser?.id || null,
+          dispatched_by_name: currentUser?.name || null,
+          dispatched_at: now,
+          created_at: now,
+          updated_at: now
+        }
+
+        await this.db.runAsync(`
+          INSERT INTO stock_transfers (
+            id, transfer_number, from_store_id, to_store_id, status, notes,
+            dispatched_by, dispatched_by_name, dispatched_at, created_at, updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          newTransfer.id, newTransfer.transfer_number, newTransfer.from_store_id,
+          newTransfer.to_store_id, newTransfer.status, newTransfer.notes,
+          newTransfer.dispatched_by, newTransfer.dispatched_by_name, newTransfer.dispatched_at,
+          newTransfer.created_at, newTransfer.updated_at
+        ])
+
+        for (const line of pairedLines) {
+          const { movement } = await productDatabaseService.applyStockMovement({
+            productId: line.from_product_id,
+            quantityChange: -line.quantity_sent,
+            movementType: 'transfer',
+            referenceType: 'transfer',
+            referenceId: transferId,
+            storeId: fromStoreId,
+            notes: `${newTransfer.transfer_number} to store ${toStoreId}`,
+            allowNegative: false,
+            currentUser
+          })
+
+          // The receiving store takes the units in at what they cost the sender
+          line.unit_cost = movement.unit_cost
+
+          await this.db.runAsync(`
+            INSERT INTO stock_transfer_lines (
+              id, transfer_id, from_product_id, to_product_id, product_name, sku,
+              quantity_sent, unit_cost, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `, [
+            line.id, line.transfer_id, line.from_product_id, line.to_product_id,
+            line.product_name, line.sku, line.quantity_sent, line.unit_cost, line.created_at
+          ])
+        }
+
+        await this.db.execAsync('COMMIT')
+      } catch (error) {
+        await this.db.execAsync('ROLLBACK')
+        throw error
+      }
+
+      console.log(`🚚 Transfer dispatched: ${newTransfer.transfer_number} (${pairedLines.length} line(s))`)
+      return { ...newTransfer, lines: pairedLines, totals: calculateTransferTotals(pairedLines) }
+    } catch (error) {
+      console.error('Create transfer error:', error)
+      throw error
+    }
+  }
+
+  async getTransferForTransition(transferId, nextStatus) {
+    const transfer = await this.getTransferById(transferId)
+
+    if (!transfer) {
+      throw new Error('Transfer not found')
+    }
+
+    if (!canTransitionTransfer(transfer.status, nextStatus)) {
+      throw new Error(`A ${getTransferStatus(transfer.status).label.toLowerCase()} transfer can't be marked ${getTransferStatus(nextStatus).label.toLowerCase()}`)
+    }
+
+    return transfer
+  }
+
+  async markInTransit(transferId, currentUser) {
+    try {
+      this.assertCanTransfer(currentUser)
+      const transfer = await this.getTransferForTransition(transferId, 'in_transit')
+
+      const now = new Date().toISOString()
+      await this.db.runAsync(
+        "UPDATE stock_transfers SET status = 'in_transit', in_transit_at = ?, updated_at = ? WHERE id = ?",
+        [now, now, transfer.id]
+      )
+
+      console.log(`🚚 Transfer in transit: ${transfer.transfer_number}`)
+      return { ...transfer, status: 'in_transit', in_transit_at: now }
+    } catch (error) {
+      console.error('Mark transfer in transit error:', error)
+      throw error
+    }
+  }
+
+  // Puts the stock back into the sending store at the cost it left at
+  async cancelTransfer(transferId, reason, currentUser) {
+    try {
+      this.assertCanTransfer(currentUser)
+      const transfer = await this.getTransferForTransition(transferId, 'cancelled')
+
+      if (!reason?.trim()) {
+        throw new Error('A reason is required')
+      }
+
+      const now = new Date().toISOString()
+
+      await this.db.execAsync('BEGIN TRANSACTION')
+
+      try {
+        for (const line of transfer.lines) {
+          await productDatabaseService.applyStockMovement({
+            productId: line.from_product_id,
+            quantityChange: line.quantity_sent,
+            movementType: 'transfer',
+            referenceType: 'transfer',
+            referenceId: transfer.id,
+            storeId: transfer.from_store_id,
+            notes: `${transfer.transfer_number} cancelled - ${reason.trim()}`,
+            unitCost: line.unit_cost,
+            currentUser
+          })
+        }
+
+        await this.db.runAsync(`
+          UPDATE stock_transfers
+          SET status = 'cancelled', cancelled_at = ?, cancel_reason = ?, updated_at = ?
+          WHERE id = ?
+        `, [now, reason.trim(), now, transfer.id])
+
+        await this.db.execAsync('COMMIT')
+      } catch (error) {
+        await this.db.execAsync('ROLLBACK')
+        throw error
+      }
+
+      console.log(`🚫 Transfer cancelled: ${transfer.transfer_number}`)
+      return await this.getTransferById(transfer.id)
+    } catch (error) {
+      console.error('Cancel transfer error:', error)
+      throw error
+    }
+  }
+
+  // receipt: [{ line_id, quantity_received, reason }] for every line. The
+  // receiving store is credited with what actually arrived; any difference
+  // from what was sent leaves the transfer with an open discrepancy.
+  async receiveTransfer(transferId, receipt, currentUser) {
+    try {
+      this.assertCanTransfer(currentUser)
+      const transfer = await this.getTransferForTransition(transferId, 'received')
+
+      const receiptError = validateTransferReceipt(transfer.lines, receipt)
+      if (receiptError) {
+        throw new Error(receiptError)
+      }
+
+      const now = new Date().toISOString()
+      const receivedLines = transfer.lines.map(line => {
+        const row = receipt.find(entry => entry.line_id === line.id)
+        const quantityReceived = Number(row.quantity_received)
+        return {
+          ...line,
+          quantity_received: quantityReceived,
+          discrepancy_reason: quantityReceived !== line.quantity_sent ? String(row.reason).trim() : null
+        }
+      })
+      const hasDiscrepancy = receivedLines.some(line => calculateLineDiscrepancy(line) !== 0)
+
+      await this.db.execAsync('BEGIN TRANSACTION')
+
+      try {
+        for (const line of receivedLines) {
+          if (line.quantity_received > 0) {
+            await productDatabaseService.applyStockMovement({
+              productId: line.to_product_id,
+              quantityChange: line.quantity_received,
+              movementType: 'transfer',
+              referenceType: 'transfer',
+              referenceId: transfer.id,
+              storeId: transfer.to_store_id,
+              notes: `${transfer.transfer_number} from store ${transfer.from_store_id}`,
+              unitCost: line.unit_cost,
+              currentUser
+            })
+          }
+
+          await this.db.runAsync(
+            'UPDATE stock_transfer_lines SET quantity_received = ?, discrepancy_reason = ? WHERE id = ?',
+            [line.quantity_received, line.discrepancy_reason, line.id]
+          )
+        }
+
+        await this.db.runAsync(`
+          UPDATE stock_transfers
+          SET status = 'received', received_by = ?, received_by_name = ?, received_at = ?,
+            discrepancy_status = ?, updated_at = ?
+          WHERE id = ?
+        `, [
+          currentUser?.id || null, currentUser?.name || null, now,
+          hasDiscrepancy ? 'open' : null, now, transfer.id
+        ])
+
+        await this.db.execAsync('COMMIT')
+      } catch (error) {
+        await this.db.execAsync('ROLLBACK')
+        throw error
+      }
+
+      console.log(`📦 Transfer received: ${transfer.transfer_number}${hasDiscrepancy ? ' with discrepancies' : ''}`)
+      return await this.getTransferById(transfer.id)
+    } catch (error) {
+      console.error('Receive transfer error:', error)
+      throw error
+    }
+  }
+
+  // 'written_off' accepts the difference as it stands. 'returned' is for units
+  // that never left: short quantities go back into the sending store.
+  async resolveDiscrepancy(transferId, resolution, notes, currentUser) {
+    try {
+      this.assertCanTransfer(currentUser)
+      const transfer = await this.getTransferById(transferId)
+
+      if (!transfer) {
+        throw new Error('Transfer not found')
+      }
+
+      if (transfer.discrepancy_status !== 'open') {
+        throw new Error('This transfer has no open discrepancy')
+      }
+
+      if (!['written_off', 'returned'].includes(resolution)) {
+        throw new Error('Choose how to resolve the discrepancy')
+      }
+
+      if (!notes?.trim()) {
+        throw new Error('Notes are required')
+      }
+
+      const shortLines = transfer.lines.filter(line => calculateLineDiscrepancy(line) < 0)
+      if (resolution === 'returned' && shortLines.length === 0) {
+        throw new Error('Nothing arrived short, so there is nothing to return')
+      }
+
+      const now = new Date().toISOString()
+
+      await this.db.execAsync('BEGIN TRANSACTION')
+
+      try {
+        if (resolution === 'returned') {
+          for (const line of shortLines) {
+            await productDatabaseService.applyStockMovement({
+              productId: line.from_product_id,
+              quantityChange: -calculateLineDiscrepancy(line),
+              movementType: 'transfer',
+              referenceType: 'transfer',
+              referenceId: transfer.id,
+              storeId: transfer.from_store_id,
+              notes: `${transfer.transfer_number} short units returned - ${notes.trim()}`,
+              unitCost: line.unit_cost,
+              currentUser
+            })
+          }
+        }
+
+        await this.db.runAsync(
+          'UPDATE stock_transfers SET discrepancy_status = ?, discrepancy_notes = ?, updated_at = ? WHERE id = ?',
+          [resolution, notes.trim(), now, transfer.id]
+        )
+
+        await this.db.execAsync('COMMIT')
+      } catch (error) {
+        await this.db.execAsync('ROLLBACK')
+        throw error
+      }
+
+      console.log(`✅ Transfer discrepancy ${resolution}: ${transfer.transfer_number}`)
+      return await this.getTransferById(transfer.id)
+    } catch (error) {
+      console.error('Resolve transfer discrepancy error:', error)
+      throw error
+    }
+  }
+}
+
+// Export singleton instance
+export const transferDatabaseService = new TransferDatabaseService()
+export default transferDatabaseService
@@ -0,0 +1,76 @@
+// utils/chargeAccountCalculations.js - Customer charge accounts: credit, balances and aging
+import { roundMoney } from './salesCalculations';
+
+export const CHARGE_PAYMENT_METHOD = 'charge';
+
+// Charges raise what the customer owes; everything else brings it down
+export const AR_ENTRY_TYPES = [
+  { value: 'charge', label: 'Charge' },
+  { value: 'payment', label: 'Payment' },
+  { value: 'refund', label: 'Refund' },
+  { value: 'void', label: 'Void' }
+];
+
+// Days since the charge was made, by the first day each bucket starts
+export const AGING_BUCKETS = [
+  { value: 'current', label: 'Current', fromDays: 0 },
+  { value: 'days_30', label: '31-60', fromDays: 31 },
+  { value: 'days_60', label: '61-90', fromDays: 61 },
+  { value: 'days_90', label: '90+', fromDays: 91 }
+];
+
+export const getArEntryLabel = (entryType) => {
+  return AR_ENTRY_TYPES.find(type => type.value === entryType)?.label || entryType;
+};
+
+export const calculateAvailableCredit = (creditLimit, balance) => {
+  return roundMoney(Math.max((Number(creditLimit) || 0) - (Number(balance) || 0), 0));
+};
+
+// A charge over what is left of the limit needs a supervisor or manager
+export const exceedsCreditLimit = (creditLimit, balance, chargeAmount) => {
+  return roundMoney((Number(balance) || 0) + (Number(chargeAmount) || 0)) > roundMoney(Number(creditLimit) || 0);
+};
+
+const daysBetween = (fromIso, toIso) => {
+  return Math.floor((new Date(toIso).getTime() - new Date(fromIso).getTime()) / (24 * 60 * 60 * 1000));
+};
+
+export const getAgingBucket = (days) => {
+  return [...AGING_BUCKETS].reverse().find(bucket => days >= bucket.fromDays) || AGING_BUCKETS[0];
+};
+
+// Payments and credits settle the oldest charges first; whatever is left of
+// each charge is aged from the day it was made. entries must be in ledger order.
+export const calculateAging = (entries = [], asOf = new Date().toISOString()) => {
+  const charges = [];
+  let credits = 0;
+
+  entries.forEach(entry => {
+    const amount = roundMoney(entry.amount);
+    if (amount > 0) {
+      charges.push({ amount, created_at: entry.created_at });
+    } else {
+      credits = roundMoney(credits - amount);
+    }
+  });
+
+  const aging = Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.value, 0]));
+
+  charges.forEach(charge => {
+    const settled = Math.min(charge.amount, credits);
+    credits = roundMoney(credits - settled);
+    const open = roundMoney(charge.amount - settled);
+
+    if (open > 0) {
+      const bucket = getAgingBucket(daysBetween(charge.created_at, asOf));
+      aging[bucket.value] = roundMoney(aging[bucket.value] + open);
+    }
+  });
+
+  // Credits left after every charge is settled are money held on account
+  aging.credit = credits;
+  aging.total = roundMoney(AGING_BUCKETS.reduce((sum, bucket) => sum + aging[bucket.value], 0) - credits);
+
+  return aging;
+};
@@ -0,0 +1,112 @@
+// utils/commissionCalculations.js - Sales commission rules and earnings per staff member
+import { roundMoney, getLinePaidAmount, extractVat } from './salesCalculations';
+
+export const COMMISSION_TYPES = [
+  { value: 'percent', label: '% of net sales' },
+  { value: 'fixed', label: 'Fixed per unit' }
+];
+
+export const isValidCommissionType = (commissionType) => {
+  return COMMISSION_TYPES.some(type => type.value === commissionType);
+};
+
+export const describeCommissionRule = (rule) => {
+  if (!rule || !isValidCommissionType(rule.commission_type)) return 'No commission';
+  const rate = Number(rule.commission_rate) || 0;
+  return rule.commission_type === 'percent'
+    ? `${rate}% of net`
+    : `₱${rate.toFixed(2)} per unit`;
+};
+
+// A product's own rule wins over its category's, like tax class
+export const resolveCommissionRule = (line) => {
+  if (isValidCommissionType(line?.commission_type)) {
+    return { commission_type: line.commission_type, commission_rate: Number(line.commission_rate) || 0 };
+  }
+
+  if (isValidCommissionType(line?.category_commission_type)) {
+    return { commission_type: line.category_commission_type, commission_rate: Number(line.category_commission_rate) || 0 };
+  }
+
+  return null;
+};
+
+// Net sales for commission: what the customer paid, less VAT on VATable lines
+export const getCommissionNetAmount = (saleItem) => {
+  const paid = getLinePaidAmount(saleItem);
+  return saleItem.tax_class === 'vat' ? extractVat(paid).net : paid;
+};
+
+// saleItem needs quantity, line_total, tax_class and any SC/PWD amounts
+export const calculateLineCommission = (saleItem, rule) => {
+  if (!rule || !isValidCommissionType(rule.commission_type)) return 0;
+
+  const rate = Math.max(0, Number(rule.commission_rate) || 0);
+
+  if (rule.commission_type === 'fixed') {
+    return roundMoney(rate * (parseInt(saleItem.quantity) || 0));
+  }
+
+  return roundMoney(getCommissionNetAmount(saleItem) * rate / 100);
+};
+
+// Returned units take back their share of the line's commission; returning
+// the last units takes back whatever is left
+export const calculateCommissionReversal = (saleItem, quantity) => {
+  const commission = Number(saleItem.commission_amount) || 0;
+  const returnedQuantity = Number(saleItem.returned_quantity) || 0;
+  const reversed = Number(saleItem.commission_reversed) || 0;
+
+  if (commission <= 0 || quantity <= 0) return 0;
+
+  if (quantity >= saleItem.quantity - returnedQuantity) {
+    return roundMoney(commission - reversed);
+  }
+
+  return roundMoney(commission * quantity / saleItem.quantity);
+};
+
+// earned: [{ staff_id, staff_name, sales, commission, line_count }]
+// reversed: [{ staff_id, staff_name, refunded_sales, commission_reversed }]
+export const combineCommissionReport = (earned = [], reversed = []) => {
+  const byStaff = {};
+
+  const row = (staffId, staffName) => {
+    if (!byStaff[staffId]) {
+      byStaff[staffId] = {
+        staff_id: staffId,
+        staff_name: staffName,
+        line_count: 0,
+        sales: 0,
+        commission: 0,
+        refunded_sales: 0,
+        commission_reversed: 0
+      };
+    }
+    return byStaff[staffId];
+  };
+
+  earned.forEach(item => {
+    const entry = row(item.staff_id, item.staff_name);
+    entry.line_count += Number(item.line_count) || 0;
+    entry.sales += Number(item.sales) || 0;
+    entry.commission += Number(item.commission) || 0;
+  });
+
+  reversed.forEach(item => {
+    const entry = row(item.staff_id, item.staff_name);
+    entry.refunded_sales += Number(item.refunded_sales) || 0;
+    entry.commission_reversed += Number(item.commission_reversed) || 0;
+  });
+
+  return Object.values(byStaff)
+    .map(entry => ({
+      ...entry,
+      sales: roundMoney(entry.sales),
+      commission: roundMoney(entry.commission),
+      refunded_sales: roundMoney(entry.refunded_sales),
+      commission_reversed: roundMoney(entry.commission_reversed),
+      net_commission: roundMoney(entry.commission - entry.commission_reversed)
+    }))
+    .sort((a, b) => b.net_commission - a.net_commission);
+};
@@ -0,0 +1,17 @@
+// utils/csvExport.js - Builds CSV text for reports shared from the app
+
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ key, label }] or [{ label, value: row => ... }]
+export const toCsv = (columns, rows = []) => {
+  const header = columns.map(column => escapeCsvValue(column.label)).join(',');
+  const lines = rows.map(row => columns
+    .map(column => escapeCsvValue(column.value ? column.value(row) : row[column.key]))
+    .join(','));
+
+  return [header, ...lines].join('\r\n');
+};
@@ -0,0 +1,43 @@
+// utils/inventoryCalculations.js - Stock costing: weighted-average cost and stock value
+import { roundMoney } from './salesCalculations';
+
+// Unit costs keep four decimals so averaging many small receipts doesn't drift
+export const roundCost = (amount) => {
+  return Math.round((Number(amount) || 0) * 10000) / 10000;
+};
+
+// Blends a receipt into the cost of what is already on hand. Stock with no
+// known cost, or none left (or oversold), takes the new cost outright.
+export const calculateWeightedAverageCost = (onHand, averageCost, quantity, unitCost) => {
+  const existing = Number(onHand) || 0;
+  const received = Number(quantity) || 0;
+
+  if (averageCost === null || averageCost === undefined || existing <= 0) {
+    return roundCost(unitCost);
+  }
+
+  return roundCost((existing * Number(averageCost) + received * Number(unitCost)) / (existing + received));
+};
+
+// What a line cost at the product's average when it moved; null when the
+// product has never been received at a cost
+export const calculateLineCost = (unitCost, quantity) => {
+  if (unitCost === null || unitCost === undefined) return null;
+  return roundMoney(Number(unitCost) * Math.abs(Number(quantity) || 0));
+};
+
+export const calculateStockValue = (products = []) => {
+  return roundMoney(products.reduce((sum, product) => {
+    return sum + Math.max(product.stock_quantity || 0, 0) * (Number(product.average_cost) || 0);
+  }, 0));
+};
+
+// Returns an error message, or null when the cost can be used
+export const validateUnitCost = (value) => {
+  if (value === '' || value === null || value === undefined) return 'Unit cost is required';
+
+  const cost = Number(value);
+  if (isNaN(cost) || cost < 0) return 'Unit cost must be zero or more';
+
+  return null;
+};
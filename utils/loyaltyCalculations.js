@@ -0,0 +1,112 @@
+// utils/loyaltyCalculations.js - Customer loyalty points earned, redeemed, reversed and expired
+import { roundMoney, getLinePaidAmount } from './salesCalculations';
+
+// Every change to a customer's points is one of these ledger entries
+export const LOYALTY_ENTRY_TYPES = [
+  { value: 'earn', label: 'Earned' },
+  { value: 'redeem', label: 'Redeemed' },
+  { value: 'reverse', label: 'Reversed' },
+  { value: 'restore', label: 'Restored' },
+  { value: 'expire', label: 'Expired' }
+];
+
+export const LOYALTY_PAYMENT_METHOD = 'points';
+
+export const getLoyaltyEntryLabel = (entryType) => {
+  return LOYALTY_ENTRY_TYPES.find(type => type.value === entryType)?.label || entryType;
+};
+
+// A category's own rate wins over the store rate; a category rate of 0 earns nothing
+export const resolveLoyaltyRate = (line, defaultRate = 0) => {
+  const categoryRate = line?.category_loyalty_points_rate;
+  if (categoryRate !== null && categoryRate !== undefined && categoryRate !== '') {
+    return Math.max(0, Number(categoryRate) || 0);
+  }
+  return Math.max(0, Number(defaultRate) || 0);
+};
+
+// Points a line earns, kept to two decimals so small lines still add up.
+// earningShare is the part of the sale not paid with points.
+export const calculateLinePoints = (saleItem, rate, earningShare = 1) => {
+  const share = Math.min(Math.max(Number(earningShare) || 0, 0), 1);
+  return roundMoney(getLinePaidAmount(saleItem) * share * Math.max(0, Number(rate) || 0));
+};
+
+// The sale is credited whole points, rounded down
+export const calculateEarnedPoints = (saleItems = []) => {
+  return Math.floor(roundMoney(saleItems.reduce((sum, item) => sum + (Number(item.loyalty_points) || 0), 0)));
+};
+
+export const pointsToPeso = (points, pesoPerPoint) => {
+  return roundMoney((Number(points) || 0) * (Number(pesoPerPoint) || 0));
+};
+
+// Whole points needed to cover a peso amount, rounded up
+export const pesoToPoints = (amount, pesoPerPoint) => {
+  const rate = Number(pesoPerPoint) || 0;
+  if (rate <= 0) return 0;
+  return Math.ceil(roundMoney((Number(amount) || 0) / rate));
+};
+
+// Returns the ISO date points earned now stop counting, or null if they never expire
+export const calculatePointsExpiry = (fromIsoString, months) => {
+  const period = parseInt(months) || 0;
+  if (period <= 0) return null;
+
+  const date = new Date(fromIsoString);
+  date.setMonth(date.getMonth() + period);
+  return date.toISOString();
+};
+
+// Returned units take back their share of the points the sale earned
+// (returnedPoints, before rounding); once every unit is back, the rest go too
+export const calculatePointsReversal = (sale, returnedPoints, fullyReturned = false) => {
+  const left = (Number(sale.loyalty_points_earned) || 0) - (Number(sale.loyalty_points_reversed) || 0);
+  if (left <= 0) return 0;
+  if (fullyReturned) return left;
+  return Math.min(left, Math.round(Number(returnedPoints) || 0));
+};
+
+// Refund money sent back to the points tender comes back as points at the
+// rate the sale redeemed them. payment is the sale's points tender with what
+// was already refunded through it.
+export const calculatePointsRestore = (sale, payment, amount) => {
+  const redeemed = Number(sale.loyalty_points_redeemed) || 0;
+  const left = redeemed - (Number(sale.loyalty_points_restored) || 0);
+  const paid = Number(payment?.amount) || 0;
+
+  if (left <= 0 || paid <= 0 || amount <= 0) return 0;
+
+  if (roundMoney((Number(payment.refunded_amount) || 0) + amount) >= paid) {
+    return left;
+  }
+
+  return Math.min(left, Math.round(redeemed * amount / paid));
+};
+
+// Points are spent oldest first, so whatever is left of an earlier credit once
+// its expiry date passes is what expires. entries must be in ledger order.
+export const calculateExpiredPoints = (entries = [], asOf = new Date().toISOString()) => {
+  const credits = [];
+  let debits = 0;
+
+  entries.forEach(entry => {
+    const points = Number(entry.points) || 0;
+    if (points > 0) {
+      credits.push({ points, expires_at: entry.expires_at });
+    } else {
+      debits -= points;
+    }
+  });
+
+  let expired = 0;
+  credits.forEach(credit => {
+    const used = Math.min(credit.points, debits);
+    debits -= used;
+    if (credit.expires_at && credit.expires_at <= asOf) {
+      expired += credit.points - used;
+    }
+  });
+
+  return expired;
+};
@@ -0,0 +1,192 @@
+// utils/payrollCalculations.js - Payroll estimates from timesheet shifts and hourly rates
+import { roundMoney } from './salesCalculations';
+
+// Pay premiums applied on top of the hourly rate
+export const PAYROLL_RULES = {
+  regular_hours_per_day: 8,
+  overtime_multiplier: 1.25,
+  night_differential_rate: 0.10,
+  night_start_hour: 22,
+  night_end_hour: 6
+};
+
+// Daily labor cost above this share of sales is highlighted
+export const LABOR_COST_TARGET_PERCENT = 30;
+
+export const HOLIDAY_TYPES = [
+  { value: 'regular', label: 'Regular Holiday', multiplier: 2 },
+  { value: 'special', label: 'Special Non-Working Day', multiplier: 1.3 }
+];
+
+export const getHolidayTypeLabel = (holidayType) => {
+  return HOLIDAY_TYPES.find(type => type.value === holidayType)?.label || holidayType;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Local calendar date as YYYY-MM-DD
+export const toDateKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+const roundHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+// Semi-monthly pay periods (1st-15th and 16th-end of month), newest first
+export const getPayPeriods = (count = 4, now = new Date()) => {
+  const periods = [];
+  let year = now.getFullYear();
+  let month = now.getMonth();
+  let firstHalf = now.getDate() <= 15;
+
+  while (periods.length < count) {
+    const from = new Date(year, month, firstHalf ? 1 : 16);
+    const to = firstHalf ? new Date(year, month, 16) : new Date(year, month + 1, 1);
+    const monthLabel = from.toLocaleDateString([], { month: 'short' });
+    const lastDay = new Date(to.getTime() - 1).getDate();
+
+    periods.push({
+      value: `${year}-${pad(month + 1)}-${firstHalf ? 'A' : 'B'}`,
+      label: `${monthLabel} ${from.getDate()}-${lastDay}`,
+      from: from.toISOString(),
+      to: to.toISOString()
+    });
+
+    if (firstHalf) {
+      month -= 1;
+      if (month < 0) {
+        month = 11;
+        year -= 1;
+      }
+    }
+    firstHalf = !firstHalf;
+  }
+
+  return periods;
+};
+
+// Clock-in to clock-out with the breaks cut out, as [start, end] millisecond pairs
+export const getWorkedIntervals = (shift) => {
+  if (!shift.clock_out) return [];
+
+  let intervals = [[
+    new Date(shift.clock_in.punched_at).getTime(),
+    new Date(shift.clock_out.punched_at).getTime()
+  ]];
+
+  (shift.breaks || []).forEach(punchBreak => {
+    if (!punchBreak.end) return;
+    const breakStart = new Date(punchBreak.start).getTime();
+    const breakEnd = new Date(punchBreak.end).getTime();
+
+    intervals = intervals.flatMap(([start, end]) => {
+      if (breakEnd <= start || breakStart >= end) return [[start, end]];
+      const pieces = [];
+      if (breakStart > start) pieces.push([start, breakStart]);
+      if (breakEnd < end) pieces.push([breakEnd, end]);
+      return pieces;
+    });
+  });
+
+  return intervals.filter(([start, end]) => end > start);
+};
+
+// Minutes of an interval that fall inside the night differential window
+export const getNightMinutes = (start, end, rules = PAYROLL_RULES) => {
+  let minutes = 0;
+  const cursor = new Date(start);
+  cursor.setHours(0, 0, 0, 0);
+  cursor.setDate(cursor.getDate() - 1);
+
+  // Walk each night window that could overlap the interval
+  while (cursor.getTime() < end) {
+    const nightStart = new Date(cursor);
+    nightStart.setHours(rules.night_start_hour, 0, 0, 0);
+    const nightEnd = new Date(cursor);
+    nightEnd.setDate(nightEnd.getDate() + 1);
+    nightEnd.setHours(rules.night_end_hour, 0, 0, 0);
+
+    const overlap = Math.min(end, nightEnd.getTime()) - Math.max(start, nightStart.getTime());
+    if (overlap > 0) minutes += overlap / 60000;
+
+    cursor.setDate(cursor.getDate() + 1);
+  }
+
+  return minutes;
+};
+
+// holidays: [{ holiday_date: 'YYYY-MM-DD', multiplier }]
+// Each shift counts toward the day it was clocked in, including overnight shifts.
+export const calculateStaffPayroll = (shifts = [], hourlyRate = 0, holidays = [], rules = PAYROLL_RULES) => {
+  const rate = Number(hourlyRate) || 0;
+  const holidayByDate = {};
+  holidays.forEach(holiday => {
+    holidayByDate[holiday.holiday_date] = Number(holiday.multiplier) || 1;
+  });
+
+  const dayMap = {};
+  shifts.filter(shift => shift.clock_out).forEach(shift => {
+    const dateKey = toDateKey(shift.clock_in.punched_at);
+    if (!dayMap[dateKey]) {
+      dayMap[dateKey] = { date: dateKey, store_id: shift.store_id, worked_minutes: 0, night_minutes: 0 };
+    }
+
+    getWorkedIntervals(shift).forEach(([start, end]) => {
+      dayMap[dateKey].worked_minutes += (end - start) / 60000;
+      dayMap[dateKey].night_minutes += getNightMinutes(start, end, rules);
+    });
+  });
+
+  const days = Object.values(dayMap)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(day => {
+      const regularMinutes = Math.min(day.worked_minutes, rules.regular_hours_per_day * 60);
+      const overtimeMinutes = Math.max(0, day.worked_minutes - regularMinutes);
+      const multiplier = holidayByDate[day.date] || 1;
+
+      const regularPay = (regularMinutes / 60) * rate;
+      const overtimePay = (overtimeMinutes / 60) * rate * rules.overtime_multiplier;
+      const nightPay = (day.night_minutes / 60) * rate * rules.night_differential_rate;
+      const holidayPremium = (multiplier - 1) * (regularPay + overtimePay + nightPay);
+
+      return {
+        date: day.date,
+        store_id: day.store_id,
+        is_holiday: multiplier !== 1,
+        holiday_multiplier: multiplier,
+        worked_hours: roundHours(day.worked_minutes),
+        regular_hours: roundHours(regularMinutes),
+        overtime_hours: roundHours(overtimeMinutes),
+        night_hours: roundHours(day.night_minutes),
+        regular_pay: roundMoney(regularPay),
+        overtime_pay: roundMoney(overtimePay),
+        night_pay: roundMoney(nightPay),
+        holiday_premium: roundMoney(holidayPremium),
+        gross_pay: roundMoney(regularPay + overtimePay + nightPay + holidayPremium)
+      };
+    });
+
+  const sum = (key) => days.reduce((total, day) => total + day[key], 0);
+
+  return {
+    days,
+    days_worked: days.length,
+    worked_hours: roundHours(sum('worked_hours') * 60),
+    regular_hours: roundHours(sum('regular_hours') * 60),
+    overtime_hours: roundHours(sum('overtime_hours') * 60),
+    night_hours: roundHours(sum('night_hours') * 60),
+    holiday_hours: roundHours(days.filter(day => day.is_holiday).reduce((total, day) => total + day.worked_hours, 0) * 60),
+    regular_pay: roundMoney(sum('regular_pay')),
+    overtime_pay: roundMoney(sum('overtime_pay')),
+    night_pay: roundMoney(sum('night_pay')),
+    holiday_premium: roundMoney(sum('holiday_premium')),
+    gross_pay: roundMoney(sum('gross_pay'))
+  };
+};
+
+// Labor cost as a share of sales; null when there were no sales to compare against
+export const calculateLaborCostPercent = (laborCost, sales) => {
+  const salesAmount = Number(sales) || 0;
+  if (salesAmount <= 0) return null;
+  return Math.round(((Number(laborCost) || 0) / salesAmount) * 10000) / 100;
+};
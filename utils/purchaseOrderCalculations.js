@@ -0,0 +1,91 @@
+// utils/purchaseOrderCalculations.js - Purchase order statuses, outstanding quantities and receipts
+import { roundMoney } from './salesCalculations';
+import { validateUnitCost } from './inventoryCalculations';
+
+export const PO_STATUSES = [
+  { value: 'draft', label: 'Draft', color: '#64748b' },
+  { value: 'sent', label: 'Sent', color: '#3b82f6' },
+  { value: 'partially_received', label: 'Partially Received', color: '#f59e0b' },
+  { value: 'received', label: 'Received', color: '#10b981' },
+  { value: 'cancelled', label: 'Cancelled', color: '#ef4444' }
+];
+
+// Orders the supplier still owes stock on
+export const OPEN_PO_STATUSES = ['sent', 'partially_received'];
+
+export const getPoStatus = (status) => {
+  return PO_STATUSES.find(option => option.value === status) || PO_STATUSES[0];
+};
+
+// Units still to come on a line; back-ordered units stay outstanding until
+// they arrive or the rest of the line is closed short
+export const calculateOutstandingQuantity = (line) => {
+  return Math.max(
+    (Number(line.quantity_ordered) || 0) -
+    (Number(line.quantity_received) || 0) -
+    (Number(line.quantity_cancelled) || 0),
+    0
+  );
+};
+
+export const calculatePoTotals = (lines = []) => {
+  return lines.reduce((totals, line) => {
+    const outstanding = calculateOutstandingQuantity(line);
+    const expectedCost = Number(line.expected_unit_cost) || 0;
+
+    return {
+      ordered_quantity: totals.ordered_quantity + (Number(line.quantity_ordered) || 0),
+      received_quantity: totals.received_quantity + (Number(line.quantity_received) || 0),
+      outstanding_quantity: totals.outstanding_quantity + outstanding,
+      expected_total: roundMoney(totals.expected_total + (Number(line.quantity_ordered) || 0) * expectedCost),
+      outstanding_value: roundMoney(totals.outstanding_value + outstanding * expectedCost)
+    };
+  }, { ordered_quantity: 0, received_quantity: 0, outstanding_quantity: 0, expected_total: 0, outstanding_value: 0 });
+};
+
+// Status once a receipt has been posted against the lines
+export const resolveReceivedStatus = (lines = []) => {
+  return lines.every(line => calculateOutstandingQuantity(line) === 0) ? 'received' : 'partially_received';
+};
+
+// lines: [{ product_id, quantity, unit_cost }]; returns an error message or null
+export const validatePoLines = (lines = []) => {
+  if (lines.length === 0) return 'Add at least one product';
+
+  const productIds = new Set();
+  for (const line of lines) {
+    const quantity = Number(line.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) return 'Order quantities must be whole numbers above zero';
+
+    const costError = validateUnitCost(line.unit_cost);
+    if (costError) return costError;
+
+    if (productIds.has(line.product_id)) return 'Each product can only be on an order once';
+    productIds.add(line.product_id);
+  }
+
+  return null;
+};
+
+// receipt: [{ line_id, quantity, unit_cost }] against the order's lines.
+// Returns an error message or null. Zero-quantity rows are skipped.
+export const validateReceipt = (orderLines = [], receipt = []) => {
+  const received = receipt.filter(row => Number(row.quantity) > 0);
+  if (received.length === 0) return 'Enter the quantity received on at least one line';
+
+  for (const row of received) {
+    const line = orderLines.find(orderLine => orderLine.id === row.line_id);
+    if (!line) return 'Receipt line does not belong to this order';
+
+    const quantity = Number(row.quantity);
+    if (!Number.isInteger(quantity)) return `Received quantity for ${line.product_name} must be a whole number`;
+
+    const outstanding = calculateOutstandingQuantity(line);
+    if (quantity > outstanding) return `Only ${outstanding} of ${line.product_name} is still outstanding`;
+
+    const costError = validateUnitCost(row.unit_cost);
+    if (costError) return `${line.product_name}: ${costError}`;
+  }
+
+  return null;
+};
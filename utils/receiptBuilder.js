@@ -0,0 +1,435 @@
+// utils/receiptBuilder.js - Pure receipt layout with plain-text and ESC/POS renderers
+import {
+  roundMoney,
+  getPriceTier,
+  getPaymentMethodLabel,
+  getDiscountTypeLabel,
+  DEFAULT_PRICE_TIER
+} from './salesCalculations';
+import { getCashMovementLabel, CASH_MOVEMENT_TYPES } from './shiftCalculations';
+import { CHARGE_PAYMENT_METHOD, AGING_BUCKETS, getArEntryLabel } from './chargeAccountCalculations';
+
+// Characters per line in the printer's default font (Font A)
+export const PAPER_WIDTHS = {
+  58: 32,
+  80: 48
+};
+
+export const DEFAULT_PAPER_WIDTH = 58;
+
+const DOCUMENT_TITLES = {
+  SI: 'SALES INVOICE',
+  OR: 'OFFICIAL RECEIPT',
+  RF: 'REFUND RECEIPT'
+};
+
+// BIR markers printed after each line amount
+const TAX_MARKERS = {
+  vat: 'V',
+  vat_exempt: 'E',
+  zero_rated: 'Z'
+};
+
+export const getCharsPerLine = (paperWidth = DEFAULT_PAPER_WIDTH) => {
+  return PAPER_WIDTHS[paperWidth] || PAPER_WIDTHS[DEFAULT_PAPER_WIDTH];
+};
+
+export const formatAmount = (amount) => {
+  return roundMoney(amount).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+};
+
+// Fixed format instead of toLocaleString so output is identical on every device
+export const formatReceiptDate = (isoString) => {
+  const date = new Date(isoString);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// Thermal printers only know their code page; fold accents and drop the rest
+export const toPrinterText = (text) => {
+  return String(text ?? '')
+    .replace(/₱/g, 'P')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7E]/g, '?');
+};
+
+const wrapText = (text, width) => {
+  const words = String(text ?? '').split(/\s+/).filter(Boolean);
+  const lines = [];
+  let current = '';
+
+  words.forEach(word => {
+    while (word.length > width) {
+      if (current) {
+        lines.push(current);
+        current = '';
+      }
+      lines.push(word.slice(0, width));
+      word = word.slice(width);
+    }
+
+    if (!current) {
+      current = word;
+    } else if (current.length + 1 + word.length <= width) {
+      current += ` ${word}`;
+    } else {
+      lines.push(current);
+      current = word;
+    }
+  });
+
+  if (current) lines.push(current);
+  return lines.length > 0 ? lines : [''];
+};
+
+const alignText = (text, width, align) => {
+  const trimmed = text.slice(0, width);
+  const space = width - trimmed.length;
+
+  if (align === 'center') {
+    const left = Math.floor(space / 2);
+    return ' '.repeat(left) + trimmed + ' '.repeat(space - left);
+  }
+
+  if (align === 'right') {
+    return ' '.repeat(space) + trimmed;
+  }
+
+  return trimmed + ' '.repeat(space);
+};
+
+const columns = (left, right, width) => {
+  const rightText = String(right);
+  const leftWidth = Math.max(width - rightText.length - 1, 1);
+  return `${String(left).slice(0, leftWidth).padEnd(leftWidth)} ${rightText}`;
+};
+
+// Builds the receipt as a list of styled rows. Each row is
+// { text, align, bold, double } or { divider: true }, and both renderers
+// work from this list so the preview always matches the printed slip.
+export const buildReceipt = (sale, store = {}, options = {}) => {
+  const { reprint = false } = options;
+  const rows = [];
+  const text = (value, style = {}) => rows.push({ text: value, align: 'left', ...style });
+  const divider = () => rows.push({ divider: true });
+  const pair = (left, right, style = {}) => rows.push({ pair: [left, right], ...style });
+
+  // Store header
+  text(store.name || 'Store', { align: 'center', bold: true, double: true });
+  if (store.address) text(store.address, { align: 'center' });
+  if (store.phone) text(`Tel: ${store.phone}`, { align: 'center' });
+  if (store.tin) text(`VAT REG TIN: ${store.tin}`, { align: 'center' });
+  divider();
+
+  text(DOCUMENT_TITLES[sale.document_type] || DOCUMENT_TITLES.SI, { align: 'center', bold: true });
+  if (reprint) text('*** REPRINT ***', { align: 'center', bold: true });
+  pair(`${sale.document_type || 'SI'} No:`, sale.receipt_number || sale.id);
+  pair('Date:', formatReceiptDate(sale.created_at));
+  if (sale.terminal_id) pair('Terminal:', sale.terminal_id);
+  if (sale.cashier_name) pair('Cashier:', sale.cashier_name);
+  if (sale.staff_name) pair('Staff:', sale.staff_name);
+  if (sale.price_tier && sale.price_tier !== DEFAULT_PRICE_TIER) {
+    pair('Price Tier:', getPriceTier(sale.price_tier).label);
+  }
+  if (sale.customer_name) pair('Customer:', sale.customer_name);
+  if (sale.customer_tin) pair('Customer TIN:', sale.customer_tin);
+  if (sale.customer_address) text(`Address: ${sale.customer_address}`);
+  divider();
+
+  // Line items
+  (sale.items || []).forEach(item => {
+    text(item.product_name);
+    pair(
+      `  ${item.quantity} x ${formatAmount(item.unit_price)}`,
+      `${formatAmount(item.line_total)} ${TAX_MARKERS[item.tax_class] || TAX_MARKERS.vat}`
+    );
+  });
+  divider();
+
+  // Totals
+  pair(`Subtotal (${sale.item_count || 0} item/s)`, formatAmount(sale.subtotal));
+  if (sale.discount_type) {
+    pair('Less: VAT Exemption', `-${formatAmount(sale.vat_exemption_amount)}`);
+    pair(`Less: ${getDiscountTypeLabel(sale.discount_type)} 20%`, `-${formatAmount(sale.discount_amount)}`);
+  }
+  pair('TOTAL', formatAmount(sale.total_amount), { bold: true, double: true });
+  divider();
+
+  // Tenders
+  let change = 0;
+  (sale.payments || []).forEach(payment => {
+    pair(getPaymentMethodLabel(payment.payment_method), formatAmount(payment.tendered_amount ?? payment.amount));
+    if (payment.reference_number) pair('  Ref:', payment.reference_number);
+    change += Number(payment.change_amount) || 0;
+  });
+  pair('CHANGE', formatAmount(change), { bold: true });
+  divider();
+
+  // VAT breakdown
+  pair('VATable Sales', formatAmount(sale.vatable_sales));
+  pair('VAT Amount (12%)', formatAmount(sale.vat_amount));
+  pair('VAT-Exempt Sales', formatAmount(sale.vat_exempt_sales));
+  pair('Zero-Rated Sales', formatAmount(sale.zero_rated_sales));
+
+  // SC/PWD details are required on the receipt itself
+  if (sale.discount_type) {
+    divider();
+    pair(`${getDiscountTypeLabel(sale.discount_type)} ID:`, sale.discount_id_number || '');
+    pair('Name:', sale.discount_holder_name || '');
+    text('Signature: ____________________');
+  }
+
+  // Charge sales are signed for by the customer like a delivery receipt
+  if ((sale.payments || []).some(payment => payment.payment_method === CHARGE_PAYMENT_METHOD)) {
+    divider();
+    text('Charged to customer account');
+    text('Received by: __________________');
+  }
+
+  // Loyalty balance is only recorded when the customer was in the program
+  if (sale.loyalty_balance !== null && sale.loyalty_balance !== undefined) {
+    divider();
+    if (sale.loyalty_points_redeemed) pair('Points Redeemed', `-${sale.loyalty_points_redeemed}`);
+    pair('Points Earned', String(sale.loyalty_points_earned || 0));
+    pair('Points Balance', String(sale.loyalty_balance), { bold: true });
+  }
+
+  divider();
+  text(`THIS SERVES AS YOUR ${DOCUMENT_TITLES[sale.document_type] || DOCUMENT_TITLES.SI}`, { align: 'center' });
+  text('Thank you for shopping!', { align: 'center' });
+
+  return rows;
+};
+
+// Refund slips reference the original receipt and list only what came back
+export const buildRefundReceipt = (refund, store = {}) => {
+  const rows = [];
+  const text = (value, style = {}) => rows.push({ text: value, align: 'left', ...style });
+  const divider = () => rows.push({ divider: true });
+  const pair = (left, right, style = {}) => rows.push({ pair: [left, right], ...style });
+
+  text(store.name || 'Store', { align: 'center', bold: true, double: true });
+  if (store.address) text(store.address, { align: 'center' });
+  if (store.phone) text(`Tel: ${store.phone}`, { align: 'center' });
+  if (store.tin) text(`VAT REG TIN: ${store.tin}`, { align: 'center' });
+  divider();
+
+  text(DOCUMENT_TITLES.RF, { align: 'center', bold: true });
+  pair('RF No:', refund.receipt_number || refund.id);
+  pair('Orig. No:', refund.original_receipt_number || refund.sale_id);
+  pair('Date:', formatReceiptDate(refund.created_at));
+  if (refund.terminal_id) pair('Terminal:', refund.terminal_id);
+  if (refund.processed_by_name) pair('Processed by:', refund.processed_by_name);
+  divider();
+
+  (refund.items || []).forEach(item => {
+    text(item.product_name);
+    pair(
+      `  ${item.quantity} x ${formatAmount(item.unit_price)}${item.restocked ? '' : ' (not restocked)'}`,
+      `-${formatAmount(item.refund_amount)} ${TAX_MARKERS[item.tax_class] || TAX_MARKERS.vat}`
+    );
+  });
+  divider();
+
+  pair('REFUND TOTAL', formatAmount(refund.refund_amount), { bold: true, double: true });
+  (refund.payments || []).forEach(payment => {
+    pair(`  to ${getPaymentMethodLabel(payment.payment_method)}`, formatAmount(payment.amount));
+  });
+  if (refund.loyalty_points_restored) pair('Points Returned', String(refund.loyalty_points_restored));
+  if (refund.loyalty_points_reversed) pair('Points Reversed', `-${refund.loyalty_points_reversed}`);
+  divider();
+
+  pair('VATable Amount', formatAmount(refund.vatable_amount));
+  pair('VAT Amount (12%)', formatAmount(refund.vat_amount));
+  pair('VAT-Exempt Amount', formatAmount(refund.vat_exempt_amount));
+  pair('Zero-Rated Amount', formatAmount(refund.zero_rated_amount));
+
+  if (refund.reason) {
+    divider();
+    text(`Reason: ${refund.reason}`);
+  }
+
+  divider();
+  text('Customer Signature: ____________', { align: 'center' });
+
+  return rows;
+};
+
+// X-readings cover one shift; Z-readings close the business day on a terminal
+export const buildReadingReport = (reading, store = {}) => {
+  const rows = [];
+  const text = (value, style = {}) => rows.push({ text: value, align: 'left', ...style });
+  const divider = () => rows.push({ divider: true });
+  const pair = (left, right, style = {}) => rows.push({ pair: [left, right], ...style });
+  const isZ = reading.reading_type === 'Z';
+
+  text(store.name || 'Store', { align: 'center', bold: true, double: true });
+  if (store.address) text(store.address, { align: 'center' });
+  if (store.tin) text(`VAT REG TIN: ${store.tin}`, { align: 'center' });
+  divider();
+
+  text(isZ ? `Z-READING #${reading.reading_number}` : 'X-READING', { align: 'center', bold: true });
+  pair('Terminal:', reading.terminal_id);
+  if (reading.cashier_name) pair('Cashier:', reading.cashier_name);
+  pair('From:', reading.period_start ? formatReceiptDate(reading.period_start) : 'Start');
+  pair('To:', formatReceiptDate(reading.period_end));
+  if (isZ) pair('Shifts:', String(reading.shift_count || 0));
+  pair('Beg. Receipt:', reading.beginning_receipt || '-');
+  pair('End. Receipt:', reading.ending_receipt || '-');
+  divider();
+
+  pair(`Gross Sales (${reading.sales_count})`, formatAmount(reading.gross_sales));
+  pair('Less: VAT Exemption', `-${formatAmount(reading.vat_exemption_amount)}`);
+  pair('Less: SC/PWD Discount', `-${formatAmount(reading.discount_amount)}`);
+  pair('NET SALES', formatAmount(reading.net_sales), { bold: true });
+  pair(`Voids (${reading.void_count})`, formatAmount(reading.void_amount));
+  pair(`Refunds (${reading.refund_count})`, formatAmount(reading.refund_amount));
+  pair(`Cash Acct Payments (${reading.account_payment_count || 0})`, formatAmount(reading.cash_account_payments));
+  divider();
+
+  pair('VATable Sales', formatAmount(reading.vatable_sales));
+  pair('VAT Amount (12%)', formatAmount(reading.vat_amount));
+  pair('VAT-Exempt Sales', formatAmount(reading.vat_exempt_sales));
+  pair('Zero-Rated Sales', formatAmount(reading.zero_rated_sales));
+  divider();
+
+  text('Payments', { bold: true });
+  (reading.payments || []).forEach(payment => {
+    pair(`  ${getPaymentMethodLabel(payment.payment_method)}`, formatAmount(payment.amount));
+  });
+  divider();
+
+  text('Cash Drawer', { bold: true });
+  pair('  Opening Float', formatAmount(reading.opening_float));
+  if (!isZ) {
+    pair('  Cash Sales', formatAmount(reading.cash_sales));
+    pair('  Cash Refunds', `-${formatAmount(reading.cash_refunds)}`);
+    pair('  Account Payments', formatAmount(reading.cash_account_payments));
+    CASH_MOVEMENT_TYPES.forEach(type => {
+      const sign = type.direction < 0 ? '-' : '';
+      pair(`  ${getCashMovementLabel(type.value)}`, `${sign}${formatAmount(reading[type.value])}`);
+    });
+  }
+  pair('  Expected Cash', formatAmount(reading.expected_cash), { bold: true });
+  if (reading.counted_cash !== null && reading.counted_cash !== undefined) {
+    pair('  Counted Cash', formatAmount(reading.counted_cash));
+    pair('  Over / (Short)', formatAmount(reading.cash_variance), { bold: true });
+  }
+  divider();
+
+  if (isZ) {
+    pair('Beg. Grand Total', formatAmount(reading.beginning_grand_total));
+  }
+  pair('End. Grand Total', formatAmount(reading.ending_grand_total));
+  pair('Printed:', formatReceiptDate(reading.created_at));
+
+  return rows;
+};
+
+// Statement of account: every charge and credit in the period, then what is
+// still owed grouped by how long it has been outstanding
+export const buildCustomerStatement = (statement, store = {}) => {
+  const rows = [];
+  const text = (value, style = {}) => rows.push({ text: value, align: 'left', ...style });
+  const divider = () => rows.push({ divider: true });
+  const pair = (left, right, style = {}) => rows.push({ pair: [left, right], ...style });
+  const formatDay = (isoString) => formatReceiptDate(isoString).slice(0, 10);
+  const customer = statement.customer || {};
+
+  text(store.name || 'Store', { align: 'center', bold: true, double: true });
+  if (store.address) text(store.address, { align: 'center' });
+  if (store.phone) text(`Tel: ${store.phone}`, { align: 'center' });
+  if (store.tin) text(`VAT REG TIN: ${store.tin}`, { align: 'center' });
+  divider();
+
+  text('STATEMENT OF ACCOUNT', { align: 'center', bold: true });
+  pair('Customer:', customer.name || '');
+  if (customer.tin) pair('TIN:', customer.tin);
+  if (customer.address) text(`Address: ${customer.address}`);
+  pair('Period:', `${formatDay(statement.from)} to ${formatDay(statement.to)}`);
+  pair('Credit Limit:', formatAmount(statement.credit_limit));
+  divider();
+
+  pair('Opening Balance', formatAmount(statement.opening_balance));
+  (statement.entries || []).forEach(entry => {
+    text(`${formatDay(entry.created_at)} ${getArEntryLabel(entry.entry_type)}`);
+    pair(`  ${entry.notes || entry.reference_number || ''}`, formatAmount(entry.amount));
+  });
+  pair('BALANCE DUE', formatAmount(statement.closing_balance), { bold: true });
+  divider();
+
+  text('Aging', { bold: true });
+  AGING_BUCKETS.forEach(bucket => {
+    pair(`  ${bucket.label}`, formatAmount(statement.aging?.[bucket.value]));
+  });
+  if (statement.aging?.credit) pair('  Credit on account', `-${formatAmount(statement.aging.credit)}`);
+  divider();
+
+  pair('Printed:', formatReceiptDate(statement.created_at));
+
+  return rows;
+};
+
+// Lays every row out to fixed-width strings. Double-size rows print at half
+// the characters per line, so they are laid out against half the width.
+export const layoutReceipt = (rows, paperWidth = DEFAULT_PAPER_WIDTH) => {
+  const width = getCharsPerLine(paperWidth);
+
+  return rows.flatMap(row => {
+    const rowWidth = row.double ? Math.floor(width / 2) : width;
+
+    if (row.divider) {
+      return [{ text: '-'.repeat(width) }];
+    }
+
+    if (row.pair) {
+      return [{ ...row, text: columns(row.pair[0], row.pair[1], rowWidth) }];
+    }
+
+    return wrapText(row.text, rowWidth).map(line => ({
+      ...row,
+      text: alignText(line, rowWidth, row.align)
+    }));
+  });
+};
+
+export const renderReceiptText = (rows, paperWidth = DEFAULT_PAPER_WIDTH) => {
+  return layoutReceipt(rows, paperWidth)
+    .map(line => line.text.replace(/\s+$/, ''))
+    .join('\n');
+};
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+export const ESC_POS = {
+  INIT: [ESC, 0x40],
+  BOLD_ON: [ESC, 0x45, 0x01],
+  BOLD_OFF: [ESC, 0x45, 0x00],
+  DOUBLE_ON: [GS, 0x21, 0x11],
+  DOUBLE_OFF: [GS, 0x21, 0x00],
+  LINE_FEED: [0x0a],
+  FEED_LINES: (n) => [ESC, 0x64, n],
+  PARTIAL_CUT: [GS, 0x56, 0x42, 0x00]
+};
+
+export const renderEscPos = (rows, paperWidth = DEFAULT_PAPER_WIDTH) => {
+  const bytes = [...ESC_POS.INIT];
+
+  layoutReceipt(rows, paperWidth).forEach(line => {
+    if (line.bold) bytes.push(...ESC_POS.BOLD_ON);
+    if (line.double) bytes.push(...ESC_POS.DOUBLE_ON);
+
+    for (const char of toPrinterText(line.text.replace(/\s+$/, ''))) {
+      bytes.push(char.charCodeAt(0));
+    }
+    bytes.push(...ESC_POS.LINE_FEED);
+
+    if (line.double) bytes.push(...ESC_POS.DOUBLE_OFF);
+    if (line.bold) bytes.push(...ESC_POS.BOLD_OFF);
+  });
+
+  bytes.push(...ESC_POS.FEED_LINES(4), ...ESC_POS.PARTIAL_CUT);
+  return Uint8Array.from(bytes);
+};
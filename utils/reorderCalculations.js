@@ -0,0 +1,102 @@
+// utils/reorderCalculations.js - Sales velocity, days of cover and reorder quantities
+import { roundMoney } from './salesCalculations';
+import { toDateKey } from './payrollCalculations';
+
+export const REORDER_WINDOWS = [7, 14, 30, 60, 90];
+
+export const REORDER_REASONS = {
+  below_min: { label: 'Below minimum', color: '#ef4444' },
+  low_cover: { label: 'Low cover', color: '#f59e0b' }
+};
+
+// Local dates for the last `days` days up to and including today, in the
+// inclusive form toReportRange takes
+export const getVelocityWindow = (days, now = new Date()) => {
+  const from = new Date(now);
+  from.setDate(from.getDate() - (days - 1));
+  return { fromDate: toDateKey(from), toDate: toDateKey(now) };
+};
+
+export const calculateAverageDailySales = (unitsSold, days) => {
+  if (!days || days <= 0) return 0;
+  return Math.round((Math.max(Number(unitsSold) || 0, 0) / days) * 100) / 100;
+};
+
+// Days the stock lasts at the current rate; null when nothing is selling
+export const calculateDaysOfCover = (quantity, averageDailySales) => {
+  if (!averageDailySales || averageDailySales <= 0) return null;
+  return Math.round((Math.max(Number(quantity) || 0, 0) / averageDailySales) * 10) / 10;
+};
+
+// Orders up to max_stock_level once on hand plus what is already on order
+// is at or below min_stock_level, or would run out within coverDays
+export const calculateReorderQuantity = ({ onHand, onOrder = 0, minStock, maxStock, averageDailySales = 0, coverDays = 0 }) => {
+  const position = (Number(onHand) || 0) + (Number(onOrder) || 0);
+  const daysOfCover = calculateDaysOfCover(position, averageDailySales);
+
+  let reason = null;
+  if (position <= (Number(minStock) || 0)) {
+    reason = 'below_min';
+  } else if (daysOfCover !== null && daysOfCover < coverDays) {
+    reason = 'low_cover';
+  }
+
+  const quantity = reason ? Math.max((Number(maxStock) || 0) - position, 0) : 0;
+  return { reason: quantity > 0 ? reason : null, quantity, position, days_of_cover: daysOfCover };
+};
+
+// products: store products; unitsSold / onOrder: { [product_id]: units }
+// Returns only the products that need ordering, the ones running out first on top.
+export const buildReorderSuggestions = (products = [], unitsSold = {}, onOrder = {}, { windowDays, coverDays = 0 } = {}) => {
+  return products
+    .map(product => {
+      const averageDailySales = calculateAverageDailySales(unitsSold[product.id], windowDays);
+      const reorder = calculateReorderQuantity({
+        onHand: product.stock_quantity,
+        onOrder: onOrder[product.id],
+        minStock: product.min_stock_level,
+        maxStock: product.max_stock_level,
+        averageDailySales,
+        coverDays
+      });
+      const unitCost = product.average_cost ?? null;
+
+      return {
+        product_id: product.id,
+        product_name: product.name,
+        sku: product.sku,
+        preferred_supplier_id: product.preferred_supplier_id || null,
+        stock_quantity: product.stock_quantity || 0,
+        on_order: onOrder[product.id] || 0,
+        min_stock_level: product.min_stock_level,
+        max_stock_level: product.max_stock_level,
+        units_sold: Math.max(unitsSold[product.id] || 0, 0),
+        average_daily_sales: averageDailySales,
+        days_of_cover: calculateDaysOfCover(product.stock_quantity, averageDailySales),
+        reason: reorder.reason,
+        suggested_quantity: reorder.quantity,
+        unit_cost: unitCost,
+        estimated_cost: roundMoney(reorder.quantity * (unitCost || 0))
+      };
+    })
+    .filter(row => row.reason)
+    .sort((a, b) => (a.days_of_cover ?? Infinity) - (b.days_of_cover ?? Infinity) || a.product_name.localeCompare(b.product_name));
+};
+
+// One group per preferred supplier; products without one are grouped last
+export const groupSuggestionsBySupplier = (rows = [], suppliers = []) => {
+  const groups = new Map();
+
+  rows.forEach(row => {
+    const supplier = suppliers.find(item => item.id === row.preferred_supplier_id);
+    const key = supplier ? supplier.id : '';
+    if (!groups.has(key)) {
+      groups.set(key, { supplier_id: supplier?.id || null, supplier_name: supplier?.name || 'No Preferred Supplier', lines: [] });
+    }
+    groups.get(key).lines.push(row);
+  });
+
+  return [...groups.values()]
+    .map(group => ({ ...group, estimated_cost: roundMoney(group.lines.reduce((sum, line) => sum + line.estimated_cost, 0)) }))
+    .sort((a, b) => (a.supplier_id ? 0 : 1) - (b.supplier_id ? 0 : 1) || a.supplier_name.localeCompare(b.supplier_name));
+};
@@ -0,0 +1,205 @@
+// utils/reportCalculations.js - Sales report breakdowns: gross, discounts, returns, net and VAT
+import { roundMoney, extractVat, getPaymentMethodLabel, getPriceTier } from './salesCalculations';
+import { toDateKey } from './payrollCalculations';
+
+export const REPORT_BREAKDOWNS = [
+  { value: 'day', label: 'Day' },
+  { value: 'hour', label: 'Hour' },
+  { value: 'category', label: 'Category' },
+  { value: 'product', label: 'Product' },
+  { value: 'cashier', label: 'Cashier' },
+  { value: 'payment_method', label: 'Payment Method' },
+  { value: 'price_tier', label: 'Price Tier' }
+];
+
+export const MARGIN_BREAKDOWNS = [
+  { value: 'product', label: 'Product' },
+  { value: 'category', label: 'Category' },
+  { value: 'store', label: 'Store' }
+];
+
+// Day and hour read in time order; everything else by what it brought in
+const CHRONOLOGICAL_BREAKDOWNS = ['day', 'hour'];
+
+export const REPORT_PRESETS = [
+  { value: 'today', label: 'Today' },
+  { value: 'week', label: 'Last 7 Days' },
+  { value: 'month', label: 'Last 30 Days' },
+  { value: 'this_month', label: 'This Month' },
+  { value: 'custom', label: 'Custom' }
+];
+
+// Presets start at local midnight so "Today" matches the store's business day.
+// Returns local YYYY-MM-DD dates, both inclusive.
+export const getPresetDates = (preset, now = new Date()) => {
+  const from = new Date(now);
+
+  if (preset === 'week') {
+    from.setDate(from.getDate() - 6);
+  } else if (preset === 'month') {
+    from.setDate(from.getDate() - 29);
+  } else if (preset === 'this_month') {
+    from.setDate(1);
+  }
+
+  return { fromDate: toDateKey(from), toDate: toDateKey(now) };
+};
+
+const parseDateKey = (text) => {
+  const match = String(text || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 ? date : null;
+};
+
+// Inclusive local dates to the ISO range the services take, `to` exclusive.
+// Returns null when either date is invalid or the range runs backwards.
+export const toReportRange = (fromDate, toDate) => {
+  const from = parseDateKey(fromDate);
+  const to = parseDateKey(toDate);
+
+  if (!from || !to || to < from) return null;
+
+  to.setDate(to.getDate() + 1);
+  return { from: from.toISOString(), to: to.toISOString() };
+};
+
+// labels: optional { [group_key]: name } for keys the database only has ids for
+export const getBreakdownLabel = (breakdown, row, labels = {}) => {
+  if (labels[row.group_key]) return labels[row.group_key];
+
+  if (breakdown === 'hour') {
+    const hour = Number(row.group_key);
+    return `${String(hour).padStart(2, '0')}:00-${String((hour + 1) % 24).padStart(2, '0')}:00`;
+  }
+
+  if (breakdown === 'payment_method') return getPaymentMethodLabel(row.group_key);
+  if (breakdown === 'price_tier') return getPriceTier(row.group_key).label;
+
+  return row.group_label || row.group_key || 'Unknown';
+};
+
+// sales: [{ group_key, group_label, transactions, quantity, gross, discounts, vatable_gross, cogs, uncosted_quantity }]
+// returns: [{ group_key, group_label, refunds, returned_quantity, returns, vatable_returns, cogs_returned }]
+// Returns count in the period they were made, against the group of the line
+// or tender they came back from. VAT is extracted from what is still VATable
+// after returns, once per row, the same way receipts do it.
+export const combineSalesReport = (breakdown, sales = [], returns = [], labels = {}) => {
+  const rows = new Map();
+
+  const getRow = (source) => {
+    const key = source.group_key ?? '';
+    if (!rows.has(key)) {
+      rows.set(key, {
+        group_key: key,
+        group_label: source.group_label,
+        transactions: 0,
+        quantity: 0,
+        gross: 0,
+        discounts: 0,
+        vatable_gross: 0,
+        cogs: 0,
+        uncosted_quantity: 0,
+        refunds: 0,
+        returned_quantity: 0,
+        returns: 0,
+        vatable_returns: 0,
+        cogs_returned: 0
+      });
+    }
+    return rows.get(key);
+  };
+
+  sales.forEach(source => {
+    const row = getRow(source);
+    row.transactions = source.transactions || 0;
+    row.quantity = source.quantity || 0;
+    row.gross = roundMoney(source.gross);
+    row.discounts = roundMoney(source.discounts);
+    row.vatable_gross = roundMoney(source.vatable_gross);
+    row.cogs = roundMoney(source.cogs);
+    row.uncosted_quantity = source.uncosted_quantity || 0;
+  });
+
+  returns.forEach(source => {
+    const row = getRow(source);
+    row.refunds = source.refunds || 0;
+    row.returned_quantity = source.returned_quantity || 0;
+    row.returns = roundMoney(source.returns);
+    row.vatable_returns = roundMoney(source.vatable_returns);
+    row.cogs_returned = roundMoney(source.cogs_returned);
+  });
+
+  const report = [...rows.values()].map(row => ({
+    ...row,
+    label: getBreakdownLabel(breakdown, row, labels),
+    net: roundMoney(row.gross - row.discounts - row.returns),
+    vat: extractVat(row.vatable_gross - row.vatable_returns).vat
+  }));
+
+  if (CHRONOLOGICAL_BREAKDOWNS.includes(breakdown)) {
+    return report.sort((a, b) => String(a.group_key).localeCompare(String(b.group_key)));
+  }
+
+  return report.sort((a, b) => b.net - a.net);
+};
+
+export const calculateReportTotals = (rows = []) => {
+  const totals = rows.reduce((sum, row) => ({
+    gross: sum.gross + row.gross,
+    discounts: sum.discounts + row.discounts,
+    returns: sum.returns + row.returns,
+    vatable: sum.vatable + row.vatable_gross - row.vatable_returns
+  }), { gross: 0, discounts: 0, returns: 0, vatable: 0 });
+
+  return {
+    gross: roundMoney(totals.gross),
+    discounts: roundMoney(totals.discounts),
+    returns: roundMoney(totals.returns),
+    net: roundMoney(totals.gross - totals.discounts - totals.returns),
+    vat: extractVat(totals.vatable).vat
+  };
+};
+
+// Gross profit on revenue net of VAT, since output VAT is owed to the BIR
+// and never the store's to keep
+export const calculateGrossMargin = (revenue, cogs) => {
+  const grossProfit = roundMoney(revenue - cogs);
+  return {
+    gross_profit: grossProfit,
+    margin_percent: revenue > 0 ? Math.round((grossProfit / revenue) * 1000) / 10 : null
+  };
+};
+
+// rows: combineSalesReport output. Returned units take their cost back out
+// of COGS at the cost they were sold at.
+export const combineMarginReport = (rows = []) => {
+  return rows.map(row => {
+    const revenue = roundMoney(row.net - row.vat);
+    const cogs = roundMoney(row.cogs - row.cogs_returned);
+
+    return {
+      group_key: row.group_key,
+      label: row.label,
+      quantity: row.quantity - row.returned_quantity,
+      uncosted_quantity: row.uncosted_quantity,
+      revenue,
+      cogs,
+      ...calculateGrossMargin(revenue, cogs)
+    };
+  }).sort((a, b) => b.gross_profit - a.gross_profit);
+};
+
+export const calculateMarginTotals = (rows = []) => {
+  const revenue = roundMoney(rows.reduce((sum, row) => sum + row.revenue, 0));
+  const cogs = roundMoney(rows.reduce((sum, row) => sum + row.cogs, 0));
+
+  return {
+    revenue,
+    cogs,
+    uncosted_quantity: rows.reduce((sum, row) => sum + row.uncosted_quantity, 0),
+    ...calculateGrossMargin(revenue, cogs)
+  };
+};
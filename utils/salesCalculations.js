@@ -0,0 +1,277 @@
+// utils/salesCalculations.js - Pure cart and sale math shared by the cashier and sales services
+
+// Round to centavos so float drift never reaches a receipt or the database
+export const roundMoney = (amount) => {
+  return Math.round((Number(amount) || 0) * 100) / 100;
+};
+
+// Each sale is rung under one price tier; the tier decides which product price column applies
+export const PRICE_TIERS = [
+  { value: 'walk_in', label: 'Walk-in', priceField: 'default_price' },
+  { value: 'manila', label: 'Manila Branch', priceField: 'manila_price' },
+  { value: 'delivery', label: 'Delivery', priceField: 'delivery_price' },
+  { value: 'wholesale', label: 'Wholesale', priceField: 'wholesale_price' }
+];
+
+export const DEFAULT_PRICE_TIER = 'walk_in';
+
+export const getPriceTier = (tierValue) => {
+  return PRICE_TIERS.find(tier => tier.value === tierValue) || PRICE_TIERS[0];
+};
+
+// Tier prices are optional on a product; a missing one falls back to default_price
+export const resolveTierPrice = (product, tierValue = DEFAULT_PRICE_TIER) => {
+  const tier = getPriceTier(tierValue);
+  const tierPrice = product?.[tier.priceField];
+
+  if (tierPrice === null || tierPrice === undefined || tierPrice === '') {
+    return roundMoney(product?.default_price);
+  }
+
+  return roundMoney(tierPrice);
+};
+
+export const calculateLineTotal = (line) => {
+  return roundMoney((Number(line.unit_price) || 0) * (Number(line.quantity) || 0));
+};
+
+// discountType is null for a regular sale, or one of SC_PWD_DISCOUNT_TYPES
+export const calculateCartTotals = (cartItems = [], discountType = null) => {
+  let subtotal = 0;
+  let vatExemption = 0;
+  let discountAmount = 0;
+  let itemCount = 0;
+
+  cartItems.forEach(line => {
+    const adjusted = applyLineDiscount(line, discountType);
+    subtotal += adjusted.lineTotal;
+    vatExemption += adjusted.vatExemption;
+    discountAmount += adjusted.discountAmount;
+    itemCount += Number(line.quantity) || 0;
+  });
+
+  subtotal = roundMoney(subtotal);
+  vatExemption = roundMoney(vatExemption);
+  discountAmount = roundMoney(discountAmount);
+
+  return {
+    subtotal,
+    vatExemption,
+    discountAmount,
+    total: roundMoney(subtotal - vatExemption - discountAmount),
+    itemCount,
+    lineCount: cartItems.length,
+    ...calculateVatBreakdown(cartItems, discountType)
+  };
+};
+
+// Tender types accepted at the register; only cash can be over-tendered and give change.
+// Points and charge tenders need a customer attached to the sale: points are
+// redeemed from their loyalty balance, charges go on their account.
+export const PAYMENT_METHODS = [
+  { value: 'cash', label: 'Cash', icon: 'cash-outline', requiresReference: false },
+  { value: 'card', label: 'Card', icon: 'card-outline', requiresReference: true },
+  { value: 'gcash', label: 'GCash', icon: 'phone-portrait-outline', requiresReference: true },
+  { value: 'maya', label: 'Maya', icon: 'wallet-outline', requiresReference: true },
+  { value: 'points', label: 'Points', icon: 'star-outline', requiresReference: false, requiresCustomer: true },
+  { value: 'charge', label: 'Charge', icon: 'document-text-outline', requiresReference: false, requiresCustomer: true }
+];
+
+export const getPaymentMethodLabel = (method) => {
+  if (method === 'split') return 'Split';
+  return PAYMENT_METHODS.find(option => option.value === method)?.label || method || 'Cash';
+};
+
+// Checks a list of tenders against the amount due. Non-cash tenders are
+// applied first and may not exceed the total; change comes only from cash.
+export const calculateTenderSummary = (tenders = [], totalDue = 0) => {
+  const total = roundMoney(totalDue);
+  let cashTendered = 0;
+  let nonCashTendered = 0;
+
+  tenders.forEach(tender => {
+    const amount = roundMoney(tender.amount);
+    if (tender.payment_method === 'cash') {
+      cashTendered += amount;
+    } else {
+      nonCashTendered += amount;
+    }
+  });
+
+  cashTendered = roundMoney(cashTendered);
+  nonCashTendered = roundMoney(nonCashTendered);
+
+  const tendered = roundMoney(cashTendered + nonCashTendered);
+  const cashDue = roundMoney(Math.max(total - nonCashTendered, 0));
+  const change = roundMoney(Math.max(cashTendered - cashDue, 0));
+  const remaining = roundMoney(Math.max(total - tendered, 0));
+
+  let error = null;
+  if (nonCashTendered > total) {
+    error = 'Only cash can be tendered over the amount due';
+  } else if (remaining > 0) {
+    error = `₱${remaining.toFixed(2)} still due`;
+  }
+
+  return {
+    total,
+    tendered,
+    cashTendered,
+    nonCashTendered,
+    cashApplied: roundMoney(cashTendered - change),
+    change,
+    remaining,
+    isCovered: error === null,
+    error
+  };
+};
+
+// Philippine VAT: shelf prices are VAT-inclusive at 12%. A product with no
+// tax class of its own follows its category.
+export const VAT_RATE = 0.12;
+
+export const TAX_CLASSES = [
+  { value: 'vat', label: 'VATable (12% inclusive)' },
+  { value: 'vat_exempt', label: 'VAT-Exempt' },
+  { value: 'zero_rated', label: 'Zero-Rated' }
+];
+
+export const DEFAULT_TAX_CLASS = 'vat';
+
+export const isValidTaxClass = (taxClass) => {
+  return TAX_CLASSES.some(option => option.value === taxClass);
+};
+
+export const resolveTaxClass = (product) => {
+  const candidates = [product?.tax_class, product?.category_tax_class];
+  return candidates.find(isValidTaxClass) || DEFAULT_TAX_CLASS;
+};
+
+// Splits a VAT-inclusive amount into its net and VAT portions
+export const extractVat = (grossAmount) => {
+  const gross = roundMoney(grossAmount);
+  const net = roundMoney(gross / (1 + VAT_RATE));
+  return { net, vat: roundMoney(gross - net) };
+};
+
+export const calculateVatBreakdown = (cartItems = [], discountType = null) => {
+  let vatableGross = 0;
+  let vatExemptSales = 0;
+  let zeroRatedSales = 0;
+
+  cartItems.forEach(line => {
+    const { netTotal, taxClass } = applyLineDiscount(line, discountType);
+
+    if (taxClass === 'vat_exempt') {
+      vatExemptSales += netTotal;
+    } else if (taxClass === 'zero_rated') {
+      zeroRatedSales += netTotal;
+    } else {
+      vatableGross += netTotal;
+    }
+  });
+
+  // VAT is extracted once from the vatable total so line rounding never adds up
+  const { net, vat } = extractVat(vatableGross);
+
+  return {
+    vatableSales: net,
+    vatAmount: vat,
+    vatExemptSales: roundMoney(vatExemptSales),
+    zeroRatedSales: roundMoney(zeroRatedSales)
+  };
+};
+
+// Senior citizen (RA 9994) and PWD (RA 10754) discount: VAT comes off first,
+// then 20% of the VAT-exclusive price, on lines whose category qualifies
+export const SC_PWD_DISCOUNT_RATE = 0.20;
+
+export const SC_PWD_DISCOUNT_TYPES = [
+  { value: 'senior_citizen', label: 'Senior Citizen' },
+  { value: 'pwd', label: 'PWD' }
+];
+
+export const getDiscountTypeLabel = (discountType) => {
+  return SC_PWD_DISCOUNT_TYPES.find(option => option.value === discountType)?.label || null;
+};
+
+// Categories opt out through sc_pwd_eligible = 0; uncategorized items qualify
+export const isScPwdEligible = (line) => {
+  const flag = line?.category_sc_pwd_eligible;
+  return flag === null || flag === undefined || Number(flag) === 1;
+};
+
+export const applyLineDiscount = (line, discountType = null) => {
+  const lineTotal = calculateLineTotal(line);
+  const taxClass = resolveTaxClass(line);
+
+  if (!getDiscountTypeLabel(discountType) || !isScPwdEligible(line)) {
+    return { lineTotal, vatExemption: 0, discountAmount: 0, netTotal: lineTotal, taxClass };
+  }
+
+  let base = lineTotal;
+  let vatExemption = 0;
+
+  if (taxClass === 'vat') {
+    const { net, vat } = extractVat(lineTotal);
+    base = net;
+    vatExemption = vat;
+  }
+
+  const discountAmount = roundMoney(base * SC_PWD_DISCOUNT_RATE);
+
+  return {
+    lineTotal,
+    vatExemption,
+    discountAmount,
+    netTotal: roundMoney(base - discountAmount),
+    // A discounted VATable line is sold VAT-exempt
+    taxClass: taxClass === 'vat' ? 'vat_exempt' : taxClass
+  };
+};
+
+// What the customer actually paid for a sale line after any SC/PWD adjustment
+export const getLinePaidAmount = (saleItem) => {
+  return roundMoney(
+    (Number(saleItem.line_total) || 0) -
+    (Number(saleItem.vat_exemption_amount) || 0) -
+    (Number(saleItem.discount_amount) || 0)
+  );
+};
+
+// Refunds are prorated per unit; returning the last units refunds whatever
+// is left on the line so rounding never leaves centavos behind
+export const calculateRefundLineAmount = (saleItem, quantity) => {
+  const paid = getLinePaidAmount(saleItem);
+  const returnedQuantity = Number(saleItem.returned_quantity) || 0;
+  const refundedAmount = Number(saleItem.refunded_amount) || 0;
+  const remainingQuantity = saleItem.quantity - returnedQuantity;
+
+  if (quantity <= 0) return 0;
+
+  if (quantity >= remainingQuantity) {
+    return roundMoney(paid - refundedAmount);
+  }
+
+  return roundMoney(paid * quantity / saleItem.quantity);
+};
+
+// Spreads a refund over the original tenders in order, never returning more
+// through a tender than was paid (and not yet refunded) through it
+export const allocateRefundToTenders = (payments = [], refundTotal = 0) => {
+  let remaining = roundMoney(refundTotal);
+
+  const allocations = payments.map(payment => {
+    const available = roundMoney((Number(payment.amount) || 0) - (Number(payment.refunded_amount) || 0));
+    const amount = roundMoney(Math.min(Math.max(available, 0), remaining));
+    remaining = roundMoney(remaining - amount);
+
+    return {
+      sale_payment_id: payment.id,
+      payment_method: payment.payment_method,
+      amount
+    };
+  }).filter(allocation => allocation.amount > 0);
+
+  return { allocations, unallocated: remaining };
+};
@@ -0,0 +1,62 @@
+// utils/shiftCalculations.js - Pure cash drawer math for shifts and register readings
+import { roundMoney } from './salesCalculations';
+
+// Philippine bills and coins, largest first, as counted at shift close
+export const DENOMINATIONS = [
+  { value: 1000, label: '₱1000' },
+  { value: 500, label: '₱500' },
+  { value: 200, label: '₱200' },
+  { value: 100, label: '₱100' },
+  { value: 50, label: '₱50' },
+  { value: 20, label: '₱20' },
+  { value: 10, label: '₱10' },
+  { value: 5, label: '₱5' },
+  { value: 1, label: '₱1' },
+  { value: 0.25, label: '25¢' }
+];
+
+// Cash that enters or leaves the drawer outside of sales and refunds
+export const CASH_MOVEMENT_TYPES = [
+  { value: 'paid_in', label: 'Paid In', direction: 1, icon: 'arrow-down-circle-outline' },
+  { value: 'paid_out', label: 'Paid Out', direction: -1, icon: 'arrow-up-circle-outline' },
+  { value: 'cash_drop', label: 'Cash Drop', direction: -1, icon: 'archive-outline' }
+];
+
+export const getCashMovementLabel = (movementType) => {
+  return CASH_MOVEMENT_TYPES.find(type => type.value === movementType)?.label || movementType;
+};
+
+// counts: { [denomination value]: number of pieces }
+export const calculateDenominationTotal = (counts = {}) => {
+  return roundMoney(DENOMINATIONS.reduce((sum, denomination) => {
+    const pieces = parseInt(counts[denomination.value]) || 0;
+    return sum + denomination.value * Math.max(0, pieces);
+  }, 0));
+};
+
+// What should be in the drawer: float plus cash taken on sales and charge
+// accounts, less cash handed back or removed
+export const calculateExpectedCash = ({
+  opening_float = 0,
+  cash_sales = 0,
+  cash_refunds = 0,
+  cash_account_payments = 0,
+  paid_in = 0,
+  paid_out = 0,
+  cash_drop = 0
+} = {}) => {
+  return roundMoney(
+    (Number(opening_float) || 0) +
+    (Number(cash_sales) || 0) -
+    (Number(cash_refunds) || 0) +
+    (Number(cash_account_payments) || 0) +
+    (Number(paid_in) || 0) -
+    (Number(paid_out) || 0) -
+    (Number(cash_drop) || 0)
+  );
+};
+
+// Positive variance is an overage, negative a shortage
+export const calculateCashVariance = (countedCash, expectedCash) => {
+  return roundMoney((Number(countedCash) || 0) - (Number(expectedCash) || 0));
+};
@@ -0,0 +1,101 @@
+// utils/stockCountCalculations.js - Cycle count scopes, statuses and variance reporting
+import { roundMoney } from './salesCalculations';
+
+export const COUNT_SCOPES = [
+  { value: 'category', label: 'Category' },
+  { value: 'store', label: 'Whole Store' },
+  { value: 'catalog', label: 'Full Catalog' }
+];
+
+export const COUNT_STATUSES = [
+  { value: 'counting', label: 'Counting', color: '#3b82f6' },
+  { value: 'review', label: 'In Review', color: '#f59e0b' },
+  { value: 'posted', label: 'Posted', color: '#10b981' },
+  { value: 'cancelled', label: 'Cancelled', color: '#ef4444' }
+];
+
+export const getCountScope = (scope) => {
+  return COUNT_SCOPES.find(option => option.value === scope) || COUNT_SCOPES[0];
+};
+
+export const getCountStatus = (status) => {
+  return COUNT_STATUSES.find(option => option.value === status) || COUNT_STATUSES[0];
+};
+
+export const isLineCounted = (line) => {
+  return line.counted_quantity !== null && line.counted_quantity !== undefined;
+};
+
+// What should have been on the shelf when the line was last counted: the
+// quantity frozen at the start plus the sales, receipts and other movements
+// booked between the freeze and that entry
+export const getLineExpectedQuantity = (line) => {
+  return (Number(line.expected_quantity) || 0) + (Number(line.moved_quantity) || 0);
+};
+
+// Counted minus expected at the time of the count. Lines nobody counted have
+// no variance unless zeroUncounted treats them as empty shelves.
+export const calculateLineVariance = (line, { zeroUncounted = false } = {}) => {
+  if (!isLineCounted(line) && !zeroUncounted) return 0;
+  return (Number(line.counted_quantity) || 0) - getLineExpectedQuantity(line);
+};
+
+// Variance is valued at the average cost frozen with the expected quantity
+export const buildVarianceReport = (lines = [], options = {}) => {
+  const rows = lines.map(line => {
+    const varianceQuantity = calculateLineVariance(line, options);
+    return {
+      ...line,
+      counted: isLineCounted(line),
+      variance_quantity: varianceQuantity,
+      variance_value: roundMoney(varianceQuantity * (Number(line.unit_cost) || 0))
+    };
+  });
+
+  const totals = rows.reduce((sum, row) => ({
+    lines: sum.lines + 1,
+    counted_lines: sum.counted_lines + (row.counted ? 1 : 0),
+    variance_lines: sum.variance_lines + (row.variance_quantity !== 0 ? 1 : 0),
+    over_quantity: sum.over_quantity + Math.max(row.variance_quantity, 0),
+    short_quantity: sum.short_quantity + Math.max(-row.variance_quantity, 0),
+    over_value: roundMoney(sum.over_value + Math.max(row.variance_value, 0)),
+    short_value: roundMoney(sum.short_value + Math.max(-row.variance_value, 0)),
+    net_value: roundMoney(sum.net_value + row.variance_value)
+  }), {
+    lines: 0,
+    counted_lines: 0,
+    variance_lines: 0,
+    over_quantity: 0,
+    short_quantity: 0,
+    over_value: 0,
+    short_value: 0,
+    net_value: 0
+  });
+
+  return {
+    rows: rows.sort((a, b) => Math.abs(b.variance_value) - Math.abs(a.variance_value) || a.product_name.localeCompare(b.product_name)),
+    totals
+  };
+};
+
+// Scanned or typed code to a session line: barcode first, then SKU
+export const matchCountLine = (lines = [], code) => {
+  const value = String(code || '').trim();
+  if (!value) return null;
+
+  return lines.find(line => line.barcode && line.barcode === value) ||
+    lines.find(line => line.sku && line.sku.toLowerCase() === value.toLowerCase()) ||
+    null;
+};
+
+// Counters can also take stock back out of a line to correct a mis-scan,
+// as long as the line doesn't go below zero
+export const validateCountEntry = (line, quantity) => {
+  const value = Number(quantity);
+  if (!Number.isInteger(value) || value === 0) return 'Enter a whole number of units';
+
+  const counted = Number(line?.counted_quantity) || 0;
+  if (counted + value < 0) return `Only ${counted} counted for ${line.product_name} so far`;
+
+  return null;
+};
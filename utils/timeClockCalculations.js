@@ -0,0 +1,133 @@
+// utils/timeClockCalculations.js - Pairs staff punches into worked shifts for timesheets
+
+export const PUNCH_TYPES = [
+  { value: 'clock_in', label: 'Clock In', icon: 'log-in-outline', color: '#10b981' },
+  { value: 'break_start', label: 'Start Break', icon: 'cafe-outline', color: '#f59e0b' },
+  { value: 'break_end', label: 'End Break', icon: 'play-outline', color: '#3b82f6' },
+  { value: 'clock_out', label: 'Clock Out', icon: 'log-out-outline', color: '#ef4444' }
+];
+
+// A shift still open after this long is treated as a forgotten clock-out
+export const MAX_SHIFT_HOURS = 16;
+
+// Which punch may follow the staff member's last one
+const ALLOWED_AFTER = {
+  none: ['clock_in'],
+  clock_in: ['break_start', 'clock_out'],
+  break_start: ['break_end'],
+  break_end: ['break_start', 'clock_out'],
+  clock_out: ['clock_in']
+};
+
+export const getPunchLabel = (entryType) => {
+  return PUNCH_TYPES.find(type => type.value === entryType)?.label || entryType;
+};
+
+export const getAllowedPunches = (lastEntryType) => {
+  return ALLOWED_AFTER[lastEntryType || 'none'] || ALLOWED_AFTER.none;
+};
+
+export const getClockStatus = (lastEntryType) => {
+  switch (lastEntryType) {
+    case 'clock_in':
+    case 'break_end':
+      return 'working';
+    case 'break_start':
+      return 'on_break';
+    default:
+      return 'off';
+  }
+};
+
+const minutesBetween = (start, end) => {
+  return Math.max(0, (new Date(end).getTime() - new Date(start).getTime()) / 60000);
+};
+
+// punches: time_entries rows for one or more staff, any order.
+// Returns one shift per clock-in, newest first.
+export const buildTimesheet = (punches = [], now = new Date()) => {
+  const byStaff = {};
+
+  [...punches]
+    .sort((a, b) => new Date(a.punched_at) - new Date(b.punched_at))
+    .forEach(punch => {
+      if (!byStaff[punch.staff_id]) byStaff[punch.staff_id] = [];
+      byStaff[punch.staff_id].push(punch);
+    });
+
+  const shifts = [];
+
+  Object.values(byStaff).forEach(staffPunches => {
+    let current = null;
+
+    const closeCurrent = () => {
+      if (!current) return;
+
+      const openBreak = current.breaks.find(b => !b.end);
+      const end = current.clock_out?.punched_at || null;
+      const stale = !end && minutesBetween(current.clock_in.punched_at, now) > MAX_SHIFT_HOURS * 60;
+
+      current.missing_clock_out = !end && (current.superseded || stale);
+      current.is_open = !end && !current.missing_clock_out;
+      current.break_minutes = current.breaks.reduce((sum, b) => {
+        return sum + (b.end ? minutesBetween(b.start, b.end) : 0);
+      }, 0);
+      current.worked_minutes = end
+        ? Math.max(0, minutesBetween(current.clock_in.punched_at, end) - current.break_minutes)
+        : 0;
+      current.open_break = !!openBreak && !end;
+
+      delete current.superseded;
+      shifts.push(current);
+      current = null;
+    };
+
+    staffPunches.forEach(punch => {
+      if (punch.entry_type === 'clock_in') {
+        if (current) {
+          current.superseded = true;
+          closeCurrent();
+        }
+        current = {
+          staff_id: punch.staff_id,
+          staff_code: punch.staff_code,
+          staff_name: punch.staff_name,
+          store_id: punch.store_id,
+          clock_in: punch,
+          clock_out: null,
+          breaks: []
+        };
+        return;
+      }
+
+      // Punches without a clock-in in range belong to a shift that started earlier
+      if (!current) return;
+
+      if (punch.entry_type === 'break_start') {
+        current.breaks.push({ start: punch.punched_at, end: null, start_entry: punch, end_entry: null });
+      } else if (punch.entry_type === 'break_end') {
+        const openBreak = current.breaks.find(b => !b.end);
+        if (openBreak) {
+          openBreak.end = punch.punched_at;
+          openBreak.end_entry = punch;
+        }
+      } else if (punch.entry_type === 'clock_out') {
+        current.clock_out = punch;
+        // A break left open is ended by the clock-out
+        current.breaks.forEach(b => {
+          if (!b.end) b.end = punch.punched_at;
+        });
+        closeCurrent();
+      }
+    });
+
+    closeCurrent();
+  });
+
+  return shifts.sort((a, b) => new Date(b.clock_in.punched_at) - new Date(a.clock_in.punched_at));
+};
+
+export const formatMinutesAsHours = (minutes) => {
+  const total = Math.round(minutes || 0);
+  return `${Math.floor(total / 60)}h ${String(total % 60).padStart(2, '0')}m`;
+};
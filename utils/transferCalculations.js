@@ -0,0 +1,97 @@
+// utils/transferCalculations.js - Inter-store transfer states, access and discrepancies
+import { roundMoney } from './salesCalculations';
+
+export const TRANSFER_STATUSES = [
+  { value: 'dispatched', label: 'Dispatched', color: '#3b82f6' },
+  { value: 'in_transit', label: 'In Transit', color: '#f59e0b' },
+  { value: 'received', label: 'Received', color: '#10b981' },
+  { value: 'cancelled', label: 'Cancelled', color: '#ef4444' }
+];
+
+// Where each state can go next. Stock leaves the sending store on dispatch,
+// so only a transfer that hasn't been picked up can still be cancelled.
+export const TRANSFER_TRANSITIONS = {
+  dispatched: ['in_transit', 'cancelled'],
+  in_transit: ['received'],
+  received: [],
+  cancelled: []
+};
+
+export const DISCREPANCY_RESOLUTIONS = [
+  { value: 'written_off', label: 'Write Off' },
+  { value: 'returned', label: 'Return to Sender' }
+];
+
+export const getTransferStatus = (status) => {
+  return TRANSFER_STATUSES.find(option => option.value === status) || TRANSFER_STATUSES[0];
+};
+
+export const canTransitionTransfer = (from, to) => {
+  return (TRANSFER_TRANSITIONS[from] || []).includes(to);
+};
+
+// Same company-wide access productService.getManagerCompanyProducts requires
+export const canTransferStock = (user) => {
+  return user?.role === 'super_admin' || (user?.role === 'manager' && !!user?.company_id);
+};
+
+// Received minus sent: negative when units went missing, positive when
+// more arrived than the sender recorded
+export const calculateLineDiscrepancy = (line) => {
+  if (line.quantity_received === null || line.quantity_received === undefined) return 0;
+  return (Number(line.quantity_received) || 0) - (Number(line.quantity_sent) || 0);
+};
+
+export const calculateTransferTotals = (lines = []) => {
+  return lines.reduce((totals, line) => {
+    const discrepancy = calculateLineDiscrepancy(line);
+    const unitCost = Number(line.unit_cost) || 0;
+
+    return {
+      quantity_sent: totals.quantity_sent + (Number(line.quantity_sent) || 0),
+      quantity_received: totals.quantity_received + (Number(line.quantity_received) || 0),
+      short_quantity: totals.short_quantity + Math.max(-discrepancy, 0),
+      over_quantity: totals.over_quantity + Math.max(discrepancy, 0),
+      value_sent: roundMoney(totals.value_sent + (Number(line.quantity_sent) || 0) * unitCost),
+      discrepancy_value: roundMoney(totals.discrepancy_value + discrepancy * unitCost)
+    };
+  }, { quantity_sent: 0, quantity_received: 0, short_quantity: 0, over_quantity: 0, value_sent: 0, discrepancy_value: 0 });
+};
+
+// lines: [{ product_id, quantity }]; returns an error message or null
+export const validateTransferLines = (fromStoreId, toStoreId, lines = []) => {
+  if (!fromStoreId || !toStoreId) return 'Choose both the sending and receiving store';
+  if (String(fromStoreId) === String(toStoreId)) return 'A transfer must go to a different store';
+  if (lines.length === 0) return 'Add at least one product';
+
+  const productIds = new Set();
+  for (const line of lines) {
+    const quantity = Number(line.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) return 'Transfer quantities must be whole numbers above zero';
+
+    if (productIds.has(line.product_id)) return 'Each product can only be on a transfer once';
+    productIds.add(line.product_id);
+  }
+
+  return null;
+};
+
+// receipt: [{ line_id, quantity_received, reason }] covering every line.
+// Any line that doesn't match what was sent needs a reason.
+export const validateTransferReceipt = (transferLines = [], receipt = []) => {
+  for (const line of transferLines) {
+    const row = receipt.find(entry => entry.line_id === line.id);
+    if (!row || row.quantity_received === '' || row.quantity_received === null || row.quantity_received === undefined) {
+      return `Enter the quantity received for ${line.product_name}`;
+    }
+
+    const quantity = Number(row.quantity_received);
+    if (!Number.isInteger(quantity) || quantity < 0) return `Received quantity for ${line.product_name} must be a whole number`;
+
+    if (quantity !== Number(line.quantity_sent) && !String(row.reason || '').trim()) {
+      return `Explain why ${line.product_name} doesn't match the ${line.quantity_sent} sent`;
+    }
+  }
+
+  return null;
+};